@@ -156,7 +156,13 @@ app.use(async (_req, _res, next) => {
   next();
 });
 
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are signed over the exact bytes sent, so keep them
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -249,6 +255,9 @@ connectDB();
 // Register event listeners (commission, audit side-effects)
 require('./events/listeners');
 
+// Register background jobs (reminders, expiry, retention, metrics, SLA scan)
+require('./jobs');
+
 // Dashboard Routes (Protected - Auth Required)
 const authRoutes = require('./routes/auth');
 const studentRoutes = require('./routes/students');
@@ -269,6 +278,12 @@ const reportsRoutes = require('./routes/reports');
 const settingsRoutes = require('./routes/settings');
 const universitiesRoutes = require('./routes/universities');
 const dashboardRoutes = require('./routes/dashboard');
+const workflowRoutes = require('./routes/workflows');
+const taskTemplateRoutes = require('./routes/taskTemplates');
+const intakeFormRoutes = require('./routes/intakeForms');
+const domainEventRoutes = require('./routes/domainEvents');
+const ledgerRoutes = require('./routes/ledger');
+const payoutRunRoutes = require('./routes/payoutRuns');
 const admissionsRoutes = require('./routes/admissions');
 const universityApplicationRoutes = require('./routes/universityApplications');
 
@@ -299,6 +314,21 @@ const editorOfferRoutes = require('./routes/editor/offers');
 const editorSuccessStoryRoutes = require('./routes/editor/successStories');
 const editorCmsEventRoutes = require('./routes/editor/cmsEvents');
 
+// Network restriction for admin tooling
+const { ipAllowlist } = require('./middlewares/ipAllowlist');
+
+// Maintenance mode (Settings.features.maintenance)
+const { maintenanceMode } = require('./middlewares/maintenance');
+const { getMaintenanceState, toPayload, startMaintenanceWatcher } = require('./services/maintenanceService');
+const { startScheduler } = require('./services/jobScheduler');
+const { eventBus } = require('./events/eventBus');
+const { startSocketRelay } = require('./socket/socketManager');
+const { startPresenceHeartbeat } = require('./services/presenceService');
+
+// Module / feature toggles (Settings.features)
+const { requireModule, requireFeature } = require('./middlewares/featureFlags');
+const featureSettingsRoutes = require('./routes/featureSettings');
+
 // =============================================================================
 // ROOT ROUTE
 // =============================================================================
@@ -318,6 +348,63 @@ app.get('/', (req, res) => {
   });
 });
 
+// =============================================================================
+// MAINTENANCE MODE
+// =============================================================================
+// Current/upcoming maintenance window, so clients can show a banner in advance
+app.get('/api/v1/maintenance', async (req, res) => {
+  try {
+    const state = await getMaintenanceState();
+    res.json({ success: true, maintenance: toPayload(state) });
+  } catch (error) {
+    console.error('Get maintenance status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch maintenance status' });
+  }
+});
+
+// Auth stays reachable so allowed roles can still sign in, and payment
+// webhooks keep flowing
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/v1/auth')) return next();
+  if (req.path.startsWith('/v1/payments/webhooks/')) return next();
+  return maintenanceMode(req, res, next);
+});
+
+// =============================================================================
+// MODULE & FEATURE FLAGS (Settings.features.modules / .features)
+// =============================================================================
+app.use('/api/v1/chat', requireModule('messagingSystem'));
+app.use(
+  [
+    '/api/v1/agents/commissions',
+    '/api/v1/agents/commission-stats',
+    '/api/v1/agents/commission-history',
+    '/api/v1/agents/wallet',
+    '/api/v1/agents/payouts',
+    '/api/v1/representatives/commissions',
+    '/api/v1/representatives/commission-stats',
+    '/api/v1/partners/commissions',
+    '/api/v1/partners/commission-stats',
+    '/api/v1/admin/commissions',
+    '/api/v1/admin/reports/commissions',
+    '/api/v1/admin/payouts',
+    '/api/v1/admin/payout-runs',
+    '/api/v1/admin/ledger',
+  ],
+  requireModule('commissionTracking')
+);
+app.use('/api/v1/agents/courses', requireModule('courseSearch'));
+app.use(
+  [
+    '/api/v1/agents/commissions/export',
+    '/api/v1/admin/campaign-leads/export',
+    '/api/v1/public/intern/export',
+  ],
+  requireFeature('exportData')
+);
+// New checkouts only; webhooks stay open so payments already started can settle
+app.use('/api/v1/payments/checkout', requireFeature('onlinePayments'));
+
 // =============================================================================
 // PUBLIC API ROUTES (Marketing Website - No Authentication)
 // =============================================================================
@@ -341,6 +428,12 @@ app.use('/api/v1/public/intern', internRoutes);
 // =============================================================================
 app.use('/api/v1/auth', authRoutes);
 
+// =============================================================================
+// IP ALLOWLIST (Settings.security.ipWhitelist)
+// =============================================================================
+// Covers /admin/settings and /admin/reports as well, which are mounted under /admin
+app.use(['/api/v1/admin', '/api/v1/audit'], ipAllowlist);
+
 // =============================================================================
 // PROTECTED API ROUTES (Dashboard - Authentication Required)
 // =============================================================================
@@ -360,6 +453,7 @@ app.use('/api/v1/upload', uploadRoutes);
 app.use('/api/v1/chat', chatRoutes);
 app.use('/api/v1/admissions', admissionsRoutes);
 app.use('/api/v1/universities', universitiesRoutes);
+app.use('/api/v1/settings', featureSettingsRoutes);
 
 // =============================================================================
 // EDITOR CMS ROUTES (Editor + Super Admin)
@@ -384,6 +478,12 @@ app.use('/api/v1/admin/reports', reportsRoutes);
 app.use('/api/v1/admin/campaign-leads', adminCampaignLeadRoutes);
 app.use('/api/v1/admin/settings', settingsRoutes);
 app.use('/api/v1/admin/dashboard', dashboardRoutes);
+app.use('/api/v1/admin/workflows', workflowRoutes);
+app.use('/api/v1/admin/task-templates', taskTemplateRoutes);
+app.use('/api/v1/admin/intake-forms', intakeFormRoutes);
+app.use('/api/v1/admin/domain-events', domainEventRoutes);
+app.use('/api/v1/admin/ledger', ledgerRoutes);
+app.use('/api/v1/admin/payout-runs', payoutRunRoutes);
 
 // =============================================================================
 // LEGACY ROUTE SUPPORT (Backward Compatibility for Marketing Frontend)
@@ -460,6 +560,7 @@ app.use((err, req, res, next) => {
       success: false,
       message: err.message,
       code: err.code,
+      ...(err.details && { details: err.details }),
     });
   }
 
@@ -531,6 +632,19 @@ if (require.main === module && server) {
     console.log(`🔌 Socket.io enabled for real-time notifications`);
     console.log(`📁 File uploads enabled (Cloudinary)`);
     console.log(`🔒 Rate limiting active\n`);
+
+    // Start/end scheduled maintenance windows on time
+    startMaintenanceWatcher();
+
+    // Run background jobs (see src/jobs)
+    startScheduler();
+
+    // Deliver domain events and socket emits from other instances (see src/events/transport)
+    eventBus.start();
+    startSocketRelay();
+
+    // Keep this instance's sockets in the shared presence (see services/presenceService)
+    startPresenceHeartbeat();
   });
 }
 
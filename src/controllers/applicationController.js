@@ -9,6 +9,8 @@ const Student = require('../models/Student');
 const User = require('../models/User');
 const notificationService = require('../services/notificationService');
 const { createAuditLog } = require('../utils/auditLogger');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { checkApplicationTransition } = require('../services/transitionGuardService');
 const { validateFile, uploadToCloudinary } = require('../utils/fileUpload');
 
 // ============================================
@@ -308,6 +310,18 @@ const updateStatus = async (req, res) => {
       });
     }
 
+    // Required documents, checklist, ...
+    const unmetConditions = await checkApplicationTransition(application, newStatus);
+    if (unmetConditions.length > 0) {
+      return res.status(409).json({
+        error: 'Transition conditions not met',
+        code: 'TRANSITION_CONDITIONS_UNMET',
+        currentStatus: application.status,
+        requestedStatus: newStatus,
+        unmetConditions
+      });
+    }
+
     const previousStatus = application.status;
     application.status = newStatus;
     if (subStatus !== undefined) application.subStatus = subStatus;
@@ -320,17 +334,13 @@ const updateStatus = async (req, res) => {
       date: new Date()
     });
 
-    await application.save();
-
-    // Auto-create commission when application reaches 'Completed' status
-    if (newStatus === 'Completed' && application.agentId) {
-      try {
-        const commissionService = require('../services/commissionService');
-        await commissionService.createApplicationCommission(application, userId);
-      } catch (commError) {
-        console.error('Commission creation error (non-blocking):', commError.message);
-      }
-    }
+    // The agent's commission is created by the APPLICATION_COMPLETED event's
+    // listener, stored together with the status change
+    await eventBus.emitWith((session) => application.save({ session }), [
+      newStatus === 'Completed' && application.agentId && [EVENTS.APPLICATION_COMPLETED, {
+        application, triggeredBy: userId, req
+      }]
+    ]);
 
     // Notify student about status change
     try {
@@ -618,6 +628,51 @@ const updateChecklist = async (req, res) => {
   }
 };
 
+/**
+ * Verify (or un-verify) an uploaded document (agent/admin)
+ * PATCH /api/v1/admissions/agent/:id/documents/:docId/verify
+ */
+const verifyDocument = async (req, res) => {
+  try {
+    const { id, docId } = req.params;
+    const { verified = true } = req.body;
+    const userId = req.user.userId;
+    const userRole = req.user.role === 'super_admin' ? 'super_admin' : 'agent';
+
+    const application = await Application.findOne({ applicationId: id, isDeleted: false });
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (userRole === 'agent' && application.agentId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const document = application.documents.find(d => d.docId === docId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    document.verified = Boolean(verified);
+    document.verifiedBy = document.verified ? userId : null;
+    document.verifiedAt = document.verified ? new Date() : null;
+
+    application.timeline.push({
+      action: `Document "${document.name}" marked as ${document.verified ? 'verified' : 'not verified'}`,
+      by: userId,
+      byRole: userRole,
+      date: new Date()
+    });
+
+    await application.save();
+
+    return res.json({ document });
+  } catch (error) {
+    console.error('verifyDocument error:', error);
+    return res.status(500).json({ error: 'Failed to verify document' });
+  }
+};
+
 // ============================================
 // STUDENT ENDPOINTS
 // ============================================
@@ -1055,6 +1110,7 @@ module.exports = {
   uploadDocument,
   addRemark,
   updateChecklist,
+  verifyDocument,
   getStudentApplications,
   getStudentApplicationById,
   acceptOffer,
@@ -11,8 +11,10 @@ const { getRoleBasedFilter } = require('../middlewares/auth');
 const notificationService = require('../services/notificationService');
 const { logServiceRequestEvent, logAssignmentEvent } = require('../utils/auditLogger');
 const { emitToStudent, broadcastServiceRequestUpdate } = require('../socket/socketManager');
-const { validateFormData } = require('../utils/formDataValidator');
+const { validateIntake } = require('../services/intakeFormService');
 const { validateStateTransition } = require('../utils/stateMachine');
+const { getWorkflowForRequest } = require('../services/workflowService');
+const { checkServiceRequestTransition } = require('../services/transitionGuardService');
 const { eventBus, EVENTS } = require('../events/eventBus');
 
 /**
@@ -36,15 +38,19 @@ const createServiceRequest = async (req, res) => {
       });
     }
 
-    // Validate formData if provided
+    // Validate formData if provided (active intake form for the service type)
+    let intakeForm = null;
     if (formData) {
-      const validation = validateFormData(serviceType, formData);
+      const validation = await validateIntake(serviceType, formData);
       if (!validation.valid) {
         return res.status(400).json({
           error: 'Invalid form data',
-          errors: validation.errors
+          errors: validation.errors,
+          fieldErrors: validation.fieldErrors,
+          intakeFormVersion: validation.intakeForm.version
         });
       }
+      intakeForm = validation.intakeForm;
     }
 
     // Check if service request already exists for this service type
@@ -79,6 +85,8 @@ const createServiceRequest = async (req, res) => {
       metadata: metadata || {},
       formData: formData || null,
       formSubmittedAt: formData ? new Date() : null,
+      intakeFormId: intakeForm?.formId || null,
+      intakeFormVersion: intakeForm?.version || null,
       appliedAt: new Date()
     });
 
@@ -95,7 +103,15 @@ const createServiceRequest = async (req, res) => {
       note: 'Service request created by student'
     });
 
-    await serviceRequest.save();
+    // Side-effects: automatic assignment (audit written below)
+    await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+      [EVENTS.SERVICE_REQUEST_CREATED, {
+        serviceRequest,
+        createdBy: req.user.userId,
+        req,
+        audited: true
+      }]
+    ]);
 
     // Audit log: Service request created
     await logServiceRequestEvent(req, 'service_request_created', serviceRequest);
@@ -393,11 +409,21 @@ const assignServiceRequest = async (req, res) => {
     const previousStatus = serviceRequest.status;
 
     // Update status and tracking fields
-    serviceRequest.updateStatus('ASSIGNED', req.user.userId, note || 'Assigned by super admin');
+    const workflow = await getWorkflowForRequest(serviceRequest);
+    serviceRequest.updateStatus('ASSIGNED', req.user.userId, note || 'Assigned by super admin', workflow);
     serviceRequest.assignedBy = req.user.userId;
     serviceRequest.assignedAt = new Date();
 
-    await serviceRequest.save();
+    // Stored with the assignment so its side-effects (task templates) can't be lost
+    await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+      [EVENTS.SERVICE_REQUEST_ASSIGNED, {
+        serviceRequest,
+        assignedCounselor: serviceRequest.assignedCounselor || null,
+        assignedAgent: serviceRequest.assignedAgent || null,
+        triggeredBy: req.user.userId,
+        req
+      }]
+    ]);
 
     // Keep the UniversityApplication sidecar in sync (Apply-University only).
     // No-op if no UA exists, so other 7 services are unaffected.
@@ -489,7 +515,9 @@ const updateServiceRequestStatus = async (req, res) => {
     }
 
     // Centralized state machine: validates transition + role permissions
-    const transition = validateStateTransition(req.user.role, serviceRequest.status, status);
+    // against the workflow version this request is pinned to
+    const workflow = await getWorkflowForRequest(serviceRequest);
+    const transition = validateStateTransition(req.user.role, serviceRequest.status, status, workflow);
     if (!transition.valid) {
       return res.status(400).json({
         error: transition.error,
@@ -510,12 +538,32 @@ const updateServiceRequestStatus = async (req, res) => {
       return res.status(403).json({ error: 'You do not have permission to update this service request' });
     }
 
+    // Guard conditions on the transition (tasks done, payment made, ...)
+    const unmetConditions = await checkServiceRequestTransition(serviceRequest, transition.transition);
+    if (unmetConditions.length > 0) {
+      return res.status(409).json({
+        error: 'Transition conditions not met',
+        code: 'TRANSITION_CONDITIONS_UNMET',
+        currentStatus: serviceRequest.status,
+        requestedStatus: status,
+        unmetConditions
+      });
+    }
+
     // Capture previous status for audit
     const previousStatus = serviceRequest.status;
 
-    // Update status
-    serviceRequest.updateStatus(status, req.user.userId, note || '');
-    await serviceRequest.save();
+    // Update status; the events for its side-effects (commission, tasks, ...)
+    // are stored with it so they can't be lost
+    serviceRequest.updateStatus(status, req.user.userId, note || '', workflow);
+    await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+      [EVENTS.SERVICE_REQUEST_STATUS_CHANGED, {
+        serviceRequest, previousStatus, triggeredBy: req.user.userId, req, audited: true
+      }],
+      status === 'COMPLETED' && [EVENTS.SERVICE_REQUEST_COMPLETED, {
+        serviceRequest, triggeredBy: req.user.userId, req
+      }]
+    ]);
 
     // Audit log: Status change
     const auditAction = status === 'COMPLETED' ? 'service_request_completed' :
@@ -523,16 +571,6 @@ const updateServiceRequestStatus = async (req, res) => {
                         'service_request_status_changed';
     await logServiceRequestEvent(req, auditAction, serviceRequest, previousStatus);
 
-    // Emit domain events for side-effects (commission, audit, etc.)
-    eventBus.emit(EVENTS.SERVICE_REQUEST_STATUS_CHANGED, {
-      serviceRequest, previousStatus, triggeredBy: req.user.userId, req
-    });
-    if (status === 'COMPLETED') {
-      eventBus.emit(EVENTS.SERVICE_REQUEST_COMPLETED, {
-        serviceRequest, triggeredBy: req.user.userId, req
-      });
-    }
-
     // Send notification if service is completed
     if (status === 'COMPLETED') {
       try {
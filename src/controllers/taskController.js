@@ -11,6 +11,10 @@ const Student = require('../models/Student');
 const notificationService = require('../services/notificationService');
 const { logTaskEvent } = require('../utils/auditLogger');
 const { emitToUser, broadcastTaskUpdate } = require('../socket/socketManager');
+const { validateStateTransition } = require('../utils/stateMachine');
+const { getWorkflowForRequest } = require('../services/workflowService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { validateFormDefinition, validateAnswers, diffSubmissions } = require('../utils/formSchema');
 
 /**
  * Create a new task (Counselor/Agent only)
@@ -25,7 +29,9 @@ const createTask = async (req, res) => {
       instructions,
       priority,
       dueDate,
-      metadata
+      metadata,
+      dependsOn,
+      form
     } = req.body;
 
     if (!serviceRequestId || !taskType || !title || !description) {
@@ -52,6 +58,25 @@ const createTask = async (req, res) => {
       });
     }
 
+    // Forms belong to questionnaire-style tasks
+    if (form) {
+      const problems = Task.FORM_TASK_TYPES.includes(taskType)
+        ? validateFormDefinition(form)
+        : [`Only ${Task.FORM_TASK_TYPES.join(' and ')} tasks can have a form`];
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid form', code: 'INVALID_FORM', details: problems });
+      }
+    }
+
+    // Prerequisites must be tasks on the same request
+    const prerequisiteIds = Array.isArray(dependsOn) ? [...new Set(dependsOn)] : [];
+    if (prerequisiteIds.length > 0) {
+      const found = await Task.countDocuments({ taskId: { $in: prerequisiteIds }, serviceRequestId });
+      if (found !== prerequisiteIds.length) {
+        return res.status(400).json({ error: 'dependsOn must list tasks of the same service request' });
+      }
+    }
+
     // Get student's userId from service request
     const student = await Student.findOne({ studentId: serviceRequest.studentId });
     if (!student) {
@@ -81,6 +106,8 @@ const createTask = async (req, res) => {
       status: 'PENDING',
       priority: priority || 'MEDIUM',
       dueDate: dueDate ? new Date(dueDate) : null,
+      dependsOn: prerequisiteIds,
+      form: form || null,
       metadata: metadata && typeof metadata === 'object' ? metadata : {}
     });
 
@@ -98,9 +125,17 @@ const createTask = async (req, res) => {
     await logTaskEvent(req, 'task_created', task);
 
     // Update service request status to IN_PROGRESS if it's ASSIGNED
+    // (and the request's workflow lets this user make that move)
     if (serviceRequest.status === 'ASSIGNED') {
-      serviceRequest.updateStatus('IN_PROGRESS', req.user.userId, 'First task created');
-      await serviceRequest.save();
+      const workflow = await getWorkflowForRequest(serviceRequest);
+      if (validateStateTransition(req.user.role, 'ASSIGNED', 'IN_PROGRESS', workflow).valid) {
+        serviceRequest.updateStatus('IN_PROGRESS', req.user.userId, 'First task created', workflow);
+        await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+          [EVENTS.SERVICE_REQUEST_STATUS_CHANGED, {
+            serviceRequest, previousStatus: 'ASSIGNED', triggeredBy: req.user.userId, req
+          }]
+        ]);
+      }
     }
 
     // Send notification to assignee (partner for rep-counselor, else student)
@@ -132,6 +167,7 @@ const createTask = async (req, res) => {
         status: task.status,
         assignedTo: task.assignedTo,
         dueDate: task.dueDate,
+        dependsOn: task.dependsOn,
         createdAt: task.createdAt
       }
     });
@@ -281,25 +317,100 @@ const getTaskById = async (req, res) => {
 };
 
 /**
- * Submit task (Student only)
+ * Review payload for a submission (Counselor/Agent only): the submission,
+ * the one before it and a field-by-field diff of the two.
+ * ?revision=n picks the nth submission (1 = first); defaults to the latest.
  */
-const submitTask = async (req, res) => {
+const getTaskReview = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const { text, files } = req.body;
 
-    const hasText = typeof text === 'string' && text.trim().length > 0;
-    const hasFiles = Array.isArray(files) && files.length > 0;
-    if (!hasText && !hasFiles) {
-      return res.status(400).json({ error: 'Submission must include text or at least one file' });
+    const task = await Task.findOne({ taskId }).lean();
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
     }
 
+    if (task.assignedBy !== req.user.userId && req.user.role !== 'super_admin') {
+      return res.status(403).json({ error: 'You did not create this task' });
+    }
+
+    if (!task.submission?.submittedAt) {
+      return res.status(400).json({ error: 'Task has not been submitted yet', currentStatus: task.status });
+    }
+
+    // Oldest first; the current submission is the last one
+    const submissions = [...(task.revisionHistory || []), task.submission];
+    const revision = req.query.revision ? parseInt(req.query.revision, 10) : submissions.length;
+    if (!Number.isInteger(revision) || revision < 1 || revision > submissions.length) {
+      return res.status(400).json({ error: `revision must be between 1 and ${submissions.length}` });
+    }
+
+    const describe = (submission, number) => submission && {
+      revision: number,
+      submittedAt: submission.submittedAt,
+      text: submission.text || '',
+      answers: submission.answers || null,
+      files: submission.files || [],
+      feedback: submission.feedback || null,
+      reviewedAt: submission.reviewedAt || null
+    };
+    const current = describe(submissions[revision - 1], revision);
+    const previous = revision > 1 ? describe(submissions[revision - 2], revision - 1) : null;
+
+    res.json({
+      task: {
+        taskId: task.taskId,
+        serviceRequestId: task.serviceRequestId,
+        taskType: task.taskType,
+        title: task.title,
+        status: task.status,
+        form: task.form || null,
+        feedback: task.feedback || null
+      },
+      totalRevisions: submissions.length,
+      current,
+      previous,
+      diff: diffSubmissions(task.form, previous, current)
+    });
+
+  } catch (error) {
+    console.error('Get task review error:', error);
+    res.status(500).json({ error: 'Failed to fetch task review' });
+  }
+};
+
+/**
+ * Submit task (Student only)
+ */
+const submitTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { text, files, answers } = req.body;
+
     const task = await Task.findOne({ taskId });
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    // Form tasks are submitted as answers to the task's form,
+    // everything else as text and/or files
+    let validatedAnswers;
+    if (task.form) {
+      const result = validateAnswers(task.form, answers);
+      if (!result.valid) {
+        return res.status(400).json({ error: 'Invalid answers', code: 'INVALID_ANSWERS', details: result.errors });
+      }
+      validatedAnswers = result.answers;
+    } else {
+      const hasText = typeof text === 'string' && text.trim().length > 0;
+      const hasFiles = Array.isArray(files) && files.length > 0;
+      if (!hasText && !hasFiles) {
+        return res.status(400).json({ error: 'Submission must include text or at least one file' });
+      }
+    }
+
     // Verify student is assigned to this task
     if (task.assignedTo !== req.user.userId) {
       return res.status(403).json({ error: 'This task is not assigned to you' });
@@ -310,11 +421,21 @@ const submitTask = async (req, res) => {
       return res.status(400).json({ error: 'Task is already completed' });
     }
 
+    // Prerequisite tasks must be completed first
+    const blockedBy = await task.getBlockingTasks();
+    if (blockedBy.length > 0) {
+      return res.status(409).json({
+        error: 'Task is blocked by prerequisite tasks',
+        code: 'TASK_BLOCKED',
+        blockedBy
+      });
+    }
+
     // Capture previous status for audit
     const previousStatus = task.status;
 
     // Submit task
-    task.submit(text, files || []);
+    task.submit(text, files || [], validatedAnswers);
     await task.save();
 
     // Audit log: Task submitted
@@ -646,6 +767,7 @@ module.exports = {
   createTask,
   getTasks,
   getTaskById,
+  getTaskReview,
   submitTask,
   reviewTask,
   updateTaskStatus,
@@ -14,6 +14,7 @@ const User = require('../models/User');
 const notificationService = require('../services/notificationService');
 const { logServiceRequestEvent, logFileUploadEvent } = require('../utils/auditLogger');
 const { uploadToCloudinary, validateFile } = require('../utils/fileUpload');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 /**
  * Create a new University Application + its sidecar ServiceRequest.
@@ -125,7 +126,15 @@ const createUniversityApplication = async (req, res) => {
       universityApplication.documentStatus = 'PARTIAL';
     }
 
-    await universityApplication.save();
+    // The event (auto-assignment) is stored with the sidecar, the last write
+    await eventBus.emitWith((session) => universityApplication.save({ session }), [
+      [EVENTS.SERVICE_REQUEST_CREATED, {
+        serviceRequest,
+        createdBy: req.user.userId,
+        req,
+        audited: true
+      }]
+    ]);
 
     // 3) Audit + selectedServices (mirror generic flow)
     await logServiceRequestEvent(req, 'service_request_created', serviceRequest);
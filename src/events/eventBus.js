@@ -1,25 +1,33 @@
 /**
- * Lightweight Event Bus
+ * Event Bus
  * Decouples side-effects (commission, audit, notifications) from core logic.
  *
  * Events:
  *   SERVICE_REQUEST_CREATED  — new SR created
  *   SERVICE_REQUEST_COMPLETED — SR reached COMPLETED status
  *   SERVICE_REQUEST_ASSIGNED — counselor/agent assigned to SR
+ *   SERVICE_REQUEST_STATUS_CHANGED — SR moved to a new status
  *   TASK_SUBMITTED           — task submitted by student or rep3
  *   COMMISSION_CREATED       — new commission record created
+ *   APPLICATION_COMPLETED    — university application reached 'Completed'
+ *   PAYMENT_COMPLETED        — a student payment reached completed (webhook or manual)
+ *
+ * Emitted events are stored through the transport (events/transport) with
+ * one delivery per named listener. Any instance may run a delivery, and a
+ * delivery that throws — or whose instance dies — is retried with backoff,
+ * so listeners run at least once and must be safe to re-run. Each call gets
+ * an idempotencyKey (`<eventId>:<listener>`) for that purpose. After
+ * maxAttempts failures a delivery is dead-lettered until replay().
+ *
+ * emitWith() stores events in the same transaction as the state change that
+ * causes them (outbox), so a crash in between cannot lose them.
+ *
+ * Payloads are stored, so documents are saved as plain objects and `req`
+ * is reduced to { user, ip, user-agent } (still usable with createAuditLog).
  */
 
-const EventEmitter = require('events');
-
-class EventBus extends EventEmitter {
-  constructor() {
-    super();
-    this.setMaxListeners(20);
-  }
-}
-
-const eventBus = new EventBus();
+const { v4: uuidv4 } = require('uuid');
+const { INSTANCE_ID, getTransport } = require('./transport');
 
 // Event name constants
 const EVENTS = {
@@ -28,7 +36,310 @@ const EVENTS = {
   SERVICE_REQUEST_ASSIGNED: 'service_request:assigned',
   SERVICE_REQUEST_STATUS_CHANGED: 'service_request:status_changed',
   TASK_SUBMITTED: 'task:submitted',
-  COMMISSION_CREATED: 'commission:created'
+  COMMISSION_CREATED: 'commission:created',
+  APPLICATION_COMPLETED: 'application:completed',
+  PAYOUT_SETTLED: 'payout:settled',
+  PAYMENT_COMPLETED: 'payment:completed'
 };
 
-module.exports = { eventBus, EVENTS };
+// Transport channel announcing new events to other instances
+const EVENTS_CHANNEL = 'domain_events';
+
+const MINUTE_MS = 60 * 1000;
+const LOCK_MS = 2 * MINUTE_MS;
+const POLL_MS = 30 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * MINUTE_MS;
+// 30s, 1m, 2m … 32m: about an hour of retries before dead-lettering
+const MAX_ATTEMPTS = 8;
+// Deliveries run per drain, so a backlog doesn't starve the event loop
+const MAX_DELIVERIES_PER_DRAIN = 50;
+
+/**
+ * Delay before retrying a delivery that has failed `attempts` times
+ * @param {Number} attempts
+ * @returns {Number} ms
+ */
+const retryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+const toRequestContext = (req) => ({
+  user: req.user ? { userId: req.user.userId, role: req.user.role } : null,
+  ip: req.ip || req.connection?.remoteAddress || null,
+  userAgent: req.get?.('user-agent') || null
+});
+
+// Request-like object for listeners (createAuditLog reads ip and user-agent)
+const fromRequestContext = (context) => context && {
+  ...context,
+  get: (header) => (String(header).toLowerCase() === 'user-agent' ? context.userAgent : undefined)
+};
+
+const serializePayload = (payload = {}) => Object.fromEntries(
+  Object.entries(payload)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (key === 'req') return [key, value ? toRequestContext(value) : null];
+      if (value && typeof value.toObject === 'function') return [key, value.toObject({ depopulate: true })];
+      return [key, value];
+    })
+);
+
+const deserializePayload = (payload = {}) => ({ ...payload, req: fromRequestContext(payload.req) });
+
+class EventBus {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - defaults to the process-wide transport
+   * @param {Number} options.maxAttempts - attempts per delivery before dead-lettering
+   * @param {Function} options.onDeadLetter - ({ eventId, name, listener, attempts, error }) => void
+   */
+  constructor({ transport, maxAttempts = MAX_ATTEMPTS, onDeadLetter = null } = {}) {
+    this.transport = transport || null;
+    this.maxAttempts = maxAttempts;
+    this.onDeadLetter = onDeadLetter;
+    this.listeners = new Map(); // event -> Map(listener name -> handler)
+    this.draining = false;
+    this.drainAgain = false;
+    this.poller = null;
+    this.unsubscribe = null;
+  }
+
+  getTransport() {
+    return this.transport || getTransport();
+  }
+
+  /**
+   * Register a listener
+   * @param {String} event - EVENTS value
+   * @param {String} name - stable listener name (deliveries are tracked by it)
+   * @param {Function} handler - async (payload, { eventId, attempt, idempotencyKey }) => void; throw to retry
+   */
+  subscribe(event, name, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Map());
+    if (this.listeners.get(event).has(name)) throw new Error(`Listener ${name} is already registered for ${event}`);
+    this.listeners.get(event).set(name, handler);
+  }
+
+  listenerNames() {
+    return [...this.listeners.values()].flatMap(byName => [...byName.keys()]);
+  }
+
+  /**
+   * Stored form of an event, or null when nothing listens to it
+   */
+  buildEvent(event, payload = {}) {
+    const byName = this.listeners.get(event);
+    if (!byName || byName.size === 0) return null;
+
+    const now = new Date();
+    return {
+      eventId: uuidv4(),
+      name: event,
+      payload: serializePayload(payload),
+      origin: INSTANCE_ID,
+      occurredAt: now,
+      deliveries: [...byName.keys()].map(listener => ({
+        listener,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lockedBy: null,
+        lockedUntil: null,
+        completedAt: null,
+        deadAt: null,
+        lastError: null
+      })),
+      completedAt: null
+    };
+  }
+
+  // Tell every instance (this one included) that deliveries are waiting
+  announce(stored) {
+    if (stored.length === 0) return;
+    stored.forEach(({ eventId }) => {
+      this.getTransport().publish(EVENTS_CHANNEL, { origin: INSTANCE_ID, eventId })
+        .catch(error => console.error('Event announce error:', error.message));
+    });
+    setImmediate(() => this.drain());
+  }
+
+  /**
+   * Store an event and run its listeners. Never throws.
+   * Prefer emitWith() when the event follows a write.
+   * @param {String} event - EVENTS value
+   * @param {Object} payload
+   * @returns {Promise<String|null>} eventId, null when nothing listens
+   */
+  async emit(event, payload = {}) {
+    const stored = this.buildEvent(event, payload);
+    if (!stored) return null;
+
+    try {
+      await this.getTransport().appendEvents([stored]);
+    } catch (error) {
+      // Store unavailable: run in-process once rather than drop the side-effects
+      console.error(`Event ${event} could not be stored, running listeners directly:`, error.message);
+      await this.runInline(stored);
+      return stored.eventId;
+    }
+
+    this.announce([stored]);
+    return stored.eventId;
+  }
+
+  /**
+   * Run a write and store the events it causes in one transaction (outbox).
+   * Errors from the write propagate and nothing is stored.
+   * @param {Function} work - async (session) => result; pass session to every write ({ session })
+   * @param {Array|Function} events - [[event, payload], ...] (falsy entries skipped),
+   *   or (result) => that list, built after the write
+   * @returns {Promise<*>} work's result
+   */
+  async emitWith(work, events) {
+    let stored = [];
+    const result = await this.getTransport().transaction(async (session) => {
+      const value = await work(session);
+      const list = typeof events === 'function' ? events(value) : events;
+      stored = (list || []).filter(Boolean)
+        .map(([event, payload]) => this.buildEvent(event, payload))
+        .filter(Boolean);
+      if (session) {
+        await this.getTransport().appendEvents(stored, { session });
+        return value;
+      }
+
+      // No transaction: the write is already saved, so never fail after it
+      try {
+        await this.getTransport().appendEvents(stored);
+      } catch (error) {
+        console.error('Events could not be stored, running listeners directly:', error.message);
+        await Promise.all(stored.map(event => this.runInline(event)));
+        stored = [];
+      }
+      return value;
+    });
+
+    this.announce(stored);
+    return result;
+  }
+
+  /**
+   * Run an event's dead (or the named) deliveries again
+   * @param {String} eventId
+   * @param {Object} options - { listeners: String[] } to replay specific listeners, even if done
+   * @returns {Promise<Number>} deliveries queued
+   */
+  async replay(eventId, { listeners = null } = {}) {
+    const count = await this.getTransport().replayDeliveries(eventId, listeners);
+    if (count > 0) this.announce([{ eventId }]);
+    return count;
+  }
+
+  async runInline(stored) {
+    const byName = this.listeners.get(stored.name) || new Map();
+    for (const [listener, handler] of byName) {
+      try {
+        await handler(deserializePayload(stored.payload), {
+          eventId: stored.eventId,
+          attempt: 1,
+          idempotencyKey: `${stored.eventId}:${listener}`
+        });
+      } catch (error) {
+        console.error(`Listener ${listener} failed for ${stored.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Claim and run one due delivery
+   * @returns {Promise<Boolean>} whether a delivery was found
+   */
+  async processNext(now = new Date()) {
+    const transport = this.getTransport();
+    const owner = `${INSTANCE_ID}:${uuidv4().slice(0, 8)}`;
+    const claimed = await transport.claimDelivery(this.listenerNames(), { owner, lockMs: LOCK_MS, now });
+    if (!claimed) return false;
+
+    const { event, delivery } = claimed;
+    const handler = this.listeners.get(event.name)?.get(delivery.listener);
+    try {
+      if (!handler) throw new Error(`Listener ${delivery.listener} is not registered for ${event.name}`);
+      await handler(deserializePayload(event.payload), {
+        eventId: event.eventId,
+        attempt: delivery.attempts,
+        idempotencyKey: `${event.eventId}:${delivery.listener}`
+      });
+      await transport.completeDelivery(event.eventId, delivery.listener, owner, new Date());
+    } catch (error) {
+      const dead = delivery.attempts >= this.maxAttempts;
+      console.error(`Listener ${delivery.listener} failed for ${event.name} (attempt ${delivery.attempts}/${this.maxAttempts}):`, error.message);
+      await transport.failDelivery(event.eventId, delivery.listener, owner, {
+        error: error.message,
+        retryAt: new Date(Date.now() + retryDelayMs(delivery.attempts)),
+        dead
+      });
+      if (dead && this.onDeadLetter) {
+        this.onDeadLetter({
+          eventId: event.eventId,
+          name: event.name,
+          listener: delivery.listener,
+          attempts: delivery.attempts,
+          error: error.message
+        });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Run due deliveries until none are left (or the per-drain cap is hit)
+   */
+  async drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+    this.draining = true;
+    try {
+      do {
+        this.drainAgain = false;
+        for (let i = 0; i < MAX_DELIVERIES_PER_DRAIN; i++) {
+          if (!(await this.processNext())) break;
+        }
+      } while (this.drainAgain);
+    } catch (error) {
+      console.error('Event bus error:', error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Follow events announced by other instances and poll for retries and
+   * abandoned deliveries. Only for long-running servers (not serverless).
+   */
+  start({ pollMs = POLL_MS } = {}) {
+    if (this.poller) return;
+    this.unsubscribe = this.getTransport().subscribe(EVENTS_CHANNEL, () => this.drain());
+    this.poller = setInterval(() => this.drain(), pollMs);
+    this.poller.unref();
+    this.drain();
+  }
+
+  stop() {
+    if (this.poller) clearInterval(this.poller);
+    if (this.unsubscribe) this.unsubscribe();
+    this.poller = null;
+    this.unsubscribe = null;
+  }
+}
+
+const eventBus = new EventBus({
+  // Lazy: socketManager -> middlewares/auth -> models
+  onDeadLetter: (info) => require('../socket/socketManager').emitToAdmins('event_dead_lettered', {
+    ...info,
+    timestamp: new Date()
+  })
+});
+
+module.exports = { eventBus, EventBus, EVENTS, MAX_ATTEMPTS, retryDelayMs };
@@ -1,99 +1,171 @@
 /**
  * Event Listeners
  * Registers side-effect handlers for domain events.
- * All listeners are fire-and-forget — failures are logged, never propagated.
+ * Listeners run at least once (see eventBus): a thrown error schedules a
+ * retry, so every handler must be safe to re-run. Audit entries use the
+ * delivery's idempotencyKey as logId (and throw, so a failed write is
+ * retried); commissions are keyed by what they were earned for
+ * (Commission.sourceKey); the other services check for existing records
+ * themselves.
  */
 
 const { eventBus, EVENTS } = require('./eventBus');
 const { createAuditLog } = require('../utils/auditLogger');
-const { createRepresentativeCommission, createVASCommission } = require('../services/commissionService');
+const {
+  createApplicationCommission,
+  createRepresentativeCommission,
+  createVASCommission
+} = require('../services/commissionService');
+const { syncAgentLedger, refreshCachedEarnings } = require('../services/ledgerService');
+const { autoAssignServiceRequest } = require('../services/assignmentService');
+const { instantiateTemplates } = require('../services/taskTemplateService');
+const { completePaymentTask, createPaymentCommission } = require('../services/paymentService');
 
 /**
  * SERVICE_REQUEST_COMPLETED
- * Triggers: agent commission + representative commission + audit
+ * Triggers: agent/counselor commission (skips existing)
  */
-eventBus.on(EVENTS.SERVICE_REQUEST_COMPLETED, async ({ serviceRequest, triggeredBy, req }) => {
-  try {
-    // Agent/counselor commission
-    if (serviceRequest.assignedAgent || serviceRequest.assignedCounselor) {
-      await createVASCommission(serviceRequest, triggeredBy).catch(e =>
-        console.error('VAS commission error:', e.message)
-      );
-    }
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_COMPLETED, 'commission.vas', async ({ serviceRequest, triggeredBy }) => {
+  if (serviceRequest.assignedAgent || serviceRequest.assignedCounselor) {
+    await createVASCommission(serviceRequest, triggeredBy);
+  }
+});
 
-    // Representative commission (if SR has a representative)
-    if (serviceRequest.representativeId) {
-      await createRepresentativeCommission(serviceRequest, triggeredBy).catch(e =>
-        console.error('Rep commission error:', e.message)
-      );
-    }
-  } catch (err) {
-    console.error('SERVICE_REQUEST_COMPLETED listener error:', err.message);
+/**
+ * SERVICE_REQUEST_COMPLETED
+ * Triggers: representative commission, if the SR has a representative (skips existing)
+ */
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_COMPLETED, 'commission.representative', async ({ serviceRequest, triggeredBy }) => {
+  if (serviceRequest.representativeId) {
+    await createRepresentativeCommission(serviceRequest, triggeredBy);
   }
 });
 
+/**
+ * APPLICATION_COMPLETED
+ * Triggers: agent commission for the university application (skips existing)
+ */
+eventBus.subscribe(EVENTS.APPLICATION_COMPLETED, 'commission.application', async ({ application, triggeredBy }) => {
+  await createApplicationCommission(application, triggeredBy);
+});
+
+/**
+ * PAYOUT_SETTLED
+ * Triggers: ledger entries for the paid commissions and refreshed cached earnings
+ */
+eventBus.subscribe(EVENTS.PAYOUT_SETTLED, 'ledger.payout_settled', async ({ payout }) => {
+  await syncAgentLedger(payout.agentId);
+  await refreshCachedEarnings(payout.agentId);
+});
+
+/**
+ * PAYMENT_COMPLETED
+ * Triggers: the paid PAYMENT task is completed (skips completed tasks)
+ */
+eventBus.subscribe(EVENTS.PAYMENT_COMPLETED, 'tasks.payment_completed', async ({ payment, triggeredBy }, { idempotencyKey }) => {
+  await completePaymentTask(payment, triggeredBy, idempotencyKey);
+});
+
+/**
+ * PAYMENT_COMPLETED
+ * Triggers: agent commission for a legacy service-application payment (skips existing)
+ */
+eventBus.subscribe(EVENTS.PAYMENT_COMPLETED, 'commission.payment', async ({ payment }) => {
+  await createPaymentCommission(payment);
+});
+
 /**
  * SERVICE_REQUEST_STATUS_CHANGED
- * Triggers: audit log for every status change
+ * Triggers: audit log for every status change (unless the emitter already wrote one)
  */
-eventBus.on(EVENTS.SERVICE_REQUEST_STATUS_CHANGED, async ({ serviceRequest, previousStatus, triggeredBy, req }) => {
-  try {
-    await createAuditLog({
-      actorUserId: triggeredBy,
-      actorRole: req?.user?.role || 'system',
-      action: `service_request_status_${serviceRequest.status.toLowerCase()}`,
-      entityType: 'service_request',
-      entityId: serviceRequest.serviceRequestId,
-      previousState: { status: previousStatus },
-      newState: { status: serviceRequest.status },
-      req
-    });
-  } catch (err) {
-    console.error('STATUS_CHANGED audit error:', err.message);
-  }
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_STATUS_CHANGED, 'audit.status_changed', async ({ serviceRequest, previousStatus, triggeredBy, req, audited }, { idempotencyKey }) => {
+  if (audited) return;
+  const { status } = serviceRequest;
+  await createAuditLog({
+    logId: idempotencyKey,
+    throwOnError: true,
+    actorUserId: triggeredBy,
+    actorRole: req?.user?.role || 'system',
+    action: status === 'COMPLETED' ? 'service_request_completed' :
+            status === 'CANCELLED' ? 'service_request_cancelled' :
+            'service_request_status_changed',
+    entityType: 'service_request',
+    entityId: serviceRequest.serviceRequestId,
+    previousState: { status: previousStatus },
+    newState: { status: serviceRequest.status },
+    req
+  });
 });
 
 /**
  * TASK_SUBMITTED
  * Triggers: audit log
  */
-eventBus.on(EVENTS.TASK_SUBMITTED, async ({ task, previousStatus, submittedBy, req }) => {
-  try {
-    await createAuditLog({
-      actorUserId: submittedBy,
-      actorRole: req?.user?.role || 'system',
-      action: 'task_submitted',
-      entityType: 'task',
-      entityId: task.taskId,
-      previousState: { status: previousStatus },
-      newState: { status: task.status },
-      details: { serviceRequestId: task.serviceRequestId },
-      req
-    });
-  } catch (err) {
-    console.error('TASK_SUBMITTED audit error:', err.message);
-  }
+eventBus.subscribe(EVENTS.TASK_SUBMITTED, 'audit.task_submitted', async ({ task, previousStatus, submittedBy, req }, { idempotencyKey }) => {
+  await createAuditLog({
+    logId: idempotencyKey,
+    throwOnError: true,
+    actorUserId: submittedBy,
+    actorRole: req?.user?.role || 'system',
+    action: 'task_submitted',
+    entityType: 'task',
+    entityId: task.taskId,
+    previousState: { status: previousStatus },
+    newState: { status: task.status },
+    details: { serviceRequestId: task.serviceRequestId },
+    req
+  });
 });
 
 /**
  * SERVICE_REQUEST_CREATED
- * Triggers: audit log
+ * Triggers: audit log (unless the emitter already wrote one)
  */
-eventBus.on(EVENTS.SERVICE_REQUEST_CREATED, async ({ serviceRequest, createdBy, req }) => {
-  try {
-    await createAuditLog({
-      actorUserId: createdBy,
-      actorRole: req?.user?.role || 'system',
-      action: 'service_request_created',
-      entityType: 'service_request',
-      entityId: serviceRequest.serviceRequestId,
-      newState: { status: serviceRequest.status, serviceType: serviceRequest.serviceType },
-      details: { interactionMode: serviceRequest.interactionMode || null },
-      req
-    });
-  } catch (err) {
-    console.error('SERVICE_REQUEST_CREATED audit error:', err.message);
-  }
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_CREATED, 'audit.service_request_created', async ({ serviceRequest, createdBy, req, audited }, { idempotencyKey }) => {
+  if (audited) return;
+  await createAuditLog({
+    logId: idempotencyKey,
+    throwOnError: true,
+    actorUserId: createdBy,
+    actorRole: req?.user?.role || 'system',
+    action: 'service_request_created',
+    entityType: 'service_request',
+    entityId: serviceRequest.serviceRequestId,
+    newState: { status: serviceRequest.status, serviceType: serviceRequest.serviceType },
+    details: { interactionMode: serviceRequest.interactionMode || null },
+    req
+  });
+});
+
+/**
+ * SERVICE_REQUEST_CREATED
+ * Triggers: automatic counselor/agent assignment (Settings.applicationRules;
+ * only while the SR is still unassigned)
+ */
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_CREATED, 'assignment.auto_assign', async ({ serviceRequest }) => {
+  await autoAssignServiceRequest(serviceRequest.serviceRequestId);
+});
+
+/**
+ * SERVICE_REQUEST_ASSIGNED
+ * Triggers: tasks from the service type's ASSIGNED templates (once per request)
+ */
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_ASSIGNED, 'task_templates.assigned', async ({ serviceRequest, triggeredBy, req }) => {
+  await instantiateTemplates(serviceRequest.serviceRequestId, 'ASSIGNED', {
+    triggeredBy,
+    actorRole: req?.user?.role || 'system'
+  });
+});
+
+/**
+ * SERVICE_REQUEST_STATUS_CHANGED
+ * Triggers: tasks from templates for the new status (once per request)
+ */
+eventBus.subscribe(EVENTS.SERVICE_REQUEST_STATUS_CHANGED, 'task_templates.status_changed', async ({ serviceRequest, triggeredBy, req }) => {
+  await instantiateTemplates(serviceRequest.serviceRequestId, serviceRequest.status, {
+    triggeredBy,
+    actorRole: req?.user?.role || 'system'
+  });
 });
 
 module.exports = { registerListeners: () => {} }; // Listeners self-register on import
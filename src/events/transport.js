@@ -0,0 +1,61 @@
+/**
+ * Event Transport
+ * Carries messages between API instances (socket emits, event wake-ups) and
+ * stores domain events until every listener has handled them.
+ *
+ * Adapters (events/transports):
+ *   mongo  — capped-collection stream + DomainEvent collection (default)
+ *   memory — single process, nothing persisted (tests, one-instance setups)
+ * Chosen with EVENT_TRANSPORT; NODE_ENV=test defaults to memory.
+ *
+ * A transport implements:
+ *   publish(channel, message)                      -> Promise
+ *   subscribe(channel, handler)                    -> unsubscribe()
+ *   transaction(work)                              -> Promise (work(session); session is null without transactions)
+ *   appendEvents(events, { session })              -> Promise
+ *   claimDelivery(listeners, { owner, lockMs, now }) -> Promise<{ event, delivery } | null>
+ *   completeDelivery(eventId, listener, owner, now)  -> Promise
+ *   failDelivery(eventId, listener, owner, { error, retryAt, dead }) -> Promise
+ *   replayDeliveries(eventId, listeners)           -> Promise<Number> (null listeners: the dead ones)
+ *   close()
+ * Published messages reach every subscriber, including the publishing
+ * instance; compare `origin` with INSTANCE_ID to skip your own.
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+let transport = null;
+
+const createTransport = (kind = process.env.EVENT_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo')) => {
+  switch (kind) {
+    case 'memory':
+      return require('./transports/memoryTransport').createMemoryTransport();
+    case 'mongo':
+      return require('./transports/mongoTransport').createMongoTransport();
+    default:
+      throw new Error(`Unknown event transport: ${kind}`);
+  }
+};
+
+/**
+ * The process-wide transport, created on first use
+ * @returns {Object}
+ */
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+/**
+ * Replace the process-wide transport (closing the old one)
+ * @param {Object} next
+ */
+const setTransport = (next) => {
+  if (transport && transport !== next) transport.close();
+  transport = next;
+};
+
+module.exports = { INSTANCE_ID, createTransport, getTransport, setTransport };
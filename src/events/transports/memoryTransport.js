@@ -0,0 +1,105 @@
+/**
+ * In-memory event transport
+ * Same contract as the Mongo adapter (see events/transport) inside one
+ * process. Messages and events are copied so handlers never share objects
+ * with the publisher, and subscribers are called asynchronously.
+ */
+
+const isDue = (delivery, now) =>
+  (delivery.status === 'pending' && delivery.nextAttemptAt <= now) ||
+  (delivery.status === 'processing' && delivery.lockedUntil <= now);
+
+function createMemoryTransport() {
+  const subscribers = new Map();
+  const events = new Map();
+
+  const findDelivery = (eventId, listener, owner) => {
+    const event = events.get(eventId);
+    const delivery = event?.deliveries.find(d => d.listener === listener && d.lockedBy === owner);
+    return { event, delivery };
+  };
+
+  return {
+    kind: 'memory',
+
+    async publish(channel, message) {
+      const copy = structuredClone(message);
+      [...(subscribers.get(channel) || [])].forEach(handler => setImmediate(() => handler(copy)));
+    },
+
+    subscribe(channel, handler) {
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(handler);
+      return () => subscribers.get(channel)?.delete(handler);
+    },
+
+    // No transactions: work runs as is
+    async transaction(work) {
+      return work(null);
+    },
+
+    async appendEvents(list) {
+      list.forEach(event => events.set(event.eventId, structuredClone(event)));
+    },
+
+    async claimDelivery(listeners, { owner, lockMs, now = new Date() }) {
+      const ordered = [...events.values()].sort((a, b) => a.occurredAt - b.occurredAt);
+      for (const event of ordered) {
+        const delivery = event.deliveries.find(d => listeners.includes(d.listener) && isDue(d, now));
+        if (delivery) {
+          Object.assign(delivery, {
+            status: 'processing',
+            lockedBy: owner,
+            lockedUntil: new Date(now.getTime() + lockMs),
+            attempts: delivery.attempts + 1
+          });
+          return structuredClone({ event, delivery });
+        }
+      }
+      return null;
+    },
+
+    async completeDelivery(eventId, listener, owner, now = new Date()) {
+      const { event, delivery } = findDelivery(eventId, listener, owner);
+      if (!delivery) return;
+      Object.assign(delivery, { status: 'done', lockedBy: null, lockedUntil: null, completedAt: now, lastError: null });
+      if (event.deliveries.every(d => d.status === 'done')) event.completedAt = now;
+    },
+
+    async failDelivery(eventId, listener, owner, { error, retryAt, dead = false }) {
+      const { delivery } = findDelivery(eventId, listener, owner);
+      if (!delivery) return;
+      Object.assign(delivery, {
+        status: dead ? 'dead' : 'pending',
+        lockedBy: null,
+        lockedUntil: null,
+        nextAttemptAt: dead ? null : retryAt,
+        deadAt: dead ? new Date() : null,
+        lastError: error
+      });
+    },
+
+    async replayDeliveries(eventId, listeners = null) {
+      const event = events.get(eventId);
+      if (!event) return 0;
+      const replayed = event.deliveries.filter(d =>
+        listeners ? listeners.includes(d.listener) && d.status !== 'processing' : d.status === 'dead'
+      );
+      replayed.forEach(d => Object.assign(d, { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deadAt: null }));
+      if (replayed.length > 0) event.completedAt = null;
+      return replayed.length;
+    },
+
+    // Stored copy of an event (for tests)
+    getEvent(eventId) {
+      const event = events.get(eventId);
+      return event ? structuredClone(event) : null;
+    },
+
+    close() {
+      subscribers.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryTransport };
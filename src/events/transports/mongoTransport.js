@@ -0,0 +1,220 @@
+/**
+ * MongoDB event transport
+ * Uses the application database, so no extra infrastructure is needed:
+ *   - publish/subscribe: every instance tails the capped StreamMessage
+ *     collection with a tailable cursor (works without a replica set)
+ *   - domain events: DomainEvent documents, claimed per listener with a
+ *     conditional findOneAndUpdate and an expiring lock
+ *   - transactions: need a replica set (Atlas always has one); on a
+ *     standalone server work runs without one and events are written after it
+ */
+
+const mongoose = require('mongoose');
+const StreamMessage = require('../../models/StreamMessage');
+const DomainEvent = require('../../models/DomainEvent');
+
+// Wait before re-opening a tail that failed or ran dry
+const RETRY_MS = 1000;
+
+// IllegalOperation: what a standalone server answers a transaction with
+const NO_TRANSACTIONS_CODE = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The stream collection must be created capped before anything is written to it
+const ready = async () => {
+  if (mongoose.connection.readyState !== 1) await mongoose.connection.asPromise();
+  await StreamMessage.init();
+};
+
+function createMongoTransport() {
+  const subscribers = new Map();
+  const tail = { running: false, closed: false, cursor: null, lastSeenId: null };
+  let transactionsSupported = true;
+
+  const dispatch = (doc) => {
+    [...(subscribers.get(doc.channel) || [])].forEach(handler => {
+      try {
+        handler(doc.message);
+      } catch (error) {
+        console.error(`Event stream handler error (${doc.channel}):`, error.message);
+      }
+    });
+  };
+
+  // Follow the stream until closed, resuming after the last message seen.
+  // Position is kept in insertion (natural) order: _id and createdAt come
+  // from each publisher's clock, so filtering on them could skip messages
+  // from an instance whose clock runs behind, or repeat the last one.
+  const runTail = async () => {
+    tail.running = true;
+    while (!tail.closed) {
+      try {
+        await ready();
+        // A tailable cursor on an empty capped collection dies immediately
+        if (!(await StreamMessage.exists({}))) {
+          await StreamMessage.create({ channel: '_init' });
+        }
+
+        // First start: only messages published from now on
+        if (!tail.lastSeenId) {
+          const [last] = await StreamMessage.collection.find({}).sort({ $natural: -1 }).limit(1).toArray();
+          tail.lastSeenId = last._id;
+        }
+        // Skip up to the last message seen; if it has rolled off, everything
+        // still in the collection is newer
+        let skipping = Boolean(await StreamMessage.exists({ _id: tail.lastSeenId }));
+
+        tail.cursor = StreamMessage.collection.find({}, { tailable: true, awaitData: true });
+        for await (const doc of tail.cursor) {
+          if (skipping) {
+            skipping = !doc._id.equals(tail.lastSeenId);
+            continue;
+          }
+          tail.lastSeenId = doc._id;
+          dispatch(doc);
+        }
+      } catch (error) {
+        if (!tail.closed) console.error('Event stream error:', error.message);
+      }
+      if (!tail.closed) await sleep(RETRY_MS);
+    }
+    tail.running = false;
+  };
+
+  const deliveryFilter = (eventId, listener, owner) => ({
+    eventId,
+    deliveries: { $elemMatch: { listener, lockedBy: owner } }
+  });
+
+  return {
+    kind: 'mongo',
+
+    async publish(channel, message) {
+      await ready();
+      await StreamMessage.create({ channel, origin: message?.origin, message });
+    },
+
+    subscribe(channel, handler) {
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(handler);
+      if (!tail.running && !tail.closed) runTail();
+      return () => subscribers.get(channel)?.delete(handler);
+    },
+
+    async transaction(work) {
+      if (!transactionsSupported) return work(null);
+      try {
+        // Mongoose resets document state if the transaction is retried
+        let result;
+        await mongoose.connection.transaction(async (session) => {
+          result = await work(session);
+        });
+        return result;
+      } catch (error) {
+        if (error.code !== NO_TRANSACTIONS_CODE || !/Transaction numbers|replica set/i.test(error.message)) throw error;
+        transactionsSupported = false;
+        console.warn('MongoDB transactions unavailable (standalone server); events are written after the change');
+        return work(null);
+      }
+    },
+
+    async appendEvents(events, { session = null } = {}) {
+      if (events.length === 0) return;
+      await DomainEvent.insertMany(events, { session });
+    },
+
+    async claimDelivery(listeners, { owner, lockMs, now = new Date() }) {
+      const event = await DomainEvent.findOneAndUpdate(
+        {
+          completedAt: null,
+          deliveries: {
+            $elemMatch: {
+              listener: { $in: listeners },
+              $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lte: now } }
+              ]
+            }
+          }
+        },
+        {
+          $set: {
+            'deliveries.$.status': 'processing',
+            'deliveries.$.lockedBy': owner,
+            'deliveries.$.lockedUntil': new Date(now.getTime() + lockMs)
+          },
+          $inc: { 'deliveries.$.attempts': 1 }
+        },
+        { sort: { occurredAt: 1 }, new: true }
+      ).lean();
+      if (!event) return null;
+
+      return { event, delivery: event.deliveries.find(d => d.lockedBy === owner) };
+    },
+
+    async completeDelivery(eventId, listener, owner, now = new Date()) {
+      await DomainEvent.updateOne(deliveryFilter(eventId, listener, owner), {
+        $set: {
+          'deliveries.$.status': 'done',
+          'deliveries.$.lockedBy': null,
+          'deliveries.$.lockedUntil': null,
+          'deliveries.$.completedAt': now,
+          'deliveries.$.lastError': null
+        }
+      });
+      await DomainEvent.updateOne(
+        { eventId, completedAt: null, deliveries: { $not: { $elemMatch: { status: { $ne: 'done' } } } } },
+        { $set: { completedAt: now } }
+      );
+    },
+
+    async failDelivery(eventId, listener, owner, { error, retryAt, dead = false }) {
+      await DomainEvent.updateOne(deliveryFilter(eventId, listener, owner), {
+        $set: {
+          'deliveries.$.status': dead ? 'dead' : 'pending',
+          'deliveries.$.lockedBy': null,
+          'deliveries.$.lockedUntil': null,
+          'deliveries.$.nextAttemptAt': dead ? null : retryAt,
+          'deliveries.$.deadAt': dead ? new Date() : null,
+          'deliveries.$.lastError': error
+        }
+      });
+    },
+
+    async replayDeliveries(eventId, listeners = null) {
+      const match = listeners
+        ? { 'd.listener': { $in: listeners }, 'd.status': { $ne: 'processing' } }
+        : { 'd.status': 'dead' };
+      const event = await DomainEvent.findOne({ eventId }).select('deliveries').lean();
+      if (!event) return 0;
+      const count = event.deliveries.filter(d =>
+        listeners ? listeners.includes(d.listener) && d.status !== 'processing' : d.status === 'dead'
+      ).length;
+      if (count === 0) return 0;
+
+      await DomainEvent.updateOne(
+        { eventId },
+        {
+          $set: {
+            'deliveries.$[d].status': 'pending',
+            'deliveries.$[d].attempts': 0,
+            'deliveries.$[d].nextAttemptAt': new Date(),
+            'deliveries.$[d].deadAt': null,
+            completedAt: null
+          }
+        },
+        { arrayFilters: [match] }
+      );
+      return count;
+    },
+
+    close() {
+      tail.closed = true;
+      subscribers.clear();
+      if (tail.cursor) tail.cursor.close().catch(() => {});
+    }
+  };
+}
+
+module.exports = { createMongoTransport };
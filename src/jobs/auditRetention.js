@@ -0,0 +1,22 @@
+/**
+ * Audit log retention
+ * Deletes audit entries older than Settings.security.auditLogging.retentionDays.
+ * A retention of 0 (or unset) keeps everything.
+ */
+
+const AuditLog = require('../models/AuditLog');
+const Settings = require('../models/Settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeExpiredAuditLogs = async () => {
+  const settings = await Settings.getCachedSettings();
+  const retentionDays = settings.security?.auditLogging?.retentionDays;
+  if (!(retentionDays > 0)) return { deleted: 0, retentionDays: null };
+
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const { deletedCount } = await AuditLog.deleteMany({ timestamp: { $lt: cutoff } });
+  return { deleted: deletedCount, retentionDays, cutoff };
+};
+
+module.exports = { purgeExpiredAuditLogs };
@@ -0,0 +1,67 @@
+/**
+ * Background jobs
+ * Registers every job with the scheduler (services/jobScheduler).
+ * Loaded once from app.js.
+ */
+
+const Settings = require('../models/Settings');
+const { defineJob } = require('../services/jobScheduler');
+const { runSlaScan } = require('../services/slaService');
+const { sendTaskDueReminders } = require('./taskReminders');
+const { expireNotifications } = require('./notificationExpiry');
+const { purgeExpiredAuditLogs } = require('./auditRetention');
+const { recalculateRepresentativeMetrics } = require('./representativeMetrics');
+const { syncLedger, reconcileLedger } = require('./ledgerReconciliation');
+const { runScheduledPayouts } = require('../services/payoutRunService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+defineJob('task-due-reminders', sendTaskDueReminders, {
+  description: 'Remind students of open tasks due within 24 hours',
+  intervalMs: 30 * MINUTE_MS
+});
+
+defineJob('notification-expiry', expireNotifications, {
+  description: 'Delete notifications past their expiresAt',
+  intervalMs: HOUR_MS
+});
+
+defineJob('audit-log-retention', purgeExpiredAuditLogs, {
+  description: 'Delete audit logs older than security.auditLogging.retentionDays',
+  intervalMs: 24 * HOUR_MS,
+  backoffMs: 10 * MINUTE_MS
+});
+
+defineJob('representative-metrics', recalculateRepresentativeMetrics, {
+  description: 'Recompute representative metrics and commission totals',
+  intervalMs: 6 * HOUR_MS,
+  backoffMs: 5 * MINUTE_MS
+});
+
+// First scheduled on startup, so the first run backfills the ledger
+defineJob('ledger-sync', syncLedger, {
+  description: 'Post missing commission ledger entries and refresh cached earnings',
+  intervalMs: HOUR_MS,
+  backoffMs: 5 * MINUTE_MS
+});
+
+defineJob('ledger-reconciliation', reconcileLedger, {
+  description: 'Repair the commission ledger, then flag mismatches with commissions and payouts',
+  intervalMs: 24 * HOUR_MS,
+  backoffMs: 10 * MINUTE_MS
+});
+
+defineJob('payout-runs', () => runScheduledPayouts(), {
+  description: 'Create the draft payout run when commission.payoutFrequency says one is due',
+  intervalMs: HOUR_MS,
+  backoffMs: 5 * MINUTE_MS
+});
+
+defineJob('sla-scan', () => runSlaScan(), {
+  description: 'Notify and escalate SLA breaches (applicationRules.sla)',
+  getIntervalMs: async () => {
+    const settings = await Settings.getCachedSettings();
+    return Math.max(1, settings.applicationRules?.sla?.scanIntervalMinutes || 15) * MINUTE_MS;
+  }
+});
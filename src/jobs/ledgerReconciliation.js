@@ -0,0 +1,26 @@
+/**
+ * Ledger jobs
+ * syncLedger posts whatever entries commissions are missing and refreshes
+ * cached earnings (ledgerService.syncLedgers): its first run after an
+ * upgrade backfills the ledger, later runs repair postings that failed
+ * after their commission was saved. reconcileLedger then reports anything
+ * a sync can't fix (see ledgerService.reconcile).
+ */
+
+const { syncLedgers, reconcile } = require('../services/ledgerService');
+
+const syncLedger = async () => {
+  const { earners, posted, failed } = await syncLedgers();
+  if (posted > 0) console.warn(`Ledger sync posted ${posted} missing entries`);
+  if (failed.length > 0) throw new Error(`Ledger sync failed for ${failed.length} of ${earners} earners`);
+  return { earners, posted };
+};
+
+const reconcileLedger = async () => {
+  await syncLedgers();
+  const { ok, checked, issueCounts } = await reconcile();
+  if (!ok) console.warn('Ledger reconciliation found issues:', issueCounts);
+  return { ok, ...checked, issues: issueCounts };
+};
+
+module.exports = { syncLedger, reconcileLedger };
@@ -0,0 +1,13 @@
+/**
+ * Notification expiry
+ * Removes notifications whose expiresAt has passed.
+ */
+
+const Notification = require('../models/Notification');
+
+const expireNotifications = async () => {
+  const { deletedCount } = await Notification.deleteMany({ expiresAt: { $lte: new Date() } });
+  return { deleted: deletedCount };
+};
+
+module.exports = { expireNotifications };
@@ -0,0 +1,31 @@
+/**
+ * Representative metrics
+ * Recomputes Representative.metrics from students and financials from the
+ * commission ledger (see Representative#recalculateMetrics).
+ */
+
+const Representative = require('../models/Representative');
+
+const recalculateRepresentativeMetrics = async () => {
+  let updated = 0;
+  let failed = 0;
+
+  const cursor = Representative.find({ isDeleted: false }).cursor();
+  for (let rep = await cursor.next(); rep; rep = await cursor.next()) {
+    try {
+      await rep.recalculateMetrics();
+      await rep.save();
+      updated++;
+    } catch (error) {
+      failed++;
+      console.error(`Metrics recalculation failed for ${rep.userId}:`, error.message);
+    }
+  }
+
+  if (failed > 0 && updated === 0) {
+    throw new Error(`Metrics recalculation failed for all ${failed} representatives`);
+  }
+  return { updated, failed };
+};
+
+module.exports = { recalculateRepresentativeMetrics };
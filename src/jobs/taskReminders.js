@@ -0,0 +1,54 @@
+/**
+ * Task reminders
+ * Tells students about open tasks due within the next day. Each task is
+ * reminded once per due date (Task.reminders.dueSoonSentFor).
+ */
+
+const Task = require('../models/Task');
+
+const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+// Task statuses where the student still owes work
+const OPEN_TASK_STATUSES = ['PENDING', 'IN_PROGRESS', 'REVISION_REQUIRED'];
+
+const sendTaskDueReminders = async () => {
+  const { createNotification } = require('../services/notificationService');
+  const now = new Date();
+
+  const tasks = await Task.find({
+    status: { $in: OPEN_TASK_STATUSES },
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_MS) },
+    $expr: { $ne: ['$reminders.dueSoonSentFor', '$dueDate'] }
+  }).select('taskId serviceRequestId title assignedTo dueDate priority').lean();
+
+  let sent = 0;
+  for (const task of tasks) {
+    // Claim the reminder first so concurrent runs can't send it twice
+    const claimed = await Task.updateOne(
+      { taskId: task.taskId, 'reminders.dueSoonSentFor': { $ne: task.dueDate } },
+      { $set: { 'reminders.dueSoonSentFor': task.dueDate } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    try {
+      await createNotification({
+        recipientId: task.assignedTo,
+        type: 'TASK_DUE_SOON',
+        title: 'Task due soon',
+        message: `"${task.title}" is due ${task.dueDate.toUTCString()}.`,
+        channel: 'BOTH',
+        priority: task.priority === 'HIGH' || task.priority === 'URGENT' ? 'HIGH' : 'NORMAL',
+        actionUrl: `/student/tasks/${task.taskId}`,
+        actionText: 'View Task',
+        relatedEntities: { taskId: task.taskId, serviceRequestId: task.serviceRequestId },
+        metadata: { dueDate: task.dueDate }
+      });
+      sent++;
+    } catch (error) {
+      console.error('Task reminder notification error:', error.message);
+    }
+  }
+
+  return { due: tasks.length, sent };
+};
+
+module.exports = { sendTaskDueReminders };
@@ -1,14 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Student = require('../models/Student');
+const { validateSession } = require('../services/sessionService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fly8-secret-key-change-in-production';
 
 /**
- * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Authentication middleware factory
+ * Verifies JWT token and attaches user to request.
+ * Unless allowUnverified is set, accounts with an unverified email or a
+ * registration awaiting admin approval are blocked.
+ * @param {Object} options
+ * @param {Boolean} options.allowUnverified - Let unverified/pending accounts through (e.g. /auth/me)
  */
-const authMiddleware = async (req, res, next) => {
+const authenticate = ({ allowUnverified = false } = {}) => async (req, res, next) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
 
@@ -17,6 +22,12 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Tokens from the password step of a 2FA login are not access tokens
+    if (decoded.mfaPending) {
+      return res.status(401).json({ error: 'Two-factor authentication required', code: 'MFA_REQUIRED' });
+    }
+
     const user = await User.findOne({ userId: decoded.userId }).select('-password');
 
     if (!user) {
@@ -27,6 +38,27 @@ const authMiddleware = async (req, res, next) => {
       return res.status(403).json({ error: 'Account is inactive' });
     }
 
+    // Session-bound tokens stop working as soon as the session is revoked
+    if (decoded.sid) {
+      const session = await validateSession(decoded.sid, user.userId, req);
+      if (!session) {
+        return res.status(401).json({ error: 'Session expired or revoked', code: 'SESSION_REVOKED' });
+      }
+      req.sessionId = decoded.sid;
+    }
+
+    if (!allowUnverified) {
+      if (user.emailVerified === false) {
+        return res.status(403).json({ error: 'Please verify your email address', code: 'EMAIL_NOT_VERIFIED' });
+      }
+      if (user.approvalStatus === 'pending') {
+        return res.status(403).json({ error: 'Your account is awaiting admin approval', code: 'ACCOUNT_PENDING_APPROVAL' });
+      }
+      if (user.approvalStatus === 'rejected') {
+        return res.status(403).json({ error: 'Your registration was not approved', code: 'ACCOUNT_REJECTED' });
+      }
+    }
+
     req.user = user;
 
     // For students, also attach student record
@@ -41,6 +73,30 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+const authMiddleware = authenticate();
+
+// For endpoints unverified/pending accounts must still reach (/auth/me, resend verification)
+const authAllowUnverified = authenticate({ allowUnverified: true });
+
+/**
+ * Best-effort identification of the caller from the bearer token, for
+ * app-level middleware that runs before route authentication (IP allowlist,
+ * maintenance mode). The route's own authMiddleware still does full checks.
+ * @returns {Promise<Object|null>} lean user (userId, email, role, isActive) or null
+ */
+const peekTokenUser = async (req) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.mfaPending) return null;
+    return await User.findOne({ userId: decoded.userId }).select('userId email role isActive').lean();
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Role-based access control middleware
  * Restricts route access to specific roles
@@ -293,7 +349,10 @@ const isEditor = (req, res, next) => {
 };
 
 module.exports = {
+  authenticate,
   authMiddleware,
+  authAllowUnverified,
+  peekTokenUser,
   roleMiddleware,
   isEditor,
   getRoleBasedFilter,
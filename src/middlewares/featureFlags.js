@@ -0,0 +1,62 @@
+/**
+ * Module & Feature Flag Middleware
+ *
+ * Enforces Settings.features.modules and Settings.features.features on the
+ * server, so switching an area off in the admin UI actually closes it.
+ *
+ * Usage (app.js):
+ *   app.use('/api/v1/chat', requireModule('messagingSystem'), chatRoutes);
+ *   app.use('/api/v1/agents/commissions/export', requireFeature('exportData'));
+ */
+
+const Settings = require('../models/Settings');
+
+/**
+ * Whether a toggle is on. Unknown toggles count as off.
+ * @param {'modules'|'features'} group
+ * @param {String} name
+ * @returns {Promise<Boolean>}
+ */
+const isEnabled = async (group, name) => {
+  const settings = await Settings.getCachedSettings();
+  return settings.features?.[group]?.[name] === true;
+};
+
+const isModuleEnabled = (moduleName) => isEnabled('modules', moduleName);
+const isFeatureEnabled = (featureName) => isEnabled('features', featureName);
+
+const guard = (group, name, code) => async (req, res, next) => {
+  try {
+    if (await isEnabled(group, name)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: `This ${group === 'modules' ? 'module' : 'feature'} is currently disabled`,
+      code,
+      [group === 'modules' ? 'module' : 'feature']: name
+    });
+  } catch (error) {
+    console.error(`Feature flag check error (${name}):`, error.message);
+    res.status(500).json({ error: 'Failed to check feature availability' });
+  }
+};
+
+/**
+ * Block requests when Settings.features.modules[moduleName] is off
+ * @param {String} moduleName - e.g. 'messagingSystem', 'commissionTracking'
+ */
+const requireModule = (moduleName) => guard('modules', moduleName, 'MODULE_DISABLED');
+
+/**
+ * Block requests when Settings.features.features[featureName] is off
+ * @param {String} featureName - e.g. 'exportData', 'onlinePayments'
+ */
+const requireFeature = (featureName) => guard('features', featureName, 'FEATURE_DISABLED');
+
+module.exports = {
+  requireModule,
+  requireFeature,
+  isModuleEnabled,
+  isFeatureEnabled
+};
@@ -0,0 +1,68 @@
+/**
+ * IP Allowlist Middleware
+ *
+ * Restricts admin tooling to the networks in Settings.security.ipWhitelist
+ * when it is enabled. Uses the trusted client IP (req.ip, which honours
+ * app's `trust proxy` setting) and matches it against single addresses or
+ * CIDR ranges.
+ *
+ * Break-glass: the seeded super admin (SUPER_ADMIN_EMAIL, see
+ * scripts/seedSuperAdmin.js) is let through from any network so a bad
+ * allowlist can always be fixed. Every blocked attempt is audit-logged.
+ */
+
+const Settings = require('../models/Settings');
+const { peekTokenUser } = require('./auth');
+const { createAuditLog } = require('../utils/auditLogger');
+const { normalizeIp, isIpAllowed } = require('../utils/ipRange');
+
+const BREAK_GLASS_EMAIL = (process.env.SUPER_ADMIN_EMAIL || 'admin@fly8.global').toLowerCase();
+
+const isBreakGlassAccount = (user) =>
+  !!user && user.isActive && user.role === 'super_admin' && user.email === BREAK_GLASS_EMAIL;
+
+async function ipAllowlist(req, res, next) {
+  try {
+    const settings = await Settings.getCachedSettings();
+    const config = settings.security?.ipWhitelist;
+    if (!config?.enabled) {
+      return next();
+    }
+
+    const clientIp = normalizeIp(req.ip);
+    if (isIpAllowed(clientIp, config.allowedIPs || [])) {
+      return next();
+    }
+
+    const caller = await peekTokenUser(req);
+
+    if (isBreakGlassAccount(caller)) {
+      console.warn(`⚠️  IP allowlist bypassed by break-glass account ${caller.email} from ${clientIp}`);
+      return next();
+    }
+
+    await createAuditLog({
+      actorUserId: caller?.userId || 'anonymous',
+      actorRole: caller?.role || 'system',
+      action: 'ip_blocked',
+      entityType: 'system',
+      entityId: 'ip_allowlist',
+      details: { clientIp, method: req.method, path: req.originalUrl },
+      req
+    });
+
+    return res.status(403).json({
+      error: 'Access denied from this network',
+      code: 'IP_NOT_ALLOWED'
+    });
+  } catch (error) {
+    console.error('IP allowlist check error:', error);
+    // Fail closed — this guards the admin surface
+    return res.status(500).json({ error: 'Failed to verify client network' });
+  }
+}
+
+module.exports = {
+  ipAllowlist,
+  isBreakGlassAccount
+};
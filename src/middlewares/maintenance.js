@@ -0,0 +1,45 @@
+/**
+ * Maintenance Mode Middleware
+ *
+ * While Settings.features.maintenance is active, answers every request with a
+ * structured 503 carrying the configured message — except for callers whose
+ * role is in maintenance.allowedRoles (super_admin by default), so admins can
+ * keep working and switch maintenance off.
+ */
+
+const { peekTokenUser } = require('./auth');
+const { getMaintenanceState, toPayload } = require('../services/maintenanceService');
+
+async function maintenanceMode(req, res, next) {
+  try {
+    const state = await getMaintenanceState();
+    if (!state.active) {
+      return next();
+    }
+
+    const caller = await peekTokenUser(req);
+    if (caller?.isActive && state.allowedRoles.includes(caller.role)) {
+      return next();
+    }
+
+    if (state.scheduledEnd) {
+      const retryAfterSeconds = Math.max(0, Math.ceil((state.scheduledEnd - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+    }
+
+    return res.status(503).json({
+      error: 'Service unavailable',
+      code: 'MAINTENANCE_MODE',
+      message: state.message,
+      maintenance: toPayload(state)
+    });
+  } catch (error) {
+    // Settings unavailable — don't take the API down on top of that
+    console.error('Maintenance check error:', error.message);
+    next();
+  }
+}
+
+module.exports = {
+  maintenanceMode
+};
@@ -0,0 +1,33 @@
+/**
+ * Password Policy Middleware
+ * Rejects requests whose password field violates Settings.security.passwordPolicy.
+ * Failures are forwarded to the global error handler as a ValidationError
+ * listing each failed rule.
+ */
+
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+
+/**
+ * @param {String} field - Body field holding the new password
+ * @param {Object} options
+ * @param {String} options.userIdParam - Route param identifying an existing user (enables reuse check)
+ */
+const enforcePasswordPolicy = (field = 'password', { userIdParam = null } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const password = req.body?.[field];
+
+      // Missing passwords are reported by the route's own required-field checks
+      if (password === undefined || password === null || password === '') {
+        return next();
+      }
+
+      await assertPasswordPolicy(password, userIdParam ? req.params[userIdParam] : null);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { enforcePasswordPolicy };
@@ -4,6 +4,8 @@
  */
 
 const Joi = require('joi');
+const { ENTRY_TYPES } = require('../utils/ledger');
+const { BANK_FILE_FORMATS } = require('../utils/bankFiles');
 
 /**
  * Generic validation middleware factory
@@ -72,6 +74,63 @@ const authSchemas = {
     password: Joi.string().required().messages({
       'any.required': 'Password is required'
     })
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      'string.hex': 'Invalid or expired reset token',
+      'string.length': 'Invalid or expired reset token',
+      'any.required': 'Reset token is required'
+    }),
+    password: Joi.string().min(8).required().messages({
+      'string.min': 'Password must be at least 8 characters',
+      'any.required': 'Password is required'
+    })
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      'string.hex': 'Invalid or expired verification token',
+      'string.length': 'Invalid or expired verification token',
+      'any.required': 'Verification token is required'
+    })
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Verification code is required'
+    })
+  }),
+
+  twoFactorChallenge: Joi.object({
+    mfaToken: Joi.string().required().messages({
+      'any.required': 'MFA token is required'
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Either code or recoveryCode is required',
+    'object.xor': 'Provide either code or recoveryCode, not both'
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required().messages({
+      'any.required': 'Password is required'
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Verification code is required'
+    })
   })
 };
 
@@ -162,13 +221,15 @@ const taskSchemas = {
     instructions: Joi.string().max(5000).allow('').optional(),
     priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'URGENT').default('MEDIUM'),
     dueDate: Joi.date().iso().optional(),
+    dependsOn: Joi.array().items(Joi.string().uuid()).max(50).optional(),
+    form: Joi.object().unknown(true).optional(),
     metadata: Joi.object().unknown(true).optional()
   }),
 
+  // Form tasks send `answers`; other tasks need text or files (checked in the controller)
   submit: Joi.object({
-    text: Joi.string().min(1).required().messages({
-      'any.required': 'Submission text is required'
-    }),
+    text: Joi.string().allow('').optional(),
+    answers: Joi.object().unknown(true).optional(),
     files: Joi.array().items(
       Joi.object({
         name: Joi.string().required(),
@@ -228,9 +289,142 @@ const adminSchemas = {
 
   updateUserStatus: Joi.object({
     isActive: Joi.boolean().required()
+  }),
+
+  reviewRegistration: Joi.object({
+    note: Joi.string().max(500).allow('').optional()
+  })
+};
+
+// ========================
+// Workflow Definition Schemas
+// ========================
+
+const workflowSchemas = {
+  create: Joi.object({
+    serviceType: Joi.string().valid(
+      '*',
+      'PROFILE_ASSESSMENT',
+      'UNIVERSITY_SHORTLISTING',
+      'APPLICATION_ASSISTANCE',
+      'VISA_GUIDANCE',
+      'SCHOLARSHIP_SEARCH',
+      'LOAN_ASSISTANCE',
+      'ACCOMMODATION_HELP',
+      'PRE_DEPARTURE_ORIENTATION'
+    ).required(),
+    name: Joi.string().max(100).allow('').optional(),
+    states: Joi.array().items(Joi.object({
+      status: Joi.string().required(),
+      label: Joi.string().max(100).allow('').optional(),
+      progress: Joi.number().integer().min(0).max(100).allow(null).optional()
+    })).min(1).required(),
+    transitions: Joi.array().items(Joi.object({
+      from: Joi.string().required(),
+      to: Joi.string().required(),
+      roles: Joi.array().items(Joi.string()).min(1).required(),
+      guards: Joi.array().items(Joi.object({
+        rule: Joi.string().required(),
+        params: Joi.object().unknown(true).optional()
+      })).optional()
+    })).min(1).required(),
+    changeNote: Joi.string().max(500).allow('').optional(),
+    activate: Joi.boolean().default(true)
   })
 };
 
+// ========================
+// Intake Form Schemas
+// ========================
+
+// Field and section structure is checked by utils/formSchema
+const intakeFormDefinition = {
+  fields: Joi.array().items(Joi.object().unknown(true)).max(200).default([]),
+  sections: Joi.array().items(Joi.object().unknown(true)).max(50).default([])
+};
+
+const intakeFormSchemas = {
+  create: Joi.object({
+    serviceType: Joi.string().valid(
+      'PROFILE_ASSESSMENT',
+      'UNIVERSITY_SHORTLISTING',
+      'APPLICATION_ASSISTANCE',
+      'VISA_GUIDANCE',
+      'SCHOLARSHIP_SEARCH',
+      'LOAN_ASSISTANCE',
+      'ACCOMMODATION_HELP',
+      'PRE_DEPARTURE_ORIENTATION'
+    ).required(),
+    name: Joi.string().max(100).allow('').optional(),
+    ...intakeFormDefinition,
+    changeNote: Joi.string().max(500).allow('').optional(),
+    activate: Joi.boolean().default(true)
+  }),
+
+  // Check formData against a stored version (formId), an unsaved draft
+  // (definition) or, by default, the service type's active form
+  dryRun: Joi.object({
+    serviceType: Joi.string().required(),
+    formData: Joi.object().unknown(true).required(),
+    formId: Joi.string().optional(),
+    definition: Joi.object(intakeFormDefinition).optional()
+  }).oxor('formId', 'definition')
+};
+
+// ========================
+// Task Template Schemas
+// ========================
+
+const taskTemplateFields = {
+  taskType: Joi.string().valid(
+    'DOCUMENT_UPLOAD',
+    'QUESTIONNAIRE',
+    'VIDEO_CALL',
+    'REVIEW_SESSION',
+    'INFORMATION_SUBMISSION',
+    'FORM_COMPLETION',
+    'PAYMENT',
+    'APPROVAL_REQUIRED',
+    'OTHER'
+  ),
+  title: Joi.string().min(1).max(200),
+  description: Joi.string().min(1).max(2000),
+  instructions: Joi.string().max(5000).allow(''),
+  priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'URGENT'),
+  form: Joi.object().unknown(true).allow(null),
+  dueOffsetDays: Joi.number().integer().min(0).max(365).allow(null),
+  assigneeRole: Joi.string().valid('auto', 'student', 'rep3'),
+  triggerStatus: Joi.string().valid('ASSIGNED', 'IN_PROGRESS', 'WAITING_STUDENT', 'ON_HOLD'),
+  dependsOn: Joi.array().items(Joi.string().max(50)).unique().max(20),
+  order: Joi.number().integer().min(0),
+  isActive: Joi.boolean()
+};
+
+const taskTemplateSchemas = {
+  create: Joi.object({
+    serviceType: Joi.string().valid(
+      'PROFILE_ASSESSMENT',
+      'UNIVERSITY_SHORTLISTING',
+      'APPLICATION_ASSISTANCE',
+      'VISA_GUIDANCE',
+      'SCHOLARSHIP_SEARCH',
+      'LOAN_ASSISTANCE',
+      'ACCOMMODATION_HELP',
+      'PRE_DEPARTURE_ORIENTATION'
+    ).required(),
+    key: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required().messages({
+      'string.pattern.base': 'Key may only contain lowercase letters, digits, "-" and "_"'
+    }),
+    ...taskTemplateFields,
+    taskType: taskTemplateFields.taskType.required(),
+    title: taskTemplateFields.title.required(),
+    description: taskTemplateFields.description.required()
+  }),
+
+  // serviceType and key identify the template and cannot change
+  update: Joi.object(taskTemplateFields).min(1)
+};
+
 // ========================
 // Admin Notification Schemas
 // ========================
@@ -319,6 +513,168 @@ const adminNotificationSchemas = {
   })
 };
 
+// ========================
+// Commission Dispute Schemas
+// ========================
+
+const disputeAttachments = Joi.array().items(
+  Joi.object({
+    name: Joi.string().max(255).required(),
+    url: Joi.string().uri().required(),
+    publicId: Joi.string().optional(),
+    size: Joi.number().min(0).optional()
+  })
+).max(10);
+
+const commissionDisputeSchemas = {
+  open: Joi.object({
+    reason: Joi.string().trim().min(1).max(2000).required().messages({
+      'any.required': 'A reason is required'
+    }),
+    expectedAmount: Joi.number().min(0).precision(2).optional(),
+    evidence: disputeAttachments.default([])
+  }),
+
+  message: Joi.object({
+    text: Joi.string().trim().min(1).max(5000).required(),
+    attachments: disputeAttachments.default([])
+  }),
+
+  resolve: Joi.object({
+    outcome: Joi.string().valid('accepted', 'rejected').required(),
+    note: Joi.string().trim().min(1).max(2000).required().messages({
+      'any.required': 'A resolution note is required'
+    }),
+    commissionStatus: Joi.string().valid('pending', 'approved', 'rejected').optional(),
+    adjustment: Joi.object({
+      kind: Joi.string().valid('credit', 'debit').required(),
+      amount: Joi.number().positive().precision(2).required()
+    }).optional()
+  }),
+
+  list: Joi.object({
+    status: Joi.string().valid('open', 'accepted', 'rejected', 'withdrawn').optional(),
+    agentId: Joi.string().optional(),
+    commissionId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+// ========================
+// Domain Event Schemas
+// ========================
+
+const listenerName = Joi.string().max(100);
+
+const eventSchemas = {
+  list: Joi.object({
+    status: Joi.string().valid('pending', 'processing', 'done', 'dead').optional(),
+    name: Joi.string().max(100).optional(),
+    listener: listenerName.optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Without listeners only the dead deliveries are replayed
+  replay: Joi.object({
+    listeners: Joi.array().items(listenerName).min(1).unique().optional()
+  }),
+
+  replayDead: Joi.object({
+    name: Joi.string().max(100).optional(),
+    listener: listenerName.optional()
+  })
+};
+
+// ========================
+// Ledger Schemas
+// ========================
+
+const ledgerSchemas = {
+  entries: Joi.object({
+    agentId: Joi.string().optional(),
+    commissionId: Joi.string().optional(),
+    payoutId: Joi.string().optional(),
+    type: Joi.string().valid(...ENTRY_TYPES).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  reconcile: Joi.object({
+    agentId: Joi.string().optional()
+  }),
+
+  // Without agentId every earner with commissions or entries is synced
+  sync: Joi.object({
+    agentId: Joi.string().optional()
+  })
+};
+
+// ========================
+// Payout Run Schemas
+// ========================
+
+const payoutRunSchemas = {
+  list: Joi.object({
+    status: Joi.string().valid('draft', 'approved', 'completed', 'cancelled', 'empty').optional(),
+    trigger: Joi.string().valid('scheduled', 'manual').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  approve: Joi.object({
+    note: Joi.string().max(1000).optional()
+  }),
+
+  // Cancelling a run or excluding a line
+  withReason: Joi.object({
+    reason: Joi.string().trim().min(3).max(1000).required()
+  }),
+
+  settle: Joi.object({
+    outcome: Joi.string().valid('completed', 'failed').required(),
+    externalReference: Joi.string().max(200).optional(),
+    reason: Joi.string().trim().max(1000).when('outcome', {
+      is: 'failed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    note: Joi.string().max(1000).optional()
+  }),
+
+  export: Joi.object({
+    format: Joi.string().valid(...BANK_FILE_FORMATS).optional()
+  }),
+
+  // Settlement CSV as an uploaded `file` or as text in `csv`
+  importSettlements: Joi.object({
+    csv: Joi.string().max(5 * 1024 * 1024).optional(),
+    dryRun: Joi.boolean().default(false)
+  })
+};
+
+// ========================
+// Payment Schemas
+// ========================
+
+const paymentSchemas = {
+  checkout: Joi.object({
+    taskId: Joi.string().required()
+  }),
+
+  complete: Joi.object({
+    note: Joi.string().max(1000).optional()
+  }),
+
+  // Simulated gateway outcome (fake gateway, outside production)
+  fakeCheckout: Joi.object({
+    outcome: Joi.string().valid('processing', 'completed', 'failed', 'refunded').required(),
+    failureReason: Joi.string().max(500).optional(),
+    amount: Joi.number().positive().optional()
+  })
+};
+
 // ========================
 // Query Schemas
 // ========================
@@ -369,5 +725,13 @@ module.exports = {
   taskSchemas,
   adminSchemas,
   adminNotificationSchemas,
+  workflowSchemas,
+  taskTemplateSchemas,
+  intakeFormSchemas,
+  commissionDisputeSchemas,
+  eventSchemas,
+  ledgerSchemas,
+  payoutRunSchemas,
+  paymentSchemas,
   querySchemas
 };
@@ -22,6 +22,12 @@ const ALLOWED_TRANSITIONS = {
 
 const APPLICATION_STATUSES = Object.keys(ALLOWED_TRANSITIONS);
 
+// Conditions checked before entering a status (rules: utils/transitionGuards)
+const APPLICATION_TRANSITION_GUARDS = {
+  'Docs Verified': [{ rule: 'REQUIRED_DOCUMENTS_VERIFIED' }],
+  'Submitted': [{ rule: 'REQUIRED_DOCUMENTS_VERIFIED' }, { rule: 'CHECKLIST_COMPLETED' }]
+};
+
 const ApplicationSchema = new mongoose.Schema(
   {
     applicationId: {
@@ -88,7 +94,10 @@ const ApplicationSchema = new mongoose.Schema(
         type: { type: String },
         uploadedBy: { type: String, required: true },
         uploadedByRole: { type: String, enum: ['student', 'agent', 'super_admin'] },
-        uploadedAt: { type: Date, default: Date.now }
+        uploadedAt: { type: Date, default: Date.now },
+        verified: { type: Boolean, default: false },
+        verifiedBy: { type: String },
+        verifiedAt: { type: Date }
       }
     ],
     checklist: [
@@ -155,3 +164,4 @@ const Application = mongoose.model('Application', ApplicationSchema);
 module.exports = Application;
 module.exports.ALLOWED_TRANSITIONS = ALLOWED_TRANSITIONS;
 module.exports.APPLICATION_STATUSES = APPLICATION_STATUSES;
+module.exports.APPLICATION_TRANSITION_GUARDS = APPLICATION_TRANSITION_GUARDS;
@@ -22,7 +22,7 @@ const auditLogSchema = new mongoose.Schema({
   actorRole: {
     type: String,
     required: true,
-    enum: ['student', 'counselor', 'agent', 'super_admin', 'system']
+    enum: ['student', 'counselor', 'agent', 'super_admin', 'rep1', 'rep2', 'rep3', 'editor', 'system']
   },
   // Action performed
   action: {
@@ -32,8 +32,24 @@ const auditLogSchema = new mongoose.Schema({
       // User lifecycle
       'user_created',
       'user_login',
+      'user_logout',
       'user_updated',
       'user_deactivated',
+      'password_reset_requested',
+      'password_reset',
+      'account_locked',
+      'account_unlocked',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_recovery_code_used',
+      'two_factor_recovery_codes_regenerated',
+      'session_revoked',
+      'sessions_revoked_all',
+      'refresh_token_reuse_detected',
+      'email_verified',
+      'registration_approved',
+      'registration_rejected',
+      'ip_blocked',
       // Student lifecycle
       'student_onboarded',
       'student_profile_updated',
@@ -45,6 +61,20 @@ const auditLogSchema = new mongoose.Schema({
       'service_request_completed',
       'service_request_cancelled',
       'service_request_deleted',
+      'sla_breached',
+      'sla_escalated',
+      // Workflow definitions
+      'workflow_version_created',
+      'workflow_version_activated',
+      // Task templates
+      'task_template_created',
+      'task_template_updated',
+      'task_template_deactivated',
+      'task_templates_applied',
+      // Intake forms
+      'intake_form_version_created',
+      'intake_form_version_activated',
+      'intake_form_version_deleted',
       // Task lifecycle
       'task_created',
       'task_status_changed',
@@ -66,8 +96,20 @@ const auditLogSchema = new mongoose.Schema({
       'application_status_updated',
       'payment_initiated',
       'payment_completed',
+      // Gateway payments
+      'payment_checkout_created',
+      'payment_processing',
+      'payment_failed',
+      'payment_refunded',
+      'payment_duplicate',
       'commission_approved',
       'commission_paid',
+      // Commission disputes
+      'commission_disputed',
+      'commission_dispute_message_added',
+      'commission_dispute_withdrawn',
+      'commission_dispute_resolved',
+      'commission_adjustment_created',
       'document_uploaded',
       'note_added',
       'file_uploaded',
@@ -75,7 +117,19 @@ const auditLogSchema = new mongoose.Schema({
       'application_created',
       'application_status_changed',
       'application_document_uploaded',
-      'application_offer_accepted'
+      'application_offer_accepted',
+      // Event outbox
+      'domain_event_replayed',
+      // Commission ledger
+      'ledger_synced',
+      // Payout runs
+      'payout_run_created',
+      'payout_run_approved',
+      'payout_run_cancelled',
+      'payout_run_exported',
+      'payout_line_excluded',
+      'payout_line_settled',
+      'payout_settlement_imported'
     ],
     index: true
   },
@@ -83,7 +137,7 @@ const auditLogSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['user', 'student', 'service_request', 'task', 'notification', 'payment', 'commission', 'document', 'application'],
+    enum: ['user', 'student', 'service_request', 'task', 'notification', 'payment', 'commission', 'document', 'application', 'workflow', 'task_template', 'intake_form', 'domain_event', 'ledger', 'payout_run', 'system'],
     index: true
   },
   entityId: {
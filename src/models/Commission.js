@@ -30,11 +30,19 @@ const commissionSchema = new mongoose.Schema({
   },
 
   // Commission source classification
+  // ADJUSTMENT: credit or debit against another commission (dispute resolution)
   commissionType: {
     type: String,
-    enum: ['APPLICATION', 'VAS'],
+    enum: ['APPLICATION', 'VAS', 'ADJUSTMENT'],
     required: true
   },
+  // What an automatic commission was created for ('APPLICATION:<applicationId>',
+  // 'VAS:<serviceRequestId>:<earnerId>', 'ADJUSTMENT:<disputeId>'). Unique, so
+  // re-running creation (event retries) never duplicates it.
+  sourceKey: {
+    type: String,
+    default: undefined
+  },
 
   // For APPLICATION type commissions
   applicationId: {
@@ -59,6 +67,21 @@ const commissionSchema = new mongoose.Schema({
     ]
   },
 
+  // For ADJUSTMENT type commissions: amount is always positive, a debit
+  // counts against the earner's totals (see utils/commissionAdjustments)
+  adjustmentOf: {
+    type: String,
+    ref: 'Commission'
+  },
+  adjustmentKind: {
+    type: String,
+    enum: ['credit', 'debit']
+  },
+  disputeId: {
+    type: String,
+    ref: 'CommissionDispute'
+  },
+
   // Financial details
   baseAmount: {
     type: Number,
@@ -102,7 +125,7 @@ const commissionSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['pending', 'approved', 'paid', 'rejected', 'cancelled'],
+    enum: ['pending', 'approved', 'paid', 'rejected', 'cancelled', 'disputed'],
     default: 'pending'
   },
 
@@ -142,7 +165,7 @@ const commissionSchema = new mongoose.Schema({
 commissionSchema.pre('save', function(next) {
   if (this.isNew) {
     if (!this.referenceId) {
-      const prefix = this.commissionType === 'APPLICATION' ? 'COM-APP' : 'COM-VAS';
+      const prefix = { APPLICATION: 'COM-APP', VAS: 'COM-VAS', ADJUSTMENT: 'COM-ADJ' }[this.commissionType];
       const timestamp = Date.now().toString(36).toUpperCase();
       const random = Math.random().toString(36).substring(2, 6).toUpperCase();
       this.referenceId = `${prefix}-${timestamp}-${random}`;
@@ -166,6 +189,8 @@ commissionSchema.index({ studentId: 1, agentId: 1 });
 commissionSchema.index({ commissionType: 1, status: 1 });
 commissionSchema.index({ applicationId: 1 }, { sparse: true });
 commissionSchema.index({ serviceRequestId: 1 }, { sparse: true });
+commissionSchema.index({ sourceKey: 1 }, { unique: true, sparse: true });
+commissionSchema.index({ adjustmentOf: 1 }, { sparse: true });
 commissionSchema.index({ status: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Commission', commissionSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * CommissionDispute Model
+ * An earner contesting a commission (rejected, or calculated too low) and
+ * the conversation with finance about it. While a dispute is open the
+ * commission's status is 'disputed'. A super admin closes it either way;
+ * accepting may create an adjustment (an ADJUSTMENT commission crediting or
+ * debiting the difference), so the original amount is never edited.
+ * A commission has at most one open dispute.
+ */
+const attachmentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  url: { type: String, required: true },
+  publicId: String,
+  size: Number,
+  uploadedBy: { type: String, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const commissionDisputeSchema = new mongoose.Schema({
+  disputeId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    index: true
+  },
+  commissionId: {
+    type: String,
+    required: true,
+    ref: 'Commission'
+  },
+  // Earner who raised it (Commission.agentId)
+  agentId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'rejected', 'withdrawn'],
+    default: 'open'
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  // Amount the earner believes is due, if they named one
+  expectedAmount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Commission status before the dispute (restored unless resolved otherwise)
+  previousStatus: {
+    type: String,
+    required: true
+  },
+  evidence: [attachmentSchema],
+
+  // Conversation between the earner and finance
+  messages: [{
+    messageId: { type: String, default: () => uuidv4() },
+    authorId: { type: String, ref: 'User', required: true },
+    authorRole: String,
+    text: { type: String, required: true, maxlength: 5000 },
+    attachments: [attachmentSchema],
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  resolution: {
+    resolvedBy: { type: String, ref: 'User' },
+    resolvedAt: Date,
+    note: String,
+    commissionStatus: String,
+    // The ADJUSTMENT commission, if one was made
+    adjustmentId: { type: String, ref: 'Commission' },
+    adjustmentKind: { type: String, enum: ['credit', 'debit'] },
+    adjustmentAmount: Number
+  },
+  closedAt: Date
+}, { timestamps: true });
+
+commissionDisputeSchema.index({ commissionId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+commissionDisputeSchema.index({ commissionId: 1, createdAt: -1 });
+commissionDisputeSchema.index({ agentId: 1, createdAt: -1 });
+commissionDisputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CommissionDispute', commissionDisputeSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * DomainEvent Model
+ * Durable copy of an event emitted on the event bus (events/eventBus), with
+ * one delivery per registered listener. Any API instance may claim a due
+ * delivery; a delivery is `processing` while `lockedBy` is set and
+ * `lockedUntil` is in the future, so a crashed instance's work is picked up
+ * again once the lock expires (at-least-once delivery).
+ *
+ * Events are written in the same transaction as the state change that
+ * caused them (eventBus.emitWith), so this collection doubles as the outbox.
+ * A delivery that keeps failing is dead-lettered (`dead`) until a super
+ * admin replays it.
+ */
+const deliverySchema = new mongoose.Schema({
+  // Listener name given to eventBus.subscribe()
+  listener: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'done', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const domainEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // EVENTS value, e.g. 'service_request:completed'
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Instance that emitted the event
+  origin: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveries: {
+    type: [deliverySchema],
+    default: []
+  },
+  // Set once every delivery is done
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+domainEventSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+domainEventSchema.index({ 'deliveries.status': 1, occurredAt: -1 });
+// Keep delivered events for 7 days
+domainEventSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DomainEvent', domainEventSchema);
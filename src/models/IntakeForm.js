@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * IntakeForm Model
+ * Versioned intake form a student fills in when requesting a serviceType
+ * (definition format: utils/formSchema). Versions are never edited: a change
+ * creates a new version, and only one version per serviceType is active.
+ * Requests record the version their formData was validated against
+ * (ServiceRequest.intakeFormId / intakeFormVersion).
+ */
+const intakeFormSchema = new mongoose.Schema({
+  formId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  serviceType: {
+    type: String,
+    required: true,
+    enum: [
+      'PROFILE_ASSESSMENT',
+      'UNIVERSITY_SHORTLISTING',
+      'APPLICATION_ASSISTANCE',
+      'VISA_GUIDANCE',
+      'SCHOLARSHIP_SEARCH',
+      'LOAN_ASSISTANCE',
+      'ACCOMMODATION_HELP',
+      'PRE_DEPARTURE_ORIENTATION'
+    ]
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  name: String,
+  // Top-level fields and conditional sections (see utils/formSchema)
+  fields: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  sections: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  changeNote: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: String,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: String,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+intakeFormSchema.index({ serviceType: 1, version: 1 }, { unique: true });
+// At most one active version per serviceType
+intakeFormSchema.index(
+  { serviceType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('IntakeForm', intakeFormSchema);
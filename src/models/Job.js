@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Model
+ * Schedule and lock state for background jobs (see services/jobScheduler).
+ * Recurring jobs have one document per job name; one-off jobs get one
+ * document per scheduled run. An instance owns a job while `lockedBy` is set
+ * and `lockedUntil` is in the future — an expired lock is taken over, so a
+ * crashed instance never blocks a job for good.
+ */
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Handler name registered with defineJob()
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Uniqueness key: the name for recurring jobs, caller-supplied or the
+  // jobId for one-off jobs
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['recurring', 'once'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'running', 'completed', 'failed'],
+    default: 'scheduled',
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  intervalMs: Number,
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  // Retries
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  backoffMs: {
+    type: Number,
+    default: 60 * 1000
+  },
+  // Distributed lock
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Last outcome
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastSuccessAt: Date,
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
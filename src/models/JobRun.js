@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobRun Model
+ * One record per job attempt, for the admin job history.
+ */
+const jobRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  jobId: {
+    type: String,
+    required: true,
+    ref: 'Job',
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  // Instance that ran the attempt
+  instanceId: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Handler return value (counts etc.)
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Whether a failed attempt will be retried
+  willRetry: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// Keep run history for 30 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
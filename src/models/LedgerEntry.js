@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { ENTRY_TYPES } = require('../utils/ledger');
+
+/**
+ * LedgerEntry Model
+ * Append-only double-entry journal behind earner wallets. Each entry moves
+ * one commission's amount between accounts (see utils/ledger) and its
+ * lines always balance. Entries are never edited or removed; a correction
+ * is a further entry. Wallet balances are sums over an earner's entries.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    index: true
+  },
+  // <commissionId>:<sequence>, so the same move is never posted twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+
+  // Earner whose wallet the entry moves (Commission.agentId)
+  agentId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  commissionId: {
+    type: String,
+    required: true,
+    ref: 'Commission'
+  },
+  payoutId: { type: String, ref: 'Payout' },
+  disputeId: { type: String, ref: 'CommissionDispute' },
+  // Commission status the entry brought the ledger in line with
+  commissionStatus: String,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  lines: {
+    type: [{
+      account: { type: String, required: true },
+      debit: { type: Number, default: 0, min: 0 },
+      credit: { type: Number, default: 0, min: 0 }
+    }],
+    validate: {
+      validator: (lines) => lines.length >= 2
+        && Math.abs(lines.reduce((sum, l) => sum + l.debit - l.credit, 0)) < 0.005,
+      message: 'Journal entry lines must balance'
+    }
+  },
+
+  memo: String,
+  createdBy: { type: String, ref: 'User' },
+  postedAt: { type: Date, default: Date.now }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.index({ agentId: 1, postedAt: -1 });
+ledgerEntrySchema.index({ commissionId: 1, postedAt: 1 });
+ledgerEntrySchema.index({ payoutId: 1 }, { sparse: true });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+
+const appendOnly = function (next) {
+  next(new Error('Ledger entries are append-only'));
+};
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -31,16 +31,21 @@ const notificationSchema = new mongoose.Schema({
       'TASK_REVIEWED',            // Task reviewed by counselor
       'TASK_REVISION_REQUIRED',   // Task needs revision
       'TASK_COMPLETED',           // Task marked complete
+      'TASK_DUE_SOON',            // Task due within the next day
       'SERVICE_COMPLETED',        // Entire service completed
       'STATUS_UPDATE',            // General status update
       'PAYMENT_RECEIVED',         // Payment notification
       'COMMISSION_CREDITED',      // Commission notification
+      'COMMISSION_DISPUTE',       // Commission dispute opened, answered or resolved
+      'PAYOUT_RUN',               // Payout run ready for review, or a payout line sent/failed
       // Agent-initiated service request notifications
       'AGENT_SERVICE_REQUEST_PENDING', // Agent submitted request awaiting approval
       'AGENT_REQUEST_APPROVED',   // Agent's request was approved by Super Admin
       'AGENT_REQUEST_REJECTED',   // Agent's request was rejected by Super Admin
       'GENERAL',                  // General notification
       'SYSTEM',                   // System announcement
+      'SLA_BREACHED',             // Request/task exceeded its SLA
+      'SLA_ESCALATED',            // SLA breach escalated to super admins
       // Application (admissions) notifications
       'APPLICATION_CREATED',           // New university application created
       'APPLICATION_AGENT_ASSIGNED',    // Agent assigned to application
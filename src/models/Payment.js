@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
+const { PAYMENT_STATUSES } = require('../utils/paymentStatus');
 
+/**
+ * Payment Model
+ * A student payment. Online payments go through a hosted checkout on the
+ * gateway in Settings.payment.paymentGateway and are settled by its webhooks
+ * (services/paymentService); a payment for a PAYMENT task completes the task.
+ */
 const paymentSchema = new mongoose.Schema({
   paymentId: {
     type: String,
@@ -20,6 +27,17 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     ref: 'ServiceApplication'
   },
+  // PAYMENT task this pays for
+  taskId: {
+    type: String,
+    ref: 'Task',
+    default: null
+  },
+  serviceRequestId: {
+    type: String,
+    ref: 'ServiceRequest',
+    default: null
+  },
   amount: {
     type: Number,
     required: true
@@ -30,14 +48,59 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: PAYMENT_STATUSES,
     default: 'pending'
   },
   paymentMethod: {
     type: String,
-    enum: ['stripe', 'bank_transfer', 'cash', 'other'],
+    enum: ['stripe', 'razorpay', 'paypal', 'fake', 'bank_transfer', 'cash', 'other'],
     default: 'stripe'
   },
+
+  // Hosted checkout (payments/gateway)
+  gateway: {
+    type: String,
+    enum: ['stripe', 'razorpay', 'paypal', 'fake', null],
+    default: null
+  },
+  checkout: {
+    sessionId: String,
+    url: String,
+    expiresAt: Date,
+    // Replaced by a newer checkout, or the task was paid another way
+    closedAt: Date
+  },
+  // The gateway's id for the money movement (payment intent, capture…)
+  gatewayPaymentId: String,
+  failureReason: String,
+  // The completed payment that paid its task (at most one per task, see index)
+  settlesTask: {
+    type: Boolean,
+    default: false
+  },
+  // Completed after another payment had already paid the task: money to return
+  duplicateOf: {
+    type: String,
+    default: null
+  },
+  refundRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Webhook events already applied, so redeliveries change nothing
+  processedEvents: {
+    type: [String],
+    default: []
+  },
+  statusHistory: [{
+    status: String,
+    changedBy: { type: String, default: 'system' },
+    changedAt: { type: Date, default: Date.now },
+    source: { type: String, enum: ['checkout', 'webhook', 'manual'] },
+    eventId: String,
+    note: String
+  }],
+
   stripePaymentIntentId: String,
   stripeChargeId: String,
   metadata: {
@@ -47,4 +110,11 @@ const paymentSchema = new mongoose.Schema({
   refundedAt: Date
 }, { timestamps: true });
 
+paymentSchema.index({ studentId: 1, createdAt: -1 });
+paymentSchema.index({ taskId: 1, status: 1 });
+paymentSchema.index({ taskId: 1 }, { unique: true, partialFilterExpression: { settlesTask: true } });
+paymentSchema.index({ refundRequired: 1 }, { partialFilterExpression: { refundRequired: true } });
+paymentSchema.index({ gateway: 1, 'checkout.sessionId': 1 }, { sparse: true });
+paymentSchema.index({ gateway: 1, gatewayPaymentId: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
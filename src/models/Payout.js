@@ -26,6 +26,13 @@ const payoutSchema = new mongoose.Schema({
     default: 'USD'
   },
 
+  // Payout run this is a line of (models/PayoutBatch); null for agent requests
+  batchId: {
+    type: String,
+    ref: 'PayoutBatch',
+    default: null
+  },
+
   // Commission IDs included in this payout
   commissionIds: [{
     type: String,
@@ -58,7 +65,9 @@ const payoutSchema = new mongoose.Schema({
   processedAt: Date,
   processedBy: { type: String, ref: 'User' },
 
-  // External reference (bank transfer ID, PayPal transaction ID, etc.)
+  // External reference (bank transfer ID, PayPal transaction ID, etc.). Payout
+  // run lines get their bank file end-to-end id here when first exported, so
+  // the bank's settlement file can be matched back (utils/bankFiles).
   externalReference: String,
 
   // Invoice number for this payout
@@ -99,5 +108,7 @@ payoutSchema.pre('save', function(next) {
 payoutSchema.index({ agentId: 1, status: 1 });
 payoutSchema.index({ agentId: 1, createdAt: -1 });
 payoutSchema.index({ status: 1, requestedAt: -1 });
+payoutSchema.index({ batchId: 1, status: 1 });
+payoutSchema.index({ externalReference: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * PayoutBatch Model
+ * A payout run: every earner's eligible approved commissions collected into
+ * one Payout line each (Payout.batchId). Runs are created on the schedule in
+ * Settings.commission.payoutFrequency or by hand, start as a draft that
+ * finance reviews and approves as a whole, are exported as a bank upload file
+ * (utils/bankFiles), and complete once every line is marked completed or failed.
+ */
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    index: true
+  },
+  referenceId: {
+    type: String,
+    unique: true
+  },
+
+  // 'empty': a scheduled run that found nothing to pay (kept so the schedule moves on)
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'completed', 'cancelled', 'empty'],
+    default: 'draft'
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  // Schedule slot a scheduled run was created for
+  scheduledFor: Date,
+  // Settings the run was built with
+  frequency: String,
+  threshold: { type: Number, default: 0 },
+  currency: { type: String, default: 'USD' },
+
+  // Lines still in the run (excluded lines don't count)
+  lineCount: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },
+
+  // Earners with approved commissions the run left out
+  skipped: [{
+    agentId: { type: String, ref: 'User' },
+    amount: Number,
+    reason: String
+  }],
+
+  exports: [{
+    format: String,
+    fileName: String,
+    lineCount: Number,
+    controlTotal: Number,
+    hashTotal: Number,
+    // SHA-256 of the file, to match it against what the bank received
+    checksum: String,
+    exportedBy: { type: String, ref: 'User' },
+    exportedAt: { type: Date, default: Date.now }
+  }],
+
+  createdBy: { type: String, ref: 'User', default: 'system' },
+  approvedBy: { type: String, ref: 'User' },
+  approvedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String,
+
+  statusHistory: [{
+    status: String,
+    changedBy: { type: String, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: String
+  }]
+}, { timestamps: true });
+
+payoutBatchSchema.pre('save', function(next) {
+  if (this.isNew && !this.referenceId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.referenceId = `PAYRUN-${date}-${random}`;
+  }
+  next();
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ trigger: 1, scheduledFor: -1 });
+// One draft at a time, so two run creations can't collect the same commissions
+payoutBatchSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'draft' } });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * PresenceSocket Model
+ * One connected socket, shared by every API instance: whose it is, whether
+ * it is away and which service requests it is viewing. The owning instance
+ * refreshes expiresAt while the socket is connected, so the sockets of an
+ * instance that died expire on their own (services/presenceService.js).
+ */
+const presenceSocketSchema = new mongoose.Schema({
+  socketId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  away: {
+    type: Boolean,
+    default: false
+  },
+  // Service requests the socket has a case room of open
+  viewing: [{ type: String, ref: 'ServiceRequest' }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+presenceSocketSchema.index({ userId: 1, expiresAt: 1 });
+presenceSocketSchema.index({ viewing: 1, expiresAt: 1 });
+presenceSocketSchema.index({ instanceId: 1 });
+// Let MongoDB purge sockets once their instance stops refreshing them
+presenceSocketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PresenceSocket', presenceSocketSchema);
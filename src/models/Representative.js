@@ -122,9 +122,10 @@ representativeSchema.virtual('user', {
 // Instance method: recalculate metrics from source data
 representativeSchema.methods.recalculateMetrics = async function () {
   const Student = mongoose.model('Student');
-  const Commission = mongoose.model('Commission');
+  // Lazy: ledgerService requires this model
+  const { getLedgerBalances } = require('../services/ledgerService');
 
-  const [totalStudents, activeStudents, commissionAgg] = await Promise.all([
+  const [totalStudents, activeStudents, balances] = await Promise.all([
     Student.countDocuments({
       $or: [
         { referredBy: this.userId },
@@ -140,16 +141,7 @@ representativeSchema.methods.recalculateMetrics = async function () {
       ],
       status: 'active'
     }),
-    Commission.aggregate([
-      { $match: { agentId: this.userId, isDeleted: { $ne: true } } },
-      {
-        $group: {
-          _id: '$status',
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
-        }
-      }
-    ])
+    getLedgerBalances(this.userId)
   ]);
 
   this.metrics.totalStudentsAdded = totalStudents;
@@ -158,21 +150,10 @@ representativeSchema.methods.recalculateMetrics = async function () {
     ? Math.round((activeStudents / totalStudents) * 100)
     : 0;
 
-  // Reset financials
-  this.financials.totalCommissionEarned = 0;
-  this.financials.pendingCommission = 0;
-  this.financials.paidCommission = 0;
-
-  commissionAgg.forEach(c => {
-    if (c._id === 'paid') {
-      this.financials.paidCommission = c.total;
-      this.financials.totalCommissionEarned += c.total;
-    }
-    if (c._id === 'pending' || c._id === 'approved') {
-      this.financials.pendingCommission += c.total;
-      this.financials.totalCommissionEarned += c.total;
-    }
-  });
+  // Financials mirror the ledger
+  this.financials.paidCommission = balances.paid;
+  this.financials.pendingCommission = balances.outstanding;
+  this.financials.totalCommissionEarned = balances.earned;
 
   return this;
 };
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const WorkflowDefinition = require('./WorkflowDefinition');
+const { getStatusProgress } = require('../utils/stateMachine');
 
 /**
  * ServiceRequest Model
@@ -49,6 +51,17 @@ const serviceRequestSchema = new mongoose.Schema({
     index: true
   },
 
+  // Workflow version this request follows (see WorkflowDefinition);
+  // null = built-in flow (utils/stateMachine DEFAULT_WORKFLOW)
+  workflowId: {
+    type: String,
+    default: null
+  },
+  workflowVersion: {
+    type: Number,
+    default: null
+  },
+
   // Progress tracking (0-100%)
   progress: {
     type: Number,
@@ -86,6 +99,16 @@ const serviceRequestSchema = new mongoose.Schema({
   },
   assignedAt: Date,
 
+  // SLA state, so each breach/escalation is acted on once
+  slaTracking: {
+    status: String,      // status the statusLevel applies to
+    statusLevel: { type: String, enum: ['ok', 'breached', 'escalated'], default: 'ok' },
+    deadline: Date,      // deadline the deadlineLevel applies to
+    deadlineLevel: { type: String, enum: ['ok', 'breached', 'escalated'], default: 'ok' },
+    lastBreachAt: Date,
+    lastEscalatedAt: Date
+  },
+
   // Status history for audit trail
   statusHistory: [{
     status: String,
@@ -150,6 +173,17 @@ const serviceRequestSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Stored intake form version formData was validated against
+  // (null: the built-in form, see utils/formDataValidator)
+  intakeFormId: {
+    type: String,
+    ref: 'IntakeForm',
+    default: null
+  },
+  intakeFormVersion: {
+    type: Number,
+    default: null
+  },
 
   // Timestamps
   appliedAt: {
@@ -251,9 +285,22 @@ serviceRequestSchema.index({ priority: -1, createdAt: -1 });
 serviceRequestSchema.index({ isAgentInitiated: 1, agentApprovalStatus: 1 });
 serviceRequestSchema.index({ representativeId: 1, status: 1 });
 serviceRequestSchema.index({ interactionMode: 1 });
+serviceRequestSchema.index({ 'slaTracking.statusLevel': 1, status: 1 });
+
+// Pin new requests to the workflow version active for their service type
+serviceRequestSchema.pre('save', async function() {
+  if (!this.isNew || this.workflowId) return;
+
+  const workflow = await WorkflowDefinition.findActive(this.serviceType);
+  if (workflow) {
+    this.workflowId = workflow.workflowId;
+    this.workflowVersion = workflow.version;
+  }
+});
 
 // Method to update status with history tracking
-serviceRequestSchema.methods.updateStatus = function(newStatus, changedBy, note = '') {
+// workflow: the request's workflow definition (progress weights); defaults to the built-in flow
+serviceRequestSchema.methods.updateStatus = function(newStatus, changedBy, note = '', workflow = null) {
   // Ensure statusHistory array exists
   if (!this.statusHistory) {
     this.statusHistory = [];
@@ -267,28 +314,12 @@ serviceRequestSchema.methods.updateStatus = function(newStatus, changedBy, note
   });
   this.status = newStatus;
 
-  // Ensure progress has a default value
-  const currentProgress = this.progress ?? 0;
-
-  // Auto-update progress based on status
-  const STATUS_PROGRESS_MAP = {
-    'PENDING_ADMIN_ASSIGNMENT': 5,
-    'ASSIGNED': 15,
-    'IN_PROGRESS': 50,
-    'WAITING_STUDENT': 60,
-    'ON_HOLD': currentProgress,
-    'COMPLETED': 100,
-    'CANCELLED': currentProgress
-  };
-
-  if (STATUS_PROGRESS_MAP[newStatus] !== undefined && newStatus !== 'ON_HOLD' && newStatus !== 'CANCELLED') {
-    this.progress = Math.max(currentProgress, STATUS_PROGRESS_MAP[newStatus]);
-  }
+  // Auto-update progress based on the workflow's progress weights
+  this.progress = getStatusProgress(workflow, newStatus, this.progress ?? 0);
 
   // Set completion/cancellation timestamps
   if (newStatus === 'COMPLETED') {
     this.completedAt = new Date();
-    this.progress = 100;
   } else if (newStatus === 'CANCELLED') {
     this.cancelledAt = new Date();
   }
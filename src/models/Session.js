@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ * Server-side registry of login sessions. Access and refresh tokens carry the
+ * sessionId (sid) so a session can be revoked before its tokens expire.
+ * Refresh tokens are rotated on every use; presenting an already-rotated
+ * token (currentTokenId mismatch) is treated as token theft.
+ */
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  role: String,
+  // jti of the only refresh token currently valid for this session
+  currentTokenId: {
+    type: String,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the pre-registry refresh token (no sid) this session replaced;
+  // unique, so such a token starts at most one session
+  legacyTokenHash: {
+    type: String,
+    default: undefined
+  },
+  // Whether the login passed a second factor
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  // Client metadata
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: String,
+  // Absolute expiry (refresh token lifetime)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'admin_revoked', 'session_limit', 'idle_timeout', 'token_reuse', 'password_reset', 'account_deactivated', null],
+    default: null
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index(
+  { legacyTokenHash: 1 },
+  { unique: true, partialFilterExpression: { legacyTokenHash: { $type: 'string' } } }
+);
+// Let MongoDB purge sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
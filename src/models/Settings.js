@@ -40,7 +40,37 @@ const commissionSettingsSchema = new mongoose.Schema({
     minStudents: { type: Number },
     maxStudents: { type: Number },
     commissionRate: { type: Number }
-  }]
+  }],
+  // Bank upload files for payout runs (utils/bankFiles)
+  bankFile: {
+    defaultFormat: { type: String, enum: ['csv', 'pain001', 'fixed_width'], default: 'csv' },
+    // Paying account, used in pain.001 files
+    debtor: {
+      name: { type: String, default: '' },
+      accountNumber: { type: String, default: '' },
+      routingNumber: { type: String, default: '' }
+    },
+    // Layout of the fixed_width format; empty uses the built-in layout
+    fixedWidth: {
+      recordFields: [{
+        _id: false,
+        source: String,
+        value: String,
+        width: Number,
+        align: { type: String, enum: ['left', 'right'], default: 'left' },
+        pad: { type: String, default: ' ' }
+      }],
+      trailerFields: [{
+        _id: false,
+        source: String,
+        value: String,
+        width: Number,
+        align: { type: String, enum: ['left', 'right'], default: 'left' },
+        pad: { type: String, default: ' ' }
+      }],
+      lineEnding: { type: String, enum: ['CRLF', 'LF'], default: 'CRLF' }
+    }
+  }
 }, { _id: false });
 
 // Sub-schema for application rules
@@ -51,6 +81,7 @@ const applicationRulesSchema = new mongoose.Schema({
   requireDocumentVerification: { type: Boolean, default: true },
   autoAssignCounselor: { type: Boolean, default: false },
   autoAssignAgent: { type: Boolean, default: false },
+  // Display order only — transitions come from WorkflowDefinition versions
   statusFlow: {
     type: [String],
     default: ['PENDING_ADMIN_ASSIGNMENT', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'ON_HOLD', 'CANCELLED']
@@ -62,6 +93,30 @@ const applicationRulesSchema = new mongoose.Schema({
   optionalDocuments: {
     type: [String],
     default: ['recommendation', 'resume', 'testScores']
+  },
+  // SLA timers: hours a service request may sit in a status before the
+  // assignee is notified (breach) and super admins are alerted (escalation)
+  sla: {
+    enabled: { type: Boolean, default: false },
+    scanIntervalMinutes: { type: Number, default: 15 },
+    bumpPriorityOnEscalation: { type: Boolean, default: true },
+    definitions: {
+      type: [{
+        serviceType: { type: String, default: '*' }, // '*' = any service type
+        status: { type: String, required: true },
+        breachAfterHours: { type: Number, required: true, min: 0 },
+        escalateAfterHours: { type: Number, required: true, min: 0 }
+      }],
+      default: [
+        { serviceType: '*', status: 'PENDING_ADMIN_ASSIGNMENT', breachAfterHours: 24, escalateAfterHours: 48 },
+        { serviceType: '*', status: 'ASSIGNED', breachAfterHours: 48, escalateAfterHours: 96 },
+        { serviceType: '*', status: 'IN_PROGRESS', breachAfterHours: 336, escalateAfterHours: 504 },
+        { serviceType: '*', status: 'ON_HOLD', breachAfterHours: 168, escalateAfterHours: 336 }
+      ]
+    },
+    // Hours past ServiceRequest.deadline / Task.dueDate before escalating
+    deadlineEscalateAfterHours: { type: Number, default: 48 },
+    taskEscalateAfterHours: { type: Number, default: 72 }
   }
 }, { _id: false });
 
@@ -124,6 +179,7 @@ const emailNotificationSettingsSchema = new mongoose.Schema({
   templates: {
     welcome: { type: String, default: 'welcome_template' },
     passwordReset: { type: String, default: 'password_reset_template' },
+    emailVerification: { type: String, default: 'email_verification_template' },
     applicationConfirmation: { type: String, default: 'application_confirmation_template' },
     statusUpdate: { type: String, default: 'status_update_template' }
   }
@@ -199,7 +255,10 @@ const featureTogglesSchema = new mongoose.Schema({
   maintenance: {
     enabled: { type: Boolean, default: false },
     message: { type: String, default: 'System is under maintenance. Please try again later.' },
-    allowedRoles: { type: [String], default: ['super_admin'] }
+    allowedRoles: { type: [String], default: ['super_admin'] },
+    // Optional window: announced in advance, active between start and end
+    scheduledStart: { type: Date, default: null },
+    scheduledEnd: { type: Date, default: null }
   }
 }, { _id: false });
 
@@ -208,7 +267,8 @@ const paymentSettingsSchema = new mongoose.Schema({
   enabled: { type: Boolean, default: false },
   currency: { type: String, default: 'USD' },
   supportedCurrencies: { type: [String], default: ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD'] },
-  paymentGateway: { type: String, enum: ['stripe', 'razorpay', 'paypal', 'none'], default: 'none' },
+  // Hosted checkout for student payments (payments/gateway); 'fake' is for development and refused in production
+  paymentGateway: { type: String, enum: ['stripe', 'razorpay', 'paypal', 'fake', 'none'], default: 'none' },
 
   // Service fees
   serviceFees: {
@@ -288,6 +348,29 @@ settingsSchema.statics.getSettings = async function() {
   return settings;
 };
 
+// Short-lived in-process cache for hot paths (auth/session checks) that read
+// settings on every request. Writes through the statics below invalidate it.
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+let settingsCache = { value: null, loadedAt: 0 };
+
+settingsSchema.statics.getCachedSettings = async function() {
+  if (settingsCache.value && Date.now() - settingsCache.loadedAt < SETTINGS_CACHE_TTL_MS) {
+    return settingsCache.value;
+  }
+
+  const settings = await this.getSettings();
+  settingsCache = { value: settings, loadedAt: Date.now() };
+  return settings;
+};
+
+settingsSchema.statics.clearCache = function() {
+  settingsCache = { value: null, loadedAt: 0 };
+};
+
+settingsSchema.post('findOneAndUpdate', () => settingsSchema.statics.clearCache());
+settingsSchema.post('save', () => settingsSchema.statics.clearCache());
+settingsSchema.post('deleteOne', () => settingsSchema.statics.clearCache());
+
 // Static method to update settings
 settingsSchema.statics.updateSettings = async function(updates, userId) {
   const settings = await this.findOneAndUpdate(
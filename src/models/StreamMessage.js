@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * StreamMessage Model
+ * Capped collection every API instance tails (events/transports/mongoTransport)
+ * to pass messages between instances: socket emits and domain event
+ * wake-ups. Old messages roll off automatically; nothing here is durable.
+ */
+const streamMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  // Instance that published the message
+  origin: String,
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: 16 * 1024 * 1024, max: 50000 },
+  versionKey: false
+});
+
+module.exports = mongoose.model('StreamMessage', streamMessageSchema);
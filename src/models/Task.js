@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getBlockingTasks } = require('../utils/taskDependencies');
 
 /**
  * Task Model
@@ -66,6 +67,28 @@ const taskSchema = new mongoose.Schema({
     default: 'student'
   },
 
+  // Template the task was created from (see services/taskTemplateService)
+  templateId: {
+    type: String,
+    ref: 'TaskTemplate',
+    default: null
+  },
+  templateKey: {
+    type: String,
+    default: null
+  },
+  // Form definition for QUESTIONNAIRE / FORM_COMPLETION tasks (see utils/formSchema)
+  form: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Tasks (same service request) that must be COMPLETED before this one can be submitted
+  dependsOn: [{
+    type: String,
+    ref: 'Task'
+  }],
+
   // Status tracking
   status: {
     type: String,
@@ -92,9 +115,28 @@ const taskSchema = new mongoose.Schema({
   // Due date
   dueDate: Date,
 
+  // SLA state for the current dueDate (see services/slaService)
+  slaTracking: {
+    dueDate: Date,
+    level: { type: String, enum: ['ok', 'breached', 'escalated'], default: 'ok' },
+    lastBreachAt: Date,
+    lastEscalatedAt: Date
+  },
+
+  // Reminder bookkeeping (see jobs/taskReminders) — the dueDate the
+  // "due soon" reminder was sent for, so a moved due date is reminded again
+  reminders: {
+    dueSoonSentFor: Date
+  },
+
   // Student submission
   submission: {
     text: String,
+    // Structured answers to `form`, keyed by field key
+    answers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
     submittedAt: Date,
     files: [{
       name: String,
@@ -126,6 +168,7 @@ const taskSchema = new mongoose.Schema({
   revisionHistory: [{
     submittedAt: Date,
     text: String,
+    answers: mongoose.Schema.Types.Mixed,
     files: [{
       name: String,
       url: String
@@ -172,6 +215,11 @@ taskSchema.index({ serviceRequestId: 1, status: 1 });
 taskSchema.index({ assignedTo: 1, status: 1, dueDate: 1 });
 taskSchema.index({ assignedBy: 1, createdAt: -1 });
 taskSchema.index({ status: 1, dueDate: 1 });
+// A template is instantiated at most once per service request
+taskSchema.index(
+  { serviceRequestId: 1, templateId: 1 },
+  { unique: true, partialFilterExpression: { templateId: { $type: 'string' } } }
+);
 
 // Method to update status with history
 taskSchema.methods.updateStatus = function(newStatus, changedBy, note = '') {
@@ -188,13 +236,27 @@ taskSchema.methods.updateStatus = function(newStatus, changedBy, note = '') {
   }
 };
 
+// Prerequisite tasks that are not completed yet
+taskSchema.methods.getBlockingTasks = async function() {
+  if (!this.dependsOn || this.dependsOn.length === 0) return [];
+
+  const prerequisites = await this.constructor.find({
+    taskId: { $in: this.dependsOn },
+    serviceRequestId: this.serviceRequestId
+  }).select('taskId title status').lean();
+
+  return getBlockingTasks(this, prerequisites)
+    .map(t => ({ taskId: t.taskId, title: t.title, status: t.status }));
+};
+
 // Method to submit task
-taskSchema.methods.submit = function(text, files = []) {
+taskSchema.methods.submit = function(text, files = [], answers = undefined) {
   // Save current submission to history if exists
   if (this.submission && this.submission.submittedAt) {
     this.revisionHistory.push({
       submittedAt: this.submission.submittedAt,
       text: this.submission.text,
+      answers: this.submission.answers,
       files: this.submission.files,
       feedback: this.feedback ? this.feedback.text : null,
       reviewedAt: this.feedback ? this.feedback.providedAt : null,
@@ -205,6 +267,7 @@ taskSchema.methods.submit = function(text, files = []) {
   // Update submission
   this.submission = {
     text,
+    answers,
     files,
     submittedAt: new Date()
   };
@@ -223,4 +286,10 @@ taskSchema.methods.provideFeedback = function(feedbackText, providedBy, rating =
   };
 };
 
-module.exports = mongoose.model('Task', taskSchema);
+const Task = mongoose.model('Task', taskSchema);
+
+// Task types that carry a form and are submitted as structured answers
+const FORM_TASK_TYPES = ['QUESTIONNAIRE', 'FORM_COMPLETION'];
+
+module.exports = Task;
+module.exports.FORM_TASK_TYPES = FORM_TASK_TYPES;
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * TaskTemplate Model
+ * Task a service request of `serviceType` gets automatically when it enters
+ * `triggerStatus` (see services/taskTemplateService). Templates of the same
+ * serviceType refer to each other by `key`; the tasks created from them keep
+ * those dependencies as taskIds (Task.dependsOn).
+ */
+const taskTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  serviceType: {
+    type: String,
+    required: true,
+    enum: [
+      'PROFILE_ASSESSMENT',
+      'UNIVERSITY_SHORTLISTING',
+      'APPLICATION_ASSISTANCE',
+      'VISA_GUIDANCE',
+      'SCHOLARSHIP_SEARCH',
+      'LOAN_ASSISTANCE',
+      'ACCOMMODATION_HELP',
+      'PRE_DEPARTURE_ORIENTATION'
+    ],
+    index: true
+  },
+  // Stable identifier within the serviceType, used by dependsOn
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Task content (copied onto each task)
+  taskType: {
+    type: String,
+    required: true,
+    enum: [
+      'DOCUMENT_UPLOAD',
+      'QUESTIONNAIRE',
+      'VIDEO_CALL',
+      'REVIEW_SESSION',
+      'INFORMATION_SUBMISSION',
+      'FORM_COMPLETION',
+      'PAYMENT',
+      'APPROVAL_REQUIRED',
+      'OTHER'
+    ]
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  instructions: String,
+  priority: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'],
+    default: 'MEDIUM'
+  },
+  // Form definition for QUESTIONNAIRE / FORM_COMPLETION tasks (see utils/formSchema)
+  form: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Due date = creation time + dueOffsetDays (none when null)
+  dueOffsetDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // auto: the partner for rep-counselor cases, otherwise the student
+  assigneeRole: {
+    type: String,
+    enum: ['auto', 'student', 'rep3'],
+    default: 'auto'
+  },
+  // Service request status that creates the task
+  triggerStatus: {
+    type: String,
+    enum: ['ASSIGNED', 'IN_PROGRESS', 'WAITING_STUDENT', 'ON_HOLD'],
+    default: 'ASSIGNED'
+  },
+  // Keys of templates whose tasks must be completed before this one can be submitted
+  dependsOn: [{
+    type: String
+  }],
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: String,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: String,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+taskTemplateSchema.index({ serviceType: 1, key: 1 }, { unique: true });
+taskTemplateSchema.index({ serviceType: 1, triggerStatus: 1, isActive: 1 });
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
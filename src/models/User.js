@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { lockUntilAfter, isLockedAt } = require('../utils/loginLockout');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_HISTORY_LIMIT = 10;
 
 const userSchema = new mongoose.Schema({
   userId: {
@@ -68,7 +74,71 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  lastLogin: Date
+  lastLogin: Date,
+  // When the user's last socket disconnected (services/presenceService)
+  lastSeenAt: Date,
+  // Email verification (Settings.userRoles.requireEmailVerification).
+  // Defaults to true so accounts created before verification existed stay usable.
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  // Admin approval of self-registrations (Settings.userRoles.requireAdminApproval)
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved',
+    index: true
+  },
+  approvalNote: String,
+  approvalReviewedBy: String,
+  approvalReviewedAt: Date,
+  // Self-service password reset (only the SHA-256 hash of the token is stored)
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  // Recent password hashes (newest last), checked against passwordPolicy.preventReuseCount
+  passwordHistory: {
+    type: [String],
+    select: false,
+    default: undefined
+  },
+  // Brute-force protection (Settings.security.loginAttempts)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // TOTP two-factor authentication (Settings.security.twoFactorAuth)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false, default: undefined }, // SHA-256 hashes
+    lastUsedStep: { type: Number, select: false }, // blocks replay of an accepted code
+    enabledAt: Date
+  },
+  // Embedded in refresh tokens; bumping it revokes every outstanding refresh token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
 }, { timestamps: true });
 
 // Hash password before saving
@@ -83,12 +153,134 @@ userSchema.pre('save', async function(next) {
   }
 
   this.password = await bcrypt.hash(this.password, 10);
+
+  // A password change on an existing account revokes its refresh tokens
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  this._passwordHashToRecord = this.password;
   next();
 });
 
+// Append the new hash to passwordHistory. Done as a separate $push so it works
+// even when the document was loaded without the (unselected) history field.
+userSchema.post('save', async function() {
+  if (!this._passwordHashToRecord) return;
+
+  const hash = this._passwordHashToRecord;
+  delete this._passwordHashToRecord;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { passwordHistory: { $each: [hash], $slice: -PASSWORD_HISTORY_LIMIT } } }
+  );
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Deactivating an account (every admin path uses findOneAndUpdate) ends its
+// sessions immediately, which also disconnects its sockets.
+userSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const isActive = update.isActive ?? update.$set?.isActive;
+  if (!doc || isActive !== false) return;
+
+  try {
+    // Lazy require: sessionService -> socketManager -> middlewares/auth -> User
+    const { revokeAllForUser } = require('../services/sessionService');
+    await revokeAllForUser(doc.userId, { reason: 'account_deactivated', revokedBy: 'system' });
+  } catch (error) {
+    console.error('Session revoke on deactivation error:', error.message);
+  }
+});
+
+/**
+ * Generate a single-use password reset token.
+ * Stores only the hash on the document; the caller must save() and
+ * deliver the returned raw token to the user.
+ * @returns {String} Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = userSchema.statics.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+
+  return resetToken;
+};
+
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+userSchema.methods.isLocked = function() {
+  return isLockedAt(this.lockUntil);
+};
+
+/**
+ * Record a failed login and lock the account once maxAttempts is reached.
+ * Uses an atomic $inc so parallel guesses cannot slip past the limit.
+ * @param {Object} policy - { maxAttempts, lockoutDuration (minutes) }
+ * @returns {Promise<{ locked: boolean, attempts: number, lockUntil?: Date }>}
+ */
+userSchema.methods.registerFailedLogin = async function({ maxAttempts, lockoutDuration }) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  const attempts = updated ? updated.failedLoginAttempts : this.failedLoginAttempts + 1;
+
+  const lockUntil = lockUntilAfter(attempts, { maxAttempts, lockoutDuration });
+  if (lockUntil) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { failedLoginAttempts: 0, lockUntil } }
+    );
+    this.failedLoginAttempts = 0;
+    this.lockUntil = lockUntil;
+    return { locked: true, attempts, lockUntil };
+  }
+
+  this.failedLoginAttempts = attempts;
+  return { locked: false, attempts };
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+/**
+ * Generate an email verification token (hash stored, raw token returned)
+ * @returns {String} Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = userSchema.statics.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// SHA-256 of single-use tokens (password reset, email verification)
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
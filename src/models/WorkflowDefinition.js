@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * WorkflowDefinition Model
+ * Versioned service-request workflow for a serviceType ('*' = any type
+ * without its own workflow). Versions are never edited: a change creates a
+ * new version, and only one version per serviceType is active. Requests are
+ * pinned to the version that was active when they were created
+ * (ServiceRequest.workflowId).
+ */
+const workflowDefinitionSchema = new mongoose.Schema({
+  workflowId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  serviceType: {
+    type: String,
+    required: true,
+    enum: [
+      '*',
+      'PROFILE_ASSESSMENT',
+      'UNIVERSITY_SHORTLISTING',
+      'APPLICATION_ASSISTANCE',
+      'VISA_GUIDANCE',
+      'SCHOLARSHIP_SEARCH',
+      'LOAN_ASSISTANCE',
+      'ACCOMMODATION_HELP',
+      'PRE_DEPARTURE_ORIENTATION'
+    ]
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  name: String,
+  states: [{
+    _id: false,
+    status: { type: String, required: true },
+    label: String,
+    // Progress (%) on entering the state; null keeps the current progress
+    progress: { type: Number, min: 0, max: 100, default: null }
+  }],
+  transitions: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    roles: [{ type: String }],
+    // Conditions that must hold before the transition is applied
+    guards: [{
+      _id: false,
+      rule: { type: String, required: true },
+      params: { type: mongoose.Schema.Types.Mixed, default: {} }
+    }]
+  }],
+  changeNote: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: String,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: String,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+workflowDefinitionSchema.index({ serviceType: 1, version: 1 }, { unique: true });
+// At most one active version per serviceType
+workflowDefinitionSchema.index(
+  { serviceType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+/**
+ * Active workflow for a service type, falling back to the '*' workflow
+ * @param {String} serviceType
+ * @returns {Promise<Object|null>} lean definition
+ */
+workflowDefinitionSchema.statics.findActive = async function(serviceType) {
+  const active = await this.find({ serviceType: { $in: [serviceType, '*'] }, isActive: true }).lean();
+  return active.find(w => w.serviceType === serviceType) || active.find(w => w.serviceType === '*') || null;
+};
+
+module.exports = mongoose.model('WorkflowDefinition', workflowDefinitionSchema);
@@ -0,0 +1,180 @@
+/**
+ * Payment Gateways
+ * Hosted checkout and webhooks for student payments. The active gateway is
+ * Settings.payment.paymentGateway; webhooks are verified by the gateway
+ * named in their URL, so events for payments started before a switch still
+ * arrive.
+ *
+ * Adapters (payments/gateways), credentials from the environment:
+ *   stripe   — Checkout Sessions; STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET
+ *   razorpay — Payment Links; RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET
+ *   paypal   — Orders v2; PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID, PAYPAL_API_URL
+ *   fake     — in-process, no network (development and tests); FAKE_GATEWAY_SECRET.
+ *              Unavailable when NODE_ENV=production: anyone could "pay" with it
+ *
+ * A gateway implements:
+ *   createCheckoutSession({ payment, description, customer, successUrl, cancelUrl })
+ *       -> Promise<{ sessionId, checkoutUrl, expiresAt }>
+ *   verifyWebhook(rawBody, headers)
+ *       -> Promise<event | null>  (throws BadRequestError WEBHOOK_SIGNATURE_INVALID; null for events it ignores)
+ *   capture(event)               -> Promise<event> (optional: gateways that need approved payments captured)
+ *   cancelCheckoutSession(sessionId) -> Promise (optional: stop an open checkout from being paid;
+ *                                   without it a replaced checkout stays payable until it expires)
+ * A webhook event is normalized to
+ *   { eventId, type, status: 'processing'|'completed'|'failed'|'refunded', paymentId, sessionId,
+ *     gatewayPaymentId, amount, currency, failureReason, needsCapture }
+ * with amount in major units; any reference the gateway doesn't send is null.
+ */
+
+const crypto = require('crypto');
+const { BadRequestError } = require('../utils/errors');
+
+const GATEWAYS = ['stripe', 'razorpay', 'paypal', 'fake'];
+
+const adapters = new Map();
+
+/**
+ * Whether a gateway can take checkouts and webhooks in this environment
+ * @param {String} kind
+ * @returns {Boolean}
+ */
+const isGatewayAvailable = (kind) =>
+  GATEWAYS.includes(kind) && !(kind === 'fake' && process.env.NODE_ENV === 'production');
+
+const createGateway = (kind) => {
+  switch (kind) {
+    case 'stripe':
+      return require('./gateways/stripeGateway').createStripeGateway();
+    case 'razorpay':
+      return require('./gateways/razorpayGateway').createRazorpayGateway();
+    case 'paypal':
+      return require('./gateways/paypalGateway').createPaypalGateway();
+    case 'fake':
+      if (!isGatewayAvailable('fake')) throw new BadRequestError('The fake payment gateway is not available in production', 'PAYMENT_GATEWAY_UNAVAILABLE');
+      return require('./gateways/fakeGateway').createFakeGateway();
+    default:
+      throw new BadRequestError(`Unknown payment gateway: ${kind}`, 'PAYMENT_GATEWAY_UNKNOWN');
+  }
+};
+
+/**
+ * The adapter for a gateway, created on first use
+ * @param {String} kind - one of GATEWAYS
+ * @returns {Object}
+ */
+const getGateway = (kind) => {
+  if (!adapters.has(kind)) adapters.set(kind, createGateway(kind));
+  return adapters.get(kind);
+};
+
+/**
+ * Replace a gateway's adapter (tests)
+ * @param {String} kind
+ * @param {Object|null} adapter - null drops it, so the next use creates a fresh one
+ */
+const setGateway = (kind, adapter) => {
+  if (adapter) adapters.set(kind, adapter);
+  else adapters.delete(kind);
+};
+
+// ========================
+// Helpers for adapters
+// ========================
+
+const invalidSignature = (message = 'Invalid webhook signature') =>
+  new BadRequestError(message, 'WEBHOOK_SIGNATURE_INVALID');
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex strings
+const safeEqualHex = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+};
+
+/**
+ * Check a `t=<unix seconds>,v1=<hex hmac of "t.body">` signature header
+ * (Stripe's scheme, also used by the fake gateway)
+ * @param {Buffer|String} rawBody
+ * @param {String} header
+ * @param {String} secret
+ * @param {Object} options - { toleranceSeconds, now }
+ */
+function verifyTimestampedSignature(rawBody, header, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  if (!secret) throw invalidSignature('Webhook secret is not configured');
+  const parts = String(header || '').split(',').map(p => p.trim().split('='));
+  const timestamp = Number(parts.find(([k]) => k === 't')?.[1]);
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+  if (!Number.isFinite(timestamp) || signatures.length === 0) throw invalidSignature('Malformed signature header');
+
+  const expected = hmacHex(secret, `${timestamp}.${rawBody.toString('utf8')}`);
+  if (!signatures.some(sig => safeEqualHex(sig, expected))) throw invalidSignature();
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) throw invalidSignature('Webhook timestamp is outside the tolerance');
+}
+
+const parseJson = (rawBody) => {
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw new BadRequestError('Webhook body is not JSON', 'WEBHOOK_BODY_INVALID');
+  }
+};
+
+// Header lookup that ignores case (raw Node headers are lower-case already)
+const header = (headers, name) => headers[name.toLowerCase()] ?? headers[name];
+
+/**
+ * Normalized webhook event (see module doc)
+ */
+const gatewayEvent = (fields) => ({
+  eventId: null,
+  type: null,
+  status: null,
+  paymentId: null,
+  sessionId: null,
+  gatewayPaymentId: null,
+  amount: null,
+  currency: null,
+  failureReason: null,
+  needsCapture: false,
+  ...fields
+});
+
+/**
+ * JSON request to a gateway API; errors carry the gateway's message
+ * @param {String} url
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>}
+ */
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  let body = {};
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (error) {
+    body = { message: text };
+  }
+  if (!response.ok) {
+    const message = body.error?.message || body.error?.description || body.message || body.error_description || response.statusText;
+    const error = new Error(`Payment gateway error (${response.status}): ${message}`);
+    error.gatewayStatus = response.status;
+    throw error;
+  }
+  return body;
+}
+
+module.exports = {
+  GATEWAYS,
+  isGatewayAvailable,
+  getGateway,
+  setGateway,
+  invalidSignature,
+  hmacHex,
+  safeEqualHex,
+  verifyTimestampedSignature,
+  parseJson,
+  header,
+  gatewayEvent,
+  requestJson
+};
@@ -0,0 +1,110 @@
+/**
+ * Fake payment gateway
+ * Same contract as the real adapters (see payments/gateway) with no network:
+ * checkout sessions are just ids, and "paying" one means posting a signed
+ * event to our own webhook (POST /payments/fake-gateway/checkout/:sessionId
+ * does that outside production). Events are signed like Stripe's, with
+ * FAKE_GATEWAY_SECRET, in the X-Fake-Signature header.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  verifyTimestampedSignature,
+  hmacHex,
+  parseJson,
+  header,
+  gatewayEvent
+} = require('../gateway');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/paymentStatus');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Outcome a tester picks -> event type
+const EVENT_TYPES = {
+  processing: 'checkout.processing',
+  completed: 'checkout.completed',
+  failed: 'checkout.failed',
+  refunded: 'charge.refunded'
+};
+const STATUS_BY_TYPE = Object.fromEntries(Object.entries(EVENT_TYPES).map(([status, type]) => [type, status]));
+
+function createFakeGateway({ secret = process.env.FAKE_GATEWAY_SECRET, checkoutBaseUrl = '/api/v1/payments/fake-gateway/checkout' } = {}) {
+  const requireSecret = () => {
+    if (!secret) throw new Error('FAKE_GATEWAY_SECRET is not set');
+  };
+
+  /**
+   * Signed webhook request for an event body
+   * @param {Object} body
+   * @param {Object} options - { timestamp (unix seconds) }
+   * @returns {{ rawBody: Buffer, headers: Object }}
+   */
+  const signEvent = (body, { timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    requireSecret();
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return {
+      rawBody,
+      headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${hmacHex(secret, `${timestamp}.${rawBody.toString('utf8')}`)}` }
+    };
+  };
+
+  return {
+    kind: 'fake',
+    SIGNATURE_HEADER,
+    signEvent,
+
+    async createCheckoutSession() {
+      requireSecret();
+      const sessionId = `fcs_${uuidv4().replace(/-/g, '')}`;
+      return {
+        sessionId,
+        checkoutUrl: `${checkoutBaseUrl}/${sessionId}`,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      };
+    },
+
+    /**
+     * Event body as the fake gateway would send it
+     * @param {Object} payment - { paymentId, amount, currency, checkout: { sessionId }, gatewayPaymentId }
+     * @param {String} outcome - processing|completed|failed|refunded
+     * @param {Object} options - { failureReason, amount }
+     */
+    buildEvent(payment, outcome, { failureReason, amount = payment.amount } = {}) {
+      return {
+        id: `fevt_${uuidv4().replace(/-/g, '')}`,
+        type: EVENT_TYPES[outcome],
+        created: Math.floor(Date.now() / 1000),
+        data: {
+          sessionId: payment.checkout?.sessionId || null,
+          paymentId: payment.paymentId,
+          gatewayPaymentId: payment.gatewayPaymentId || `fpi_${payment.paymentId.replace(/-/g, '').slice(0, 24)}`,
+          amount: toMinorUnits(amount, payment.currency),
+          currency: payment.currency,
+          failureReason: outcome === 'failed' ? (failureReason || 'Card declined') : null
+        }
+      };
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      verifyTimestampedSignature(rawBody, header(headers, SIGNATURE_HEADER), secret);
+      const body = parseJson(rawBody);
+      const status = STATUS_BY_TYPE[body.type];
+      if (!status) return null;
+
+      const { data = {} } = body;
+      return gatewayEvent({
+        eventId: body.id,
+        type: body.type,
+        status,
+        paymentId: data.paymentId || null,
+        sessionId: data.sessionId || null,
+        gatewayPaymentId: data.gatewayPaymentId || null,
+        amount: Number.isFinite(data.amount) ? fromMinorUnits(data.amount, data.currency) : null,
+        currency: data.currency || null,
+        failureReason: data.failureReason || null
+      });
+    }
+  };
+}
+
+module.exports = { createFakeGateway, EVENT_TYPES };
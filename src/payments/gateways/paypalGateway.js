@@ -0,0 +1,190 @@
+/**
+ * PayPal payment gateway
+ * Orders v2: the student approves the order on PayPal, the approval webhook
+ * makes us capture it, and the capture webhooks settle the payment.
+ * Webhooks are verified by PayPal's verify-webhook-signature API.
+ * Orders can't be cancelled, so a replaced checkout is simply never captured.
+ * Env: PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID,
+ *      PAYPAL_API_URL (default sandbox; https://api-m.paypal.com for live)
+ */
+
+const {
+  invalidSignature,
+  parseJson,
+  header,
+  gatewayEvent,
+  requestJson
+} = require('../gateway');
+
+const SANDBOX_URL = 'https://api-m.sandbox.paypal.com';
+
+const captureStatus = (status) => ({
+  COMPLETED: 'completed',
+  PENDING: 'processing',
+  DECLINED: 'failed',
+  FAILED: 'failed'
+}[status] || null);
+
+// Last path segment of a HATEOAS link, e.g. the capture a refund belongs to
+const linkedId = (links = [], rel) => {
+  const href = links.find(link => link.rel === rel)?.href;
+  return href ? href.split('/').pop() : null;
+};
+
+function createPaypalGateway({
+  clientId = process.env.PAYPAL_CLIENT_ID,
+  clientSecret = process.env.PAYPAL_CLIENT_SECRET,
+  webhookId = process.env.PAYPAL_WEBHOOK_ID,
+  apiUrl = process.env.PAYPAL_API_URL || SANDBOX_URL
+} = {}) {
+  let token = null;
+
+  const accessToken = async () => {
+    if (token && token.expiresAt > Date.now()) return token.value;
+    if (!clientId || !clientSecret) throw new Error('PAYPAL_CLIENT_ID / PAYPAL_CLIENT_SECRET are not set');
+    const body = await requestJson(`${apiUrl}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    token = { value: body.access_token, expiresAt: Date.now() + (body.expires_in - 60) * 1000 };
+    return token.value;
+  };
+
+  const api = async (path, { method = 'GET', body, requestId } = {}) => requestJson(`${apiUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${await accessToken()}`,
+      'Content-Type': 'application/json',
+      ...(requestId && { 'PayPal-Request-Id': requestId })
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const toEvent = async (body) => {
+    const resource = body.resource || {};
+    const base = { eventId: body.id, type: body.event_type };
+
+    switch (body.event_type) {
+      case 'CHECKOUT.ORDER.APPROVED': {
+        const unit = resource.purchase_units?.[0] || {};
+        return gatewayEvent({
+          ...base,
+          status: 'processing',
+          paymentId: unit.custom_id || unit.reference_id || null,
+          sessionId: resource.id,
+          needsCapture: true
+        });
+      }
+      case 'PAYMENT.CAPTURE.COMPLETED':
+      case 'PAYMENT.CAPTURE.PENDING':
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return gatewayEvent({
+          ...base,
+          status: captureStatus(resource.status) || (body.event_type === 'PAYMENT.CAPTURE.COMPLETED' ? 'completed' : 'failed'),
+          paymentId: resource.custom_id || null,
+          sessionId: resource.supplementary_data?.related_ids?.order_id || null,
+          gatewayPaymentId: resource.id,
+          amount: resource.amount ? Number(resource.amount.value) : null,
+          currency: resource.amount?.currency_code || null,
+          failureReason: resource.status_details?.reason || (body.event_type === 'PAYMENT.CAPTURE.COMPLETED' ? null : 'Payment denied')
+        });
+      case 'PAYMENT.CAPTURE.REFUNDED':
+      case 'PAYMENT.CAPTURE.REVERSED': {
+        // The refund resource doesn't say whether it was full; the capture does
+        const captureId = body.event_type === 'PAYMENT.CAPTURE.REFUNDED' ? linkedId(resource.links, 'up') : resource.id;
+        if (!captureId) return null;
+        const capture = await api(`/v2/payments/captures/${captureId}`);
+        if (!['REFUNDED', 'REVERSED'].includes(capture.status)) return null;
+        return gatewayEvent({
+          ...base,
+          status: 'refunded',
+          paymentId: capture.custom_id || null,
+          gatewayPaymentId: captureId,
+          amount: capture.amount ? Number(capture.amount.value) : null,
+          currency: capture.amount?.currency_code || null
+        });
+      }
+      default:
+        return null;
+    }
+  };
+
+  return {
+    kind: 'paypal',
+
+    async createCheckoutSession({ payment, description, successUrl, cancelUrl }) {
+      const order = await api('/v2/checkout/orders', {
+        method: 'POST',
+        requestId: `checkout-${payment.paymentId}`,
+        body: {
+          intent: 'CAPTURE',
+          purchase_units: [{
+            reference_id: payment.paymentId,
+            custom_id: payment.paymentId,
+            description: String(description || '').slice(0, 127),
+            amount: { currency_code: payment.currency, value: payment.amount.toFixed(2) }
+          }],
+          application_context: {
+            return_url: successUrl,
+            cancel_url: cancelUrl,
+            user_action: 'PAY_NOW',
+            shipping_preference: 'NO_SHIPPING'
+          }
+        }
+      });
+
+      const approve = order.links?.find(link => link.rel === 'approve' || link.rel === 'payer-action');
+      return { sessionId: order.id, checkoutUrl: approve?.href || null, expiresAt: null };
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      if (!webhookId) throw invalidSignature('Webhook id is not configured');
+      const body = parseJson(rawBody);
+      const result = await api('/v1/notifications/verify-webhook-signature', {
+        method: 'POST',
+        body: {
+          auth_algo: header(headers, 'paypal-auth-algo'),
+          cert_url: header(headers, 'paypal-cert-url'),
+          transmission_id: header(headers, 'paypal-transmission-id'),
+          transmission_sig: header(headers, 'paypal-transmission-sig'),
+          transmission_time: header(headers, 'paypal-transmission-time'),
+          webhook_id: webhookId,
+          webhook_event: body
+        }
+      });
+      if (result.verification_status !== 'SUCCESS') throw invalidSignature();
+      return toEvent(body);
+    },
+
+    /**
+     * Capture an approved order
+     * @param {Object} event - the CHECKOUT.ORDER.APPROVED event
+     * @returns {Promise<Object>} capture event
+     */
+    async capture(event) {
+      const order = await api(`/v2/checkout/orders/${event.sessionId}/capture`, {
+        method: 'POST',
+        requestId: `capture-${event.sessionId}`
+      });
+      const capture = order.purchase_units?.[0]?.payments?.captures?.[0] || {};
+      return gatewayEvent({
+        eventId: `${event.eventId}:capture`,
+        type: 'ORDER.CAPTURE',
+        status: captureStatus(capture.status) || 'processing',
+        paymentId: capture.custom_id || event.paymentId,
+        sessionId: event.sessionId,
+        gatewayPaymentId: capture.id || null,
+        amount: capture.amount ? Number(capture.amount.value) : null,
+        currency: capture.amount?.currency_code || null,
+        failureReason: capture.status_details?.reason || null
+      });
+    }
+  };
+}
+
+module.exports = { createPaypalGateway };
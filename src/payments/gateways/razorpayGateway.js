@@ -0,0 +1,125 @@
+/**
+ * Razorpay payment gateway
+ * Hosted Payment Links through the REST API. Webhooks carry a hex HMAC of
+ * the body in X-Razorpay-Signature and their id in X-Razorpay-Event-Id.
+ * Env: RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET
+ */
+
+const {
+  invalidSignature,
+  hmacHex,
+  safeEqualHex,
+  parseJson,
+  header,
+  gatewayEvent,
+  requestJson
+} = require('../gateway');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/paymentStatus');
+
+const API_URL = 'https://api.razorpay.com/v1';
+const LINK_TTL_SECONDS = 24 * 60 * 60;
+
+function createRazorpayGateway({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) {
+  const authorization = () => {
+    if (!keyId || !keySecret) throw new Error('RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET are not set');
+    return `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+  };
+
+  const toEvent = (body, eventId) => {
+    const link = body.payload?.payment_link?.entity || {};
+    const payment = body.payload?.payment?.entity || {};
+    const base = { eventId, type: body.event };
+
+    switch (body.event) {
+      case 'payment_link.paid':
+        return gatewayEvent({
+          ...base,
+          status: 'completed',
+          paymentId: link.notes?.paymentId || link.reference_id || null,
+          sessionId: link.id || null,
+          gatewayPaymentId: payment.id || null,
+          amount: Number.isFinite(link.amount_paid) ? fromMinorUnits(link.amount_paid, link.currency) : null,
+          currency: link.currency || null
+        });
+      case 'payment_link.expired':
+      case 'payment_link.cancelled':
+        return gatewayEvent({
+          ...base,
+          status: 'failed',
+          paymentId: link.notes?.paymentId || link.reference_id || null,
+          sessionId: link.id || null,
+          failureReason: body.event === 'payment_link.expired' ? 'Payment link expired' : 'Payment link cancelled'
+        });
+      case 'refund.processed': {
+        const refund = body.payload?.refund?.entity || {};
+        const full = payment.refund_status ? payment.refund_status === 'full' : refund.amount >= payment.amount;
+        if (!full) return null;
+        return gatewayEvent({
+          ...base,
+          status: 'refunded',
+          paymentId: payment.notes?.paymentId || null,
+          gatewayPaymentId: refund.payment_id || payment.id || null,
+          amount: Number.isFinite(refund.amount) ? fromMinorUnits(refund.amount, refund.currency) : null,
+          currency: refund.currency || null
+        });
+      }
+      default:
+        return null;
+    }
+  };
+
+  return {
+    kind: 'razorpay',
+
+    async createCheckoutSession({ payment, description, customer = {}, successUrl }) {
+      const link = await requestJson(`${API_URL}/payment_links`, {
+        method: 'POST',
+        headers: {
+          Authorization: authorization(),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          amount: toMinorUnits(payment.amount, payment.currency),
+          currency: payment.currency,
+          description,
+          reference_id: payment.paymentId,
+          customer: { name: customer.name, email: customer.email },
+          callback_url: successUrl,
+          callback_method: 'get',
+          expire_by: Math.floor(Date.now() / 1000) + LINK_TTL_SECONDS,
+          notes: { paymentId: payment.paymentId }
+        })
+      });
+
+      return {
+        sessionId: link.id,
+        checkoutUrl: link.short_url,
+        expiresAt: link.expire_by ? new Date(link.expire_by * 1000) : null
+      };
+    },
+
+    async cancelCheckoutSession(sessionId) {
+      await requestJson(`${API_URL}/payment_links/${sessionId}/cancel`, {
+        method: 'POST',
+        headers: { Authorization: authorization() }
+      });
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      if (!webhookSecret) throw invalidSignature('Webhook secret is not configured');
+      const signature = header(headers, 'x-razorpay-signature');
+      if (!safeEqualHex(signature, hmacHex(webhookSecret, rawBody))) throw invalidSignature();
+
+      const body = parseJson(rawBody);
+      const eventId = header(headers, 'x-razorpay-event-id')
+        || `${body.event}:${body.payload?.payment_link?.entity?.id || body.payload?.payment?.entity?.id}:${body.created_at}`;
+      return toEvent(body, eventId);
+    }
+  };
+}
+
+module.exports = { createRazorpayGateway };
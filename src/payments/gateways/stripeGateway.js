@@ -0,0 +1,135 @@
+/**
+ * Stripe payment gateway
+ * Hosted Checkout Sessions through the REST API (no SDK). Webhooks are
+ * signed with the endpoint secret in the Stripe-Signature header.
+ * Env: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET
+ */
+
+const {
+  verifyTimestampedSignature,
+  parseJson,
+  header,
+  gatewayEvent,
+  requestJson
+} = require('../gateway');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/paymentStatus');
+
+const API_URL = 'https://api.stripe.com/v1';
+
+// Nested object -> Stripe's form encoding (a[b][0][c]=…)
+const formEncode = (value, prefix = '', pairs = []) => {
+  if (value === undefined || value === null) return pairs;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, inner]) => formEncode(inner, prefix ? `${prefix}[${key}]` : key, pairs));
+  } else {
+    pairs.push(`${encodeURIComponent(prefix)}=${encodeURIComponent(value)}`);
+  }
+  return pairs;
+};
+
+const upper = (currency) => (currency ? String(currency).toUpperCase() : null);
+
+function createStripeGateway({ secretKey = process.env.STRIPE_SECRET_KEY, webhookSecret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const toEvent = (body) => {
+    const object = body.data?.object || {};
+    const base = { eventId: body.id, type: body.type };
+
+    switch (body.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+      case 'checkout.session.async_payment_failed':
+      case 'checkout.session.expired': {
+        const status = body.type === 'checkout.session.expired' || body.type === 'checkout.session.async_payment_failed'
+          ? 'failed'
+          : (object.payment_status === 'unpaid' ? 'processing' : 'completed');
+        return gatewayEvent({
+          ...base,
+          status,
+          paymentId: object.metadata?.paymentId || object.client_reference_id || null,
+          sessionId: object.id,
+          gatewayPaymentId: object.payment_intent || null,
+          amount: Number.isFinite(object.amount_total) ? fromMinorUnits(object.amount_total, object.currency) : null,
+          currency: upper(object.currency),
+          failureReason: body.type === 'checkout.session.expired' ? 'Checkout session expired'
+            : body.type === 'checkout.session.async_payment_failed' ? 'Payment failed' : null
+        });
+      }
+      case 'payment_intent.payment_failed':
+        return gatewayEvent({
+          ...base,
+          status: 'failed',
+          paymentId: object.metadata?.paymentId || null,
+          gatewayPaymentId: object.id,
+          currency: upper(object.currency),
+          failureReason: object.last_payment_error?.message || 'Payment failed'
+        });
+      case 'charge.refunded':
+        // Partial refunds leave the payment completed
+        if (!object.refunded) return null;
+        return gatewayEvent({
+          ...base,
+          status: 'refunded',
+          paymentId: object.metadata?.paymentId || null,
+          gatewayPaymentId: object.payment_intent || null,
+          amount: fromMinorUnits(object.amount_refunded, object.currency),
+          currency: upper(object.currency)
+        });
+      default:
+        return null;
+    }
+  };
+
+  return {
+    kind: 'stripe',
+
+    async createCheckoutSession({ payment, description, customer = {}, successUrl, cancelUrl }) {
+      if (!secretKey) throw new Error('STRIPE_SECRET_KEY is not set');
+      const session = await requestJson(`${API_URL}/checkout/sessions`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Idempotency-Key': `checkout-${payment.paymentId}`
+        },
+        body: formEncode({
+          mode: 'payment',
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          client_reference_id: payment.paymentId,
+          customer_email: customer.email,
+          line_items: [{
+            quantity: 1,
+            price_data: {
+              currency: payment.currency.toLowerCase(),
+              unit_amount: toMinorUnits(payment.amount, payment.currency),
+              product_data: { name: description }
+            }
+          }],
+          metadata: { paymentId: payment.paymentId },
+          payment_intent_data: { metadata: { paymentId: payment.paymentId } }
+        }).join('&')
+      });
+
+      return {
+        sessionId: session.id,
+        checkoutUrl: session.url,
+        expiresAt: session.expires_at ? new Date(session.expires_at * 1000) : null
+      };
+    },
+
+    async cancelCheckoutSession(sessionId) {
+      if (!secretKey) throw new Error('STRIPE_SECRET_KEY is not set');
+      await requestJson(`${API_URL}/checkout/sessions/${sessionId}/expire`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${secretKey}` }
+      });
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      verifyTimestampedSignature(rawBody, header(headers, 'stripe-signature'), webhookSecret);
+      return toEvent(parseJson(rawBody));
+    }
+  };
+}
+
+module.exports = { createStripeGateway, formEncode };
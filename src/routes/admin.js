@@ -7,7 +7,8 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
-const { validate, adminNotificationSchemas } = require('../middlewares/validation');
+const { validate, adminNotificationSchemas, adminSchemas, commissionDisputeSchemas } = require('../middlewares/validation');
+const { enforcePasswordPolicy } = require('../middlewares/passwordPolicy');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const ServiceRequest = require('../models/ServiceRequest');
@@ -19,6 +20,16 @@ const Message = require('../models/Message');
 const { logAudit, logAssignmentEvent, createAuditLog } = require('../utils/auditLogger');
 const { emitToUser } = require('../socket/socketManager');
 const notificationService = require('../services/notificationService');
+const { autoAssignServiceRequest } = require('../services/assignmentService');
+const disputeService = require('../services/commissionDisputeService');
+const { SIGNED_AMOUNT_EXPR } = require('../utils/commissionAdjustments');
+const { getLedgerBalances } = require('../services/ledgerService');
+const { getCommittedCommissionIds } = require('../services/payoutRunService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const sessionService = require('../services/sessionService');
+const { getDefinitions, runJobNow } = require('../services/jobScheduler');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
 const StudentNote = require('../models/StudentNote');
 const Representative = require('../models/Representative');
 const PaymentRequest = require('../models/PaymentRequest');
@@ -519,7 +530,7 @@ router.get('/counselors', authMiddleware, roleMiddleware('super_admin'), async (
  * @desc    Create a new counselor
  * @access  Super Admin
  */
-router.post('/counselors', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/counselors', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('password'), async (req, res) => {
   try {
     const { email, password, firstName, lastName, phone, country } = req.body;
 
@@ -701,7 +712,7 @@ router.delete('/counselors/:userId', authMiddleware, roleMiddleware('super_admin
  * @desc    Reset counselor password
  * @access  Super Admin
  */
-router.post('/counselors/:userId/reset-password', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/counselors/:userId/reset-password', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('newPassword', { userIdParam: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -819,22 +830,7 @@ router.get('/agents', authMiddleware, roleMiddleware('super_admin'), async (req,
         const totalStudents = await Student.countDocuments({ assignedAgent: agent.userId });
         const referredStudents = await Student.countDocuments({ referredBy: agent.userId });
 
-        const commissionAgg = await Commission.aggregate([
-          { $match: { agentId: agent.userId } },
-          {
-            $group: {
-              _id: '$status',
-              total: { $sum: '$amount' }
-            }
-          }
-        ]);
-
-        let totalEarnings = 0;
-        let pendingEarnings = 0;
-        commissionAgg.forEach(c => {
-          if (c._id === 'paid') totalEarnings = c.total;
-          if (c._id === 'pending' || c._id === 'approved') pendingEarnings += c.total;
-        });
+        const balances = await getLedgerBalances(agent.userId);
 
         return {
           ...agent,
@@ -842,8 +838,8 @@ router.get('/agents', authMiddleware, roleMiddleware('super_admin'), async (req,
           totalStudents,
           referredStudents,
           assignedStudents: { length: totalStudents },
-          totalEarnings: agent.totalEarnings || totalEarnings,
-          pendingEarnings: agent.pendingEarnings || pendingEarnings,
+          totalEarnings: balances.paid,
+          pendingEarnings: balances.outstanding,
           commissionRate: agent.commissionPercentage || 10
         };
       })
@@ -865,7 +861,7 @@ router.get('/agents', authMiddleware, roleMiddleware('super_admin'), async (req,
  * @desc    Create a new agent
  * @access  Super Admin
  */
-router.post('/agents', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/agents', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('password'), async (req, res) => {
   try {
     const { email, password, firstName, lastName, phone, country, commissionPercentage = 10 } = req.body;
 
@@ -972,16 +968,15 @@ router.get('/agents/:userId', authMiddleware, roleMiddleware('super_admin'), asy
     };
 
     commissionStats.forEach(c => {
-      if (c._id === 'paid') {
-        stats.totalEarnings = c.total;
-        stats.paidCommissions = c.count;
-      }
-      if (c._id === 'pending' || c._id === 'approved') {
-        stats.pendingEarnings += c.total;
-        stats.pendingCommissions += c.count;
-      }
+      if (c._id === 'paid') stats.paidCommissions = c.count;
+      if (c._id === 'pending' || c._id === 'approved') stats.pendingCommissions += c.count;
     });
 
+    // Earnings from the ledger
+    const balances = await getLedgerBalances(userId);
+    stats.totalEarnings = balances.paid;
+    stats.pendingEarnings = balances.outstanding;
+
     res.json({
       success: true,
       agent: { ...agent, _id: agent.userId, commissionRate: agent.commissionPercentage || 10 },
@@ -1145,7 +1140,7 @@ router.delete('/agents/:userId', authMiddleware, roleMiddleware('super_admin'),
  * @desc    Reset agent password
  * @access  Super Admin
  */
-router.post('/agents/:userId/reset-password', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/agents/:userId/reset-password', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('newPassword', { userIdParam: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -1173,7 +1168,7 @@ router.post('/agents/:userId/reset-password', authMiddleware, roleMiddleware('su
  * @desc    Create new counselor or agent
  * @access  Super Admin
  */
-router.post('/users', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/users', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('password'), async (req, res) => {
   try {
     const { email, password, firstName, lastName, role, phone, country } = req.body;
 
@@ -1272,6 +1267,313 @@ router.put('/users/:userId/status', authMiddleware, roleMiddleware('super_admin'
   }
 });
 
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Clear a login lockout and reset the failed-attempt counter
+ * @access  Super Admin
+ */
+router.post('/users/:userId/unlock', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ userId }).select('userId email failedLoginAttempts lockUntil');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousState = { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil || null };
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'account_unlocked',
+      entityType: 'user',
+      entityId: userId,
+      previousState,
+      newState: { failedLoginAttempts: 0, lockUntil: null },
+      details: { email: user.email },
+      req
+    });
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:userId/sessions
+ * @desc    List a user's active sessions
+ * @access  Super Admin
+ */
+router.get('/users/:userId/sessions', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.params.userId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:userId/logout-all
+ * @desc    Revoke every session of a user ("log out everywhere")
+ * @access  Super Admin
+ */
+router.post('/users/:userId/logout-all', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ userId }).select('userId email');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revokedCount = await sessionService.revokeAllForUser(userId, {
+      reason: 'admin_revoked',
+      revokedBy: req.user.userId
+    });
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'sessions_revoked_all',
+      entityType: 'user',
+      entityId: userId,
+      details: { email: user.email, revokedCount },
+      req
+    });
+
+    res.json({ message: 'All sessions revoked', revokedCount });
+  } catch (error) {
+    console.error('Logout all sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/registrations
+ * @desc    Self-registrations awaiting (or past) admin approval
+ * @query   status (pending|approved|rejected, default pending), role, page, limit
+ * @access  Super Admin
+ */
+router.get('/registrations', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { status = 'pending', role, page = 1, limit = 20 } = req.query;
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status. Must be pending, approved or rejected' });
+    }
+
+    const query = { approvalStatus: status };
+    if (role) query.role = role;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [registrations, total] = await Promise.all([
+      User.find(query)
+        .select('userId email firstName lastName role phone country emailVerified approvalStatus approvalNote approvalReviewedBy approvalReviewedAt createdAt')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      registrations,
+      pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch registrations' });
+  }
+});
+
+/**
+ * Approve or reject a pending self-registration
+ * @param {String} decision - 'approved' | 'rejected'
+ */
+const reviewRegistration = (decision) => async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { note = '' } = req.body;
+
+    const user = await User.findOne({ userId });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (user.approvalStatus !== 'pending') {
+      return res.status(400).json({ success: false, message: `Registration is already ${user.approvalStatus}` });
+    }
+
+    user.approvalStatus = decision;
+    user.approvalNote = note;
+    user.approvalReviewedBy = req.user.userId;
+    user.approvalReviewedAt = new Date();
+    await user.save();
+
+    if (decision === 'rejected') {
+      await sessionService.revokeAllForUser(userId, { reason: 'admin_revoked', revokedBy: req.user.userId });
+    }
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: decision === 'approved' ? 'registration_approved' : 'registration_rejected',
+      entityType: 'user',
+      entityId: userId,
+      previousState: { approvalStatus: 'pending' },
+      newState: { approvalStatus: decision },
+      details: { email: user.email, role: user.role, note },
+      req
+    });
+
+    try {
+      await notificationService.createNotification({
+        recipientId: userId,
+        type: 'SYSTEM',
+        title: decision === 'approved' ? 'Your account has been approved' : 'Your registration was not approved',
+        message: decision === 'approved'
+          ? 'Welcome to Fly8! Your account has been approved and your dashboard is now available.'
+          : `Your Fly8 registration was not approved.${note ? ` Reason: ${note}` : ''}`,
+        channel: decision === 'approved' ? 'BOTH' : 'EMAIL',
+        priority: 'HIGH'
+      });
+    } catch (notifyError) {
+      console.error('Registration review notification error:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: `Registration ${decision} successfully`,
+      user: { userId: user.userId, email: user.email, role: user.role, approvalStatus: user.approvalStatus }
+    });
+  } catch (error) {
+    console.error(`Registration ${decision} error:`, error);
+    res.status(500).json({ success: false, message: 'Failed to review registration' });
+  }
+};
+
+/**
+ * @route   POST /api/admin/registrations/:userId/approve
+ * @desc    Approve a pending self-registration
+ * @access  Super Admin
+ */
+router.post('/registrations/:userId/approve', authMiddleware, roleMiddleware('super_admin'), validate(adminSchemas.reviewRegistration), reviewRegistration('approved'));
+
+/**
+ * @route   POST /api/admin/registrations/:userId/reject
+ * @desc    Reject a pending self-registration
+ * @access  Super Admin
+ */
+router.post('/registrations/:userId/reject', authMiddleware, roleMiddleware('super_admin'), validate(adminSchemas.reviewRegistration), reviewRegistration('rejected'));
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Background jobs with their schedule, lock and last outcome
+ * @query   type (recurring|once), status
+ * @access  Super Admin
+ */
+router.get('/jobs', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { type, status } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const [jobs, recentFailures] = await Promise.all([
+      Job.find(query).sort({ type: -1, nextRunAt: 1 }).limit(200).lean(),
+      JobRun.aggregate([
+        { $match: { status: 'failed', startedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } } },
+        { $group: { _id: '$name', count: { $sum: 1 } } }
+      ])
+    ]);
+    const failuresByName = new Map(recentFailures.map(f => [f._id, f.count]));
+    const definitions = new Map(getDefinitions().map(d => [d.name, d]));
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => ({
+        ...job,
+        description: definitions.get(job.name)?.description || '',
+        registered: definitions.has(job.name),
+        failuresLast24h: failuresByName.get(job.name) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch jobs' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/runs
+ * @desc    Job run history, newest first (kept for 30 days)
+ * @query   name, status (running|succeeded|failed), page, limit
+ * @access  Super Admin
+ */
+router.get('/jobs/runs', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { name, status, page = 1, limit = 50 } = req.query;
+
+    if (status && !['running', 'succeeded', 'failed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status. Must be running, succeeded or failed' });
+    }
+
+    const query = {};
+    if (name) query.name = name;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [runs, total] = await Promise.all([
+      JobRun.find(query).sort({ startedAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      runs,
+      pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job runs' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:name/run
+ * @desc    Run a job on the next scheduler poll
+ * @access  Super Admin
+ */
+router.post('/jobs/:name/run', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!getDefinitions().some(d => d.name === name)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const job = await runJobNow(name, req.user.userId);
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'Job is already running' });
+    }
+
+    res.json({ success: true, message: 'Job queued', job });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to queue job' });
+  }
+});
+
 /**
  * @route   GET /api/admin/service-requests
  * @desc    Get all service requests for admin
@@ -1389,7 +1691,15 @@ router.post('/service-requests/:requestId/assign', authMiddleware, roleMiddlewar
       });
     }
 
-    await serviceRequest.save();
+    await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+      serviceRequest.status === 'ASSIGNED' && [EVENTS.SERVICE_REQUEST_ASSIGNED, {
+        serviceRequest,
+        assignedCounselor: serviceRequest.assignedCounselor || null,
+        assignedAgent: serviceRequest.assignedAgent || null,
+        triggeredBy: req.user.userId,
+        req
+      }]
+    ]);
 
     // Audit log
     await logAudit(
@@ -1489,17 +1799,16 @@ router.patch('/service-requests/:requestId/status', authMiddleware, roleMiddlewa
       serviceRequest.completedAt = new Date();
     }
 
-    await serviceRequest.save();
-
-    // Auto-create VAS commission when service request reaches COMPLETED
-    if (status === 'COMPLETED' && serviceRequest.assignedAgent) {
-      try {
-        const commissionService = require('../services/commissionService');
-        await commissionService.createVASCommission(serviceRequest, req.user.userId);
-      } catch (commError) {
-        console.error('Commission creation error (non-blocking):', commError.message);
-      }
-    }
+    // Commissions are created by the COMPLETED event's listeners (they skip
+    // existing ones), stored together with the status change
+    await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+      status !== previousStatus && [EVENTS.SERVICE_REQUEST_STATUS_CHANGED, {
+        serviceRequest, previousStatus, triggeredBy: req.user.userId, req, audited: true
+      }],
+      status === 'COMPLETED' && [EVENTS.SERVICE_REQUEST_COMPLETED, {
+        serviceRequest, triggeredBy: req.user.userId, req
+      }]
+    ]);
 
     // Audit log
     await logAudit(
@@ -1532,6 +1841,9 @@ router.delete('/service-requests/:requestId', authMiddleware, roleMiddleware('su
       return res.status(404).json({ error: 'Service request not found' });
     }
 
+    // Earners whose deleted commissions the ledger must reverse
+    const earnerIds = await Commission.distinct('agentId', { serviceRequestId: requestId });
+
     // Cascade delete all related data in parallel
     await Promise.all([
       Task.deleteMany({ serviceRequestId: requestId }),
@@ -1542,6 +1854,11 @@ router.delete('/service-requests/:requestId', authMiddleware, roleMiddleware('su
 
     await ServiceRequest.deleteOne({ serviceRequestId: requestId });
 
+    const { updateAgentEarnings } = require('../services/commissionService');
+    for (const agentId of earnerIds) {
+      await updateAgentEarnings(agentId);
+    }
+
     await logAudit(
       req.user.userId,
       'service_request_deleted',
@@ -1610,13 +1927,13 @@ router.get('/commissions', authMiddleware, roleMiddleware('super_admin'), async
 
     const total = await Commission.countDocuments(filter);
 
-    // Get summary
+    // Get summary (debit adjustments count negatively)
     const summary = await Commission.aggregate([
       {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          total: { $sum: '$amount' }
+          total: { $sum: SIGNED_AMOUNT_EXPR }
         }
       }
     ]);
@@ -1624,7 +1941,8 @@ router.get('/commissions', authMiddleware, roleMiddleware('super_admin'), async
     const summaryObj = {
       pending: { count: 0, total: 0 },
       approved: { count: 0, total: 0 },
-      paid: { count: 0, total: 0 }
+      paid: { count: 0, total: 0 },
+      disputed: { count: 0, total: 0 }
     };
 
     summary.forEach(s => {
@@ -1647,6 +1965,74 @@ router.get('/commissions', authMiddleware, roleMiddleware('super_admin'), async
   }
 });
 
+/**
+ * @route   GET /api/admin/commissions/disputes
+ * @desc    Commission disputes, newest first (?status=open for the queue)
+ * @access  Super Admin
+ */
+router.get('/commissions/disputes', authMiddleware, roleMiddleware('super_admin'), validate(commissionDisputeSchemas.list, 'query'), async (req, res) => {
+  try {
+    const { status, agentId, commissionId, page, limit } = req.query;
+    const { disputes, total } = await disputeService.listDisputes({ status, agentId, commissionId }, { page, limit });
+    res.json({
+      disputes,
+      pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/commissions/disputes/:disputeId
+ * @desc    Dispute with its conversation, commission and adjustments
+ * @access  Super Admin
+ */
+router.get('/commissions/disputes/:disputeId', authMiddleware, roleMiddleware('super_admin'), async (req, res, next) => {
+  try {
+    const details = await disputeService.getDisputeDetails(req.user, req.params.disputeId);
+    res.json(details);
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispute' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/commissions/disputes/:disputeId/messages
+ * @desc    Reply to the earner on an open dispute
+ * @access  Super Admin
+ */
+router.post('/commissions/disputes/:disputeId/messages', authMiddleware, roleMiddleware('super_admin'), validate(commissionDisputeSchemas.message), async (req, res, next) => {
+  try {
+    const dispute = await disputeService.addDisputeMessage(req.user, req.params.disputeId, req.body, req);
+    res.status(201).json({ message: 'Message sent', dispute });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Dispute message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/commissions/disputes/:disputeId/resolve
+ * @desc    Accept (optionally with a credit/debit adjustment) or reject a dispute
+ * @access  Super Admin
+ */
+router.post('/commissions/disputes/:disputeId/resolve', authMiddleware, roleMiddleware('super_admin'), validate(commissionDisputeSchemas.resolve), async (req, res, next) => {
+  try {
+    const { dispute, commission, adjustment } = await disputeService.resolveDispute(req.user, req.params.disputeId, req.body, req);
+    emitToUser(commission.agentId, 'commission_dispute_resolved', { dispute, commission, adjustment });
+    res.json({ message: `Dispute ${dispute.status}`, dispute, commission, adjustment });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+});
+
 /**
  * @route   PUT /api/admin/commissions/:commissionId/approve
  * @desc    Approve commission
@@ -1762,10 +2148,15 @@ router.post('/commissions/:commissionId/payout', authMiddleware, roleMiddleware(
     if (!commission) return res.status(404).json({ error: 'Commission not found' });
     if (commission.status !== 'approved') return res.status(400).json({ error: 'Commission must be approved before payout' });
 
+    // A requested or processing payout (or payout run line) pays it; paying it here too would pay it twice
+    const committed = await getCommittedCommissionIds(commission.agentId);
+    if (committed.includes(commissionId)) {
+      return res.status(409).json({ error: 'Commission is part of an open payout; settle that payout instead' });
+    }
+
     const { generateInvoiceNumber, updateAgentEarnings } = require('../services/commissionService');
     const mongoose = require('mongoose');
 
-    // Transaction: commission payout + earnings update must be atomic
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
@@ -1783,7 +2174,6 @@ router.post('/commissions/:commissionId/payout', authMiddleware, roleMiddleware(
         note: 'Payout processed by admin'
       });
       await commission.save({ session });
-      await updateAgentEarnings(commission.agentId);
       await session.commitTransaction();
     } catch (txErr) {
       await session.abortTransaction();
@@ -1792,6 +2182,9 @@ router.post('/commissions/:commissionId/payout', authMiddleware, roleMiddleware(
       session.endSession();
     }
 
+    // After the commit, so the ledger sees the commission as paid
+    await updateAgentEarnings(commission.agentId);
+
     await logAudit(req.user.userId, 'commission_paid', 'commission', commissionId, { amount: commission.amount, agentId: commission.agentId }, req);
 
     const notification = new Notification({
@@ -1957,12 +2350,13 @@ const Payout = require('../models/Payout');
  */
 router.get('/payouts', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
   try {
-    const { status, agentId, page = 1, limit = 20 } = req.query;
+    const { status, agentId, batchId, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const query = {};
     if (status) query.status = status;
     if (agentId) query.agentId = agentId;
+    if (batchId) query.batchId = batchId;
 
     const [payouts, total] = await Promise.all([
       Payout.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)).lean(),
@@ -2000,6 +2394,9 @@ router.post('/payouts/:payoutId/process', authMiddleware, roleMiddleware('super_
     if (payout.status !== 'requested' && payout.status !== 'processing') {
       return res.status(400).json({ error: 'Payout is not in a processable state' });
     }
+    if (payout.batchId) {
+      return res.status(400).json({ error: 'This payout is part of a payout run; settle it from the run' });
+    }
 
     const { generateInvoiceNumber, updateAgentEarnings } = require('../services/commissionService');
 
@@ -2077,6 +2474,7 @@ router.post('/payouts/:payoutId/reject', authMiddleware, roleMiddleware('super_a
     const payout = await Payout.findOne({ payoutId });
     if (!payout) return res.status(404).json({ error: 'Payout not found' });
     if (payout.status !== 'requested') return res.status(400).json({ error: 'Only requested payouts can be rejected' });
+    if (payout.batchId) return res.status(400).json({ error: 'This payout is part of a payout run; exclude it from the run' });
 
     payout.status = 'failed';
     payout.failureReason = reason;
@@ -2483,6 +2881,11 @@ router.post('/agent-requests/:requestId/approve', authMiddleware, roleMiddleware
 
     await serviceRequest.save();
 
+    // The agent is already on the request; let the engine pick a counselor
+    autoAssignServiceRequest(serviceRequest.serviceRequestId).catch(err =>
+      console.error('Auto-assignment error:', err.message)
+    );
+
     // Get agent and student details for notifications
     const agent = await User.findOne({ userId: serviceRequest.assignedAgent });
     const student = await Student.findOne({ studentId: serviceRequest.studentId });
@@ -2817,7 +3220,7 @@ router.get('/representatives', authMiddleware, roleMiddleware('super_admin'), as
     // Enrich with profile data and metrics
     const enrichedReps = await Promise.all(
       reps.map(async (rep) => {
-        const [profile, totalStudents, referredStudents, commissionAgg] = await Promise.all([
+        const [profile, totalStudents, referredStudents, balances] = await Promise.all([
           Representative.findOne({ userId: rep.userId }).lean(),
           Student.countDocuments({
             $or: [
@@ -2826,19 +3229,9 @@ router.get('/representatives', authMiddleware, roleMiddleware('super_admin'), as
             ]
           }),
           Student.countDocuments({ referredBy: rep.userId }),
-          Commission.aggregate([
-            { $match: { agentId: rep.userId } },
-            { $group: { _id: '$status', total: { $sum: '$amount' } } }
-          ])
+          getLedgerBalances(rep.userId)
         ]);
 
-        let totalEarnings = 0;
-        let pendingEarnings = 0;
-        commissionAgg.forEach(c => {
-          if (c._id === 'paid') totalEarnings = c.total;
-          if (c._id === 'pending' || c._id === 'approved') pendingEarnings += c.total;
-        });
-
         const repTypeLabels = {
           rep1: 'Internal Representative',
           rep2: 'Senior/Regional Representative',
@@ -2852,8 +3245,8 @@ router.get('/representatives', authMiddleware, roleMiddleware('super_admin'), as
           repTypeLabel: repTypeLabels[rep.role] || rep.role,
           totalStudents,
           referredStudents,
-          totalEarnings: rep.totalEarnings || totalEarnings,
-          pendingEarnings: rep.pendingEarnings || pendingEarnings,
+          totalEarnings: balances.paid,
+          pendingEarnings: balances.outstanding,
           commissionRate: rep.commissionPercentage || 10,
           assignedRegion: profile?.assignedRegion || '',
           organization: profile?.organization || '',
@@ -2884,7 +3277,7 @@ router.get('/representatives', authMiddleware, roleMiddleware('super_admin'), as
  * @desc    Create a new representative
  * @access  Super Admin
  */
-router.post('/representatives', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/representatives', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('password'), async (req, res) => {
   try {
     const {
       email, password, firstName, lastName, phone, country,
@@ -3057,16 +3450,15 @@ router.get('/representatives/:userId', authMiddleware, roleMiddleware('super_adm
     };
 
     commissionStats.forEach(c => {
-      if (c._id === 'paid') {
-        stats.totalEarnings = c.total;
-        stats.paidCommissions = c.count;
-      }
-      if (c._id === 'pending' || c._id === 'approved') {
-        stats.pendingEarnings += c.total;
-        stats.pendingCommissions += c.count;
-      }
+      if (c._id === 'paid') stats.paidCommissions = c.count;
+      if (c._id === 'pending' || c._id === 'approved') stats.pendingCommissions += c.count;
     });
 
+    // Earnings from the ledger
+    const balances = await getLedgerBalances(userId);
+    stats.totalEarnings = balances.paid;
+    stats.pendingEarnings = balances.outstanding;
+
     // Recent audit trail
     const AuditLog = require('../models/AuditLog');
     const activityLog = await AuditLog.find({
@@ -3340,7 +3732,7 @@ router.delete('/representatives/:userId', authMiddleware, roleMiddleware('super_
  * @desc    Reset representative password
  * @access  Super Admin
  */
-router.post('/representatives/:userId/reset-password', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+router.post('/representatives/:userId/reset-password', authMiddleware, roleMiddleware('super_admin'), enforcePasswordPolicy('newPassword', { userIdParam: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -14,6 +14,7 @@ const {
   uploadDocument,
   addRemark,
   updateChecklist,
+  verifyDocument,
   getStudentApplications,
   getStudentApplicationById,
   acceptOffer,
@@ -75,6 +76,13 @@ router.patch(
   updateChecklist
 );
 
+router.patch(
+  '/agent/:id/documents/:docId/verify',
+  authMiddleware,
+  roleMiddleware('agent'),
+  verifyDocument
+);
+
 // ============================================
 // STUDENT ROUTES
 // ============================================
@@ -160,4 +168,11 @@ router.patch(
   updateChecklist
 );
 
+router.patch(
+  '/admin/:id/documents/:docId/verify',
+  authMiddleware,
+  roleMiddleware('super_admin'),
+  verifyDocument
+);
+
 module.exports = router;
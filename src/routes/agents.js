@@ -12,6 +12,11 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { logAudit, logServiceRequestEvent } = require('../utils/auditLogger');
 const { validateStateTransition } = require('../utils/stateMachine');
+const { getWorkflowForRequest } = require('../services/workflowService');
+const { checkServiceRequestTransition } = require('../services/transitionGuardService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { validateFormDefinition } = require('../utils/formSchema');
+const { signedAmount, roundMoney } = require('../utils/commissionAdjustments');
 const { emitToUser, emitToRole } = require('../socket/socketManager');
 const StudentNote = require('../models/StudentNote');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/fileUpload');
@@ -64,10 +69,10 @@ router.get('/dashboard', authMiddleware, roleMiddleware('agent', 'counselor'), a
     const commissions = await Commission.find({ agentId });
     const totalCommission = commissions
       .filter(c => c.status === 'paid')
-      .reduce((sum, c) => sum + c.amount, 0);
+      .reduce((sum, c) => sum + signedAmount(c), 0);
     const pendingCommission = commissions
       .filter(c => c.status === 'pending' || c.status === 'approved')
-      .reduce((sum, c) => sum + c.amount, 0);
+      .reduce((sum, c) => sum + signedAmount(c), 0);
 
     // Get recent referrals (role-aware)
     const recentStudents = await Student.find(getStudentFilter(req.user))
@@ -137,6 +142,9 @@ router.get('/my-students', authMiddleware, roleMiddleware('agent', 'counselor'),
 
 const Payout = require('../models/Payout');
 const { getAgentWallet, generateInvoiceNumber, updateAgentEarnings } = require('../services/commissionService');
+const { getCommittedCommissionIds } = require('../services/payoutRunService');
+const disputeService = require('../services/commissionDisputeService');
+const { validate, commissionDisputeSchemas } = require('../middlewares/validation');
 const Settings = require('../models/Settings');
 
 /**
@@ -174,13 +182,18 @@ router.get('/commissions', authMiddleware, roleMiddleware('agent', 'counselor'),
       })
     );
 
-    // Calculate summary from all agent commissions (not just filtered)
+    // Calculate summary from all agent commissions (not just filtered);
+    // adjustments count in their status, debits negatively
     const allCommissions = await Commission.find({ agentId, isDeleted: false }).lean();
+    const totalOf = (status) => roundMoney(
+      allCommissions.filter(c => c.status === status).reduce((sum, c) => sum + signedAmount(c), 0)
+    );
     const summary = {
-      totalPending: allCommissions.filter(c => c.status === 'pending').reduce((sum, c) => sum + c.amount, 0),
-      totalApproved: allCommissions.filter(c => c.status === 'approved').reduce((sum, c) => sum + c.amount, 0),
-      totalPaid: allCommissions.filter(c => c.status === 'paid').reduce((sum, c) => sum + c.amount, 0),
-      lifetimeEarnings: allCommissions.filter(c => c.status === 'paid').reduce((sum, c) => sum + c.amount, 0),
+      totalPending: totalOf('pending'),
+      totalApproved: totalOf('approved'),
+      totalPaid: totalOf('paid'),
+      totalDisputed: totalOf('disputed'),
+      lifetimeEarnings: totalOf('paid'),
       totalCommissions: allCommissions.length
     };
 
@@ -228,6 +241,93 @@ router.post('/commissions/:commissionId/request-payout', authMiddleware, roleMid
   }
 });
 
+/**
+ * @route   POST /api/agents/commissions/:commissionId/dispute
+ * @desc    Contest a pending, approved or rejected commission (evidence: files from /upload)
+ * @access  Agent
+ */
+router.post('/commissions/:commissionId/dispute', authMiddleware, roleMiddleware('agent', 'counselor'), validate(commissionDisputeSchemas.open), async (req, res, next) => {
+  try {
+    const { dispute, commission } = await disputeService.openDispute(req.user, req.params.commissionId, req.body, req);
+    emitToUser(req.user.userId, 'commission_disputed', commission);
+    res.status(201).json({ message: 'Dispute submitted', dispute, commission });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Open dispute error:', error);
+    res.status(500).json({ error: 'Failed to submit dispute' });
+  }
+});
+
+/**
+ * @route   GET /api/agents/commissions/disputes
+ * @desc    Own commission disputes
+ * @access  Agent
+ */
+router.get('/commissions/disputes', authMiddleware, roleMiddleware('agent', 'counselor'), validate(commissionDisputeSchemas.list, 'query'), async (req, res) => {
+  try {
+    const { status, commissionId, page, limit } = req.query;
+    const { disputes, total } = await disputeService.listDisputes(
+      { agentId: req.user.userId, status, commissionId },
+      { page, limit }
+    );
+    res.json({
+      disputes,
+      pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+});
+
+/**
+ * @route   GET /api/agents/commissions/disputes/:disputeId
+ * @desc    Dispute with its conversation, commission and adjustments
+ * @access  Agent
+ */
+router.get('/commissions/disputes/:disputeId', authMiddleware, roleMiddleware('agent', 'counselor'), async (req, res, next) => {
+  try {
+    const details = await disputeService.getDisputeDetails(req.user, req.params.disputeId);
+    res.json(details);
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispute' });
+  }
+});
+
+/**
+ * @route   POST /api/agents/commissions/disputes/:disputeId/messages
+ * @desc    Reply to finance on an open dispute
+ * @access  Agent
+ */
+router.post('/commissions/disputes/:disputeId/messages', authMiddleware, roleMiddleware('agent', 'counselor'), validate(commissionDisputeSchemas.message), async (req, res, next) => {
+  try {
+    const dispute = await disputeService.addDisputeMessage(req.user, req.params.disputeId, req.body, req);
+    res.status(201).json({ message: 'Message sent', dispute });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Dispute message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * @route   POST /api/agents/commissions/disputes/:disputeId/withdraw
+ * @desc    Withdraw an open dispute (the commission returns to its previous status)
+ * @access  Agent
+ */
+router.post('/commissions/disputes/:disputeId/withdraw', authMiddleware, roleMiddleware('agent', 'counselor'), async (req, res, next) => {
+  try {
+    const { dispute, commission } = await disputeService.withdrawDispute(req.user, req.params.disputeId, req);
+    res.json({ message: 'Dispute withdrawn', dispute, commission });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Withdraw dispute error:', error);
+    res.status(500).json({ error: 'Failed to withdraw dispute' });
+  }
+});
+
 /**
  * @route   GET /api/agents/wallet
  * @desc    Get agent wallet summary
@@ -254,31 +354,46 @@ router.post('/payouts/request', authMiddleware, roleMiddleware('agent', 'counsel
     const { amount, note } = req.body;
 
     const wallet = await getAgentWallet(agentId);
-    const requestAmount = amount || wallet.availableBalance;
 
-    if (requestAmount <= 0) {
-      return res.status(400).json({ error: 'No approved balance available for withdrawal' });
-    }
-    if (requestAmount > wallet.availableBalance) {
-      return res.status(400).json({ error: `Requested amount ($${requestAmount}) exceeds available balance ($${wallet.availableBalance})` });
-    }
-    if (requestAmount < wallet.payoutThreshold) {
-      return res.status(400).json({ error: `Minimum payout amount is $${wallet.payoutThreshold}` });
-    }
-
-    // Get approved commissions to link to this payout
+    // Only approved commissions no open payout (or payout run line) holds yet.
+    // The wallet's available balance still counts those, so it can't be the limit.
+    const committed = await getCommittedCommissionIds(agentId);
     const approvedCommissions = await Commission.find({
       agentId,
       status: 'approved',
-      isDeleted: false
+      isDeleted: false,
+      commissionId: { $nin: committed }
     }).sort({ createdAt: 1 }).lean();
+    const availableAmount = roundMoney(approvedCommissions.reduce((sum, c) => sum + signedAmount(c), 0));
+    const requestAmount = amount || availableAmount;
+
+    if (availableAmount <= 0) {
+      return res.status(400).json({
+        error: committed.length > 0
+          ? 'Your approved commissions are already part of a payout in progress'
+          : 'No approved balance available for withdrawal'
+      });
+    }
+    if (requestAmount <= 0) {
+      return res.status(400).json({ error: 'No approved balance available for withdrawal' });
+    }
+    if (requestAmount > availableAmount) {
+      return res.status(400).json({ error: `Requested amount ($${requestAmount}) exceeds available balance ($${availableAmount})` });
+    }
 
+    // Link whole commissions, oldest first, until they cover the request;
+    // the payout is for exactly what they add up to
     let runningTotal = 0;
     const commissionIds = [];
     for (const c of approvedCommissions) {
       if (runningTotal >= requestAmount) break;
       commissionIds.push(c.commissionId);
-      runningTotal += c.amount;
+      runningTotal += signedAmount(c);
+    }
+    const payoutAmount = roundMoney(runningTotal);
+
+    if (payoutAmount < wallet.payoutThreshold) {
+      return res.status(400).json({ error: `Minimum payout amount is $${wallet.payoutThreshold}` });
     }
 
     // Get agent bank details snapshot
@@ -287,7 +402,7 @@ router.post('/payouts/request', authMiddleware, roleMiddleware('agent', 'counsel
     const payout = new Payout({
       payoutId: uuidv4(),
       agentId,
-      amount: requestAmount,
+      amount: payoutAmount,
       commissionIds,
       payoutMethod: 'bank_transfer',
       bankDetailsSnapshot: agent.bankDetails || {},
@@ -310,7 +425,7 @@ router.post('/payouts/request', authMiddleware, roleMiddleware('agent', 'counsel
         recipientId: admin.userId,
         type: 'PAYOUT_REQUESTED',
         title: 'Payout Request',
-        message: `Agent ${agent.firstName} ${agent.lastName} requested a payout of $${requestAmount.toFixed(2)}`,
+        message: `Agent ${agent.firstName} ${agent.lastName} requested a payout of $${payoutAmount.toFixed(2)}`,
         channel: 'BOTH',
         priority: 'HIGH'
       });
@@ -318,7 +433,7 @@ router.post('/payouts/request', authMiddleware, roleMiddleware('agent', 'counsel
       emitToUser(admin.userId, 'new_notification', notification);
     }
 
-    await logAudit(agentId, 'payout_requested', 'payout', payout.payoutId, { amount: requestAmount, commissionCount: commissionIds.length }, req);
+    await logAudit(agentId, 'payout_requested', 'payout', payout.payoutId, { amount: payoutAmount, requestedAmount: requestAmount, commissionCount: commissionIds.length }, req);
 
     res.json({ message: 'Payout request submitted successfully', payout });
   } catch (error) {
@@ -389,7 +504,7 @@ router.get('/commissions/export', authMiddleware, roleMiddleware('agent', 'couns
         serviceType: c.serviceType || '',
         baseAmount: c.baseAmount || 0,
         percentage: c.percentage || 0,
-        amount: c.amount || 0,
+        amount: signedAmount(c) || 0,
         currency: c.currency || 'USD',
         status: c.status,
         createdAt: c.createdAt ? new Date(c.createdAt).toISOString().split('T')[0] : '',
@@ -1162,16 +1277,12 @@ router.get('/commission-stats', authMiddleware, roleMiddleware('agent', 'counsel
     const agentId = req.user.userId;
     const commissions = await Commission.find({ agentId, isDeleted: false }).lean();
 
-    const paidCommissions = commissions.filter(c => c.status === 'paid');
-    const approvedCommissions = commissions.filter(c => c.status === 'approved');
-    const pendingCommissions = commissions.filter(c => c.status === 'pending');
-
     // This month's earnings
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const thisMonthEarned = commissions
       .filter(c => new Date(c.createdAt) >= startOfMonth)
-      .reduce((sum, c) => sum + c.amount, 0);
+      .reduce((sum, c) => sum + signedAmount(c), 0);
 
     // Last month's for growth calculation
     const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
@@ -1181,7 +1292,7 @@ router.get('/commission-stats', authMiddleware, roleMiddleware('agent', 'counsel
         const d = new Date(c.createdAt);
         return d >= startOfLastMonth && d <= endOfLastMonth;
       })
-      .reduce((sum, c) => sum + c.amount, 0);
+      .reduce((sum, c) => sum + signedAmount(c), 0);
 
     const growth = lastMonthEarned > 0
       ? Math.round(((thisMonthEarned - lastMonthEarned) / lastMonthEarned) * 100)
@@ -1195,21 +1306,22 @@ router.get('/commission-stats', authMiddleware, roleMiddleware('agent', 'counsel
 
     res.json({
       stats: {
-        totalEarnings: paidCommissions.reduce((sum, c) => sum + c.amount, 0),
-        pendingAmount: pendingCommissions.reduce((sum, c) => sum + c.amount, 0),
-        approvedAmount: approvedCommissions.reduce((sum, c) => sum + c.amount, 0),
-        paidAmount: paidCommissions.reduce((sum, c) => sum + c.amount, 0),
+        // Balances from the ledger
+        totalEarnings: wallet.lifetimeEarnings,
+        pendingAmount: wallet.pendingBalance,
+        approvedAmount: wallet.availableBalance,
+        paidAmount: wallet.lifetimeEarnings,
         thisMonth: thisMonthEarned,
         growth,
-        averageCommission: commissions.length > 0 ? Math.round(commissions.reduce((sum, c) => sum + c.amount, 0) / commissions.length) : 0,
+        averageCommission: commissions.length > 0 ? Math.round(commissions.reduce((sum, c) => sum + signedAmount(c), 0) / commissions.length) : 0,
         totalCount: commissions.length,
         applicationCommissions: {
           count: applicationCommissions.length,
-          total: applicationCommissions.reduce((sum, c) => sum + c.amount, 0)
+          total: applicationCommissions.reduce((sum, c) => sum + signedAmount(c), 0)
         },
         vasCommissions: {
           count: vasCommissions.length,
-          total: vasCommissions.reduce((sum, c) => sum + c.amount, 0)
+          total: vasCommissions.reduce((sum, c) => sum + signedAmount(c), 0)
         }
       },
       wallet
@@ -1283,17 +1395,17 @@ router.get('/commission-history', authMiddleware, roleMiddleware('agent', 'couns
       const service = c.serviceType || (c.commissionType === 'APPLICATION' ? 'University Application' : 'Other');
       if (!serviceBreakdown[service]) serviceBreakdown[service] = { count: 0, total: 0 };
       serviceBreakdown[service].count++;
-      serviceBreakdown[service].total += c.amount;
+      serviceBreakdown[service].total += signedAmount(c);
 
       // University breakdown
       if (c.universityName) {
         if (!universityBreakdown[c.universityName]) universityBreakdown[c.universityName] = { count: 0, total: 0 };
         universityBreakdown[c.universityName].count++;
-        universityBreakdown[c.universityName].total += c.amount;
+        universityBreakdown[c.universityName].total += signedAmount(c);
       }
     });
 
-    const totalAmount = allCommissions.reduce((sum, c) => sum + c.amount, 0);
+    const totalAmount = allCommissions.reduce((sum, c) => sum + signedAmount(c), 0);
 
     const breakdown = Object.entries(serviceBreakdown).map(([service, data]) => ({
       service,
@@ -1331,16 +1443,16 @@ router.get('/earnings', authMiddleware, roleMiddleware('agent', 'counselor'), as
     const agentId = req.user.userId;
     const commissions = await Commission.find({ agentId, isDeleted: false }).lean();
 
+    // Wallet data; balances come from the ledger
+    const wallet = await getAgentWallet(agentId);
+
     const earnings = {
-      total: commissions.reduce((sum, c) => sum + c.amount, 0),
-      pending: commissions.filter(c => c.status === 'pending').reduce((sum, c) => sum + c.amount, 0),
-      approved: commissions.filter(c => c.status === 'approved').reduce((sum, c) => sum + c.amount, 0),
-      paid: commissions.filter(c => c.status === 'paid').reduce((sum, c) => sum + c.amount, 0)
+      total: roundMoney(wallet.pendingBalance + wallet.availableBalance + wallet.lifetimeEarnings),
+      pending: wallet.pendingBalance,
+      approved: wallet.availableBalance,
+      paid: wallet.lifetimeEarnings
     };
 
-    // Wallet data
-    const wallet = await getAgentWallet(agentId);
-
     // Monthly breakdown (last 12 months)
     const monthlyBreakdown = [];
     const now = new Date();
@@ -1352,13 +1464,13 @@ router.get('/earnings', authMiddleware, roleMiddleware('agent', 'counselor'), as
         return d >= monthStart && d <= monthEnd;
       });
       if (monthCommissions.length > 0 || i < 6) {
-        const amount = monthCommissions.reduce((sum, c) => sum + c.amount, 0);
+        const amount = monthCommissions.reduce((sum, c) => sum + signedAmount(c), 0);
         // Calculate growth vs previous month
         const prevMonthStart = new Date(now.getFullYear(), now.getMonth() - i - 1, 1);
         const prevMonthEnd = new Date(now.getFullYear(), now.getMonth() - i, 0, 23, 59, 59);
         const prevAmount = commissions
           .filter(c => { const d = new Date(c.createdAt); return d >= prevMonthStart && d <= prevMonthEnd; })
-          .reduce((sum, c) => sum + c.amount, 0);
+          .reduce((sum, c) => sum + signedAmount(c), 0);
         const growth = prevAmount > 0 ? Math.round(((amount - prevAmount) / prevAmount) * 100) : (amount > 0 ? 100 : 0);
 
         monthlyBreakdown.push({
@@ -1376,7 +1488,7 @@ router.get('/earnings', authMiddleware, roleMiddleware('agent', 'counselor'), as
     const studentMap = {};
     commissions.forEach(c => {
       if (!studentMap[c.studentId]) studentMap[c.studentId] = { studentId: c.studentId, total: 0, count: 0 };
-      studentMap[c.studentId].total += c.amount;
+      studentMap[c.studentId].total += signedAmount(c);
       studentMap[c.studentId].count++;
     });
     const byStudent = await Promise.all(
@@ -1391,18 +1503,18 @@ router.get('/earnings', authMiddleware, roleMiddleware('agent', 'counselor'), as
     const uniMap = {};
     commissions.filter(c => c.universityName).forEach(c => {
       if (!uniMap[c.universityName]) uniMap[c.universityName] = { universityName: c.universityName, total: 0, count: 0 };
-      uniMap[c.universityName].total += c.amount;
+      uniMap[c.universityName].total += signedAmount(c);
       uniMap[c.universityName].count++;
     });
     const byUniversity = Object.values(uniMap).sort((a, b) => b.total - a.total);
 
     // By service type breakdown
     const svcMap = {};
-    const totalAll = commissions.reduce((sum, c) => sum + c.amount, 0);
+    const totalAll = commissions.reduce((sum, c) => sum + signedAmount(c), 0);
     commissions.forEach(c => {
       const key = c.serviceType || (c.commissionType === 'APPLICATION' ? 'University Application' : 'Other');
       if (!svcMap[key]) svcMap[key] = { serviceType: key, total: 0, count: 0 };
-      svcMap[key].total += c.amount;
+      svcMap[key].total += signedAmount(c);
       svcMap[key].count++;
     });
     const byServiceType = Object.values(svcMap).map(s => ({
@@ -1807,8 +1919,9 @@ router.patch('/cases/:id/status', authMiddleware, roleMiddleware('agent', 'couns
       });
     }
 
-    // STRICT STATE MACHINE VALIDATION
-    const transition = validateStateTransition(req.user.role, serviceRequest.status, status);
+    // STRICT STATE MACHINE VALIDATION (against the request's pinned workflow)
+    const workflow = await getWorkflowForRequest(serviceRequest);
+    const transition = validateStateTransition(req.user.role, serviceRequest.status, status, workflow);
     if (!transition.valid) {
       return res.status(400).json({
         error: transition.error,
@@ -1818,20 +1931,41 @@ router.patch('/cases/:id/status', authMiddleware, roleMiddleware('agent', 'couns
       });
     }
 
+    // Guard conditions on the transition (tasks done, payment made, ...)
+    const unmetConditions = await checkServiceRequestTransition(serviceRequest, transition.transition);
+    if (unmetConditions.length > 0) {
+      return res.status(409).json({
+        error: 'Transition conditions not met',
+        code: 'TRANSITION_CONDITIONS_UNMET',
+        currentStatus: serviceRequest.status,
+        requestedStatus: status,
+        unmetConditions
+      });
+    }
+
     console.log('[STATUS UPDATE] Found case, current status:', serviceRequest.status);
 
     const oldStatus = serviceRequest.status;
 
     try {
-      serviceRequest.updateStatus(status, agentId, note || '');
+      serviceRequest.updateStatus(status, agentId, note || '', workflow);
       console.log('[STATUS UPDATE] updateStatus method completed');
     } catch (methodError) {
       console.error('[STATUS UPDATE] updateStatus method failed:', methodError.message);
       throw methodError;
     }
 
+    // Commissions (agent/counselor and representative) are created by the
+    // COMPLETED event's listeners, stored together with the status change
     try {
-      await serviceRequest.save();
+      await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+        [EVENTS.SERVICE_REQUEST_STATUS_CHANGED, {
+          serviceRequest, previousStatus: oldStatus, triggeredBy: agentId, req, audited: true
+        }],
+        status === 'COMPLETED' && [EVENTS.SERVICE_REQUEST_COMPLETED, {
+          serviceRequest, triggeredBy: agentId, req
+        }]
+      ]);
       console.log('[STATUS UPDATE] Save completed');
     } catch (saveError) {
       console.error('[STATUS UPDATE] Save failed:', saveError.message);
@@ -1849,29 +1983,6 @@ router.patch('/cases/:id/status', authMiddleware, roleMiddleware('agent', 'couns
       // Don't throw - audit failure shouldn't block the operation
     }
 
-    // Auto-create commissions when service request reaches COMPLETED
-    if (status === 'COMPLETED') {
-      const commissionService = require('../services/commissionService');
-      // Agent/Counselor commission
-      if (serviceRequest.assignedAgent) {
-        try {
-          await commissionService.createVASCommission(serviceRequest, agentId);
-          console.log('[STATUS UPDATE] VAS commission created');
-        } catch (commError) {
-          console.error('[STATUS UPDATE] Commission creation failed (non-fatal):', commError.message);
-        }
-      }
-      // Representative commission (if a rep is linked to this service request)
-      if (serviceRequest.representativeId) {
-        try {
-          await commissionService.createRepresentativeCommission(serviceRequest, agentId);
-          console.log('[STATUS UPDATE] Representative commission created');
-        } catch (commError) {
-          console.error('[STATUS UPDATE] Rep commission creation failed (non-fatal):', commError.message);
-        }
-      }
-    }
-
     // Notify student of status change (non-blocking)
     try {
       if (serviceRequest.studentId) {
@@ -2202,7 +2313,7 @@ router.get('/workqueue', authMiddleware, roleMiddleware('agent', 'counselor'), a
 router.post('/cases/:id/tasks', authMiddleware, roleMiddleware('agent', 'counselor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { taskType, title, description, instructions, dueDate, priority } = req.body;
+    const { taskType, title, description, instructions, dueDate, priority, dependsOn, form } = req.body;
     const agentId = req.user.userId;
 
     // Validate required fields
@@ -2229,6 +2340,25 @@ router.post('/cases/:id/tasks', authMiddleware, roleMiddleware('agent', 'counsel
       });
     }
 
+    // Forms belong to questionnaire-style tasks
+    if (form) {
+      const problems = Task.FORM_TASK_TYPES.includes(taskType)
+        ? validateFormDefinition(form)
+        : [`Only ${Task.FORM_TASK_TYPES.join(' and ')} tasks can have a form`];
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid form', code: 'INVALID_FORM', details: problems });
+      }
+    }
+
+    // Prerequisites must be tasks on the same request
+    const prerequisiteIds = Array.isArray(dependsOn) ? [...new Set(dependsOn)] : [];
+    if (prerequisiteIds.length > 0) {
+      const found = await Task.countDocuments({ taskId: { $in: prerequisiteIds }, serviceRequestId: serviceRequest.serviceRequestId });
+      if (found !== prerequisiteIds.length) {
+        return res.status(400).json({ error: 'dependsOn must list tasks of the same service request' });
+      }
+    }
+
     // Get student userId for task assignment
     const student = await Student.findOne({ studentId: serviceRequest.studentId });
     if (!student) {
@@ -2258,6 +2388,8 @@ router.post('/cases/:id/tasks', authMiddleware, roleMiddleware('agent', 'counsel
       status: 'PENDING',
       priority: priority || 'MEDIUM',
       dueDate: dueDate ? new Date(dueDate) : null,
+      dependsOn: prerequisiteIds,
+      form: form || null,
       statusHistory: [{
         status: 'PENDING',
         changedBy: agentId,
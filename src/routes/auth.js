@@ -4,16 +4,21 @@ const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Student = require('../models/Student');
-const { authMiddleware, JWT_SECRET, getDashboardUrl } = require('../middlewares/auth');
+const Settings = require('../models/Settings');
+const Session = require('../models/Session');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emailService');
+const { authMiddleware, authAllowUnverified, JWT_SECRET, getDashboardUrl } = require('../middlewares/auth');
+const { emitToAdmins } = require('../socket/socketManager');
+const sessionService = require('../services/sessionService');
 
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'fly8-refresh-secret-change-in-production';
+const { JWT_REFRESH_SECRET } = sessionService;
 
+// maxAge is set per session from Settings.security.sessionSettings.rememberMeDuration
 const REFRESH_COOKIE_OPTIONS = {
   httpOnly: true,
   secure: process.env.NODE_ENV === 'production',
   sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
   path: '/',                         // '/' = sent to ALL routes on the backend domain
-  maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in ms
 };
 
 // clearCookie must NOT include maxAge (Express v4 deprecation + doesn't clear correctly)
@@ -24,10 +29,169 @@ const REFRESH_COOKIE_CLEAR_OPTIONS = {
   path: '/',
 };
 const { validate, authSchemas } = require('../middlewares/validation');
-const { logAudit } = require('../utils/auditLogger');
+const { enforcePasswordPolicy } = require('../middlewares/passwordPolicy');
+const { logAudit, createAuditLog } = require('../utils/auditLogger');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const twoFactorService = require('../services/twoFactorService');
+
+// Minimum gap between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Create a verification token and email it. Email failures are logged, not
+ * thrown — the user can request another link via /auth/resend-verification.
+ */
+const issueVerificationEmail = async (user, settings) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, verificationToken, {
+      templateName: settings.emailNotifications?.templates?.emailVerification
+    });
+  } catch (emailError) {
+    console.error('Verification email error:', emailError);
+  }
+};
+
+// Access tokens carry the session id (sid) so revoking the session revokes them
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ userId: user.userId, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: '15m'
+  });
+
+/**
+ * Register a server-side session, set the refresh cookie and return an access token.
+ * Refresh tokens carry tokenVersion (revoked by password resets) and
+ * mfa (whether the session passed a second factor).
+ */
+const startSession = async (req, res, user, { mfa = false } = {}) => {
+  const { session, refreshToken, maxAgeMs } = await sessionService.createSession(user, req, { mfa });
+  res.cookie('refreshToken', refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: maxAgeMs });
+  return signAccessToken(user, session.sessionId);
+};
+
+/**
+ * Finish a successful login: record it, issue access + refresh tokens and
+ * send the standard login response.
+ * @param {Object} extra - Additional response fields (e.g. recoveryCodes)
+ */
+const completeLogin = async (req, res, user, { mfa = false, extra = {} } = {}) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Audit log
+  await logAudit(user.userId, 'user_login', 'user', user.userId, { email: user.email, mfa }, req);
+
+  const token = await startSession(req, res, user, { mfa });
+
+  const dashboardUrl = getDashboardUrl(user.role);
+
+  // Get student data if user is a student
+  let studentData = null;
+  if (user.role === 'student') {
+    const student = await Student.findOne({ userId: user.userId });
+    if (student) {
+      studentData = {
+        studentId: student.studentId,
+        onboardingCompleted: student.onboardingCompleted,
+        interestedServices: student.interestedServices || [],
+        selectedServices: student.selectedServices,
+        interactionMode: student.interactionMode || 'student-counselor'
+      };
+    }
+  }
+
+  res.json({
+    message: 'Login successful',
+    token,
+    dashboardUrl,
+    user: {
+      userId: user.userId,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      avatar: user.avatar,
+      phone: user.phone,
+      country: user.country,
+      emailVerified: user.emailVerified,
+      approvalStatus: user.approvalStatus
+    },
+    student: studentData,
+    ...extra
+  });
+};
+
+/**
+ * Accepts either a normal access token or an "mfa pending" token from the
+ * password step of login, so users whose role requires 2FA can enrol before
+ * they have a full session.
+ */
+const allowMfaPending = async (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return authMiddleware(req, res, next);
+  }
+
+  if (!decoded.mfaPending) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const user = await User.findOne({ userId: decoded.userId }).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'User not found or inactive' });
+    }
+    req.user = user;
+    req.mfaPending = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const mfaPendingResponse = (user, enrollmentRequired) => ({
+  message: enrollmentRequired
+    ? 'Two-factor authentication setup is required for your account'
+    : 'Two-factor authentication required',
+  mfaRequired: true,
+  enrollmentRequired,
+  mfaToken: twoFactorService.signMfaToken(user)
+});
+
+/**
+ * Count a wrong password or two-factor code toward the account lockout and
+ * audit the lock when this attempt triggers it.
+ * @param {String} factor - 'password' or 'two_factor'
+ * @returns {Promise<{ locked: boolean, attempts: number, lockUntil?: Date }>}
+ */
+const registerFailedAttempt = async (req, user, factor) => {
+  const settings = await Settings.getSettings();
+  const { maxAttempts, lockoutDuration } = settings.security.loginAttempts;
+  const result = await user.registerFailedLogin({ maxAttempts, lockoutDuration });
+
+  if (result.locked) {
+    await createAuditLog({
+      actorUserId: user.userId,
+      actorRole: 'system',
+      action: 'account_locked',
+      entityType: 'user',
+      entityId: user.userId,
+      newState: { lockUntil: result.lockUntil },
+      details: { email: user.email, failedAttempts: result.attempts, lockoutDuration, factor },
+      req
+    });
+  }
+  return result;
+};
 
 // Signup
-router.post('/signup', validate(authSchemas.register), async (req, res) => {
+router.post('/signup', validate(authSchemas.register), enforcePasswordPolicy('password'), async (req, res) => {
   try {
     const { email, password, firstName, lastName, role, phone, country } = req.body;
 
@@ -39,6 +203,10 @@ router.post('/signup', validate(authSchemas.register), async (req, res) => {
     const userId = uuidv4();
     const userRole = role || 'student';
 
+    const settings = await Settings.getSettings();
+    const requireVerification = !!settings.userRoles?.requireEmailVerification;
+    const requireApproval = !!settings.userRoles?.requireAdminApproval?.[userRole];
+
     const user = new User({
       userId,
       email,
@@ -48,11 +216,26 @@ router.post('/signup', validate(authSchemas.register), async (req, res) => {
       role: userRole,
       phone: phone || '',
       country: country || '',
-      avatar: `https://api.dicebear.com/5.x/initials/svg?seed=${firstName} ${lastName}`
+      avatar: `https://api.dicebear.com/5.x/initials/svg?seed=${firstName} ${lastName}`,
+      emailVerified: !requireVerification,
+      approvalStatus: requireApproval ? 'pending' : 'approved'
     });
 
     await user.save();
 
+    if (requireVerification) {
+      await issueVerificationEmail(user, settings);
+    }
+
+    if (requireApproval) {
+      emitToAdmins('registration_pending', {
+        userId: user.userId,
+        email: user.email,
+        role: user.role,
+        name: `${user.firstName} ${user.lastName}`
+      });
+    }
+
     // If student, create Student record
     if (userRole === 'student') {
       const studentId = uuidv4();
@@ -68,20 +251,27 @@ router.post('/signup', validate(authSchemas.register), async (req, res) => {
       await student.save();
     }
 
-    const token = jwt.sign({ userId: user.userId, role: user.role }, JWT_SECRET, {
-      expiresIn: '15m'
-    });
+    if (await twoFactorService.isRequiredForRole(user)) {
+      return res.status(201).json({
+        ...mfaPendingResponse(user, true),
+        user: {
+          userId: user.userId,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role
+        }
+      });
+    }
 
-    const refreshToken = jwt.sign({ userId: user.userId }, JWT_REFRESH_SECRET, {
-      expiresIn: '7d'
-    });
+    const token = await startSession(req, res, user);
 
     const dashboardUrl = getDashboardUrl(user.role);
 
-    res.cookie('refreshToken', refreshToken, REFRESH_COOKIE_OPTIONS);
-
     res.status(201).json({
-      message: 'User created successfully',
+      message: requireVerification
+        ? 'User created successfully. Please check your email to verify your account.'
+        : 'User created successfully',
       token,
       dashboardUrl,
       user: {
@@ -89,7 +279,9 @@ router.post('/signup', validate(authSchemas.register), async (req, res) => {
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified,
+        approvalStatus: user.approvalStatus
       }
     });
   } catch (error) {
@@ -112,60 +304,43 @@ router.post('/login', validate(authSchemas.login), async (req, res) => {
       return res.status(403).json({ error: 'Account is inactive' });
     }
 
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (user.approvalStatus === 'rejected') {
+      return res.status(403).json({ error: 'Your registration was not approved', code: 'ACCOUNT_REJECTED' });
     }
 
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Audit log
-    await logAudit(user.userId, 'user_login', 'user', user.userId, { email }, req);
-
-    const token = jwt.sign({ userId: user.userId, role: user.role }, JWT_SECRET, {
-      expiresIn: '15m'
-    });
+    // Per-account lockout — checked before the password so a locked account
+    // cannot be probed from a fresh IP
+    if (user.isLocked()) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockUntil
+      });
+    }
 
-    const refreshToken = jwt.sign({ userId: user.userId }, JWT_REFRESH_SECRET, {
-      expiresIn: '7d'
-    });
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      const result = await registerFailedAttempt(req, user, 'password');
+      if (result.locked) {
+        return res.status(423).json({
+          error: 'Account is temporarily locked due to too many failed login attempts',
+          code: 'ACCOUNT_LOCKED',
+          lockedUntil: result.lockUntil
+        });
+      }
 
-    res.cookie('refreshToken', refreshToken, REFRESH_COOKIE_OPTIONS);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-    const dashboardUrl = getDashboardUrl(user.role);
+    user.resetLoginAttempts();
 
-    // Get student data if user is a student
-    let studentData = null;
-    if (user.role === 'student') {
-      const student = await Student.findOne({ userId: user.userId });
-      if (student) {
-        studentData = {
-          studentId: student.studentId,
-          onboardingCompleted: student.onboardingCompleted,
-          interestedServices: student.interestedServices || [],
-          selectedServices: student.selectedServices,
-          interactionMode: student.interactionMode || 'student-counselor'
-        };
-      }
+    // Second factor: hand back a short-lived pending token instead of a session
+    if (await twoFactorService.isChallengeRequired(user)) {
+      await user.save();
+      return res.json(mfaPendingResponse(user, !user.twoFactor?.enabled));
     }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      dashboardUrl,
-      user: {
-        userId: user.userId,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        avatar: user.avatar,
-        phone: user.phone,
-        country: user.country
-      },
-      student: studentData
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
@@ -173,7 +348,7 @@ router.post('/login', validate(authSchemas.login), async (req, res) => {
 });
 
 // Get current user
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/me', authAllowUnverified, async (req, res) => {
   try {
     const dashboardUrl = getDashboardUrl(req.user.role);
 
@@ -199,7 +374,9 @@ router.get('/me', authMiddleware, async (req, res) => {
         role: req.user.role,
         phone: req.user.phone,
         country: req.user.country,
-        avatar: req.user.avatar
+        avatar: req.user.avatar,
+        emailVerified: req.user.emailVerified,
+        approvalStatus: req.user.approvalStatus
       },
       dashboardUrl,
       student: studentData
@@ -221,29 +398,423 @@ router.post('/refresh', async (req, res) => {
     const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
 
     // Confirm user still exists and is active
-    const user = await User.findOne({ userId: decoded.userId }).select('userId role isActive');
+    const user = await User.findOne({ userId: decoded.userId }).select('userId role isActive tokenVersion twoFactor.enabled');
     if (!user || !user.isActive) {
       return res.status(401).json({ error: 'User not found or inactive' });
     }
 
-    const newAccessToken = jwt.sign(
-      { userId: user.userId, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    // Reject refresh tokens issued before the last password change
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      throw new Error('Refresh token revoked');
+    }
 
-    return res.json({ token: newAccessToken });
-  } catch {
+    // Sessions that skipped the second factor cannot be extended once 2FA applies
+    if (!decoded.mfa && await twoFactorService.isChallengeRequired(user)) {
+      res.clearCookie('refreshToken', REFRESH_COOKIE_CLEAR_OPTIONS);
+      return res.status(401).json({ error: 'Two-factor authentication required', code: 'MFA_REQUIRED' });
+    }
+
+    // Rotate the refresh token. Tokens issued before the session registry
+    // existed carry no sid; each is adopted into a fresh session once.
+    const next = decoded.sid
+      ? await sessionService.rotateRefreshToken(decoded, user, req)
+      : await sessionService.adoptLegacyRefreshToken(refreshToken, decoded, user, req);
+    res.cookie('refreshToken', next.refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: next.maxAgeMs });
+    const sessionId = next.session.sessionId;
+
+    return res.json({ token: signAccessToken(user, sessionId) });
+  } catch (error) {
     // Clear the invalid cookie so the browser doesn't retry it forever
     res.clearCookie('refreshToken', REFRESH_COOKIE_CLEAR_OPTIONS);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
     return res.status(401).json({ error: 'Invalid or expired refresh token' });
   }
 });
 
-// Logout — clears the refresh token cookie
-router.post('/logout', (req, res) => {
+// Logout — revokes the current session and clears the refresh token cookie
+router.post('/logout', async (req, res) => {
+  try {
+    const decoded = sessionService.decodeRefreshToken(req.cookies?.refreshToken);
+    if (decoded?.sid) {
+      const session = await sessionService.revokeSession(decoded.sid, { reason: 'logout', revokedBy: decoded.userId });
+      if (session) {
+        await logAudit(decoded.userId, 'user_logout', 'user', decoded.userId, { sessionId: decoded.sid }, req);
+      }
+    }
+  } catch (error) {
+    console.error('Logout session revoke error:', error);
+  }
+
   res.clearCookie('refreshToken', REFRESH_COOKIE_CLEAR_OPTIONS);
   return res.json({ message: 'Logged out successfully' });
 });
 
+// List the current user's active sessions
+router.get('/sessions', authAllowUnverified, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.sessionId === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke one of the current user's sessions (e.g. a lost device)
+router.delete('/sessions/:id', authAllowUnverified, async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.id, userId: req.user.userId, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await sessionService.revokeSession(session.sessionId, { reason: 'user_revoked', revokedBy: req.user.userId });
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'session_revoked',
+      entityType: 'user',
+      entityId: req.user.userId,
+      details: { sessionId: session.sessionId, device: session.device },
+      req
+    });
+
+    if (session.sessionId === req.sessionId) {
+      res.clearCookie('refreshToken', REFRESH_COOKIE_CLEAR_OPTIONS);
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Verify email — consumes the emailed verification token
+router.post('/verify-email', validate(authSchemas.verifyEmail), async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    }).select('+emailVerificationToken +emailVerificationExpires');
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    await logAudit(user.userId, 'email_verified', 'user', user.userId, { email: user.email }, req);
+
+    res.json({
+      message: user.approvalStatus === 'pending'
+        ? 'Email verified. Your account is awaiting admin approval.'
+        : 'Email verified successfully',
+      emailVerified: true,
+      approvalStatus: user.approvalStatus
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email for the logged-in (unverified) account
+router.post('/resend-verification', authAllowUnverified, async (req, res) => {
+  try {
+    const user = await User.findOne({ userId: req.user.userId });
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another verification email' });
+    }
+
+    const settings = await Settings.getSettings();
+    await issueVerificationEmail(user, settings);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+// Forgot password — emails a single-use reset link.
+// Always responds identically so the endpoint cannot be used to enumerate accounts.
+router.post('/forgot-password', validate(authSchemas.forgotPassword), async (req, res) => {
+  const genericResponse = {
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const settings = await Settings.getSettings();
+
+    // sendEmail reports some failures (e.g. Resend not configured) as
+    // { success: false } and throws on others; treat both alike
+    let sent;
+    try {
+      sent = await sendPasswordResetEmail(user, resetToken, {
+        templateName: settings.emailNotifications?.templates?.passwordReset
+      });
+    } catch (emailError) {
+      sent = { success: false, error: emailError.message };
+    }
+
+    // The response must not differ from the unknown-email case, so a failed
+    // send only drops the unusable token
+    if (!sent?.success) {
+      console.error('Password reset email error:', sent?.error);
+      user.clearPasswordResetToken();
+      await user.save();
+      return res.json(genericResponse);
+    }
+
+    await logAudit(user.userId, 'password_reset_requested', 'user', user.userId, { email: user.email }, req);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// Reset password — consumes the emailed token and sets a new password
+router.post('/reset-password', validate(authSchemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({ error: 'Account is inactive' });
+    }
+
+    await assertPasswordPolicy(password, user.userId);
+
+    // Saving a new password also bumps tokenVersion, revoking existing refresh tokens
+    user.password = password;
+    user.clearPasswordResetToken();
+    await user.save();
+
+    await sessionService.revokeAllForUser(user.userId, { reason: 'password_reset', revokedBy: user.userId });
+
+    await logAudit(user.userId, 'password_reset', 'user', user.userId, { resetBy: 'self' }, req);
+
+    res.clearCookie('refreshToken', REFRESH_COOKIE_CLEAR_OPTIONS);
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    // Policy violations carry structured details for the global error handler
+    if (error.isOperational) return next(error);
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================
+
+// 2FA status for the current user
+router.get('/2fa/status', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOne({ userId: req.user.userId }).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      requiredForRole: await twoFactorService.isRequiredForRole(user),
+      remainingRecoveryCodes: user.twoFactor?.recoveryCodes?.length || 0
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch 2FA status' });
+  }
+});
+
+// Start enrolment — returns the secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', allowMfaPending, async (req, res, next) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.beginEnrollment(req.user.userId);
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start 2FA setup' });
+  }
+});
+
+// Confirm enrolment — returns recovery codes once. During a pending login this
+// also completes the login.
+router.post('/2fa/verify', allowMfaPending, validate(authSchemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'two_factor_enabled',
+      entityType: 'user',
+      entityId: req.user.userId,
+      newState: { twoFactorEnabled: true },
+      req
+    });
+
+    if (req.mfaPending) {
+      const user = await User.findOne({ userId: req.user.userId });
+      return await completeLogin(req, res, user, { mfa: true, extra: { recoveryCodes } });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify 2FA code' });
+  }
+});
+
+// Second step of login — exchange the pending token + code for a session
+router.post('/2fa/challenge', validate(authSchemas.twoFactorChallenge), async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    const decoded = twoFactorService.verifyMfaToken(mfaToken);
+
+    const user = await User.findOne({ userId: decoded.userId });
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'User not found or inactive' });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    let result;
+    try {
+      result = await twoFactorService.verifyChallenge(user.userId, { code, recoveryCode });
+    } catch (challengeError) {
+      // Wrong codes count toward the same lockout as wrong passwords
+      if (challengeError.code !== 'INVALID_MFA_CODE') throw challengeError;
+
+      const lockout = await registerFailedAttempt(req, user, 'two_factor');
+      if (!lockout.locked) throw challengeError;
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: lockout.lockUntil
+      });
+    }
+
+    if (result.method === 'recovery_code') {
+      await createAuditLog({
+        actorUserId: user.userId,
+        actorRole: user.role,
+        action: 'two_factor_recovery_code_used',
+        entityType: 'user',
+        entityId: user.userId,
+        details: { remainingRecoveryCodes: result.remainingRecoveryCodes },
+        req
+      });
+    }
+
+    user.resetLoginAttempts();
+    await completeLogin(req, res, user, {
+      mfa: true,
+      extra: result.method === 'recovery_code' ? { remainingRecoveryCodes: result.remainingRecoveryCodes } : {}
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('2FA challenge error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed' });
+  }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', authMiddleware, validate(authSchemas.twoFactorCode), async (req, res, next) => {
+  try {
+    await twoFactorService.verifyChallenge(req.user.userId, { code: req.body.code });
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.userId);
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'two_factor_recovery_codes_regenerated',
+      entityType: 'user',
+      entityId: req.user.userId,
+      req
+    });
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Disable 2FA (requires password + current code; refused when the role requires 2FA)
+router.post('/2fa/disable', authMiddleware, validate(authSchemas.twoFactorDisable), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ userId: req.user.userId });
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await twoFactorService.verifyChallenge(user.userId, { code: req.body.code });
+    await twoFactorService.disable(user.userId);
+
+    await createAuditLog({
+      actorUserId: user.userId,
+      actorRole: user.role,
+      action: 'two_factor_disabled',
+      entityType: 'user',
+      entityId: user.userId,
+      previousState: { twoFactorEnabled: true },
+      newState: { twoFactorEnabled: false },
+      req
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+});
+
 module.exports = router;
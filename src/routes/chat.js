@@ -12,46 +12,8 @@ const ServiceRequest = require('../models/ServiceRequest');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const { emitToUser, emitToServiceRequest } = require('../socket/socketManager');
-
-/**
- * Helper: Check if user has access to chat for a service request.
- * Enforces interactionMode:
- *   - 'rep-counselor': only representative + counselor + admin can chat (student blocked)
- *   - 'student-counselor' / null: only student + counselor + agent + admin can chat (rep blocked)
- */
-async function checkChatAccess(user, serviceRequest) {
-  const mode = serviceRequest.interactionMode; // 'rep-counselor' | 'student-counselor' | null
-
-  switch (user.role) {
-    case 'super_admin':
-      return true;
-
-    case 'student': {
-      // In rep-counselor mode, student cannot access chat directly
-      if (mode === 'rep-counselor') return false;
-      const student = await Student.findOne({ userId: user.userId });
-      return student && serviceRequest.studentId === student.studentId;
-    }
-
-    case 'counselor':
-      return serviceRequest.assignedCounselor === user.userId;
-
-    case 'agent':
-      return serviceRequest.assignedAgent === user.userId;
-
-    case 'rep3':
-      // Rep3 can chat only in rep-counselor mode for their own service requests
-      return mode === 'rep-counselor' && serviceRequest.representativeId === user.userId;
-
-    case 'rep1':
-    case 'rep2':
-      // Rep1/Rep2 can view chat (read-only) in rep-counselor mode for their linked requests
-      return mode === 'rep-counselor' && serviceRequest.representativeId === user.userId;
-
-    default:
-      return false;
-  }
-}
+const { checkChatAccess } = require('../services/accessService');
+const { getPresenceForUsers, getViewers } = require('../services/presenceService');
 
 /**
  * Helper: Emit chat message to all participants.
@@ -318,7 +280,7 @@ router.get('/:serviceRequestId/unread-count', authMiddleware, async (req, res) =
 
 /**
  * @route   GET /api/chat/:serviceRequestId/participants
- * @desc    Get chat participants info
+ * @desc    Get chat participants info with presence, and who is viewing the case
  * @access  Authenticated
  */
 router.get('/:serviceRequestId/participants', authMiddleware, async (req, res) => {
@@ -362,13 +324,24 @@ router.get('/:serviceRequestId/participants', authMiddleware, async (req, res) =
           .lean()
       : null;
 
+    // Presence (online / away / offline, last seen) and who has the case open
+    const participants = { student: studentUser, counselor, agent, representative };
+    const viewerIds = await getViewers(serviceRequestId);
+    const presence = await getPresenceForUsers([
+      ...Object.values(participants).filter(Boolean).map(p => p.userId),
+      ...viewerIds
+    ]);
+    Object.values(participants).filter(Boolean).forEach(p => { p.presence = presence[p.userId]; });
+
+    const viewers = viewerIds.length > 0
+      ? await User.find({ userId: { $in: viewerIds } })
+          .select('userId firstName lastName avatar role')
+          .lean()
+      : [];
+
     res.json({
-      participants: {
-        student: studentUser,
-        counselor,
-        agent,
-        representative
-      },
+      participants,
+      viewers,
       interactionMode: serviceRequest.interactionMode || null,
       chatEnabled: serviceRequest.status !== 'PENDING_ADMIN_ASSIGNMENT'
     });
@@ -294,7 +294,8 @@ router.get('/alerts', authMiddleware, roleMiddleware('super_admin'), async (req,
       disputedCommissions,
       stuckRequests,
       failedPayments,
-      pendingAgentRequests
+      pendingAgentRequests,
+      slaEscalations
     ] = await Promise.all([
       ServiceRequest.countDocuments({ status: 'PENDING_ADMIN_ASSIGNMENT' }),
       Commission.countDocuments({ status: 'disputed' }),
@@ -306,6 +307,10 @@ router.get('/alerts', authMiddleware, roleMiddleware('super_admin'), async (req,
       ServiceRequest.countDocuments({
         isAgentInitiated: true,
         agentApprovalStatus: 'PENDING_APPROVAL'
+      }),
+      ServiceRequest.countDocuments({
+        status: { $nin: ['COMPLETED', 'CANCELLED'] },
+        $or: [{ 'slaTracking.statusLevel': 'escalated' }, { 'slaTracking.deadlineLevel': 'escalated' }]
       })
     ]);
 
@@ -355,6 +360,17 @@ router.get('/alerts', authMiddleware, roleMiddleware('super_admin'), async (req,
       });
     }
 
+    if (slaEscalations > 0) {
+      alerts.push({
+        type: 'sla_escalations',
+        count: slaEscalations,
+        severity: 'high',
+        label: 'SLA Escalations',
+        route: '/admin/reports/sla-compliance',
+        icon: 'AlarmClock'
+      });
+    }
+
     if (failedPayments > 0) {
       alerts.push({
         type: 'failed_payments',
@@ -0,0 +1,177 @@
+/**
+ * Domain Event Routes
+ * Inspect the event outbox and replay failed deliveries (Super Admin).
+ * Mounted at /api/v1/admin/domain-events
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, eventSchemas } = require('../middlewares/validation');
+const DomainEvent = require('../models/DomainEvent');
+const { eventBus } = require('../events/eventBus');
+const { createAuditLog } = require('../utils/auditLogger');
+
+// Events replayed per replay-dead call; call again for the rest
+const REPLAY_BATCH = 500;
+
+const DELIVERY_STATUSES = DomainEvent.schema.path('deliveries').schema.path('status').enumValues;
+
+const logReplay = (req, event, listeners, count) => createAuditLog({
+  actorUserId: req.user.userId,
+  actorRole: req.user.role,
+  action: 'domain_event_replayed',
+  entityType: 'domain_event',
+  entityId: event.eventId,
+  previousState: {
+    deliveries: event.deliveries
+      .filter(d => listeners.includes(d.listener))
+      .map(d => ({ listener: d.listener, status: d.status, attempts: d.attempts, lastError: d.lastError }))
+  },
+  details: { name: event.name, listeners, replayed: count },
+  req
+});
+
+/**
+ * @route   GET /api/admin/domain-events
+ * @desc    Stored events, newest first, with delivery counts by status
+ * @access  Super Admin
+ */
+router.get('/', authMiddleware, roleMiddleware('super_admin'), validate(eventSchemas.list, 'query'), async (req, res) => {
+  try {
+    const { status, name, listener, page, limit } = req.query;
+
+    const query = {};
+    if (name) query.name = name;
+    if (status || listener) {
+      query.deliveries = {
+        $elemMatch: {
+          ...(status && { status }),
+          ...(listener && { listener })
+        }
+      };
+    }
+
+    const [events, total, byStatus] = await Promise.all([
+      DomainEvent.find(query)
+        .sort({ occurredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DomainEvent.countDocuments(query),
+      DomainEvent.aggregate([
+        { $unwind: '$deliveries' },
+        { $group: { _id: '$deliveries.status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(DELIVERY_STATUSES.map(s => [s, 0]));
+    byStatus.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      success: true,
+      events,
+      counts,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Get domain events error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch events' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/domain-events/:eventId
+ * @desc    An event with its payload and deliveries
+ * @access  Super Admin
+ */
+router.get('/:eventId', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const event = await DomainEvent.findOne({ eventId: req.params.eventId }).lean();
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Get domain event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch event' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/domain-events/replay-dead
+ * @desc    Replay dead-lettered deliveries, optionally of one event name or listener
+ * @access  Super Admin
+ */
+router.post('/replay-dead', authMiddleware, roleMiddleware('super_admin'), validate(eventSchemas.replayDead), async (req, res) => {
+  try {
+    const { name, listener } = req.body;
+
+    const events = await DomainEvent.find({
+      ...(name && { name }),
+      deliveries: { $elemMatch: { status: 'dead', ...(listener && { listener }) } }
+    })
+      .sort({ occurredAt: 1 })
+      .limit(REPLAY_BATCH)
+      .lean();
+
+    let replayed = 0;
+    for (const event of events) {
+      const listeners = event.deliveries
+        .filter(d => d.status === 'dead' && (!listener || d.listener === listener))
+        .map(d => d.listener);
+      const count = await eventBus.replay(event.eventId, { listeners });
+      if (count > 0) await logReplay(req, event, listeners, count);
+      replayed += count;
+    }
+
+    res.json({
+      success: true,
+      message: `${replayed} deliveries queued for replay`,
+      events: events.length,
+      replayed,
+      hasMore: events.length === REPLAY_BATCH
+    });
+  } catch (error) {
+    console.error('Replay dead deliveries error:', error);
+    res.status(500).json({ success: false, message: 'Failed to replay deliveries' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/domain-events/:eventId/replay
+ * @desc    Replay an event's dead deliveries, or the given listeners even if
+ *          they succeeded (listeners are safe to re-run)
+ * @access  Super Admin
+ */
+router.post('/:eventId/replay', authMiddleware, roleMiddleware('super_admin'), validate(eventSchemas.replay), async (req, res) => {
+  try {
+    const event = await DomainEvent.findOne({ eventId: req.params.eventId }).lean();
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const known = event.deliveries.map(d => d.listener);
+    const unknown = (req.body.listeners || []).filter(l => !known.includes(l));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown listeners for this event: ${unknown.join(', ')}` });
+    }
+
+    const listeners = req.body.listeners
+      || event.deliveries.filter(d => d.status === 'dead').map(d => d.listener);
+    const replayed = await eventBus.replay(event.eventId, { listeners });
+    if (replayed === 0) {
+      return res.status(409).json({ success: false, message: 'Nothing to replay (no dead deliveries, or they are running)' });
+    }
+
+    await logReplay(req, event, listeners, replayed);
+
+    res.json({ success: true, message: `${replayed} deliveries queued for replay`, replayed });
+  } catch (error) {
+    console.error('Replay domain event error:', error);
+    res.status(500).json({ success: false, message: 'Failed to replay event' });
+  }
+});
+
+module.exports = router;
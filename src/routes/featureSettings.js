@@ -0,0 +1,36 @@
+/**
+ * Feature Settings API Routes
+ * Read-only view of module/feature toggles for any signed-in user, so clients
+ * can hide areas that are switched off. Editing stays in routes/settings.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middlewares/auth');
+const Settings = require('../models/Settings');
+const { getMaintenanceState, toPayload } = require('../services/maintenanceService');
+
+// ============================================
+// GET /features - Enabled modules and features
+// ============================================
+router.get('/features', authMiddleware, async (req, res) => {
+  try {
+    const settings = await Settings.getCachedSettings();
+    const toggles = settings.features || {};
+    const maintenance = await getMaintenanceState();
+
+    res.json({
+      success: true,
+      data: {
+        modules: toggles.modules || {},
+        features: toggles.features || {},
+        maintenance: toPayload(maintenance)
+      }
+    });
+  } catch (error) {
+    console.error('Get feature settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch feature settings' });
+  }
+});
+
+module.exports = router;
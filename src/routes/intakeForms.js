@@ -0,0 +1,253 @@
+/**
+ * Intake Form Routes
+ * Versioned service request intake forms (Super Admin).
+ * Mounted at /api/v1/admin/intake-forms
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, intakeFormSchemas } = require('../middlewares/validation');
+const IntakeForm = require('../models/IntakeForm');
+const ServiceRequest = require('../models/ServiceRequest');
+const { createAuditLog } = require('../utils/auditLogger');
+const { validateFormDefinition } = require('../utils/formSchema');
+const { BUILT_IN_INTAKE_FORMS, validateFormData } = require('../utils/formDataValidator');
+const {
+  getIntakeFormById,
+  getActiveIntakeForm,
+  createIntakeFormVersion,
+  activateIntakeFormVersion,
+  deleteIntakeFormVersion
+} = require('../services/intakeFormService');
+
+const SERVICE_TYPES = ServiceRequest.schema.path('serviceType').enumValues;
+
+const summarize = (intakeForm) => ({
+  formId: intakeForm.formId,
+  serviceType: intakeForm.serviceType,
+  version: intakeForm.version,
+  name: intakeForm.name,
+  isActive: intakeForm.isActive,
+  changeNote: intakeForm.changeNote,
+  createdBy: intakeForm.createdBy,
+  createdAt: intakeForm.createdAt,
+  activatedAt: intakeForm.activatedAt,
+  activatedBy: intakeForm.activatedBy
+});
+
+/**
+ * @route   GET /api/admin/intake-forms
+ * @desc    Intake form each service type currently validates against
+ * @access  Super Admin
+ */
+router.get('/', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const active = await IntakeForm.find({ isActive: true }).lean();
+    const byType = new Map(active.map(f => [f.serviceType, f]));
+
+    const intakeForms = SERVICE_TYPES.map(serviceType => {
+      if (byType.has(serviceType)) {
+        return { serviceType, source: 'stored', intakeForm: byType.get(serviceType) };
+      }
+      if (BUILT_IN_INTAKE_FORMS[serviceType]) {
+        return { serviceType, source: 'built_in', intakeForm: BUILT_IN_INTAKE_FORMS[serviceType] };
+      }
+      return { serviceType, source: 'none', intakeForm: null };
+    });
+
+    res.json({ success: true, intakeForms });
+  } catch (error) {
+    console.error('Get intake forms error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch intake forms' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/intake-forms/versions/:formId
+ * @desc    A stored intake form version
+ * @access  Super Admin
+ */
+router.get('/versions/:formId', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const intakeForm = await IntakeForm.findOne({ formId: req.params.formId }).lean();
+    if (!intakeForm) {
+      return res.status(404).json({ success: false, message: 'Intake form version not found' });
+    }
+
+    const requests = await ServiceRequest.countDocuments({ intakeFormId: intakeForm.formId });
+    res.json({ success: true, intakeForm, requests });
+  } catch (error) {
+    console.error('Get intake form version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch intake form version' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/intake-forms/:serviceType/versions
+ * @desc    Version history of a service type's intake form, newest first
+ * @access  Super Admin
+ */
+router.get('/:serviceType/versions', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { serviceType } = req.params;
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({ success: false, message: 'Unknown service type' });
+    }
+
+    const versions = await IntakeForm.find({ serviceType }).sort({ version: -1 }).lean();
+    const used = await ServiceRequest.aggregate([
+      { $match: { intakeFormId: { $in: versions.map(v => v.formId) } } },
+      { $group: { _id: '$intakeFormId', count: { $sum: 1 } } }
+    ]);
+    const usedById = new Map(used.map(u => [u._id, u.count]));
+
+    res.json({
+      success: true,
+      serviceType,
+      builtIn: BUILT_IN_INTAKE_FORMS[serviceType] || null,
+      versions: versions.map(v => ({ ...summarize(v), requests: usedById.get(v.formId) || 0 }))
+    });
+  } catch (error) {
+    console.error('Get intake form versions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch intake form versions' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/intake-forms
+ * @desc    Save a new intake form version for a service type. Activated
+ *          immediately unless activate=false.
+ * @access  Super Admin
+ */
+router.post('/', authMiddleware, roleMiddleware('super_admin'), validate(intakeFormSchemas.create), async (req, res, next) => {
+  try {
+    const { activate, ...definition } = req.body;
+    const { intakeForm, previous } = await createIntakeFormVersion(definition, req.user.userId, { activate });
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'intake_form_version_created',
+      entityType: 'intake_form',
+      entityId: intakeForm.formId,
+      previousState: previous ? { formId: previous.formId, version: previous.version } : null,
+      newState: { serviceType: intakeForm.serviceType, version: intakeForm.version, isActive: intakeForm.isActive },
+      details: { changeNote: intakeForm.changeNote },
+      req
+    });
+
+    res.status(201).json({ success: true, message: `Intake form version ${intakeForm.version} saved`, intakeForm });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Create intake form version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save intake form version' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/intake-forms/validate
+ * @desc    Dry run: check formData against a stored version (formId), an
+ *          unsaved draft (definition) or the service type's active form.
+ *          Nothing is stored.
+ * @access  Super Admin
+ */
+router.post('/validate', authMiddleware, roleMiddleware('super_admin'), validate(intakeFormSchemas.dryRun), async (req, res) => {
+  try {
+    const { serviceType, formData, formId, definition } = req.body;
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({ success: false, message: 'Unknown service type' });
+    }
+
+    let target;
+    if (formId) {
+      const stored = await getIntakeFormById(formId);
+      if (!stored) {
+        return res.status(404).json({ success: false, message: 'Intake form version not found' });
+      }
+      target = { source: 'stored', form: stored, formId, version: stored.version };
+    } else if (definition) {
+      const problems = validateFormDefinition(definition);
+      if (problems.length > 0) {
+        return res.json({ success: true, valid: false, source: 'draft', definitionErrors: problems });
+      }
+      target = { source: 'draft', form: definition, formId: null, version: null };
+    } else {
+      target = await getActiveIntakeForm(serviceType);
+    }
+
+    const result = validateFormData(serviceType, formData, target.form);
+    res.json({
+      success: true,
+      valid: result.valid,
+      source: target.source,
+      formId: target.formId,
+      version: target.version,
+      errors: result.errors || [],
+      fieldErrors: result.fieldErrors || []
+    });
+  } catch (error) {
+    console.error('Intake form dry run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to validate form data' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/intake-forms/versions/:formId/activate
+ * @desc    Make a stored version the one new requests are validated against (also used to roll back)
+ * @access  Super Admin
+ */
+router.post('/versions/:formId/activate', authMiddleware, roleMiddleware('super_admin'), async (req, res, next) => {
+  try {
+    const { intakeForm, previous, changed } = await activateIntakeFormVersion(req.params.formId, req.user.userId);
+
+    if (changed) {
+      await createAuditLog({
+        actorUserId: req.user.userId,
+        actorRole: req.user.role,
+        action: 'intake_form_version_activated',
+        entityType: 'intake_form',
+        entityId: intakeForm.formId,
+        previousState: previous ? { formId: previous.formId, version: previous.version } : null,
+        newState: { formId: intakeForm.formId, version: intakeForm.version },
+        details: { serviceType: intakeForm.serviceType },
+        req
+      });
+    }
+
+    res.json({ success: true, message: `Intake form version ${intakeForm.version} is active`, intakeForm: summarize(intakeForm) });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Activate intake form version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to activate intake form version' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/intake-forms/versions/:formId
+ * @desc    Delete an inactive version no request was validated against
+ * @access  Super Admin
+ */
+router.delete('/versions/:formId', authMiddleware, roleMiddleware('super_admin'), async (req, res, next) => {
+  try {
+    const intakeForm = await deleteIntakeFormVersion(req.params.formId);
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'intake_form_version_deleted',
+      entityType: 'intake_form',
+      entityId: intakeForm.formId,
+      previousState: { serviceType: intakeForm.serviceType, version: intakeForm.version },
+      req
+    });
+
+    res.json({ success: true, message: `Intake form version ${intakeForm.version} deleted` });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Delete intake form version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete intake form version' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+/**
+ * Ledger Routes
+ * Inspect the commission ledger, reconcile it against commissions, payouts
+ * and cached earnings, and post missing entries (Super Admin).
+ * Mounted at /api/v1/admin/ledger
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, ledgerSchemas } = require('../middlewares/validation');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('../services/ledgerService');
+const { createAuditLog } = require('../utils/auditLogger');
+
+/**
+ * @route   GET /api/admin/ledger/entries
+ * @desc    Journal entries, newest first
+ * @access  Super Admin
+ */
+router.get('/entries', authMiddleware, roleMiddleware('super_admin'), validate(ledgerSchemas.entries, 'query'), async (req, res) => {
+  try {
+    const { agentId, commissionId, payoutId, type, page, limit } = req.query;
+
+    const query = {
+      ...(agentId && { agentId }),
+      ...(commissionId && { commissionId }),
+      ...(payoutId && { payoutId }),
+      ...(type && { type })
+    };
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ postedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Get ledger entries error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch ledger entries' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ledger/balances/:userId
+ * @desc    An earner's wallet balances from the ledger
+ * @access  Super Admin
+ */
+router.get('/balances/:userId', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const balances = await ledgerService.getLedgerBalances(req.params.userId);
+    res.json({ success: true, agentId: req.params.userId, balances });
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch ledger balances' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ledger/reconcile
+ * @desc    Flag differences between the ledger, commissions, completed payouts
+ *          and cached earnings, for one earner or everyone
+ * @access  Super Admin
+ */
+router.get('/reconcile', authMiddleware, roleMiddleware('super_admin'), validate(ledgerSchemas.reconcile, 'query'), async (req, res) => {
+  try {
+    const report = await ledgerService.reconcile({ agentId: req.query.agentId });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reconcile ledger' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/ledger/sync
+ * @desc    Post the entries commissions are missing (e.g. after a failed
+ *          update or for commissions older than the ledger) and refresh
+ *          cached earnings
+ * @access  Super Admin
+ */
+router.post('/sync', authMiddleware, roleMiddleware('super_admin'), validate(ledgerSchemas.sync), async (req, res) => {
+  try {
+    const { agentId } = req.body;
+
+    const { earners, posted, failed } = await ledgerService.syncLedgers({ agentId });
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'ledger_synced',
+      entityType: 'ledger',
+      entityId: agentId || 'all',
+      details: { earners, posted, failed: failed.length },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `${posted} ledger entries posted`,
+      earners,
+      posted,
+      failed
+    });
+  } catch (error) {
+    console.error('Ledger sync error:', error);
+    res.status(500).json({ success: false, message: 'Failed to sync ledger' });
+  }
+});
+
+module.exports = router;
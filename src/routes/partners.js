@@ -9,7 +9,10 @@ const Task = require('../models/Task');
 const Commission = require('../models/Commission');
 const User = require('../models/User');
 const PaymentRequest = require('../models/PaymentRequest');
+const { getLedgerBalances } = require('../services/ledgerService');
 const { createAuditLog } = require('../utils/auditLogger');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { validateAnswers } = require('../utils/formSchema');
 
 // All partner routes require auth + rep3 role
 router.use(authMiddleware, roleMiddleware('rep3'));
@@ -27,7 +30,7 @@ router.get('/dashboard', async (req, res) => {
       totalStudents, activeStudents,
       totalSR, activeSR, completedSR,
       totalTasks, pendingTasks,
-      earningsAgg
+      balances
     ] = await Promise.all([
       Student.countDocuments({ createdByRep: repUserId }),
       Student.countDocuments({ createdByRep: repUserId, status: 'active' }),
@@ -36,19 +39,11 @@ router.get('/dashboard', async (req, res) => {
       ServiceRequest.countDocuments({ representativeId: repUserId, status: 'COMPLETED' }),
       Task.countDocuments({ assignedTo: repUserId }),
       Task.countDocuments({ assignedTo: repUserId, status: { $ne: 'COMPLETED' } }),
-      Commission.aggregate([
-        { $match: { agentId: repUserId, isDeleted: false } },
-        { $group: {
-          _id: '$status',
-          total: { $sum: '$amount' }
-        }}
-      ])
+      getLedgerBalances(repUserId)
     ]);
 
-    const earningsMap = {};
-    earningsAgg.forEach(e => { earningsMap[e._id] = e.total; });
-    const totalEarnings = earningsMap['paid'] || 0;
-    const pendingEarnings = (earningsMap['pending'] || 0) + (earningsMap['approved'] || 0);
+    const totalEarnings = balances.paid;
+    const pendingEarnings = balances.outstanding;
 
     res.json({
       dashboard: {
@@ -288,7 +283,14 @@ router.post('/service-requests', async (req, res) => {
       }]
     });
 
-    await serviceRequest.save();
+    await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+      [EVENTS.SERVICE_REQUEST_CREATED, {
+        serviceRequest,
+        createdBy: repUserId,
+        req,
+        audited: true
+      }]
+    ]);
 
     // Audit log
     createAuditLog({
@@ -554,8 +556,28 @@ router.post('/tasks/:taskId/submit', async (req, res) => {
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    // Prerequisite tasks must be completed first
+    const blockedBy = await task.getBlockingTasks();
+    if (blockedBy.length > 0) {
+      return res.status(409).json({
+        error: 'Task is blocked by prerequisite tasks',
+        code: 'TASK_BLOCKED',
+        blockedBy
+      });
+    }
+
+    // Form tasks are submitted as answers to the task's form
+    let validatedAnswers;
+    if (task.form) {
+      const result = validateAnswers(task.form, req.body.answers);
+      if (!result.valid) {
+        return res.status(400).json({ error: 'Invalid answers', code: 'INVALID_ANSWERS', details: result.errors });
+      }
+      validatedAnswers = result.answers;
+    }
+
     const previousStatus = task.status;
-    task.submit(text, files || []);
+    task.submit(text, files || [], validatedAnswers);
     await task.save();
 
     // Audit log
@@ -617,23 +639,18 @@ router.get('/commission-stats', async (req, res) => {
   try {
     const repUserId = req.user.userId;
 
-    const commissions = await Commission.find({
-      agentId: repUserId,
-      isDeleted: false
-    });
-
-    const totalEarned = commissions
-      .filter(c => c.status === 'paid')
-      .reduce((sum, c) => sum + c.amount, 0);
+    const [balances, totalCommissions] = await Promise.all([
+      getLedgerBalances(repUserId),
+      Commission.countDocuments({ agentId: repUserId, isDeleted: false })
+    ]);
 
-    const pendingAmount = commissions
-      .filter(c => c.status === 'pending' || c.status === 'approved')
-      .reduce((sum, c) => sum + c.amount, 0);
+    const totalEarned = balances.paid;
+    const pendingAmount = balances.outstanding;
 
     res.json({
       totalEarned,
       pendingAmount,
-      totalCommissions: commissions.length,
+      totalCommissions,
       representativeLevel: 3
     });
   } catch (error) {
@@ -1,12 +1,28 @@
+/**
+ * Payment Routes
+ * Student payments: hosted checkout for PAYMENT tasks on the gateway in
+ * Settings.payment.paymentGateway, gateway webhooks, and the fake gateway's
+ * checkout outside production (see payments/gateway).
+ */
+
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, paymentSchemas } = require('../middlewares/validation');
 const Payment = require('../models/Payment');
 const ServiceApplication = require('../models/ServiceApplication');
-const Commission = require('../models/Commission');
 const Student = require('../models/Student');
+const Task = require('../models/Task');
 const { logAudit } = require('../utils/auditLogger');
+const { getGateway } = require('../payments/gateway');
+const paymentService = require('../services/paymentService');
+
+// The fake gateway's checkout only exists outside production
+const fakeGatewayOnly = (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') return res.status(404).json({ error: 'Not found' });
+  next();
+};
 
 // Create payment for service
 router.post('/create', authMiddleware, async (req, res) => {
@@ -74,54 +90,89 @@ router.get('/my-payments', authMiddleware, roleMiddleware('student'), async (req
   }
 });
 
-// Complete payment (for testing - in production use Stripe webhooks)
-router.post('/:paymentId/complete', authMiddleware, async (req, res) => {
+// Start (or resume) the hosted checkout for a PAYMENT task
+router.post('/checkout', authMiddleware, roleMiddleware('student', 'rep3'), validate(paymentSchemas.checkout), async (req, res, next) => {
   try {
-    const { paymentId } = req.params;
-    
-    const payment = await Payment.findOne({ paymentId });
+    const { payment, reused } = await paymentService.createTaskCheckout(req.user, req.body.taskId, req);
+
+    res.status(reused ? 200 : 201).json({
+      message: reused ? 'Checkout resumed' : 'Checkout created',
+      checkoutUrl: payment.checkout.url,
+      payment
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Checkout creation error:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
+
+// Gateway webhooks (signed; no user auth)
+router.post('/webhooks/:gateway', async (req, res, next) => {
+  try {
+    const { result, paymentId } = await paymentService.handleWebhook(req.params.gateway, req.rawBody, req.headers);
+    res.json({ received: true, result, paymentId });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    // 500 makes the gateway deliver the event again
+    console.error(`Payment webhook (${req.params.gateway}) error:`, error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Fake gateway: the checkout page's data
+router.get('/fake-gateway/checkout/:sessionId', fakeGatewayOnly, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ gateway: 'fake', 'checkout.sessionId': req.params.sessionId })
+      .select('paymentId amount currency status checkout')
+      .lean();
     if (!payment) {
-      return res.status(404).json({ error: 'Payment not found' });
+      return res.status(404).json({ error: 'Checkout session not found' });
     }
 
-    payment.status = 'completed';
-    payment.paidAt = new Date();
-    await payment.save();
+    res.json({ sessionId: req.params.sessionId, payment, outcomes: ['processing', 'completed', 'failed', 'refunded'] });
+  } catch (error) {
+    console.error('Fake checkout error:', error);
+    res.status(500).json({ error: 'Failed to fetch checkout session' });
+  }
+});
 
-    // Auto-create commission for agent if assigned
-    const application = await ServiceApplication.findOne({ 
-      applicationId: payment.applicationId 
-    });
-    
-    if (application && application.assignedAgent) {
-      const student = await Student.findOne({ studentId: payment.studentId });
-      const commissionPercentage = student.commissionPercentage || 10;
-      const commissionAmount = (payment.amount * commissionPercentage) / 100;
-
-      const commission = new Commission({
-        commissionId: uuidv4(),
-        agentId: application.assignedAgent,
-        studentId: payment.studentId,
-        serviceId: payment.serviceId,
-        amount: commissionAmount,
-        percentage: commissionPercentage,
-        status: 'pending'
-      });
-
-      await commission.save();
+// Fake gateway: pay, fail or refund a session by sending its signed webhook
+router.post('/fake-gateway/checkout/:sessionId', fakeGatewayOnly, validate(paymentSchemas.fakeCheckout), async (req, res, next) => {
+  try {
+    const payment = await Payment.findOne({ gateway: 'fake', 'checkout.sessionId': req.params.sessionId }).lean();
+    if (!payment) {
+      return res.status(404).json({ error: 'Checkout session not found' });
     }
 
-    await logAudit(
-      req.user.userId,
-      'payment_completed',
-      'payment',
-      payment.paymentId,
-      { amount: payment.amount },
-      req
-    );
+    const { outcome, failureReason, amount } = req.body;
+    const fake = getGateway('fake');
+    const event = fake.buildEvent(payment, outcome, { failureReason, amount });
+    const { rawBody, headers } = fake.signEvent(event);
+    const { result, paymentId } = await paymentService.handleWebhook('fake', rawBody, headers);
 
-    res.json({ message: 'Payment completed', payment });
+    res.json({ result, paymentId, event });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Fake checkout error:', error);
+    res.status(500).json({ error: 'Failed to simulate payment' });
+  }
+});
+
+// Admin: mark a payment paid by hand (cash, bank transfer); completes its task too
+router.post('/:paymentId/complete', authMiddleware, roleMiddleware('super_admin'), validate(paymentSchemas.complete), async (req, res, next) => {
+  try {
+    const { result, payment } = await paymentService.completePaymentManually(req.user, req.params.paymentId, req.body, req);
+
+    res.json({
+      message: {
+        applied: 'Payment completed',
+        duplicate_payment: 'Payment completed, but its task was already paid: flagged for refund'
+      }[result] || 'Payment was already completed',
+      payment
+    });
   } catch (error) {
+    if (error.isOperational) return next(error);
     console.error('Payment completion error:', error);
     res.status(500).json({ error: 'Failed to complete payment' });
   }
@@ -141,7 +192,9 @@ router.get('/all', authMiddleware, roleMiddleware('super_admin'), async (req, re
       summary: {
         totalPayments: payments.length,
         totalRevenue,
-        pendingPayments: payments.filter(p => p.status === 'pending').length
+        pendingPayments: payments.filter(p => p.status === 'pending').length,
+        // Completed after their task was already paid
+        refundRequired: payments.filter(p => p.refundRequired && p.status === 'completed').length
       }
     });
   } catch (error) {
@@ -149,4 +202,32 @@ router.get('/all', authMiddleware, roleMiddleware('super_admin'), async (req, re
   }
 });
 
+// Get a payment (its student, the task assignee, or an admin), e.g. after returning from checkout
+router.get('/:paymentId', authMiddleware, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ paymentId: req.params.paymentId })
+      .select('-processedEvents')
+      .lean();
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (req.user.role !== 'super_admin') {
+      const [student, task] = await Promise.all([
+        Student.findOne({ userId: req.user.userId }).select('studentId').lean(),
+        payment.taskId ? Task.findOne({ taskId: payment.taskId }).select('assignedTo').lean() : null
+      ]);
+      const allowed = student?.studentId === payment.studentId || task?.assignedTo === req.user.userId;
+      if (!allowed) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    res.json({ payment });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Payout Run Routes
+ * Review, approve, export and settle payout runs (Super Admin). Runs are
+ * created by the payout-runs job on Settings.commission.payoutFrequency,
+ * or here on demand. Lines are settled one by one or from the bank's
+ * settlement file.
+ * Mounted at /api/v1/admin/payout-runs
+ */
+
+const fs = require('fs');
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, payoutRunSchemas } = require('../middlewares/validation');
+const payoutRunService = require('../services/payoutRunService');
+
+router.use(authMiddleware, roleMiddleware('super_admin'));
+
+/**
+ * @route   GET /api/admin/payout-runs
+ * @desc    Payout runs, newest first
+ * @access  Super Admin
+ */
+router.get('/', validate(payoutRunSchemas.list, 'query'), async (req, res) => {
+  try {
+    const { status, trigger, page, limit } = req.query;
+    const { runs, pagination } = await payoutRunService.listPayoutRuns({ status, trigger }, { page, limit });
+    res.json({ success: true, runs, pagination });
+  } catch (error) {
+    console.error('Get payout runs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payout runs' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payout-runs
+ * @desc    Create a draft run now from every eligible approved commission
+ * @access  Super Admin
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const batch = await payoutRunService.createPayoutRun({ trigger: 'manual', user: req.user, req });
+    res.status(201).json({
+      success: true,
+      message: batch.status === 'empty' ? 'No earner is due a payout' : 'Payout run created',
+      batch
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Create payout run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create payout run' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payout-runs/settlements
+ * @desc    Settle lines from the bank's settlement CSV (multipart `file`, or `csv` text), optionally as a dry run
+ * @access  Super Admin
+ */
+router.post('/settlements', validate(payoutRunSchemas.importSettlements), async (req, res, next) => {
+  try {
+    const upload = req.files?.file;
+    let csv = req.body.csv;
+    if (upload) {
+      csv = upload.tempFilePath
+        ? await fs.promises.readFile(upload.tempFilePath, 'utf8')
+        : upload.data.toString('utf8');
+    }
+    if (!csv) {
+      return res.status(400).json({ success: false, message: 'Upload a settlement file or send its contents as csv' });
+    }
+
+    const result = await payoutRunService.importSettlementFile(req.user, csv, { dryRun: req.body.dryRun }, req);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Import settlement file error:', error);
+    res.status(500).json({ success: false, message: 'Failed to import settlement file' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payout-runs/:batchId
+ * @desc    A run with its lines and totals by line status
+ * @access  Super Admin
+ */
+router.get('/:batchId', async (req, res, next) => {
+  try {
+    const run = await payoutRunService.getPayoutRun(req.params.batchId);
+    res.json({ success: true, ...run });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Get payout run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payout run' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payout-runs/:batchId/approve
+ * @desc    Approve a draft run as a whole
+ * @access  Super Admin
+ */
+router.post('/:batchId/approve', validate(payoutRunSchemas.approve), async (req, res, next) => {
+  try {
+    const batch = await payoutRunService.approvePayoutRun(req.user, req.params.batchId, req.body, req);
+    res.json({ success: true, message: 'Payout run approved', batch });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Approve payout run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve payout run' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payout-runs/:batchId/cancel
+ * @desc    Cancel a draft run; its commissions go to the next run
+ * @access  Super Admin
+ */
+router.post('/:batchId/cancel', validate(payoutRunSchemas.withReason), async (req, res, next) => {
+  try {
+    const batch = await payoutRunService.cancelPayoutRun(req.user, req.params.batchId, req.body, req);
+    res.json({ success: true, message: 'Payout run cancelled', batch });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Cancel payout run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel payout run' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payout-runs/:batchId/export
+ * @desc    Bank upload file (csv, pain001 or fixed_width) of an approved run's unpaid lines
+ * @access  Super Admin
+ */
+router.get('/:batchId/export', validate(payoutRunSchemas.export, 'query'), async (req, res, next) => {
+  try {
+    const file = await payoutRunService.exportPayoutRun(req.user, req.params.batchId, { format: req.query.format }, req);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${file.fileName}`);
+    res.setHeader('X-Line-Count', file.lineCount);
+    res.setHeader('X-Control-Total', file.controlTotal.toFixed(2));
+    res.setHeader('X-Hash-Total', file.hashTotal);
+    res.setHeader('X-Checksum-SHA256', file.checksum);
+    res.send(file.content);
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Export payout run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export payout run' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payout-runs/:batchId/lines/:payoutId/exclude
+ * @desc    Take a line out of a draft run
+ * @access  Super Admin
+ */
+router.post('/:batchId/lines/:payoutId/exclude', validate(payoutRunSchemas.withReason), async (req, res, next) => {
+  try {
+    const batch = await payoutRunService.excludePayoutLine(req.user, req.params.batchId, req.params.payoutId, req.body, req);
+    res.json({ success: true, message: 'Line excluded', batch });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Exclude payout line error:', error);
+    res.status(500).json({ success: false, message: 'Failed to exclude line' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payout-runs/:batchId/lines/:payoutId/settle
+ * @desc    Mark a line of an approved run completed (paying its commissions) or failed
+ * @access  Super Admin
+ */
+router.post('/:batchId/lines/:payoutId/settle', validate(payoutRunSchemas.settle), async (req, res, next) => {
+  try {
+    const { batch, payout } = await payoutRunService.settlePayoutLine(req.user, req.params.batchId, req.params.payoutId, req.body, req);
+    res.json({ success: true, message: `Line marked ${payout.status}`, batch, payout });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Settle payout line error:', error);
+    res.status(500).json({ success: false, message: 'Failed to settle line' });
+  }
+});
+
+module.exports = router;
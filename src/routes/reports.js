@@ -13,6 +13,9 @@ const ServiceRequest = require('../models/ServiceRequest');
 const ServiceApplication = require('../models/ServiceApplication');
 const Commission = require('../models/Commission');
 const University = require('../models/University');
+const Task = require('../models/Task');
+const { complianceRate } = require('../utils/sla');
+const { getLedgerBalances } = require('../services/ledgerService');
 
 // ============================================
 // GET /overview - Dashboard KPIs and summary
@@ -419,20 +422,15 @@ router.get('/commissions', authMiddleware, roleMiddleware('super_admin'), async
           _id: null,
           totalRevenue: { $sum: '$amount' },
           totalCommissions: { $sum: 1 },
-          pendingAmount: {
-            $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] }
-          },
-          approvedAmount: {
-            $sum: { $cond: [{ $eq: ['$status', 'approved'] }, '$amount', 0] }
-          },
-          paidAmount: {
-            $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] }
-          },
           avgCommission: { $avg: '$amount' }
         }
       }
     ]);
 
+    // Outstanding and paid amounts from the ledger, for the same commissions
+    const commissionIds = await Commission.distinct('commissionId', matchStage);
+    const ledger = await getLedgerBalances({ commissionId: { $in: commissionIds } });
+
     // By status breakdown
     const byStatus = await Commission.aggregate([
       { $match: matchStage },
@@ -502,13 +500,12 @@ router.get('/commissions', authMiddleware, roleMiddleware('super_admin'), async
     res.json({
       success: true,
       data: {
-        summary: summary[0] || {
-          totalRevenue: 0,
-          totalCommissions: 0,
-          pendingAmount: 0,
-          approvedAmount: 0,
-          paidAmount: 0,
-          avgCommission: 0
+        summary: {
+          ...(summary[0] || { totalRevenue: 0, totalCommissions: 0, avgCommission: 0 }),
+          pendingAmount: ledger.pending,
+          approvedAmount: ledger.payable,
+          disputedAmount: ledger.disputed,
+          paidAmount: ledger.paid
         },
         byStatus,
         monthlyTrend: monthlyTrend.map(item => ({
@@ -594,25 +591,20 @@ router.get('/agents/performance', authMiddleware, roleMiddleware('super_admin'),
           {
             $group: {
               _id: '$status',
-              total: { $sum: '$amount' },
+              commissionIds: { $push: '$commissionId' },
               count: { $sum: 1 }
             }
           }
         ]);
 
-        let totalEarnings = 0;
-        let pendingEarnings = 0;
-        let paidCommissions = 0;
+        const paidCommissions = commissionStats.find(stat => stat._id === 'paid')?.count || 0;
 
-        commissionStats.forEach(stat => {
-          if (stat._id === 'paid') {
-            totalEarnings = stat.total;
-            paidCommissions = stat.count;
-          }
-          if (stat._id === 'pending' || stat._id === 'approved') {
-            pendingEarnings += stat.total;
-          }
-        });
+        // Earnings from the ledger, for the commissions in the period
+        const balances = await getLedgerBalances(hasDateFilter
+          ? { commissionId: { $in: commissionStats.flatMap(stat => stat.commissionIds) } }
+          : agent.userId);
+        const totalEarnings = balances.paid;
+        const pendingEarnings = balances.outstanding;
 
         // Conversion rate (completed / referred)
         const conversionRate = studentsReferred > 0
@@ -675,6 +667,128 @@ router.get('/agents/performance', authMiddleware, roleMiddleware('super_admin'),
   }
 });
 
+// ============================================
+// GET /agents/sla-compliance - SLA compliance per counselor/agent
+// ============================================
+router.get('/agents/sla-compliance', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { role, startDate, endDate } = req.query;
+
+    if (role && !['counselor', 'agent'].includes(role)) {
+      return res.status(400).json({ success: false, error: 'role must be counselor or agent' });
+    }
+
+    const dateFilter = {};
+    if (startDate) dateFilter.$gte = new Date(startDate);
+    if (endDate) dateFilter.$lte = new Date(endDate);
+    const hasDateFilter = startDate || endDate;
+
+    const staff = await User.find({ role: role ? role : { $in: ['counselor', 'agent'] }, isActive: true })
+      .select('userId firstName lastName email role')
+      .lean();
+
+    const hasEntry = (status) => ({
+      $gt: [{ $size: { $filter: { input: { $ifNull: ['$statusHistory', []] }, cond: { $eq: ['$$this.status', status] } } } }, 0]
+    });
+
+    // Requests handled per staff member, and how many of them ever breached
+    const requestStats = async (field, userIds) => {
+      const rows = await ServiceRequest.aggregate([
+        { $match: { [field]: { $in: userIds }, ...(hasDateFilter ? { createdAt: dateFilter } : {}) } },
+        {
+          $project: {
+            owner: `$${field}`,
+            breached: hasEntry('SLA_BREACHED'),
+            escalated: hasEntry('SLA_ESCALATED'),
+            openBreach: {
+              $and: [
+                { $not: [{ $in: ['$status', ['COMPLETED', 'CANCELLED']] }] },
+                {
+                  $or: [
+                    { $in: [{ $ifNull: ['$slaTracking.statusLevel', 'ok'] }, ['breached', 'escalated']] },
+                    { $in: [{ $ifNull: ['$slaTracking.deadlineLevel', 'ok'] }, ['breached', 'escalated']] }
+                  ]
+                }
+              ]
+            }
+          }
+        },
+        {
+          $group: {
+            _id: '$owner',
+            total: { $sum: 1 },
+            breached: { $sum: { $cond: [{ $or: ['$breached', '$escalated'] }, 1, 0] } },
+            escalated: { $sum: { $cond: ['$escalated', 1, 0] } },
+            openBreaches: { $sum: { $cond: ['$openBreach', 1, 0] } }
+          }
+        }
+      ]);
+      return new Map(rows.map(row => [row._id, row]));
+    };
+
+    const counselorIds = staff.filter(s => s.role === 'counselor').map(s => s.userId);
+    const agentIds = staff.filter(s => s.role === 'agent').map(s => s.userId);
+
+    const [counselorStats, agentStats, taskRows] = await Promise.all([
+      requestStats('assignedCounselor', counselorIds),
+      requestStats('assignedAgent', agentIds),
+      Task.aggregate([
+        { $match: { assignedBy: { $in: staff.map(s => s.userId) }, ...(hasDateFilter ? { createdAt: dateFilter } : {}) } },
+        {
+          $group: {
+            _id: '$assignedBy',
+            total: { $sum: 1 },
+            overdue: { $sum: { $cond: [{ $in: [{ $ifNull: ['$slaTracking.level', 'ok'] }, ['breached', 'escalated']] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+    const taskStats = new Map(taskRows.map(row => [row._id, row]));
+
+    const compliance = staff.map(member => {
+      const stats = (member.role === 'counselor' ? counselorStats : agentStats).get(member.userId) || {};
+      const tasks = taskStats.get(member.userId) || {};
+      return {
+        userId: member.userId,
+        name: `${member.firstName} ${member.lastName}`,
+        email: member.email,
+        role: member.role,
+        totalRequests: stats.total || 0,
+        breachedRequests: stats.breached || 0,
+        escalatedRequests: stats.escalated || 0,
+        openBreaches: stats.openBreaches || 0,
+        complianceRate: complianceRate(stats.total || 0, stats.breached || 0),
+        totalTasks: tasks.total || 0,
+        overdueTasks: tasks.overdue || 0
+      };
+    });
+
+    compliance.sort((a, b) => a.complianceRate - b.complianceRate || b.openBreaches - a.openBreaches);
+
+    const totals = compliance.reduce((sum, c) => ({
+      totalRequests: sum.totalRequests + c.totalRequests,
+      breachedRequests: sum.breachedRequests + c.breachedRequests,
+      escalatedRequests: sum.escalatedRequests + c.escalatedRequests,
+      openBreaches: sum.openBreaches + c.openBreaches
+    }), { totalRequests: 0, breachedRequests: 0, escalatedRequests: 0, openBreaches: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          staffCount: compliance.length,
+          ...totals,
+          complianceRate: complianceRate(totals.totalRequests, totals.breachedRequests)
+        },
+        staff: compliance
+      }
+    });
+  } catch (error) {
+    console.error('SLA compliance report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch SLA compliance report' });
+  }
+});
+
 // ============================================
 // GET /trends/monthly - Monthly trends for year
 // ============================================
@@ -7,6 +7,7 @@ const Student = require('../models/Student');
 const Task = require('../models/Task');
 const Commission = require('../models/Commission');
 const User = require('../models/User');
+const { getLedgerBalances } = require('../services/ledgerService');
 
 // All representative routes require auth + rep1/rep2 role
 router.use(authMiddleware, roleMiddleware('rep1', 'rep2'));
@@ -33,25 +34,17 @@ router.get('/dashboard', async (req, res) => {
     const repUserId = req.user.userId;
 
     // Use countDocuments and aggregation instead of fetching full documents
-    const [totalStudents, activeStudents, totalSR, activeSR, completedSR, earningsAgg] = await Promise.all([
+    const [totalStudents, activeStudents, totalSR, activeSR, completedSR, balances] = await Promise.all([
       Student.countDocuments({ referredBy: repUserId }),
       Student.countDocuments({ referredBy: repUserId, status: 'active' }),
       ServiceRequest.countDocuments({ representativeId: repUserId }),
       ServiceRequest.countDocuments({ representativeId: repUserId, status: { $nin: ['COMPLETED', 'CANCELLED'] } }),
       ServiceRequest.countDocuments({ representativeId: repUserId, status: 'COMPLETED' }),
-      Commission.aggregate([
-        { $match: { agentId: repUserId, isDeleted: false } },
-        { $group: {
-          _id: '$status',
-          total: { $sum: '$amount' }
-        }}
-      ])
+      getLedgerBalances(repUserId)
     ]);
 
-    const earningsMap = {};
-    earningsAgg.forEach(e => { earningsMap[e._id] = e.total; });
-    const totalEarnings = earningsMap['paid'] || 0;
-    const pendingEarnings = (earningsMap['pending'] || 0) + (earningsMap['approved'] || 0);
+    const totalEarnings = balances.paid;
+    const pendingEarnings = balances.outstanding;
 
     res.json({
       dashboard: {
@@ -251,20 +244,13 @@ router.get('/commission-stats', async (req, res) => {
   try {
     const repUserId = req.user.userId;
 
-    const commissions = await Commission.find({
-      agentId: repUserId,
-      isDeleted: false
-    });
-
-    const totalEarned = commissions
-      .filter(c => c.status === 'paid')
-      .reduce((sum, c) => sum + c.amount, 0);
-
-    const pendingAmount = commissions
-      .filter(c => c.status === 'pending' || c.status === 'approved')
-      .reduce((sum, c) => sum + c.amount, 0);
+    const [balances, totalCommissions] = await Promise.all([
+      getLedgerBalances(repUserId),
+      Commission.countDocuments({ agentId: repUserId, isDeleted: false })
+    ]);
 
-    const totalCommissions = commissions.length;
+    const totalEarned = balances.paid;
+    const pendingAmount = balances.outstanding;
 
     res.json({
       totalEarned,
@@ -9,6 +9,80 @@ const router = express.Router();
 const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
 const Settings = require('../models/Settings');
 const { createAuditLog } = require('../utils/auditLogger');
+const { findInvalidRanges } = require('../utils/ipRange');
+const { validateFixedWidthLayout } = require('../utils/bankFiles');
+const { isGatewayAvailable } = require('../payments/gateway');
+const { syncMaintenanceState } = require('../services/maintenanceService');
+
+/**
+ * Respond 400 if a security update carries malformed IP allowlist entries
+ * @returns {Boolean} true when a response was sent
+ */
+const rejectInvalidAllowlist = (security, res) => {
+  const allowedIPs = security?.ipWhitelist?.allowedIPs;
+  if (!Array.isArray(allowedIPs)) return false;
+
+  const invalid = findInvalidRanges(allowedIPs);
+  if (invalid.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid IP allowlist entries. Use addresses or CIDR ranges (e.g. 203.0.113.0/24)',
+    invalid
+  });
+  return true;
+};
+
+/**
+ * Respond 400 if a maintenance window ends before it starts
+ * @returns {Boolean} true when a response was sent
+ */
+const rejectInvalidMaintenanceWindow = (features, res) => {
+  const { scheduledStart, scheduledEnd } = features?.maintenance || {};
+  if (!scheduledStart || !scheduledEnd) return false;
+  if (new Date(scheduledEnd) > new Date(scheduledStart)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Maintenance scheduledEnd must be after scheduledStart'
+  });
+  return true;
+};
+
+/**
+ * Respond 400 if a commission update carries an unusable bank file layout
+ * @returns {Boolean} true when a response was sent
+ */
+const rejectInvalidBankFileLayout = (commission, res) => {
+  const layout = commission?.bankFile?.fixedWidth;
+  if (!layout?.recordFields?.length) return false;
+
+  const invalid = validateFixedWidthLayout(layout);
+  if (invalid.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid fixed-width bank file layout',
+    invalid
+  });
+  return true;
+};
+
+/**
+ * Respond 400 if a payment update selects a gateway this environment can't use
+ * (the fake gateway in production)
+ * @returns {Boolean} true when a response was sent
+ */
+const rejectUnavailableGateway = (payment, res) => {
+  const gateway = payment?.paymentGateway;
+  if (!gateway || gateway === 'none' || isGatewayAvailable(gateway)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `The ${gateway} payment gateway is not available in this environment`
+  });
+  return true;
+};
 
 // ============================================
 // GET / - Get all platform settings
@@ -63,12 +137,18 @@ router.put('/', authMiddleware, roleMiddleware('super_admin'), async (req, res)
     const updates = req.body;
     const userId = req.user.userId;
 
+    if (rejectInvalidAllowlist(updates.security, res)) return;
+    if (rejectInvalidMaintenanceWindow(updates.features, res)) return;
+    if (rejectInvalidBankFileLayout(updates.commission, res)) return;
+    if (rejectUnavailableGateway(updates.payment, res)) return;
+
     // Get current settings for audit log
     const currentSettings = await Settings.getSettings();
     const previousState = currentSettings.toObject();
 
     // Update settings
     const updatedSettings = await Settings.updateSettings(updates, userId);
+    syncMaintenanceState();
 
     // Create audit log
     try {
@@ -136,12 +216,18 @@ router.put('/:section', authMiddleware, roleMiddleware('super_admin'), async (re
       });
     }
 
+    if (section === 'security' && rejectInvalidAllowlist(updates, res)) return;
+    if (section === 'features' && rejectInvalidMaintenanceWindow(updates, res)) return;
+    if (section === 'commission' && rejectInvalidBankFileLayout(updates, res)) return;
+    if (section === 'payment' && rejectUnavailableGateway(updates, res)) return;
+
     // Get current settings for audit log
     const currentSettings = await Settings.getSettings();
     const previousSectionState = currentSettings[section];
 
     // Update the specific section
     const updatedSettings = await Settings.updateSection(section, updates, userId);
+    if (section === 'features') syncMaintenanceState();
 
     // Create audit log
     try {
@@ -201,6 +287,7 @@ router.post('/reset', authMiddleware, roleMiddleware('super_admin'), async (req,
       const defaultSectionValue = defaultSettings[section];
 
       const updatedSettings = await Settings.updateSection(section, defaultSectionValue, userId);
+      if (section === 'features') syncMaintenanceState();
 
       // Audit log
       try {
@@ -231,6 +318,7 @@ router.post('/reset', authMiddleware, roleMiddleware('super_admin'), async (req,
 
       await Settings.deleteOne({ settingsId: 'platform_settings' });
       const newSettings = await Settings.getSettings();
+      syncMaintenanceState();
 
       // Audit log
       try {
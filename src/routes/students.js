@@ -10,6 +10,8 @@ const Notification = require('../models/Notification');
 const User = require('../models/User');
 const { logAudit } = require('../utils/auditLogger');
 const { emitToAdmins, emitToUser } = require('../socket/socketManager');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { validateIntake } = require('../services/intakeFormService');
 const { uploadToCloudinary, deleteFromCloudinary, validateFile } = require('../utils/fileUpload');
 
 // Valid document types for student profile
@@ -579,13 +581,38 @@ router.delete('/documents/:documentType', authMiddleware, roleMiddleware('studen
 // Apply for services
 router.post('/apply-services', authMiddleware, roleMiddleware('student'), enforceStudentInteractionMode, async (req, res) => {
   try {
-    const { serviceIds } = req.body;
+    const { serviceIds, formData } = req.body;
 
     const student = await Student.findOne({ userId: req.user.userId });
     if (!student) {
       return res.status(404).json({ error: 'Student not found' });
     }
 
+    // Optional intake answers per service (formData: { [serviceId]: {...} }),
+    // checked up front so nothing is created when one is invalid
+    const intakeByService = {};
+    const intakeErrors = [];
+    for (const serviceId of serviceIds) {
+      const serviceType = SERVICE_ID_TO_TYPE[serviceId];
+      if (!serviceType || !formData?.[serviceId]) continue;
+
+      const validation = await validateIntake(serviceType, formData[serviceId]);
+      if (validation.valid) {
+        intakeByService[serviceId] = validation.intakeForm;
+      } else {
+        intakeErrors.push({
+          serviceId,
+          serviceType,
+          errors: validation.errors,
+          fieldErrors: validation.fieldErrors,
+          intakeFormVersion: validation.intakeForm.version
+        });
+      }
+    }
+    if (intakeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid form data', services: intakeErrors });
+    }
+
     const applications = [];
     const serviceRequests = [];
 
@@ -624,6 +651,10 @@ router.post('/apply-services', authMiddleware, roleMiddleware('student'), enforc
               serviceType,
               status: 'PENDING_ADMIN_ASSIGNMENT',
               metadata: { applicationId: application.applicationId, serviceId },
+              formData: intakeByService[serviceId] ? formData[serviceId] : null,
+              formSubmittedAt: intakeByService[serviceId] ? new Date() : null,
+              intakeFormId: intakeByService[serviceId]?.formId || null,
+              intakeFormVersion: intakeByService[serviceId]?.version || null,
               appliedAt: new Date()
             });
 
@@ -635,7 +666,13 @@ router.post('/apply-services', authMiddleware, roleMiddleware('student'), enforc
               note: 'Service request created by student'
             });
 
-            await serviceRequest.save();
+            await eventBus.emitWith((session) => serviceRequest.save({ session }), [
+              [EVENTS.SERVICE_REQUEST_CREATED, {
+                serviceRequest,
+                createdBy: req.user.userId,
+                req
+              }]
+            ]);
             serviceRequests.push(serviceRequest);
           }
         }
@@ -0,0 +1,150 @@
+/**
+ * Task Template Routes
+ * Per-service-type task checklists created automatically on status changes (Super Admin).
+ * Mounted at /api/v1/admin/task-templates
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, taskTemplateSchemas } = require('../middlewares/validation');
+const TaskTemplate = require('../models/TaskTemplate');
+const Task = require('../models/Task');
+const { createAuditLog } = require('../utils/auditLogger');
+const { createTemplate, updateTemplate } = require('../services/taskTemplateService');
+
+/**
+ * @route   GET /api/admin/task-templates
+ * @desc    Task templates, optionally filtered by serviceType / triggerStatus / isActive
+ * @access  Super Admin
+ */
+router.get('/', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { serviceType, triggerStatus, isActive } = req.query;
+
+    const filter = {};
+    if (serviceType) filter.serviceType = serviceType;
+    if (triggerStatus) filter.triggerStatus = triggerStatus;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const templates = await TaskTemplate.find(filter)
+      .sort({ serviceType: 1, triggerStatus: 1, order: 1 })
+      .lean();
+
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('Get task templates error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch task templates' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/task-templates/:templateId
+ * @desc    A task template and how many tasks it has created
+ * @access  Super Admin
+ */
+router.get('/:templateId', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findOne({ templateId: req.params.templateId }).lean();
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Task template not found' });
+    }
+
+    const tasksCreated = await Task.countDocuments({ templateId: template.templateId });
+    res.json({ success: true, template, tasksCreated });
+  } catch (error) {
+    console.error('Get task template error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch task template' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/task-templates
+ * @desc    Create a task template
+ * @access  Super Admin
+ */
+router.post('/', authMiddleware, roleMiddleware('super_admin'), validate(taskTemplateSchemas.create), async (req, res, next) => {
+  try {
+    const template = await createTemplate(req.body, req.user.userId);
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'task_template_created',
+      entityType: 'task_template',
+      entityId: template.templateId,
+      newState: { serviceType: template.serviceType, key: template.key, triggerStatus: template.triggerStatus },
+      req
+    });
+
+    res.status(201).json({ success: true, message: 'Task template created', template });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Create task template error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create task template' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/task-templates/:templateId
+ * @desc    Update a task template (applies to tasks created from now on)
+ * @access  Super Admin
+ */
+router.put('/:templateId', authMiddleware, roleMiddleware('super_admin'), validate(taskTemplateSchemas.update), async (req, res, next) => {
+  try {
+    const { template, previous } = await updateTemplate(req.params.templateId, req.body, req.user.userId);
+
+    const changed = Object.keys(req.body);
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'task_template_updated',
+      entityType: 'task_template',
+      entityId: template.templateId,
+      previousState: Object.fromEntries(changed.map(field => [field, previous[field]])),
+      newState: Object.fromEntries(changed.map(field => [field, template[field]])),
+      req
+    });
+
+    res.json({ success: true, message: 'Task template updated', template });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Update task template error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update task template' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/task-templates/:templateId
+ * @desc    Deactivate a task template. Tasks already created are kept.
+ * @access  Super Admin
+ */
+router.delete('/:templateId', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const template = await TaskTemplate.findOneAndUpdate(
+      { templateId: req.params.templateId },
+      { $set: { isActive: false, updatedBy: req.user.userId } },
+      { new: true }
+    ).lean();
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Task template not found' });
+    }
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'task_template_deactivated',
+      entityType: 'task_template',
+      entityId: template.templateId,
+      newState: { isActive: false },
+      req
+    });
+
+    res.json({ success: true, message: 'Task template deactivated' });
+  } catch (error) {
+    console.error('Deactivate task template error:', error);
+    res.status(500).json({ success: false, message: 'Failed to deactivate task template' });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const {
   createTask,
   getTasks,
   getTaskById,
+  getTaskReview,
   submitTask,
   reviewTask,
   updateTaskStatus,
@@ -49,6 +50,17 @@ router.get('/:taskId',
   getTaskById
 );
 
+/**
+ * @route   GET /api/tasks/:taskId/review
+ * @desc    Submission to review with the previous one and a diff (?revision=n)
+ * @access  Counselor, Agent, Super Admin
+ */
+router.get('/:taskId/review',
+  authMiddleware,
+  roleMiddleware('counselor', 'agent', 'super_admin'),
+  getTaskReview
+);
+
 /**
  * @route   POST /api/tasks/:taskId/submit
  * @desc    Submit task (by student)
@@ -0,0 +1,172 @@
+/**
+ * Workflow Routes
+ * Versioned service-request workflow definitions (Super Admin).
+ * Mounted at /api/v1/admin/workflows
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, roleMiddleware } = require('../middlewares/auth');
+const { validate, workflowSchemas } = require('../middlewares/validation');
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const ServiceRequest = require('../models/ServiceRequest');
+const { createAuditLog } = require('../utils/auditLogger');
+const { DEFAULT_WORKFLOW } = require('../utils/stateMachine');
+const { createWorkflowVersion, activateWorkflowVersion } = require('../services/workflowService');
+
+const SERVICE_TYPES = ServiceRequest.schema.path('serviceType').enumValues;
+
+const summarize = (workflow) => ({
+  workflowId: workflow.workflowId,
+  serviceType: workflow.serviceType,
+  version: workflow.version,
+  name: workflow.name,
+  isActive: workflow.isActive,
+  changeNote: workflow.changeNote,
+  createdBy: workflow.createdBy,
+  createdAt: workflow.createdAt,
+  activatedAt: workflow.activatedAt,
+  activatedBy: workflow.activatedBy
+});
+
+/**
+ * @route   GET /api/admin/workflows
+ * @desc    Workflow new requests of each service type start on
+ * @access  Super Admin
+ */
+router.get('/', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const active = await WorkflowDefinition.find({ isActive: true }).lean();
+    const byType = new Map(active.map(w => [w.serviceType, w]));
+
+    const workflows = SERVICE_TYPES.map(serviceType => {
+      if (byType.has(serviceType)) {
+        return { serviceType, source: 'service_type', workflow: byType.get(serviceType) };
+      }
+      if (byType.has('*')) {
+        return { serviceType, source: 'default', workflow: byType.get('*') };
+      }
+      return { serviceType, source: 'built_in', workflow: DEFAULT_WORKFLOW };
+    });
+
+    res.json({ success: true, workflows, builtIn: DEFAULT_WORKFLOW });
+  } catch (error) {
+    console.error('Get workflows error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch workflows' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/workflows/versions/:workflowId
+ * @desc    A stored workflow version
+ * @access  Super Admin
+ */
+router.get('/versions/:workflowId', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const workflow = await WorkflowDefinition.findOne({ workflowId: req.params.workflowId }).lean();
+    if (!workflow) {
+      return res.status(404).json({ success: false, message: 'Workflow version not found' });
+    }
+
+    const pinnedRequests = await ServiceRequest.countDocuments({ workflowId: workflow.workflowId });
+    res.json({ success: true, workflow, pinnedRequests });
+  } catch (error) {
+    console.error('Get workflow version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch workflow version' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/workflows/:serviceType/versions
+ * @desc    Version history of a service type's workflow, newest first
+ * @access  Super Admin
+ */
+router.get('/:serviceType/versions', authMiddleware, roleMiddleware('super_admin'), async (req, res) => {
+  try {
+    const { serviceType } = req.params;
+    if (serviceType !== '*' && !SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({ success: false, message: 'Unknown service type' });
+    }
+
+    const versions = await WorkflowDefinition.find({ serviceType }).sort({ version: -1 }).lean();
+    const pinned = await ServiceRequest.aggregate([
+      { $match: { workflowId: { $in: versions.map(v => v.workflowId) } } },
+      { $group: { _id: '$workflowId', count: { $sum: 1 } } }
+    ]);
+    const pinnedById = new Map(pinned.map(p => [p._id, p.count]));
+
+    res.json({
+      success: true,
+      serviceType,
+      versions: versions.map(v => ({ ...summarize(v), pinnedRequests: pinnedById.get(v.workflowId) || 0 }))
+    });
+  } catch (error) {
+    console.error('Get workflow versions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch workflow versions' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/workflows
+ * @desc    Save a new workflow version for a service type ('*' = all types
+ *          without their own). Activated immediately unless activate=false;
+ *          requests already in flight keep their version.
+ * @access  Super Admin
+ */
+router.post('/', authMiddleware, roleMiddleware('super_admin'), validate(workflowSchemas.create), async (req, res, next) => {
+  try {
+    const { activate, ...definition } = req.body;
+    const { workflow, previous } = await createWorkflowVersion(definition, req.user.userId, { activate });
+
+    await createAuditLog({
+      actorUserId: req.user.userId,
+      actorRole: req.user.role,
+      action: 'workflow_version_created',
+      entityType: 'workflow',
+      entityId: workflow.workflowId,
+      previousState: previous ? { workflowId: previous.workflowId, version: previous.version } : null,
+      newState: { serviceType: workflow.serviceType, version: workflow.version, isActive: workflow.isActive },
+      details: { changeNote: workflow.changeNote },
+      req
+    });
+
+    res.status(201).json({ success: true, message: `Workflow version ${workflow.version} saved`, workflow });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Create workflow version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save workflow version' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/workflows/versions/:workflowId/activate
+ * @desc    Make a stored version the one new requests start on (also used to roll back)
+ * @access  Super Admin
+ */
+router.post('/versions/:workflowId/activate', authMiddleware, roleMiddleware('super_admin'), async (req, res, next) => {
+  try {
+    const { workflow, previous, changed } = await activateWorkflowVersion(req.params.workflowId, req.user.userId);
+
+    if (changed) {
+      await createAuditLog({
+        actorUserId: req.user.userId,
+        actorRole: req.user.role,
+        action: 'workflow_version_activated',
+        entityType: 'workflow',
+        entityId: workflow.workflowId,
+        previousState: previous ? { workflowId: previous.workflowId, version: previous.version } : null,
+        newState: { workflowId: workflow.workflowId, version: workflow.version },
+        details: { serviceType: workflow.serviceType },
+        req
+      });
+    }
+
+    res.json({ success: true, message: `Workflow version ${workflow.version} is active`, workflow: summarize(workflow) });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Activate workflow version error:', error);
+    res.status(500).json({ success: false, message: 'Failed to activate workflow version' });
+  }
+});
+
+module.exports = router;
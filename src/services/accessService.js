@@ -0,0 +1,134 @@
+/**
+ * Access Service
+ * Who may see a service request's chat, a student or an application.
+ * Shared by the chat routes and socket room joins, so a socket can only
+ * listen to what its user could fetch over HTTP.
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Student = require('../models/Student');
+const Application = require('../models/Application');
+const { canAccessResource } = require('../middlewares/auth');
+
+/**
+ * Check if user has access to chat for a service request.
+ * Enforces interactionMode:
+ *   - 'rep-counselor': only representative + counselor + admin can chat (student blocked)
+ *   - 'student-counselor' / null: only student + counselor + agent + admin can chat (rep blocked)
+ * @param {Object} user - { userId, role }
+ * @param {Object} serviceRequest
+ * @returns {Promise<Boolean>}
+ */
+async function checkChatAccess(user, serviceRequest) {
+  const mode = serviceRequest.interactionMode; // 'rep-counselor' | 'student-counselor' | null
+
+  switch (user.role) {
+    case 'super_admin':
+      return true;
+
+    case 'student': {
+      // In rep-counselor mode, student cannot access chat directly
+      if (mode === 'rep-counselor') return false;
+      const student = await Student.findOne({ userId: user.userId });
+      return Boolean(student) && serviceRequest.studentId === student.studentId;
+    }
+
+    case 'counselor':
+      return serviceRequest.assignedCounselor === user.userId;
+
+    case 'agent':
+      return serviceRequest.assignedAgent === user.userId;
+
+    case 'rep3':
+      // Rep3 can chat only in rep-counselor mode for their own service requests
+      return mode === 'rep-counselor' && serviceRequest.representativeId === user.userId;
+
+    case 'rep1':
+    case 'rep2':
+      // Rep1/Rep2 can view chat (read-only) in rep-counselor mode for their linked requests
+      return mode === 'rep-counselor' && serviceRequest.representativeId === user.userId;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Users linked to a service request, whatever its interactionMode
+ * @param {Object} serviceRequest
+ * @returns {Promise<{ student: String|null, counselor: String|null, agent: String|null, representative: String|null }>}
+ *   user IDs
+ */
+async function getCaseParticipantIds(serviceRequest) {
+  const student = await Student.findOne({ studentId: serviceRequest.studentId }).select('userId').lean();
+  return {
+    student: student?.userId || null,
+    counselor: serviceRequest.assignedCounselor || null,
+    agent: serviceRequest.assignedAgent || null,
+    representative: serviceRequest.representativeId || null
+  };
+}
+
+/**
+ * Check if user may follow a student (the student themself, their assigned
+ * staff, or the representative who referred or created them)
+ * @param {Object} user - { userId, role }
+ * @param {String} studentId
+ * @returns {Promise<Boolean>}
+ */
+async function checkStudentAccess(user, studentId) {
+  if (user.role === 'super_admin') return true;
+  const student = await Student.findOne({ studentId }).lean();
+  return Boolean(student) && canAccessResource(user, student, 'student');
+}
+
+/**
+ * Check if user may follow a university application (its agent, or anyone
+ * with access to its student)
+ * @param {Object} user - { userId, role }
+ * @param {String} applicationId
+ * @returns {Promise<Boolean>}
+ */
+async function checkApplicationAccess(user, applicationId) {
+  if (user.role === 'super_admin') return true;
+  const application = await Application.findOne({ applicationId }).select('studentId agentId').lean();
+  if (!application) return false;
+  if (application.agentId === user.userId) return true;
+  return checkStudentAccess(user, application.studentId);
+}
+
+/**
+ * Check if user may join a socket room
+ * @param {Object} user - { userId, role }
+ * @param {String} kind - 'service_request' | 'chat' | 'student' | 'application'
+ * @param {String} id
+ * @returns {Promise<{ allowed: Boolean, serviceRequest?: Object }>}
+ *   serviceRequest is set for case rooms
+ */
+async function checkRoomAccess(user, kind, id) {
+  if (typeof id !== 'string' || !id) return { allowed: false };
+
+  switch (kind) {
+    case 'service_request':
+    case 'chat': {
+      // Chat messages are also emitted to the service request room
+      const serviceRequest = await ServiceRequest.findOne({ serviceRequestId: id }).lean();
+      if (!serviceRequest) return { allowed: false };
+      return { allowed: await checkChatAccess(user, serviceRequest), serviceRequest };
+    }
+    case 'student':
+      return { allowed: await checkStudentAccess(user, id) };
+    case 'application':
+      return { allowed: await checkApplicationAccess(user, id) };
+    default:
+      return { allowed: false };
+  }
+}
+
+module.exports = {
+  checkChatAccess,
+  getCaseParticipantIds,
+  checkStudentAccess,
+  checkApplicationAccess,
+  checkRoomAccess
+};
@@ -0,0 +1,265 @@
+/**
+ * Assignment Service
+ * Automatic counselor/agent assignment for new service requests.
+ *
+ * Enabled per role by Settings.applicationRules.autoAssignCounselor /
+ * autoAssignAgent. For each enabled role the engine:
+ *   1. loads active, approved staff of that role
+ *   2. drops anyone at capacity (userRoles.maxStudentsPerCounselor /
+ *      maxStudentsPerAgent — distinct students on active requests)
+ *   3. applies country / service specialisation from the staff member's
+ *      Representative profile (assignedCountries, specializations); staff
+ *      without one are generalists
+ *   4. prefers specialists, then the lowest workload
+ * When nobody is eligible the request stays in PENDING_ADMIN_ASSIGNMENT and
+ * admins are told why.
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Representative = require('../models/Representative');
+const Settings = require('../models/Settings');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const { createAuditLog } = require('../utils/auditLogger');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { emitToAdmins, broadcastServiceRequestUpdate } = require('../socket/socketManager');
+
+// Requests that count toward a counselor's/agent's workload
+const ACTIVE_STATUSES = ['ASSIGNED', 'IN_PROGRESS', 'WAITING_STUDENT', 'ON_HOLD'];
+
+const SYSTEM_ACTOR = 'system';
+
+const ROLE_CONFIG = {
+  counselor: { field: 'assignedCounselor', toggle: 'autoAssignCounselor', capacity: 'maxStudentsPerCounselor' },
+  agent: { field: 'assignedAgent', toggle: 'autoAssignAgent', capacity: 'maxStudentsPerAgent' }
+};
+
+// "Visa Guidance", "visa-guidance" and "VISA_GUIDANCE" all compare equal
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Filter and order candidates for a request. Pure — no database access.
+ * @param {Object[]} candidates - { userId, workload, capacity, countries[], specializations[], servesStudent }
+ * @param {Object} request - { serviceType, countries[] }
+ * @returns {Object[]} eligible candidates, best first
+ */
+const rankCandidates = (candidates, { serviceType, countries = [] }) => {
+  const wantedService = normalize(serviceType);
+  const wantedCountries = countries.map(normalize).filter(Boolean);
+
+  return candidates
+    .filter(c => c.servesStudent || !(c.capacity > 0) || c.workload < c.capacity)
+    .map(c => {
+      const staffCountries = (c.countries || []).map(normalize);
+      const staffServices = (c.specializations || []).map(normalize);
+
+      const countryMatch = wantedCountries.some(country => staffCountries.includes(country));
+      const serviceMatch = staffServices.includes(wantedService);
+
+      return {
+        ...c,
+        // Country-restricted staff only take students heading to their countries
+        eligible: staffCountries.length === 0 || countryMatch,
+        score: (countryMatch ? 2 : 0) + (serviceMatch ? 1 : 0)
+      };
+    })
+    .filter(c => c.eligible)
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.workload - b.workload ||
+      a.userId.localeCompare(b.userId)
+    );
+};
+
+/**
+ * Distinct students per staff member across their active requests
+ * @returns {Promise<Map<String, String[]>>} userId → studentIds
+ */
+const getWorkloads = async (field, userIds) => {
+  const rows = await ServiceRequest.aggregate([
+    { $match: { [field]: { $in: userIds }, status: { $in: ACTIVE_STATUSES } } },
+    { $group: { _id: `$${field}`, students: { $addToSet: '$studentId' } } }
+  ]);
+  return new Map(rows.map(row => [row._id, row.students]));
+};
+
+/**
+ * Pick the best counselor/agent for a request, or null
+ * @param {'counselor'|'agent'} role
+ * @param {Object} serviceRequest
+ * @param {Object} options - { countries, capacity }
+ */
+const pickAssignee = async (role, serviceRequest, { countries, capacity }) => {
+  const { field } = ROLE_CONFIG[role];
+
+  const staff = await User.find({
+    role,
+    isActive: true,
+    approvalStatus: { $nin: ['pending', 'rejected'] },
+    emailVerified: { $ne: false }
+  }).select('userId firstName lastName email').lean();
+  if (staff.length === 0) return null;
+
+  const userIds = staff.map(s => s.userId);
+  const [workloads, profiles] = await Promise.all([
+    getWorkloads(field, userIds),
+    Representative.find({ userId: { $in: userIds }, isDeleted: false })
+      .select('userId assignedCountries specializations')
+      .lean()
+  ]);
+  const profileByUser = new Map(profiles.map(p => [p.userId, p]));
+
+  const candidates = staff.map(s => {
+    const students = workloads.get(s.userId) || [];
+    const profile = profileByUser.get(s.userId);
+    return {
+      userId: s.userId,
+      user: s,
+      workload: students.length,
+      capacity,
+      servesStudent: students.includes(serviceRequest.studentId),
+      countries: profile?.assignedCountries || [],
+      specializations: profile?.specializations || []
+    };
+  });
+
+  const [best] = rankCandidates(candidates, { serviceType: serviceRequest.serviceType, countries });
+  return best || null;
+};
+
+/**
+ * Tell admins a request stays in their queue
+ */
+const notifyFallback = (serviceRequest, reasons) => {
+  emitToAdmins('service_request_auto_assign_failed', {
+    serviceRequestId: serviceRequest.serviceRequestId,
+    serviceType: serviceRequest.serviceType,
+    reasons,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Try to auto-assign a newly created service request.
+ * Safe to call more than once: only requests still waiting in
+ * PENDING_ADMIN_ASSIGNMENT are touched.
+ * @param {String} serviceRequestId
+ * @returns {Promise<Object|null>} Updated request, or null when left for admins
+ */
+const autoAssignServiceRequest = async (serviceRequestId) => {
+  const settings = await Settings.getCachedSettings();
+  const rules = settings.applicationRules || {};
+  const roles = Object.keys(ROLE_CONFIG).filter(role => rules[ROLE_CONFIG[role].toggle]);
+  if (roles.length === 0) return null;
+
+  const serviceRequest = await ServiceRequest.findOne({ serviceRequestId }).lean();
+  if (!serviceRequest || serviceRequest.status !== 'PENDING_ADMIN_ASSIGNMENT') return null;
+
+  // Agent-initiated requests go through admin approval first
+  if (serviceRequest.isAgentInitiated && serviceRequest.agentApprovalStatus !== 'APPROVED') return null;
+
+  const student = await Student.findOne({ studentId: serviceRequest.studentId }).lean();
+  const countries = [
+    ...(student?.preferredCountries || []),
+    ...(student?.interestedCountries || [])
+  ];
+
+  const picks = {};
+  const reasons = [];
+  for (const role of roles) {
+    if (serviceRequest[ROLE_CONFIG[role].field]) continue;
+
+    const capacity = settings.userRoles?.[ROLE_CONFIG[role].capacity] || 0;
+    const pick = await pickAssignee(role, serviceRequest, { countries, capacity });
+    if (pick) {
+      picks[role] = pick;
+    } else {
+      reasons.push(`No eligible ${role} with capacity`);
+    }
+  }
+
+  if (Object.keys(picks).length === 0) {
+    if (reasons.length > 0) notifyFallback(serviceRequest, reasons);
+    return null;
+  }
+
+  const now = new Date();
+  const set = { status: 'ASSIGNED', assignedBy: SYSTEM_ACTOR, assignedAt: now };
+  const summary = [];
+  for (const [role, pick] of Object.entries(picks)) {
+    set[ROLE_CONFIG[role].field] = pick.userId;
+    summary.push(`${role} ${pick.user.firstName} ${pick.user.lastName} (${pick.workload}/${pick.capacity || '∞'} students)`);
+  }
+
+  // Conditional update — an admin may have assigned it in the meantime.
+  // The event is stored with it: a retry of this listener finds the request
+  // ASSIGNED and returns early, so an event lost here would never be sent.
+  const assigned = await eventBus.emitWith(
+    (session) => ServiceRequest.findOneAndUpdate(
+      { serviceRequestId, status: 'PENDING_ADMIN_ASSIGNMENT' },
+      {
+        $set: set,
+        $max: { progress: 15 },
+        $push: {
+          statusHistory: {
+            status: 'ASSIGNED',
+            changedBy: SYSTEM_ACTOR,
+            changedAt: now,
+            note: `Auto-assigned to ${summary.join(' and ')}`
+          }
+        }
+      },
+      { new: true, session }
+    ),
+    (updated) => [updated && [EVENTS.SERVICE_REQUEST_ASSIGNED, {
+      serviceRequest: updated,
+      assignedCounselor: picks.counselor?.userId || null,
+      assignedAgent: picks.agent?.userId || null,
+      triggeredBy: SYSTEM_ACTOR,
+      automatic: true
+    }]]
+  );
+  if (!assigned) return null;
+
+  await createAuditLog({
+    actorUserId: SYSTEM_ACTOR,
+    actorRole: 'system',
+    action: 'service_request_assigned',
+    entityType: 'service_request',
+    entityId: serviceRequestId,
+    previousState: { status: 'PENDING_ADMIN_ASSIGNMENT' },
+    newState: { status: 'ASSIGNED', assignedCounselor: assigned.assignedCounselor, assignedAgent: assigned.assignedAgent },
+    details: {
+      autoAssigned: true,
+      workload: Object.fromEntries(Object.entries(picks).map(([role, p]) => [role, { userId: p.userId, students: p.workload, capacity: p.capacity }])),
+      unassignedRoles: reasons
+    }
+  });
+
+  if (reasons.length > 0) {
+    notifyFallback(assigned, reasons);
+  }
+
+  // Notify assignees and the student
+  try {
+    const { notifyServiceRequestAssigned } = require('./notificationService');
+    const studentUser = student ? await User.findOne({ userId: student.userId }).lean() : null;
+    if (studentUser) {
+      for (const pick of Object.values(picks)) {
+        await notifyServiceRequestAssigned(assigned, pick.user, student, studentUser);
+      }
+    }
+  } catch (notifyError) {
+    console.error('Auto-assignment notification error:', notifyError.message);
+  }
+
+  broadcastServiceRequestUpdate(assigned);
+
+  return assigned;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  rankCandidates,
+  autoAssignServiceRequest
+};
@@ -0,0 +1,454 @@
+/**
+ * Commission Dispute Service
+ * Earners contest a commission, converse with finance and a super admin
+ * closes the dispute, optionally with an adjustment (see
+ * models/CommissionDispute). Every step is recorded in the commission's
+ * statusHistory and the audit log.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Commission = require('../models/Commission');
+const CommissionDispute = require('../models/CommissionDispute');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { createAuditLog } = require('../utils/auditLogger');
+const { eventBus } = require('../events/eventBus');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const {
+  netAmount,
+  getDisputeBlocker,
+  validateResolution,
+  adjustmentStatus
+} = require('../utils/commissionAdjustments');
+const { generateInvoiceNumber, updateAgentEarnings } = require('./commissionService');
+
+// Payouts still waiting to be paid out; their commissions can't be disputed
+const OPEN_PAYOUT_STATUSES = ['requested', 'processing'];
+
+// One transaction where the server supports it (see eventBus.emitWith), so
+// a dispute never closes without its commission leaving 'disputed'
+const inTransaction = (work) => eventBus.emitWith(work, []);
+
+const formatMoney = (commission, amount) => `${commission.currency || 'USD'} ${amount.toFixed(2)}`;
+
+const stampAttachments = (files = [], userId) =>
+  files.map(file => ({ ...file, uploadedBy: userId, uploadedAt: new Date() }));
+
+const auditDispute = (user, action, dispute, extra = {}, req = null) => createAuditLog({
+  actorUserId: user.userId,
+  actorRole: user.role,
+  action,
+  entityType: 'commission',
+  entityId: dispute.commissionId,
+  ...extra,
+  details: { disputeId: dispute.disputeId, ...extra.details },
+  req
+});
+
+// Lazy: notificationService -> socketManager -> middlewares/auth -> models
+const notify = async (recipientIds, { title, message, channel = 'DASHBOARD', dispute }) => {
+  const { createNotification } = require('./notificationService');
+  for (const recipientId of recipientIds) {
+    try {
+      await createNotification({
+        recipientId,
+        type: 'COMMISSION_DISPUTE',
+        title,
+        message,
+        channel,
+        relatedEntities: { commissionId: dispute.commissionId },
+        metadata: { disputeId: dispute.disputeId }
+      });
+    } catch (error) {
+      console.error('Commission dispute notification error:', error.message);
+    }
+  }
+};
+
+const notifyFinance = async (options) => {
+  const admins = await User.find({ role: 'super_admin', isActive: true }).select('userId').lean();
+  await notify(admins.map(a => a.userId), options);
+};
+
+/**
+ * A dispute the user may see (the earner's own, or any for super admins)
+ * @returns {Promise<Object>} dispute document
+ */
+async function findDispute(user, disputeId) {
+  const dispute = await CommissionDispute.findOne({ disputeId });
+  if (!dispute || (user.role !== 'super_admin' && dispute.agentId !== user.userId)) {
+    throw new NotFoundError('Dispute not found');
+  }
+  return dispute;
+}
+
+/**
+ * Contest a commission
+ * @param {Object} user - { userId, role }; must be the commission's earner
+ * @param {String} commissionId
+ * @param {Object} data - { reason, expectedAmount, evidence: [{ name, url, publicId, size }] }
+ * @param {Object} req - for the audit log
+ * @returns {Promise<{ dispute: Object, commission: Object }>}
+ */
+async function openDispute(user, commissionId, { reason, expectedAmount = null, evidence = [] }, req = null) {
+  const commission = await Commission.findOne({ commissionId, agentId: user.userId, isDeleted: false });
+  if (!commission) throw new NotFoundError('Commission not found');
+
+  const blocker = getDisputeBlocker(commission);
+  if (blocker) throw new ConflictError(blocker, 'COMMISSION_NOT_DISPUTABLE');
+
+  const inPayout = await Payout.exists({ commissionIds: commissionId, status: { $in: OPEN_PAYOUT_STATUSES } });
+  if (inPayout) {
+    throw new ConflictError('This commission is part of a payout in progress', 'COMMISSION_NOT_DISPUTABLE');
+  }
+
+  let dispute;
+  try {
+    dispute = await CommissionDispute.create({
+      disputeId: uuidv4(),
+      commissionId,
+      agentId: user.userId,
+      reason,
+      expectedAmount,
+      previousStatus: commission.status,
+      evidence: stampAttachments(evidence, user.userId)
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new ConflictError('This commission is already disputed', 'COMMISSION_NOT_DISPUTABLE');
+    throw error;
+  }
+
+  // Only if nothing changed the commission in the meantime
+  const updated = await Commission.findOneAndUpdate(
+    { commissionId, status: commission.status },
+    {
+      $set: { status: 'disputed' },
+      $push: {
+        statusHistory: {
+          status: 'disputed',
+          changedBy: user.userId,
+          changedAt: new Date(),
+          note: `Disputed: ${reason}`
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await CommissionDispute.deleteOne({ disputeId: dispute.disputeId });
+    throw new ConflictError('The commission changed, please try again', 'COMMISSION_NOT_DISPUTABLE');
+  }
+  await updateAgentEarnings(user.userId);
+
+  await auditDispute(user, 'commission_disputed', dispute, {
+    previousState: { status: commission.status },
+    newState: { status: 'disputed' },
+    details: { amount: commission.amount, expectedAmount, evidence: dispute.evidence.length }
+  }, req);
+
+  await notifyFinance({
+    title: 'Commission Disputed',
+    message: `A ${formatMoney(commission, commission.amount)} commission (${commission.referenceId}) was disputed: ${reason}`,
+    channel: 'BOTH',
+    dispute
+  });
+
+  return { dispute, commission: updated };
+}
+
+/**
+ * Add a message (and attachments) to an open dispute
+ * @param {Object} user - the earner or a super admin
+ * @param {String} disputeId
+ * @param {Object} data - { text, attachments }
+ * @returns {Promise<Object>} dispute
+ */
+async function addDisputeMessage(user, disputeId, { text, attachments = [] }, req = null) {
+  const dispute = await findDispute(user, disputeId);
+  if (dispute.status !== 'open') throw new ConflictError('This dispute is closed', 'DISPUTE_CLOSED');
+
+  const message = {
+    messageId: uuidv4(),
+    authorId: user.userId,
+    authorRole: user.role,
+    text,
+    attachments: stampAttachments(attachments, user.userId),
+    createdAt: new Date()
+  };
+  const updated = await CommissionDispute.findOneAndUpdate(
+    { disputeId, status: 'open' },
+    { $push: { messages: message } },
+    { new: true }
+  );
+  if (!updated) throw new ConflictError('This dispute is closed', 'DISPUTE_CLOSED');
+
+  const fromFinance = user.role === 'super_admin';
+  await Commission.updateOne({ commissionId: dispute.commissionId }, {
+    $push: {
+      statusHistory: {
+        status: 'disputed',
+        changedBy: user.userId,
+        changedAt: new Date(),
+        note: `Dispute message from ${fromFinance ? 'finance' : 'earner'}${message.attachments.length ? ` (${message.attachments.length} attachments)` : ''}`
+      }
+    }
+  });
+
+  await auditDispute(user, 'commission_dispute_message_added', dispute, {
+    details: { messageId: message.messageId, attachments: message.attachments.length }
+  }, req);
+
+  const notice = { title: 'Commission Dispute Message', message: text.slice(0, 200), dispute };
+  if (fromFinance) await notify([dispute.agentId], notice);
+  else await notifyFinance(notice);
+
+  return updated;
+}
+
+/**
+ * Close a dispute and move its commission out of 'disputed'
+ * @param {Object} session - the caller's transaction, if any
+ * @returns {Promise<Object|null>} commission, null if it wasn't disputed
+ */
+async function closeCommissionDispute(commissionId, status, user, note, session = null) {
+  const commission = await Commission.findOne({ commissionId, status: 'disputed' }).session(session);
+  if (!commission) return null;
+
+  const now = new Date();
+  commission.status = status;
+  if (status === 'approved' && !commission.approvedAt) {
+    commission.approvedBy = user.userId;
+    commission.approvedAt = now;
+  }
+  if (status === 'approved' && !commission.invoiceNumber) {
+    commission.invoiceNumber = await generateInvoiceNumber();
+  }
+  if (status === 'rejected' && !commission.rejectedAt) {
+    commission.rejectedBy = user.userId;
+    commission.rejectedAt = now;
+    commission.rejectionReason = note;
+  }
+  commission.statusHistory.push({ status, changedBy: user.userId, changedAt: now, note });
+  await commission.save({ session });
+  return commission;
+}
+
+/**
+ * The earner takes back an open dispute; the commission returns to its
+ * previous status
+ * @returns {Promise<{ dispute: Object, commission: Object }>}
+ */
+async function withdrawDispute(user, disputeId, req = null) {
+  const existing = await findDispute(user, disputeId);
+  if (existing.agentId !== user.userId) throw new NotFoundError('Dispute not found');
+
+  const { dispute, commission } = await inTransaction(async (session) => {
+    const closed = await CommissionDispute.findOneAndUpdate(
+      { disputeId, status: 'open' },
+      { $set: { status: 'withdrawn', closedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!closed) throw new ConflictError('This dispute is closed', 'DISPUTE_CLOSED');
+
+    return {
+      dispute: closed,
+      commission: await closeCommissionDispute(closed.commissionId, closed.previousStatus, user, 'Dispute withdrawn by earner', session)
+    };
+  });
+  await updateAgentEarnings(dispute.agentId);
+
+  await auditDispute(user, 'commission_dispute_withdrawn', dispute, {
+    previousState: { status: 'disputed' },
+    newState: { status: dispute.previousStatus }
+  }, req);
+
+  await notifyFinance({ title: 'Commission Dispute Withdrawn', message: 'The earner withdrew their dispute.', dispute });
+
+  return { dispute, commission };
+}
+
+/**
+ * Create the ADJUSTMENT commission for an accepted dispute (once per dispute)
+ */
+async function createAdjustment(user, commission, dispute, { kind, amount }, status, note, session = null) {
+  const now = new Date();
+  const adjustment = new Commission({
+    commissionId: dispute.resolution.adjustmentId,
+    agentId: commission.agentId,
+    studentId: commission.studentId,
+    commissionType: 'ADJUSTMENT',
+    sourceKey: `ADJUSTMENT:${dispute.disputeId}`,
+    adjustmentOf: commission.commissionId,
+    adjustmentKind: kind,
+    disputeId: dispute.disputeId,
+    representativeLevel: commission.representativeLevel,
+    baseAmount: commission.amount,
+    percentage: 0,
+    amount,
+    currency: commission.currency,
+    status,
+    description: `${kind === 'credit' ? 'Credit' : 'Debit'} adjustment to ${commission.referenceId}`,
+    adminNotes: note,
+    statusHistory: [{
+      status,
+      changedBy: user.userId,
+      changedAt: now,
+      note: `Adjustment for dispute ${dispute.disputeId}`
+    }]
+  });
+  if (status === 'approved') {
+    adjustment.approvedBy = user.userId;
+    adjustment.approvedAt = now;
+    adjustment.invoiceNumber = await generateInvoiceNumber();
+  }
+
+  try {
+    await adjustment.save({ session });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Commission.findOne({ sourceKey: adjustment.sourceKey }).session(session);
+  }
+  return adjustment;
+}
+
+/**
+ * Close a dispute as a super admin
+ * @param {Object} user - super admin
+ * @param {String} disputeId
+ * @param {Object} resolution
+ * @param {String} resolution.outcome - 'accepted' | 'rejected'
+ * @param {String} resolution.note - shown to the earner
+ * @param {String} resolution.commissionStatus - pending|approved|rejected; defaults to the status before the dispute
+ * @param {Object} resolution.adjustment - { kind: 'credit'|'debit', amount } (accepted only)
+ * @returns {Promise<{ dispute: Object, commission: Object, adjustment: Object|null }>}
+ */
+async function resolveDispute(user, disputeId, { outcome, note, commissionStatus, adjustment = null }, req = null) {
+  const existing = await findDispute(user, disputeId);
+  if (existing.status !== 'open') throw new ConflictError('This dispute is closed', 'DISPUTE_CLOSED');
+
+  const original = await Commission.findOne({ commissionId: existing.commissionId });
+  if (!original) throw new NotFoundError('Commission not found');
+
+  const errors = validateResolution(original, existing, { outcome, commissionStatus, adjustment });
+  if (errors.length > 0) throw new ValidationError(errors[0], 'INVALID_DISPUTE_RESOLUTION', errors);
+
+  const status = commissionStatus || existing.previousStatus;
+  const { dispute, created, summary, commission } = await inTransaction(async (session) => {
+    const closed = await CommissionDispute.findOneAndUpdate(
+      { disputeId, status: 'open' },
+      {
+        $set: {
+          status: outcome,
+          closedAt: new Date(),
+          resolution: {
+            resolvedBy: user.userId,
+            resolvedAt: new Date(),
+            note,
+            commissionStatus: status,
+            adjustmentId: adjustment ? uuidv4() : null,
+            adjustmentKind: adjustment?.kind || null,
+            adjustmentAmount: adjustment?.amount ?? null
+          }
+        }
+      },
+      { new: true, session }
+    );
+    if (!closed) throw new ConflictError('This dispute is closed', 'DISPUTE_CLOSED');
+
+    const made = adjustment
+      ? await createAdjustment(user, original, closed, adjustment, adjustmentStatus(status), note, session)
+      : null;
+
+    const text = made
+      ? `${adjustment.kind} of ${formatMoney(original, adjustment.amount)} (${made.referenceId})`
+      : 'no adjustment';
+    const moved = await closeCommissionDispute(
+      original.commissionId,
+      status,
+      user,
+      `Dispute ${outcome}: ${note} (${text})`,
+      session
+    );
+    return { dispute: closed, created: made, summary: text, commission: moved || original };
+  });
+  await updateAgentEarnings(original.agentId);
+
+  await auditDispute(user, 'commission_dispute_resolved', dispute, {
+    previousState: { status: 'disputed' },
+    newState: { status, dispute: outcome },
+    details: { note, adjustmentId: created?.commissionId || null }
+  }, req);
+  if (created) {
+    await createAuditLog({
+      actorUserId: user.userId,
+      actorRole: user.role,
+      action: 'commission_adjustment_created',
+      entityType: 'commission',
+      entityId: created.commissionId,
+      newState: { status: created.status, amount: created.amount, adjustmentKind: created.adjustmentKind },
+      details: { adjustmentOf: original.commissionId, disputeId, agentId: original.agentId },
+      req
+    });
+  }
+
+  const adjusted = created ? ` A ${summary} was applied.` : '';
+  await notify([dispute.agentId], {
+    title: outcome === 'accepted' ? 'Commission Dispute Accepted' : 'Commission Dispute Rejected',
+    message: `Your dispute of commission ${original.referenceId} was ${outcome}. ${note}${adjusted}`,
+    channel: 'BOTH',
+    dispute
+  });
+
+  return { dispute, commission, adjustment: created };
+}
+
+/**
+ * A dispute with its commission and the commission's adjustments
+ * @returns {Promise<{ dispute, commission, adjustments, netAmount }>}
+ */
+async function getDisputeDetails(user, disputeId) {
+  const dispute = await findDispute(user, disputeId);
+  const [commission, adjustments] = await Promise.all([
+    Commission.findOne({ commissionId: dispute.commissionId }).lean(),
+    Commission.find({ adjustmentOf: dispute.commissionId, isDeleted: false }).sort({ createdAt: 1 }).lean()
+  ]);
+  return {
+    dispute: dispute.toObject(),
+    commission,
+    adjustments,
+    netAmount: commission ? netAmount(commission, adjustments) : null
+  };
+}
+
+/**
+ * Disputes, newest first
+ * @param {Object} filter - { agentId, status, commissionId }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<{ disputes: Object[], total: Number }>}
+ */
+async function listDisputes({ agentId, status, commissionId } = {}, { page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (agentId) query.agentId = agentId;
+  if (status) query.status = status;
+  if (commissionId) query.commissionId = commissionId;
+
+  const [disputes, total] = await Promise.all([
+    CommissionDispute.find(query)
+      .select('-messages.attachments')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CommissionDispute.countDocuments(query)
+  ]);
+  return { disputes, total };
+}
+
+module.exports = {
+  openDispute,
+  addDisputeMessage,
+  withdrawDispute,
+  resolveDispute,
+  getDisputeDetails,
+  listDisputes
+};
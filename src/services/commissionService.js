@@ -12,6 +12,9 @@ const Notification = require('../models/Notification');
 const Student = require('../models/Student');
 const { emitToUser } = require('../socket/socketManager');
 const { logAudit } = require('../utils/auditLogger');
+const { roundMoney } = require('../utils/commissionAdjustments');
+const { syncAgentLedger, getLedgerBalances, refreshCachedEarnings } = require('./ledgerService');
+const { runJobNow } = require('./jobScheduler');
 
 // Service type display names
 const SERVICE_TYPE_NAMES = {
@@ -25,19 +28,38 @@ const SERVICE_TYPE_NAMES = {
   PRE_DEPARTURE_ORIENTATION: 'Pre-Departure Orientation'
 };
 
+/**
+ * Save an automatically created commission unless an earlier or concurrent
+ * run already saved one with the same sourceKey
+ * @param {Object} commission - unsaved Commission document with sourceKey
+ * @returns {Promise<{ commission: Object, created: Boolean }>}
+ */
+async function saveOnce(commission) {
+  try {
+    await commission.save();
+    return { commission, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { commission: await Commission.findOne({ sourceKey: commission.sourceKey }), created: false };
+  }
+}
+
 /**
  * Create commission when a university Application reaches 'Completed' status.
+ * Safe to re-run: an existing commission is returned (earnings are recomputed).
  * @param {Object} application - The completed Application document
  * @param {String} triggeredBy - userId of who triggered the status change
  */
 async function createApplicationCommission(application, triggeredBy) {
+  const sourceKey = `APPLICATION:${application.applicationId}`;
+
   // Idempotency: check if commission already exists for this application
   const existing = await Commission.findOne({
-    applicationId: application.applicationId,
-    isDeleted: false
+    $or: [{ sourceKey }, { applicationId: application.applicationId, isDeleted: false }]
   });
   if (existing) {
     console.log(`Commission already exists for application ${application.applicationId}`);
+    await updateAgentEarnings(existing.agentId);
     return existing;
   }
 
@@ -100,6 +122,7 @@ async function createApplicationCommission(application, triggeredBy) {
     agentId,
     studentId: application.studentId,
     commissionType: 'APPLICATION',
+    sourceKey,
     applicationId: application.applicationId,
     universityName: application.universityName,
     universityCode: application.universityCode,
@@ -125,10 +148,10 @@ async function createApplicationCommission(application, triggeredBy) {
     commission.approvedAt = new Date();
   }
 
-  await commission.save();
-
-  // Update agent earnings on User model
+  // A concurrent run may have created it first
+  const saved = await saveOnce(commission);
   await updateAgentEarnings(agentId);
+  if (!saved.created) return saved.commission;
 
   // Notify agent
   try {
@@ -189,13 +212,19 @@ async function createVASCommission(serviceRequest, triggeredBy) {
   const agentId = serviceRequest.assignedAgent;
   if (!agentId) return null;
 
-  // Idempotency: check if commission already exists for this service request
+  const sourceKey = `VAS:${serviceRequest.serviceRequestId}:${agentId}`;
+
+  // Idempotency: check if this agent's commission already exists (the
+  // representative's commission for the same request is a separate record)
   const existing = await Commission.findOne({
-    serviceRequestId: serviceRequest.serviceRequestId,
-    isDeleted: false
+    $or: [
+      { sourceKey },
+      { serviceRequestId: serviceRequest.serviceRequestId, agentId, isDeleted: false }
+    ]
   });
   if (existing) {
     console.log(`Commission already exists for service request ${serviceRequest.serviceRequestId}`);
+    await updateAgentEarnings(agentId);
     return existing;
   }
 
@@ -227,6 +256,7 @@ async function createVASCommission(serviceRequest, triggeredBy) {
     agentId,
     studentId: serviceRequest.studentId,
     commissionType: 'VAS',
+    sourceKey,
     serviceRequestId: serviceRequest.serviceRequestId,
     serviceType: serviceRequest.serviceType,
     baseAmount,
@@ -250,10 +280,10 @@ async function createVASCommission(serviceRequest, triggeredBy) {
     commission.approvedAt = new Date();
   }
 
-  await commission.save();
-
-  // Update agent earnings
+  // A concurrent run may have created it first
+  const saved = await saveOnce(commission);
   await updateAgentEarnings(agentId);
+  if (!saved.created) return saved.commission;
 
   // Notify agent
   try {
@@ -340,14 +370,18 @@ async function createRepresentativeCommission(serviceRequest, triggeredBy) {
   const repUserId = serviceRequest.representativeId;
   if (!repUserId) return null;
 
+  const sourceKey = `VAS:${serviceRequest.serviceRequestId}:${repUserId}`;
+
   // Idempotency: check if rep commission already exists
   const existing = await Commission.findOne({
-    serviceRequestId: serviceRequest.serviceRequestId,
-    agentId: repUserId,
-    isDeleted: false
+    $or: [
+      { sourceKey },
+      { serviceRequestId: serviceRequest.serviceRequestId, agentId: repUserId, isDeleted: false }
+    ]
   });
   if (existing) {
     console.log(`Rep commission already exists for SR ${serviceRequest.serviceRequestId}`);
+    await updateAgentEarnings(repUserId);
     return existing;
   }
 
@@ -377,6 +411,7 @@ async function createRepresentativeCommission(serviceRequest, triggeredBy) {
     agentId: repUserId, // Commission model uses agentId for the earner
     studentId: serviceRequest.studentId,
     commissionType: 'VAS',
+    sourceKey,
     serviceRequestId: serviceRequest.serviceRequestId,
     serviceType: serviceRequest.serviceType,
     representativeLevel: serviceRequest.representativeLevel || null,
@@ -399,8 +434,9 @@ async function createRepresentativeCommission(serviceRequest, triggeredBy) {
     commission.approvedAt = new Date();
   }
 
-  await commission.save();
+  const saved = await saveOnce(commission);
   await updateAgentEarnings(repUserId);
+  if (!saved.created) return saved.commission;
 
   // Notify representative
   try {
@@ -427,21 +463,21 @@ async function createRepresentativeCommission(serviceRequest, triggeredBy) {
 }
 
 /**
- * Get agent wallet data (computed from commissions).
+ * Get agent wallet data. Balances come from the ledger (see
+ * services/ledgerService); adjustment totals and the last payout are read
+ * from the commissions themselves. Disputed amounts are held out of every
+ * balance until resolved.
  */
 async function getAgentWallet(agentId) {
-  const [pending, approved, paid, lastPayout] = await Promise.all([
+  const [balances, counts, adjustments, lastPayout] = await Promise.all([
+    getLedgerBalances(agentId),
     Commission.aggregate([
-      { $match: { agentId, status: 'pending', isDeleted: false } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      { $match: { agentId, status: { $in: ['pending', 'approved', 'paid', 'disputed'] }, isDeleted: false } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
     ]),
     Commission.aggregate([
-      { $match: { agentId, status: 'approved', isDeleted: false } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
-    ]),
-    Commission.aggregate([
-      { $match: { agentId, status: 'paid', isDeleted: false } },
-      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      { $match: { agentId, commissionType: 'ADJUSTMENT', status: { $in: ['pending', 'approved', 'paid'] }, isDeleted: false } },
+      { $group: { _id: '$adjustmentKind', total: { $sum: '$amount' }, count: { $sum: 1 } } }
     ]),
     Commission.findOne({ agentId, status: 'paid', isDeleted: false })
       .sort({ paidAt: -1 })
@@ -452,16 +488,24 @@ async function getAgentWallet(agentId) {
   const settings = await Settings.getSettings();
   const payoutThreshold = settings?.commission?.payoutThreshold || 100;
 
-  const availableBalance = approved[0]?.total || 0;
-  const pendingBalance = pending[0]?.total || 0;
-  const lifetimeEarnings = paid[0]?.total || 0;
-  const totalCommissions = (pending[0]?.count || 0) + (approved[0]?.count || 0) + (paid[0]?.count || 0);
+  const count = (status) => (counts.find(c => c._id === status) || { count: 0 }).count;
+  const adjustment = (kind) => adjustments.find(a => a._id === kind) || { total: 0, count: 0 };
+
+  const availableBalance = balances.payable;
 
   return {
     availableBalance,
-    pendingBalance,
-    lifetimeEarnings,
-    totalCommissions,
+    pendingBalance: balances.pending,
+    lifetimeEarnings: balances.paid,
+    totalCommissions: count('pending') + count('approved') + count('paid'),
+    disputedBalance: balances.disputed,
+    disputedCount: count('disputed'),
+    adjustments: {
+      credits: roundMoney(adjustment('credit').total),
+      debits: roundMoney(adjustment('debit').total),
+      net: roundMoney(adjustment('credit').total - adjustment('debit').total),
+      count: adjustment('credit').count + adjustment('debit').count
+    },
     payoutThreshold,
     isPayoutEligible: availableBalance >= payoutThreshold,
     lastPayoutDate: lastPayout?.paidAt || null,
@@ -489,30 +533,20 @@ async function generateInvoiceNumber() {
 }
 
 /**
- * Update agent's totalEarnings and pendingEarnings on User model.
+ * Post any ledger entries an earner's commissions are missing, then refresh
+ * the cached User.totalEarnings / pendingEarnings (and Representative
+ * financials) from the ledger. Call after changing a commission.
+ * The commission is already saved, so a failure here pulls the ledger-sync
+ * job forward instead of failing the caller.
  */
 async function updateAgentEarnings(agentId) {
   try {
-    const [paidAgg, pendingAgg] = await Promise.all([
-      Commission.aggregate([
-        { $match: { agentId, status: 'paid', isDeleted: false } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
-      ]),
-      Commission.aggregate([
-        { $match: { agentId, status: { $in: ['pending', 'approved'] }, isDeleted: false } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
-      ])
-    ]);
-
-    await User.updateOne(
-      { userId: agentId },
-      {
-        totalEarnings: paidAgg[0]?.total || 0,
-        pendingEarnings: pendingAgg[0]?.total || 0
-      }
-    );
+    await syncAgentLedger(agentId);
+    await refreshCachedEarnings(agentId);
   } catch (e) {
     console.error('Update agent earnings error:', e.message);
+    runJobNow('ledger-sync')
+      .catch(error => console.error('Ledger sync scheduling error:', error.message));
   }
 }
 
@@ -542,5 +576,6 @@ module.exports = {
   getAgentWallet,
   generateInvoiceNumber,
   updateAgentEarnings,
+  serviceTypeToFeeKey,
   SERVICE_TYPE_NAMES
 };
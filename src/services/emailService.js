@@ -291,8 +291,92 @@ const sendWelcomeEmail = async (user, role) => {
   });
 };
 
+/**
+ * Named templates, keyed by the IDs stored in
+ * Settings.emailNotifications.templates. Each builder returns { subject, html }.
+ */
+const EMAIL_TEMPLATES = {
+  password_reset_template: ({ recipientName, resetUrl, expiresInMinutes }) => ({
+    subject: '🔐 Reset your Fly8 password',
+    html: generateEmailTemplate({
+      recipientName,
+      type: 'GENERAL',
+      title: 'Password Reset Request',
+      message: `We received a request to reset the password for your Fly8 account. This link expires in ${expiresInMinutes} minutes and can only be used once.<br><br>If you did not request a password reset, you can safely ignore this email — your password will not change.`,
+      actionUrl: resetUrl,
+      actionText: 'Reset Password',
+      priority: 'HIGH'
+    })
+  }),
+
+  email_verification_template: ({ recipientName, verifyUrl, expiresInHours }) => ({
+    subject: '✉️ Verify your Fly8 email address',
+    html: generateEmailTemplate({
+      recipientName,
+      type: 'GENERAL',
+      title: 'Verify Your Email',
+      message: `Thanks for signing up with Fly8! Please confirm your email address to activate your dashboard. This link expires in ${expiresInHours} hours.`,
+      actionUrl: verifyUrl,
+      actionText: 'Verify Email',
+      priority: 'NORMAL'
+    })
+  })
+};
+
+/**
+ * Send an email using a named template
+ * @param {String} templateName - Template ID (e.g. settings.emailNotifications.templates.passwordReset)
+ * @param {String} fallbackName - Built-in template used when templateName is unknown
+ * @param {String} to - Recipient email
+ * @param {Object} context - Template variables
+ */
+const sendTemplateEmail = async (templateName, fallbackName, to, context) => {
+  const builder = EMAIL_TEMPLATES[templateName] || EMAIL_TEMPLATES[fallbackName];
+  if (!builder) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, html } = builder(context);
+  return await sendEmail({ to, subject, html });
+};
+
+/**
+ * Send password reset link
+ * @param {Object} user - User document
+ * @param {String} resetToken - Raw (unhashed) reset token
+ * @param {Object} options
+ * @param {String} options.templateName - Template ID from platform settings
+ * @param {Number} options.expiresInMinutes - Token lifetime shown in the email
+ */
+const sendPasswordResetEmail = async (user, resetToken, { templateName, expiresInMinutes = 60 } = {}) => {
+  return await sendTemplateEmail(templateName, 'password_reset_template', user.email, {
+    recipientName: user.firstName,
+    resetUrl: `${DASHBOARD_URL}/reset-password?token=${resetToken}`,
+    expiresInMinutes
+  });
+};
+
+/**
+ * Send email verification link
+ * @param {Object} user - User document
+ * @param {String} verificationToken - Raw (unhashed) verification token
+ * @param {Object} options
+ * @param {String} options.templateName - Template ID from platform settings
+ * @param {Number} options.expiresInHours - Token lifetime shown in the email
+ */
+const sendVerificationEmail = async (user, verificationToken, { templateName, expiresInHours = 24 } = {}) => {
+  return await sendTemplateEmail(templateName, 'email_verification_template', user.email, {
+    recipientName: user.firstName,
+    verifyUrl: `${DASHBOARD_URL}/verify-email?token=${verificationToken}`,
+    expiresInHours
+  });
+};
+
 module.exports = {
   sendEmail,
   sendNotificationEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendTemplateEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
 };
@@ -0,0 +1,115 @@
+/**
+ * Intake Form Service
+ * Loads, versions and applies service request intake forms.
+ *
+ * New requests are validated against the version active for their service
+ * type, falling back to the built-in form (utils/formDataValidator) when none
+ * is stored. Versions are stored and cached through services/versionStore.
+ */
+
+const IntakeForm = require('../models/IntakeForm');
+const ServiceRequest = require('../models/ServiceRequest');
+const { validateFormDefinition } = require('../utils/formSchema');
+const { BUILT_IN_INTAKE_FORMS, validateFormData } = require('../utils/formDataValidator');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { createVersionStore } = require('./versionStore');
+
+const versions = createVersionStore(IntakeForm, { idField: 'formId', label: 'Intake form' });
+
+/**
+ * A stored intake form version by id (cached)
+ * @param {String} formId
+ * @returns {Promise<Object|null>}
+ */
+const getIntakeFormById = (formId) => versions.getById(formId);
+
+/**
+ * Intake form new requests of a service type are validated against
+ * @param {String} serviceType
+ * @returns {Promise<{ source: String, form: Object|null, formId: String|null, version: Number|null }>}
+ *   source is 'stored', 'built_in' or 'none'
+ */
+const getActiveIntakeForm = async (serviceType) => {
+  const stored = await IntakeForm.findOne({ serviceType, isActive: true }).lean();
+  if (stored) {
+    return { source: 'stored', form: stored, formId: stored.formId, version: stored.version };
+  }
+  const builtIn = BUILT_IN_INTAKE_FORMS[serviceType] || null;
+  return { source: builtIn ? 'built_in' : 'none', form: builtIn, formId: null, version: null };
+};
+
+/**
+ * Validate a request's formData against its service type's active intake form
+ * @param {String} serviceType
+ * @param {Object} formData
+ * @returns {Promise<{ valid: Boolean, errors?: String[], fieldErrors?: Object[], intakeForm: Object }>}
+ *   intakeForm is { source, formId, version } — what to stamp on the request
+ */
+const validateIntake = async (serviceType, formData) => {
+  const { source, form, formId, version } = await getActiveIntakeForm(serviceType);
+  const result = validateFormData(serviceType, formData, form);
+  return { ...result, intakeForm: { source, formId, version } };
+};
+
+/**
+ * Make a version the active one for its service type
+ * @param {String} formId
+ * @param {String} userId - super admin
+ * @returns {Promise<{ intakeForm: Object, previous: Object|null, changed: Boolean }>}
+ */
+const activateIntakeFormVersion = async (formId, userId) => {
+  const { doc, previous, changed } = await versions.activate(formId, userId);
+  return { intakeForm: doc, previous, changed };
+};
+
+/**
+ * Store a new version of a service type's intake form
+ * @param {Object} definition - { serviceType, name, fields, sections, changeNote }
+ * @param {String} userId - super admin
+ * @param {Object} options - { activate (default true) }
+ * @returns {Promise<{ intakeForm: Object, previous: Object|null, changed: Boolean }>}
+ */
+const createIntakeFormVersion = async (definition, userId, { activate = true } = {}) => {
+  const problems = validateFormDefinition(definition);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid intake form', 'INVALID_INTAKE_FORM', problems);
+  }
+
+  const intakeForm = await versions.create({
+    serviceType: definition.serviceType,
+    name: definition.name,
+    fields: definition.fields || [],
+    sections: definition.sections || [],
+    changeNote: definition.changeNote || ''
+  }, userId);
+
+  if (!activate) return { intakeForm, previous: null, changed: false };
+  return activateIntakeFormVersion(intakeForm.formId, userId);
+};
+
+/**
+ * Delete a version that is not active and no request was validated against
+ * @param {String} formId
+ * @returns {Promise<Object>} the deleted version
+ */
+const deleteIntakeFormVersion = async (formId) => {
+  const intakeForm = await IntakeForm.findOne({ formId }).lean();
+  if (!intakeForm) throw new NotFoundError('Intake form version not found');
+  if (intakeForm.isActive) throw new ConflictError('Activate another version before deleting this one');
+
+  const used = await ServiceRequest.exists({ intakeFormId: formId });
+  if (used) throw new ConflictError('Service requests were validated against this version; it cannot be deleted');
+
+  await IntakeForm.deleteOne({ formId });
+  versions.forget(formId);
+  return intakeForm;
+};
+
+module.exports = {
+  getIntakeFormById,
+  getActiveIntakeForm,
+  validateIntake,
+  createIntakeFormVersion,
+  activateIntakeFormVersion,
+  deleteIntakeFormVersion
+};
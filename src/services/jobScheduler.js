@@ -0,0 +1,355 @@
+/**
+ * Job Scheduler
+ * Mongo-backed background jobs shared by every API instance.
+ *
+ * Handlers are registered with defineJob(). Recurring jobs are upserted into
+ * the jobs collection on start; one-off jobs are added with scheduleJob().
+ * Each instance polls for due jobs and claims one at a time with a
+ * conditional findOneAndUpdate, so a job only ever runs on one instance.
+ * The lock is extended while the handler runs; if an instance dies mid-run
+ * the lock expires and another instance picks the job up again.
+ *
+ * Failed attempts are retried with exponential backoff up to maxAttempts.
+ * After that a recurring job waits for its next slot and a one-off job is
+ * marked failed. Every attempt is recorded as a JobRun.
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { emitToAdmins } = require('../socket/socketManager');
+const { MINUTE_MS, nextRecurringRun, planAfterFailure } = require('../utils/jobSchedule');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+const POLL_MS = 15 * 1000;
+const LOCK_MS = 5 * MINUTE_MS;
+const HEARTBEAT_MS = MINUTE_MS;
+// Jobs claimed per poll, so one busy instance doesn't starve the event loop
+const MAX_JOBS_PER_TICK = 10;
+
+const definitions = new Map();
+
+let poller = null;
+let ticking = false;
+
+/**
+ * Register a job handler
+ * @param {String} name
+ * @param {Function} handler - async ({ job, payload }) => result
+ * @param {Object} options
+ * @param {Number} options.intervalMs - makes the job recurring
+ * @param {Function} options.getIntervalMs - async () => ms, read after each run (settings-driven cadence)
+ * @param {Number} options.maxAttempts - attempts per run (default 3)
+ * @param {Number} options.backoffMs - first retry delay, doubled each attempt (default 1 minute)
+ * @param {String} options.description
+ */
+const defineJob = (name, handler, options = {}) => {
+  definitions.set(name, {
+    name,
+    handler,
+    description: options.description || '',
+    recurring: Boolean(options.intervalMs || options.getIntervalMs),
+    intervalMs: options.intervalMs || null,
+    getIntervalMs: options.getIntervalMs || null,
+    maxAttempts: options.maxAttempts || 3,
+    backoffMs: options.backoffMs || MINUTE_MS
+  });
+};
+
+const getDefinitions = () => [...definitions.values()];
+
+const resolveIntervalMs = async (definition) => {
+  if (!definition.getIntervalMs) return definition.intervalMs;
+  try {
+    return (await definition.getIntervalMs()) || definition.intervalMs || MINUTE_MS;
+  } catch (error) {
+    console.error(`Job ${definition.name} interval error:`, error.message);
+    return definition.intervalMs || MINUTE_MS;
+  }
+};
+
+/**
+ * Make sure every recurring definition has a job document
+ */
+const syncRecurringJobs = async () => {
+  for (const definition of getDefinitions().filter(d => d.recurring)) {
+    const intervalMs = await resolveIntervalMs(definition);
+    try {
+      await Job.updateOne(
+        { key: definition.name },
+        {
+          $setOnInsert: {
+            jobId: uuidv4(),
+            name: definition.name,
+            key: definition.name,
+            type: 'recurring',
+            status: 'scheduled',
+            nextRunAt: new Date()
+          },
+          $set: {
+            intervalMs,
+            maxAttempts: definition.maxAttempts,
+            backoffMs: definition.backoffMs
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance inserted it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+/**
+ * Schedule a one-off run of a registered job
+ * @param {String} name
+ * @param {Object} options - { runAt, payload, key (dedupes pending runs), createdBy }
+ * @returns {Promise<Object>} job document
+ */
+const scheduleJob = async (name, { runAt = new Date(), payload = {}, key, createdBy = 'system' } = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) throw new Error(`Unknown job: ${name}`);
+
+  const jobId = uuidv4();
+  return Job.findOneAndUpdate(
+    { key: key || jobId },
+    {
+      $setOnInsert: {
+        jobId,
+        name,
+        key: key || jobId,
+        type: 'once',
+        status: 'scheduled',
+        payload,
+        nextRunAt: runAt,
+        maxAttempts: definition.maxAttempts,
+        backoffMs: definition.backoffMs,
+        createdBy
+      }
+    },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+/**
+ * Run a job as soon as possible: recurring jobs are pulled forward, other
+ * jobs get a one-off run
+ * @param {String} name
+ * @param {String} requestedBy - userId
+ * @returns {Promise<Object|null>} job document, null when unknown or already running
+ */
+const runJobNow = async (name, requestedBy = 'system') => {
+  const definition = definitions.get(name);
+  if (!definition) return null;
+
+  if (!definition.recurring) {
+    return scheduleJob(name, { createdBy: requestedBy });
+  }
+
+  const pullForward = () => Job.findOneAndUpdate(
+    { key: name, status: { $ne: 'running' } },
+    { $set: { nextRunAt: new Date(), status: 'scheduled', attempts: 0 } },
+    { new: true }
+  ).lean();
+
+  const job = await pullForward();
+  if (job || await Job.exists({ key: name })) return job;
+
+  // Not synced yet (scheduler not started on this instance)
+  await syncRecurringJobs();
+  return pullForward();
+};
+
+/**
+ * Atomically claim the most overdue job this instance can run
+ */
+const claimNextJob = (now) => Job.findOneAndUpdate(
+  {
+    name: { $in: [...definitions.keys()] },
+    status: { $in: ['scheduled', 'running'] },
+    nextRunAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  },
+  {
+    $set: {
+      status: 'running',
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      lastRunAt: now
+    },
+    $inc: { attempts: 1 }
+  },
+  { sort: { nextRunAt: 1 }, new: true }
+).lean();
+
+/**
+ * Run a claimed job and release it
+ * @param {Object} job - claimed job document
+ */
+const executeJob = async (job) => {
+  const definition = definitions.get(job.name);
+  const startedAt = new Date();
+  const run = await JobRun.create({
+    runId: uuidv4(),
+    jobId: job.jobId,
+    name: job.name,
+    attempt: job.attempts,
+    instanceId: INSTANCE_ID,
+    startedAt
+  });
+
+  // Keep the lock while the handler runs
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { jobId: job.jobId, lockedBy: INSTANCE_ID },
+      { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+    ).catch(error => console.error(`Job ${job.name} heartbeat error:`, error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  const release = { lockedBy: null, lockedUntil: null, lastFinishedAt: new Date() };
+
+  try {
+    const result = await definition.handler({ job, payload: job.payload || {} });
+    clearInterval(heartbeat);
+
+    const finishedAt = new Date();
+    release.lastFinishedAt = finishedAt;
+    if (job.type === 'recurring') {
+      const intervalMs = await resolveIntervalMs(definition);
+      await Job.updateOne(
+        { jobId: job.jobId, lockedBy: INSTANCE_ID },
+        {
+          $set: {
+            ...release,
+            status: 'scheduled',
+            intervalMs,
+            nextRunAt: nextRecurringRun(job.nextRunAt, intervalMs, finishedAt),
+            attempts: 0,
+            lastSuccessAt: finishedAt,
+            lastError: null
+          }
+        }
+      );
+    } else {
+      await Job.updateOne(
+        { jobId: job.jobId, lockedBy: INSTANCE_ID },
+        { $set: { ...release, status: 'completed', nextRunAt: null, lastSuccessAt: finishedAt, lastError: null } }
+      );
+    }
+
+    await JobRun.updateOne(
+      { runId: run.runId },
+      {
+        $set: {
+          status: 'succeeded',
+          finishedAt,
+          durationMs: finishedAt - startedAt,
+          result: result === undefined ? null : result
+        }
+      }
+    );
+    return { status: 'succeeded', result };
+  } catch (error) {
+    clearInterval(heartbeat);
+
+    const finishedAt = new Date();
+    release.lastFinishedAt = finishedAt;
+    const intervalMs = job.type === 'recurring' ? await resolveIntervalMs(definition) : job.intervalMs;
+    const plan = planAfterFailure({ ...job, intervalMs }, finishedAt);
+
+    await Job.updateOne(
+      { jobId: job.jobId, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          ...release,
+          status: plan.nextRunAt ? 'scheduled' : 'failed',
+          nextRunAt: plan.nextRunAt,
+          // A recurring job starts its next slot with a fresh set of attempts
+          ...(!plan.retry && job.type === 'recurring' ? { attempts: 0 } : {}),
+          lastError: error.message
+        }
+      }
+    );
+
+    await JobRun.updateOne(
+      { runId: run.runId },
+      {
+        $set: {
+          status: 'failed',
+          finishedAt,
+          durationMs: finishedAt - startedAt,
+          error: error.message,
+          willRetry: plan.retry
+        }
+      }
+    );
+
+    console.error(`Job ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+    if (!plan.retry) {
+      emitToAdmins('job_failed', {
+        jobId: job.jobId,
+        name: job.name,
+        attempts: job.attempts,
+        error: error.message,
+        nextRunAt: plan.nextRunAt,
+        timestamp: finishedAt
+      });
+    }
+    return { status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * Claim and run due jobs until none are left (or the per-tick cap is hit)
+ */
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (let i = 0; i < MAX_JOBS_PER_TICK; i++) {
+      const job = await claimNextJob(new Date());
+      if (!job) break;
+      await executeJob(job);
+    }
+  } catch (error) {
+    console.error('Job scheduler error:', error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start polling for due jobs.
+ * Only for long-running servers (not serverless).
+ */
+const startScheduler = () => {
+  if (poller) return poller;
+
+  syncRecurringJobs().catch(error => console.error('Job sync error:', error.message));
+
+  poller = setInterval(tick, POLL_MS);
+  poller.unref();
+  return poller;
+};
+
+const stopScheduler = () => {
+  if (poller) {
+    clearInterval(poller);
+    poller = null;
+  }
+};
+
+module.exports = {
+  INSTANCE_ID,
+  defineJob,
+  getDefinitions,
+  scheduleJob,
+  runJobNow,
+  syncRecurringJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,364 @@
+/**
+ * Ledger Service
+ * Posts journal entries (models/LedgerEntry) that keep the ledger in line
+ * with commissions, derives wallet balances from it and reconciles it
+ * against Commission and Payout records and the cached earnings on User
+ * and Representative.
+ */
+
+const Commission = require('../models/Commission');
+const CommissionDispute = require('../models/CommissionDispute');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Representative = require('../models/Representative');
+const User = require('../models/User');
+const { roundMoney, signedAmount } = require('../utils/commissionAdjustments');
+const {
+  ACCOUNTS,
+  EARNER_ACCOUNTS,
+  isZero,
+  positionFromLines,
+  planJournalEntry,
+  balancesFromPosition,
+  positionMismatches
+} = require('../utils/ledger');
+
+// Issues returned by one reconciliation; counts cover all of them
+const MAX_ISSUES = 500;
+
+const COMMISSION_FIELDS = 'commissionId agentId commissionType status amount adjustmentKind currency isDeleted statusHistory disputeId';
+
+/**
+ * Post the entry that brings one commission's ledger position in line
+ * @param {Object} commission - a Commission, or { commissionId, agentId, isDeleted: true } for one that was removed
+ * @param {Object[]} entries - its posted entries ({ lines })
+ * @returns {Object|null} the new entry, or null if nothing was due
+ */
+async function postCommissionEntry(commission, entries) {
+  const plan = planJournalEntry(commission, positionFromLines(entries.flatMap(e => e.lines)));
+  if (!plan) return null;
+
+  const last = commission.statusHistory?.[commission.statusHistory.length - 1];
+  const [payout, dispute] = await Promise.all([
+    plan.type === 'payout'
+      ? Payout.findOne({ commissionIds: commission.commissionId, status: 'completed' })
+        .sort({ processedAt: -1 }).select('payoutId').lean()
+      : null,
+    plan.type === 'dispute' && !commission.disputeId
+      ? CommissionDispute.findOne({ commissionId: commission.commissionId })
+        .sort({ createdAt: -1 }).select('disputeId').lean()
+      : null
+  ]);
+
+  try {
+    return await LedgerEntry.create({
+      idempotencyKey: `${commission.commissionId}:${entries.length + 1}`,
+      type: plan.type,
+      agentId: commission.agentId,
+      commissionId: commission.commissionId,
+      payoutId: payout?.payoutId,
+      disputeId: commission.disputeId || dispute?.disputeId,
+      commissionStatus: commission.isDeleted ? 'deleted' : commission.status,
+      currency: commission.currency || 'USD',
+      lines: plan.lines,
+      memo: last?.note,
+      createdBy: last?.changedBy || 'system'
+    });
+  } catch (error) {
+    // A concurrent sync posted this step first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Post whatever entries an earner's commissions are missing. Commissions
+ * that no longer exist are reversed.
+ * @param {String} agentId
+ * @returns {Number} entries posted
+ */
+async function syncAgentLedger(agentId) {
+  const [commissions, entries] = await Promise.all([
+    Commission.find({ agentId }).select(COMMISSION_FIELDS).lean(),
+    LedgerEntry.find({ agentId }).select('commissionId lines').lean()
+  ]);
+
+  const byCommission = new Map();
+  entries.forEach(e => {
+    if (!byCommission.has(e.commissionId)) byCommission.set(e.commissionId, []);
+    byCommission.get(e.commissionId).push(e);
+  });
+
+  let posted = 0;
+  for (const commission of commissions) {
+    if (await postCommissionEntry(commission, byCommission.get(commission.commissionId) || [])) posted++;
+    byCommission.delete(commission.commissionId);
+  }
+  for (const [commissionId, orphaned] of byCommission) {
+    if (await postCommissionEntry({ commissionId, agentId, isDeleted: true }, orphaned)) posted++;
+  }
+  return posted;
+}
+
+/**
+ * Post missing entries and refresh cached earnings for one earner or
+ * everyone with commissions or entries. Safe to repeat: backfills the
+ * ledger after an upgrade and repairs postings that failed after their
+ * commission was saved.
+ * @param {Object} options - { agentId }
+ * @returns {Object} { earners, posted, failed: [{ agentId, error }] }
+ */
+async function syncLedgers({ agentId } = {}) {
+  let agentIds = [agentId];
+  if (!agentId) {
+    const [withCommissions, withEntries] = await Promise.all([
+      Commission.distinct('agentId'),
+      LedgerEntry.distinct('agentId')
+    ]);
+    agentIds = [...new Set([...withCommissions, ...withEntries])];
+  }
+
+  let posted = 0;
+  const failed = [];
+  for (const id of agentIds) {
+    try {
+      posted += await syncAgentLedger(id);
+      await refreshCachedEarnings(id);
+    } catch (error) {
+      console.error(`Ledger sync failed for ${id}:`, error.message);
+      failed.push({ agentId: id, error: error.message });
+    }
+  }
+  return { earners: agentIds.length, posted, failed };
+}
+
+/**
+ * Credit balance per earner account of matching entries
+ * @param {Object} filter - LedgerEntry query
+ * @returns {Object} account -> balance
+ */
+async function getPosition(filter) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: filter },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: EARNER_ACCOUNTS } } },
+    { $group: { _id: '$lines.account', credit: { $sum: '$lines.credit' }, debit: { $sum: '$lines.debit' } } }
+  ]);
+  return Object.fromEntries(rows.map(r => [r._id, r.credit - r.debit]));
+}
+
+/**
+ * Wallet balances from the ledger
+ * @param {String|Object} agentIdOrFilter - an earner, or any LedgerEntry query
+ * @returns {Object} see utils/ledger balancesFromPosition
+ */
+async function getLedgerBalances(agentIdOrFilter) {
+  const filter = typeof agentIdOrFilter === 'string' ? { agentId: agentIdOrFilter } : agentIdOrFilter;
+  return balancesFromPosition(await getPosition(filter));
+}
+
+/**
+ * Copy ledger balances to User.totalEarnings / pendingEarnings and, for
+ * representatives, Representative.financials
+ * @param {String} agentId
+ * @returns {Object} the balances
+ */
+async function refreshCachedEarnings(agentId) {
+  const balances = await getLedgerBalances(agentId);
+  await Promise.all([
+    User.updateOne({ userId: agentId }, {
+      totalEarnings: balances.paid,
+      pendingEarnings: balances.outstanding
+    }),
+    Representative.updateOne({ userId: agentId }, {
+      'financials.paidCommission': balances.paid,
+      'financials.pendingCommission': balances.outstanding,
+      'financials.totalCommissionEarned': balances.earned
+    })
+  ]);
+  return balances;
+}
+
+/**
+ * Compare the ledger with Commission and Payout records and cached earnings
+ * @param {Object} options - { agentId } to check one earner, otherwise everyone
+ * @returns {Object} { ok, checked, issueCounts, issues, truncated }
+ */
+async function reconcile({ agentId } = {}) {
+  const scope = agentId ? { agentId } : {};
+  const issues = [];
+
+  const [commissions, positionRows, unbalanced, payouts, entryCount] = await Promise.all([
+    Commission.find(scope).select(COMMISSION_FIELDS).lean(),
+    LedgerEntry.aggregate([
+      { $match: scope },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: EARNER_ACCOUNTS } } },
+      {
+        $group: {
+          _id: { commissionId: '$commissionId', agentId: '$agentId', account: '$lines.account' },
+          balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: scope },
+      { $project: { entryId: 1, commissionId: 1, diff: { $subtract: [{ $sum: '$lines.debit' }, { $sum: '$lines.credit' }] } } },
+      { $match: { $or: [{ diff: { $gt: 0.005 } }, { diff: { $lt: -0.005 } }] } }
+    ]),
+    Payout.find({ ...scope, status: 'completed' }).select('payoutId agentId amount commissionIds').lean(),
+    LedgerEntry.countDocuments(scope)
+  ]);
+
+  unbalanced.forEach(e => issues.push({
+    type: 'unbalanced_entry',
+    entryId: e.entryId,
+    commissionId: e.commissionId,
+    difference: roundMoney(e.diff)
+  }));
+
+  // commissionId -> { agentIds, position }, and agentId -> position
+  const ledgerByCommission = new Map();
+  const ledgerByAgent = new Map();
+  positionRows.forEach(({ _id, balance }) => {
+    if (!ledgerByCommission.has(_id.commissionId)) {
+      ledgerByCommission.set(_id.commissionId, { agentIds: new Set(), position: {} });
+    }
+    const ledger = ledgerByCommission.get(_id.commissionId);
+    ledger.agentIds.add(_id.agentId);
+    ledger.position[_id.account] = (ledger.position[_id.account] || 0) + balance;
+
+    if (!ledgerByAgent.has(_id.agentId)) ledgerByAgent.set(_id.agentId, {});
+    const agentPosition = ledgerByAgent.get(_id.agentId);
+    agentPosition[_id.account] = (agentPosition[_id.account] || 0) + balance;
+  });
+
+  // Ledger against commissions
+  const commissionsById = new Map(commissions.map(c => [c.commissionId, c]));
+  commissions.forEach(commission => {
+    const ledger = ledgerByCommission.get(commission.commissionId);
+    const mismatches = positionMismatches(commission, ledger?.position || {});
+    if (mismatches.length > 0) {
+      issues.push({
+        type: 'commission_mismatch',
+        commissionId: commission.commissionId,
+        agentId: commission.agentId,
+        status: commission.isDeleted ? 'deleted' : commission.status,
+        amount: roundMoney(signedAmount(commission)),
+        mismatches
+      });
+    }
+    const foreign = ledger ? [...ledger.agentIds].filter(id => id !== commission.agentId) : [];
+    if (foreign.length > 0) {
+      issues.push({ type: 'agent_mismatch', commissionId: commission.commissionId, agentId: commission.agentId, ledgerAgentIds: foreign });
+    }
+  });
+  ledgerByCommission.forEach(({ position }, commissionId) => {
+    if (commissionsById.has(commissionId)) return;
+    if (Object.values(position).some(v => !isZero(v))) {
+      issues.push({ type: 'orphan_entries', commissionId, position: balancesFromPosition(position) });
+    }
+  });
+
+  // Completed payouts against the commissions they paid. Out of scope
+  // commissions (another earner's) are fetched so they aren't reported missing.
+  const payoutCommissionIds = payouts.flatMap(p => p.commissionIds || []);
+  const missingIds = payoutCommissionIds.filter(id => !commissionsById.has(id));
+  if (missingIds.length > 0) {
+    const extra = await Commission.find({ commissionId: { $in: missingIds } }).select(COMMISSION_FIELDS).lean();
+    extra.forEach(c => commissionsById.set(c.commissionId, c));
+  }
+
+  const paidBy = new Map();
+  payouts.forEach(payout => {
+    const linked = (payout.commissionIds || []).map(id => commissionsById.get(id) || { commissionId: id, missing: true });
+    const unpaid = linked.filter(c => c.missing || c.isDeleted || c.status !== 'paid');
+    if (unpaid.length > 0) {
+      issues.push({
+        type: 'payout_commission_unpaid',
+        payoutId: payout.payoutId,
+        agentId: payout.agentId,
+        commissions: unpaid.map(c => ({ commissionId: c.commissionId, status: c.missing ? 'missing' : (c.isDeleted ? 'deleted' : c.status) }))
+      });
+    }
+
+    const commissionTotal = roundMoney(linked
+      .filter(c => !c.missing && !c.isDeleted && c.status === 'paid')
+      .reduce((sum, c) => sum + signedAmount(c), 0));
+    const ledgerTotal = roundMoney(linked
+      .reduce((sum, c) => sum + (ledgerByCommission.get(c.commissionId)?.position[ACCOUNTS.PAID] || 0), 0));
+    if (!isZero(payout.amount - commissionTotal) || !isZero(payout.amount - ledgerTotal)) {
+      issues.push({
+        type: 'payout_amount_mismatch',
+        payoutId: payout.payoutId,
+        agentId: payout.agentId,
+        amount: payout.amount,
+        commissionTotal,
+        ledgerTotal
+      });
+    }
+
+    linked.forEach(c => {
+      if (!paidBy.has(c.commissionId)) paidBy.set(c.commissionId, []);
+      paidBy.get(c.commissionId).push(payout.payoutId);
+    });
+  });
+  paidBy.forEach((payoutIds, commissionId) => {
+    if (payoutIds.length > 1) issues.push({ type: 'commission_paid_twice', commissionId, payoutIds });
+  });
+
+  // Cached earnings against the ledger
+  const agentIds = [...new Set([...commissions.map(c => c.agentId), ...ledgerByAgent.keys()])];
+  const [users, representatives] = await Promise.all([
+    User.find({ userId: { $in: agentIds } }).select('userId totalEarnings pendingEarnings').lean(),
+    Representative.find({ userId: { $in: agentIds } }).select('userId financials').lean()
+  ]);
+
+  const drift = (id, model, cached, expected) => {
+    Object.entries(expected).forEach(([field, value]) => {
+      const current = cached[field] || 0;
+      if (!isZero(current - value)) {
+        issues.push({ type: 'cached_balance_drift', agentId: id, model, field, cached: current, ledger: value });
+      }
+    });
+  };
+  const balancesOf = (id) => balancesFromPosition(ledgerByAgent.get(id) || {});
+  users.forEach(u => {
+    const b = balancesOf(u.userId);
+    drift(u.userId, 'User', u, { totalEarnings: b.paid, pendingEarnings: b.outstanding });
+  });
+  representatives.forEach(r => {
+    const b = balancesOf(r.userId);
+    drift(r.userId, 'Representative', r.financials || {}, {
+      paidCommission: b.paid,
+      pendingCommission: b.outstanding,
+      totalCommissionEarned: b.earned
+    });
+  });
+
+  const issueCounts = {};
+  issues.forEach(i => { issueCounts[i.type] = (issueCounts[i.type] || 0) + 1; });
+
+  return {
+    ok: issues.length === 0,
+    checkedAt: new Date(),
+    agentId: agentId || null,
+    checked: {
+      commissions: commissions.length,
+      entries: entryCount,
+      payouts: payouts.length,
+      earners: agentIds.length
+    },
+    issueCounts,
+    issues: issues.slice(0, MAX_ISSUES),
+    truncated: issues.length > MAX_ISSUES
+  };
+}
+
+module.exports = {
+  syncAgentLedger,
+  syncLedgers,
+  getLedgerBalances,
+  refreshCachedEarnings,
+  reconcile
+};
@@ -0,0 +1,134 @@
+/**
+ * Maintenance Service
+ * Resolves Settings.features.maintenance into an effective state and tells
+ * connected clients when a maintenance window is scheduled, starts or ends.
+ *
+ * - enabled without a schedule  → active immediately until disabled
+ * - enabled with scheduledStart → announced in advance, active from the start
+ * - scheduledEnd                → maintenance ends automatically at that time
+ */
+
+const Settings = require('../models/Settings');
+const { broadcastToAll } = require('../socket/socketManager');
+
+const WATCH_INTERVAL_MS = 30 * 1000;
+
+// Last state broadcast by this process
+let lastBroadcast = { active: false, scheduledStart: null, scheduledEnd: null };
+let watcher = null;
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Effective maintenance state at a point in time
+ * @param {Object} maintenance - Settings.features.maintenance
+ * @param {Date} now
+ * @returns {{ active: Boolean, upcoming: Boolean, message: String, allowedRoles: String[], scheduledStart: Date|null, scheduledEnd: Date|null }}
+ */
+const resolveMaintenanceState = (maintenance = {}, now = new Date()) => {
+  const scheduledStart = toDate(maintenance.scheduledStart);
+  const scheduledEnd = toDate(maintenance.scheduledEnd);
+  const enabled = !!maintenance.enabled;
+
+  const started = !scheduledStart || now >= scheduledStart;
+  const ended = !!scheduledEnd && now >= scheduledEnd;
+
+  return {
+    active: enabled && started && !ended,
+    upcoming: enabled && !started && !ended,
+    message: maintenance.message || 'System is under maintenance. Please try again later.',
+    allowedRoles: maintenance.allowedRoles || ['super_admin'],
+    scheduledStart,
+    scheduledEnd
+  };
+};
+
+/**
+ * Current maintenance state from (cached) settings
+ */
+const getMaintenanceState = async () => {
+  const settings = await Settings.getCachedSettings();
+  return resolveMaintenanceState(settings.features?.maintenance);
+};
+
+/**
+ * Public view of a state, as sent to clients
+ */
+const toPayload = (state) => ({
+  active: state.active,
+  upcoming: state.upcoming,
+  message: state.message,
+  scheduledStart: state.scheduledStart,
+  scheduledEnd: state.scheduledEnd
+});
+
+const sameTime = (a, b) => (a ? a.getTime() : null) === (b ? b.getTime() : null);
+
+/**
+ * Compare the current state with the last broadcast one and emit
+ * maintenance_started / maintenance_ended / maintenance_scheduled.
+ * Called by the watcher and right after settings change.
+ */
+const syncMaintenanceState = async () => {
+  try {
+    const state = await getMaintenanceState();
+    const payload = toPayload(state);
+
+    if (state.active && !lastBroadcast.active) {
+      broadcastToAll('maintenance_started', payload);
+    } else if (!state.active && lastBroadcast.active) {
+      broadcastToAll('maintenance_ended', payload);
+    }
+
+    const windowChanged = !sameTime(state.scheduledStart, lastBroadcast.scheduledStart) ||
+      !sameTime(state.scheduledEnd, lastBroadcast.scheduledEnd);
+    if (state.upcoming && windowChanged) {
+      broadcastToAll('maintenance_scheduled', payload);
+    }
+
+    lastBroadcast = {
+      active: state.active,
+      scheduledStart: state.scheduledStart,
+      scheduledEnd: state.scheduledEnd
+    };
+    return state;
+  } catch (error) {
+    console.error('Maintenance sync error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Poll settings so scheduled windows start and end on time.
+ * Only for long-running servers (not serverless).
+ */
+const startMaintenanceWatcher = (intervalMs = WATCH_INTERVAL_MS) => {
+  if (watcher) return watcher;
+
+  // Learn the current state without announcing it on boot
+  getMaintenanceState()
+    .then(state => {
+      lastBroadcast = { active: state.active, scheduledStart: state.scheduledStart, scheduledEnd: state.scheduledEnd };
+    })
+    .catch(() => {});
+
+  watcher = setInterval(syncMaintenanceState, intervalMs);
+  watcher.unref();
+  return watcher;
+};
+
+const stopMaintenanceWatcher = () => {
+  if (watcher) {
+    clearInterval(watcher);
+    watcher = null;
+  }
+};
+
+module.exports = {
+  resolveMaintenanceState,
+  getMaintenanceState,
+  toPayload,
+  syncMaintenanceState,
+  startMaintenanceWatcher,
+  stopMaintenanceWatcher
+};
@@ -7,7 +7,7 @@
 const { v4: uuidv4 } = require('uuid');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const { getIO } = require('../socket/socketManager');
+const { emitToUser, emitAdminNotificationCreated } = require('../socket/socketManager');
 const emailService = require('./emailService');
 
 /**
@@ -116,13 +116,8 @@ const createNotification = async (options) => {
  */
 const sendDashboardNotification = async (notification, recipient) => {
   try {
-    const io = getIO();
-    if (!io) {
-      throw new Error('Socket.io not initialized');
-    }
-
-    // Emit to user's room (users join with pattern `user:${userId}`)
-    io.to(`user:${recipient.userId}`).emit('notification', {
+    // Emit to user's room (users join with pattern `user:${userId}`) on every instance
+    emitToUser(recipient.userId, 'notification', {
       notificationId: notification.notificationId,
       type: notification.type,
       title: notification.title,
@@ -599,16 +594,13 @@ const createAdminNotification = async (options, adminUserId) => {
 
     // Emit event to admin dashboard for real-time updates
     try {
-      const io = getIO();
-      if (io) {
-        io.to('role:super_admin').emit('admin_notification_created', {
-          targetType,
-          targetRole,
-          recipientCount: results.total,
-          title,
-          createdBy: adminUserId
-        });
-      }
+      emitAdminNotificationCreated({
+        targetType,
+        targetRole,
+        recipientCount: results.total,
+        title,
+        createdBy: adminUserId
+      });
     } catch (socketError) {
       console.error('Failed to emit admin notification event:', socketError);
     }
@@ -0,0 +1,532 @@
+/**
+ * Payment Service
+ * Student payments through the hosted checkout of the configured gateway
+ * (payments/gateway). Status changes arrive as signed webhooks, at least
+ * once and in any order; each is applied at most once and only when it
+ * moves the payment forward (utils/paymentStatus). A completed payment
+ * emits PAYMENT_COMPLETED, whose listeners complete the linked PAYMENT task
+ * and create the legacy service-application commission.
+ *
+ * A task is paid once: starting a checkout closes the task's other open
+ * ones, and so does completing a payment. A payment that still completes
+ * after another one paid the task (e.g. a checkout the gateway couldn't
+ * cancel) is kept, marked refundRequired with duplicateOf, and emits no
+ * PAYMENT_COMPLETED.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Payment = require('../models/Payment');
+const Task = require('../models/Task');
+const ServiceRequest = require('../models/ServiceRequest');
+const ServiceApplication = require('../models/ServiceApplication');
+const Service = require('../models/Service');
+const Student = require('../models/Student');
+const Commission = require('../models/Commission');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { createAuditLog } = require('../utils/auditLogger');
+const { AppError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+const { planPaymentTransition, toMinorUnits } = require('../utils/paymentStatus');
+const { isGatewayAvailable, getGateway } = require('../payments/gateway');
+const { serviceTypeToFeeKey, updateAgentEarnings } = require('./commissionService');
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'http://localhost:3000';
+
+// A concurrent update can win the conditional write; re-read and re-plan this often
+const MAX_UPDATE_ATTEMPTS = 3;
+
+// Lazy: notificationService -> socketManager -> middlewares/auth -> models
+const notify = async (recipientId, { type, title, message, payment, taskId }) => {
+  const { createNotification } = require('./notificationService');
+  try {
+    await createNotification({
+      recipientId,
+      type,
+      title,
+      message,
+      channel: 'DASHBOARD',
+      relatedEntities: { paymentId: payment.paymentId, ...(taskId && { taskId }) },
+      metadata: { amount: payment.amount, currency: payment.currency, status: payment.status }
+    });
+  } catch (error) {
+    console.error('Payment notification error:', error.message);
+  }
+};
+
+const money = (payment) => `${payment.currency} ${payment.amount.toFixed(2)}`;
+
+// What the student is told when their payment settles (nothing while processing)
+const studentNotice = (payment) => ({
+  completed: payment.duplicateOf
+    ? { type: 'PAYMENT_RECEIVED', title: 'Payment Received', message: `Your payment of ${money(payment)} was received, but this task was already paid. It will be refunded.` }
+    : { type: 'PAYMENT_RECEIVED', title: 'Payment Received', message: `Your payment of ${money(payment)} was received` },
+  failed: { type: 'STATUS_UPDATE', title: 'Payment Failed', message: `Your payment of ${money(payment)} failed: ${payment.failureReason}` },
+  refunded: { type: 'STATUS_UPDATE', title: 'Payment Refunded', message: `Your payment of ${money(payment)} was refunded` }
+}[payment.status] || null);
+
+// Admins are told about payments to refund
+const notifyFinance = async (options) => {
+  const admins = await User.find({ role: 'super_admin', isActive: true }).select('userId').lean();
+  for (const admin of admins) await notify(admin.userId, options);
+};
+
+/**
+ * Stop a task's other open checkouts from being paid: close them here and,
+ * where the gateway can, cancel them there
+ * @param {String} taskId
+ * @param {Object} options - { except: paymentId to keep, reason }
+ * @returns {Promise<Number>} checkouts closed
+ */
+async function closeOpenCheckouts(taskId, { except, reason }) {
+  const open = await Payment.find({ taskId, status: 'pending', paymentId: { $ne: except } })
+    .select('paymentId gateway checkout')
+    .lean();
+
+  let closed = 0;
+  for (const payment of open) {
+    const now = new Date();
+    const result = await Payment.updateOne(
+      { paymentId: payment.paymentId, status: 'pending' },
+      {
+        $set: { status: 'failed', failureReason: reason, 'checkout.closedAt': now },
+        $push: { statusHistory: { status: 'failed', changedBy: 'system', changedAt: now, source: 'checkout', note: reason } }
+      }
+    );
+    if (!result.modifiedCount) continue;
+    closed++;
+
+    if (!payment.checkout?.sessionId) continue;
+    try {
+      const gateway = getGateway(payment.gateway);
+      if (gateway.cancelCheckoutSession) await gateway.cancelCheckoutSession(payment.checkout.sessionId);
+    } catch (error) {
+      // Still payable there until it expires; a late completion is flagged for refund
+      console.error(`Cancel ${payment.gateway} checkout ${payment.checkout.sessionId} error:`, error.message);
+    }
+  }
+  return closed;
+}
+
+/**
+ * The gateway student checkouts go to (Settings.payment)
+ * @returns {Promise<{ kind: String, gateway: Object, paymentSettings: Object }>}
+ */
+async function getActiveGateway() {
+  const settings = await Settings.getSettings();
+  const paymentSettings = settings?.payment || {};
+  const kind = paymentSettings.paymentGateway;
+  if (!paymentSettings.enabled || !isGatewayAvailable(kind)) {
+    throw new ConflictError('Online payments are not enabled', 'PAYMENTS_DISABLED');
+  }
+  return { kind, gateway: getGateway(kind), paymentSettings };
+}
+
+// Task metadata.amount, else the service's fee from Settings.payment.serviceFees
+const amountForTask = (task, serviceRequest, paymentSettings) => {
+  const amount = Number(task.metadata?.amount);
+  if (amount > 0) return amount;
+  const fee = paymentSettings.serviceFees?.[serviceTypeToFeeKey(serviceRequest.serviceType)];
+  return fee > 0 ? fee : null;
+};
+
+/**
+ * Start (or resume) the hosted checkout for a PAYMENT task
+ * @param {Object} user - the task's assignee { userId, role }
+ * @param {String} taskId
+ * @returns {Promise<{ payment: Object, reused: Boolean }>} payment.checkout.url is where to send the student
+ */
+async function createTaskCheckout(user, taskId, req = null) {
+  const task = await Task.findOne({ taskId });
+  if (!task) throw new NotFoundError('Task not found');
+  if (task.assignedTo !== user.userId) throw new ForbiddenError('This task is not assigned to you');
+  if (task.taskType !== 'PAYMENT') throw new ValidationError('Only payment tasks can be paid', 'TASK_NOT_PAYABLE');
+  if (task.status === 'COMPLETED') throw new ConflictError('This task is already paid', 'TASK_ALREADY_PAID');
+
+  const serviceRequest = await ServiceRequest.findOne({ serviceRequestId: task.serviceRequestId });
+  if (!serviceRequest) throw new NotFoundError('Service request not found');
+
+  const { kind, gateway, paymentSettings } = await getActiveGateway();
+  const amount = amountForTask(task, serviceRequest, paymentSettings);
+  if (!amount) throw new ValidationError('No amount is set for this payment task', 'PAYMENT_AMOUNT_MISSING');
+  const currency = task.metadata?.currency || paymentSettings.currency || 'USD';
+
+  const settled = await Payment.findOne({ taskId, status: { $in: ['processing', 'completed'] } }).lean();
+  if (settled?.status === 'completed') throw new ConflictError('This task is already paid', 'TASK_ALREADY_PAID');
+  if (settled) throw new ConflictError('A payment for this task is being processed', 'PAYMENT_IN_PROGRESS');
+
+  // An unexpired checkout for the same amount is sent again rather than duplicated
+  const open = await Payment.findOne({
+    taskId,
+    status: 'pending',
+    gateway: kind,
+    amount,
+    currency,
+    'checkout.expiresAt': { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+  if (open) return { payment: open, reused: true };
+
+  const service = await Service.findOne({ serviceType: serviceRequest.serviceType }).select('serviceId').lean();
+  const payment = new Payment({
+    paymentId: uuidv4(),
+    studentId: serviceRequest.studentId,
+    serviceId: service?.serviceId || serviceRequest.serviceType,
+    serviceRequestId: serviceRequest.serviceRequestId,
+    taskId,
+    amount,
+    currency,
+    status: 'pending',
+    paymentMethod: kind,
+    gateway: kind,
+    statusHistory: [{ status: 'pending', changedBy: user.userId, source: 'checkout', note: 'Checkout started' }]
+  });
+  await payment.save();
+
+  const customer = await User.findOne({ userId: user.userId }).select('firstName lastName email').lean();
+  const returnUrl = `${DASHBOARD_URL}/student/payments/${payment.paymentId}`;
+  let session;
+  try {
+    session = await gateway.createCheckoutSession({
+      payment,
+      description: task.title,
+      customer: { name: [customer?.firstName, customer?.lastName].filter(Boolean).join(' '), email: customer?.email },
+      successUrl: `${returnUrl}?checkout=success`,
+      cancelUrl: `${returnUrl}?checkout=cancelled`
+    });
+  } catch (error) {
+    console.error(`Create ${kind} checkout error:`, error.message);
+    payment.status = 'failed';
+    payment.failureReason = 'The checkout could not be started';
+    payment.statusHistory.push({ status: 'failed', changedBy: 'system', source: 'checkout', note: error.message });
+    await payment.save();
+    throw new AppError('The payment gateway could not start the checkout', 502, 'PAYMENT_GATEWAY_ERROR');
+  }
+
+  payment.checkout = { sessionId: session.sessionId, url: session.checkoutUrl, expiresAt: session.expiresAt };
+  await payment.save();
+
+  // Only the newest checkout can pay the task (older ones may be for another amount or gateway)
+  await closeOpenCheckouts(taskId, { except: payment.paymentId, reason: 'Replaced by a newer checkout' });
+
+  await createAuditLog({
+    actorUserId: user.userId,
+    actorRole: user.role,
+    action: 'payment_checkout_created',
+    entityType: 'payment',
+    entityId: payment.paymentId,
+    newState: { status: 'pending' },
+    details: { gateway: kind, taskId, serviceRequestId: serviceRequest.serviceRequestId, amount, currency },
+    req
+  });
+
+  return { payment, reused: false };
+}
+
+// The payment a gateway event is about; gateways send whichever references they have
+async function findPaymentForEvent(kind, event, source) {
+  let payment = null;
+  if (event.paymentId) payment = await Payment.findOne({ paymentId: event.paymentId });
+  if (!payment && event.sessionId) payment = await Payment.findOne({ gateway: kind, 'checkout.sessionId': event.sessionId });
+  if (!payment && event.gatewayPaymentId) payment = await Payment.findOne({ gateway: kind, gatewayPaymentId: event.gatewayPaymentId });
+  // A gateway only settles its own payments
+  if (payment && source === 'webhook' && payment.gateway !== kind) return null;
+  return payment;
+}
+
+const fieldsForStatus = (kind, event, now) => {
+  const set = { status: event.status };
+  if (event.gatewayPaymentId) {
+    set.gatewayPaymentId = event.gatewayPaymentId;
+    if (kind === 'stripe') set.stripePaymentIntentId = event.gatewayPaymentId;
+  }
+  if (event.status === 'completed') Object.assign(set, { paidAt: now, failureReason: null });
+  if (event.status === 'failed') set.failureReason = event.failureReason || 'Payment failed';
+  if (event.status === 'refunded') set.refundedAt = now;
+  return set;
+};
+
+/**
+ * Apply a status update from a gateway event (or a manual one). Safe to
+ * repeat: an event id is applied once, and updates that don't move the
+ * payment forward are skipped.
+ * @param {String|null} kind - gateway the event came from
+ * @param {Object} event - normalized gateway event (payments/gateway)
+ * @param {Object} options - { source: 'webhook'|'manual', actorUserId, actorRole, note, req }
+ * @returns {Promise<{ result: String, payment: Object|null }>} result: applied, duplicate,
+ *   unchanged, stale, amount_mismatch, unknown_payment, or duplicate_payment (completed,
+ *   but its task was already paid: flagged for refund)
+ */
+async function applyPaymentUpdate(kind, event, { source = 'webhook', actorUserId = 'system', actorRole = 'system', note, req = null } = {}) {
+  let payment = await findPaymentForEvent(kind, event, source);
+  if (!payment) return { result: 'unknown_payment', payment: null };
+
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS && payment; attempt++) {
+    const { eventId } = event;
+    if (eventId && payment.processedEvents.includes(eventId)) return { result: 'duplicate', payment };
+
+    const plan = planPaymentTransition(payment.status, event.status);
+    const mismatch = plan.apply && event.status === 'completed' && event.amount !== null && event.amount !== undefined &&
+      (toMinorUnits(event.amount, payment.currency) !== toMinorUnits(payment.amount, payment.currency) ||
+        (event.currency && event.currency.toUpperCase() !== payment.currency.toUpperCase()));
+
+    if (!plan.apply || mismatch) {
+      const update = {
+        ...(eventId && { $addToSet: { processedEvents: eventId } }),
+        ...(mismatch && {
+          $push: {
+            statusHistory: {
+              status: payment.status,
+              changedBy: actorUserId,
+              source,
+              eventId,
+              note: `Not completed: the gateway reported ${event.currency || payment.currency} ${event.amount}`
+            }
+          }
+        })
+      };
+      if (Object.keys(update).length > 0) await Payment.updateOne({ paymentId: payment.paymentId }, update);
+      if (mismatch) console.warn(`Payment ${payment.paymentId}: gateway amount ${event.amount} does not match ${payment.amount}`);
+      return { result: mismatch ? 'amount_mismatch' : plan.reason, payment };
+    }
+
+    // A completion pays its task unless another payment already did
+    const paysTask = event.status === 'completed' && payment.taskId;
+    const settler = paysTask
+      ? await Payment.findOne({ taskId: payment.taskId, settlesTask: true, paymentId: { $ne: payment.paymentId } }).select('paymentId').lean()
+      : null;
+
+    const previousStatus = payment.status;
+    const filter = { paymentId: payment.paymentId, status: previousStatus, ...(eventId && { processedEvents: { $ne: eventId } }) };
+    const update = {
+      $set: {
+        ...fieldsForStatus(kind, event, new Date()),
+        ...(paysTask && (settler ? { duplicateOf: settler.paymentId, refundRequired: true } : { settlesTask: true }))
+      },
+      $push: {
+        statusHistory: {
+          status: event.status,
+          changedBy: actorUserId,
+          source,
+          eventId,
+          note: settler
+            ? `The task was already paid by payment ${settler.paymentId}; refund required`
+            : note || event.failureReason || event.type
+        }
+      },
+      ...(eventId && { $addToSet: { processedEvents: eventId } })
+    };
+
+    let updated;
+    try {
+      updated = await eventBus.emitWith(
+        (session) => Payment.findOneAndUpdate(filter, update, { new: true, session }),
+        (doc) => [doc?.status === 'completed' && !doc.duplicateOf && [EVENTS.PAYMENT_COMPLETED, {
+          payment: {
+            paymentId: doc.paymentId,
+            studentId: doc.studentId,
+            taskId: doc.taskId,
+            serviceRequestId: doc.serviceRequestId,
+            applicationId: doc.applicationId,
+            serviceId: doc.serviceId,
+            amount: doc.amount,
+            currency: doc.currency
+          },
+          triggeredBy: actorUserId
+        }]]
+      );
+    } catch (error) {
+      // Another payment for the task completed at the same time (unique settlesTask index)
+      if (error.code !== 11000 || !paysTask) throw error;
+      continue;
+    }
+
+    if (!updated) {
+      payment = await Payment.findOne({ paymentId: payment.paymentId });
+      continue;
+    }
+
+    await createAuditLog({
+      actorUserId,
+      actorRole,
+      action: updated.duplicateOf ? 'payment_duplicate' : `payment_${event.status}`,
+      entityType: 'payment',
+      entityId: updated.paymentId,
+      previousState: { status: previousStatus },
+      newState: { status: updated.status, ...(updated.duplicateOf && { duplicateOf: updated.duplicateOf, refundRequired: true }) },
+      details: { gateway: kind, source, eventId, eventType: event.type, failureReason: updated.failureReason || undefined },
+      req
+    });
+
+    if (paysTask && !updated.duplicateOf) {
+      await closeOpenCheckouts(updated.taskId, { except: updated.paymentId, reason: 'The task was paid with another payment' });
+    }
+
+    const notice = studentNotice(updated);
+    const student = notice && await Student.findOne({ studentId: updated.studentId }).select('userId').lean();
+    if (student?.userId) await notify(student.userId, { ...notice, payment: updated, taskId: updated.taskId });
+
+    if (updated.duplicateOf) {
+      await notifyFinance({
+        type: 'STATUS_UPDATE',
+        title: 'Duplicate Payment',
+        message: `A ${money(updated)} payment (${updated.paymentId}) completed for a task already paid by ${updated.duplicateOf}; refund it`,
+        payment: updated,
+        taskId: updated.taskId
+      });
+      return { result: 'duplicate_payment', payment: updated };
+    }
+
+    return { result: 'applied', payment: updated };
+  }
+
+  throw new ConflictError('The payment kept changing, try again', 'PAYMENT_CHANGED');
+}
+
+/**
+ * Verify and apply a gateway webhook
+ * @param {String} kind - gateway named in the webhook URL
+ * @param {Buffer} rawBody - the body exactly as received (signatures cover it)
+ * @param {Object} headers
+ * @returns {Promise<{ result: String, paymentId: String|null }>}
+ */
+async function handleWebhook(kind, rawBody, headers) {
+  // The fake gateway's webhook doesn't exist in production
+  if (!isGatewayAvailable(kind)) throw new NotFoundError('Unknown payment gateway');
+  if (!rawBody) throw new ValidationError('Webhook body is missing', 'WEBHOOK_BODY_INVALID');
+
+  const gateway = getGateway(kind);
+  const event = await gateway.verifyWebhook(rawBody, headers);
+  if (!event) return { result: 'ignored', paymentId: null };
+
+  let outcome = await applyPaymentUpdate(kind, event);
+  if (outcome.result === 'unknown_payment') {
+    console.warn(`${kind} webhook ${event.eventId} (${event.type}) matches no payment`);
+  }
+
+  // Approved but not captured yet (PayPal): capture now; redeliveries retry a failed capture.
+  // A closed checkout is never captured, so replaced orders can't take money.
+  if (event.needsCapture && gateway.capture && outcome.payment?.status === 'processing' && !outcome.payment.checkout?.closedAt) {
+    try {
+      outcome = await applyPaymentUpdate(kind, await gateway.capture(event));
+    } catch (error) {
+      // Already captured: the capture webhook settles the payment
+      if (error.gatewayStatus !== 422) throw error;
+    }
+  }
+
+  return { result: outcome.result, paymentId: outcome.payment?.paymentId || null };
+}
+
+/**
+ * Mark a payment completed by hand (cash, bank transfer, or a gateway
+ * payment confirmed outside the webhook)
+ * @param {Object} user - { userId, role }
+ * @returns {Promise<{ result: String, payment: Object }>}
+ */
+async function completePaymentManually(user, paymentId, { note } = {}, req = null) {
+  const payment = await Payment.findOne({ paymentId }).select('paymentId gateway').lean();
+  if (!payment) throw new NotFoundError('Payment not found');
+  const outcome = await applyPaymentUpdate(payment.gateway, { paymentId, status: 'completed', type: 'manual' }, {
+    source: 'manual',
+    actorUserId: user.userId,
+    actorRole: user.role,
+    note: note || 'Marked paid by an administrator',
+    req
+  });
+  if (outcome.result === 'stale') {
+    throw new ConflictError(`A ${outcome.payment.status} payment cannot be marked paid`, 'PAYMENT_STATE');
+  }
+  return outcome;
+}
+
+/**
+ * PAYMENT_COMPLETED listener: complete the PAYMENT task the payment was for
+ * (skips tasks already completed)
+ */
+async function completePaymentTask(payment, triggeredBy = 'system', idempotencyKey = undefined) {
+  if (!payment.taskId) return null;
+  const task = await Task.findOne({ taskId: payment.taskId });
+  if (!task || task.status === 'COMPLETED') return null;
+
+  const previousStatus = task.status;
+  task.updateStatus('COMPLETED', triggeredBy, `Paid: ${money(payment)} (payment ${payment.paymentId})`);
+  task.metadata = { ...(task.metadata || {}), paymentId: payment.paymentId };
+  task.markModified('metadata');
+  await task.save();
+
+  await createAuditLog({
+    logId: idempotencyKey,
+    throwOnError: true,
+    actorUserId: triggeredBy,
+    actorRole: 'system',
+    action: 'task_completed',
+    entityType: 'task',
+    entityId: task.taskId,
+    previousState: { status: previousStatus },
+    newState: { status: task.status },
+    details: { taskType: task.taskType, serviceRequestId: task.serviceRequestId, paymentId: payment.paymentId }
+  });
+
+  await notify(task.assignedBy, {
+    type: 'PAYMENT_RECEIVED',
+    title: 'Payment Received',
+    message: `${task.title} has been paid (${money(payment)})`,
+    payment,
+    taskId: task.taskId
+  });
+
+  try {
+    const { emitToUser } = require('../socket/socketManager');
+    const update = { taskId: task.taskId, serviceRequestId: task.serviceRequestId, status: task.status, completedAt: task.completedAt };
+    emitToUser(task.assignedTo, 'task_updated', update);
+    emitToUser(task.assignedBy, 'task_updated', update);
+  } catch (socketError) {
+    console.error('Socket emission error:', socketError);
+  }
+  return task;
+}
+
+/**
+ * PAYMENT_COMPLETED listener: agent commission for a payment on a legacy
+ * ServiceApplication (one per payment, keyed by sourceKey)
+ */
+async function createPaymentCommission(payment) {
+  if (!payment.applicationId) return null;
+  const application = await ServiceApplication.findOne({ applicationId: payment.applicationId }).lean();
+  if (!application?.assignedAgent) return null;
+
+  const sourceKey = `payment:${payment.paymentId}`;
+  const existing = await Commission.findOne({ sourceKey });
+  if (existing) return existing;
+
+  const student = await Student.findOne({ studentId: payment.studentId }).lean();
+  const percentage = student?.commissionPercentage || 10;
+  const commission = new Commission({
+    commissionId: uuidv4(),
+    agentId: application.assignedAgent,
+    studentId: payment.studentId,
+    serviceId: payment.serviceId,
+    sourceKey,
+    amount: (payment.amount * percentage) / 100,
+    percentage,
+    status: 'pending'
+  });
+  try {
+    await commission.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Commission.findOne({ sourceKey });
+  }
+  await updateAgentEarnings(application.assignedAgent);
+  return commission;
+}
+
+module.exports = {
+  getActiveGateway,
+  createTaskCheckout,
+  applyPaymentUpdate,
+  handleWebhook,
+  completePaymentManually,
+  completePaymentTask,
+  createPaymentCommission
+};
@@ -0,0 +1,663 @@
+/**
+ * Payout Run Service
+ * Scheduled and manual payout runs (models/PayoutBatch): collect every
+ * earner's approved commissions into one Payout line each, let finance
+ * review and approve the run, export it for the bank and settle each line,
+ * by hand or from the bank's settlement file. Settling a line and paying
+ * its commissions happen in one transaction.
+ */
+
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const PayoutBatch = require('../models/PayoutBatch');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { createAuditLog } = require('../utils/auditLogger');
+const { AppError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { roundMoney } = require('../utils/commissionAdjustments');
+const { dueRunSlot, nextRunAt, planPayoutLines, getPayeeBlocker } = require('../utils/payoutRuns');
+const { buildBankFile, validateBankAccount, endToEndId, parseSettlementCsv } = require('../utils/bankFiles');
+const { generateInvoiceNumber } = require('./commissionService');
+const { isModuleEnabled } = require('../middlewares/featureFlags');
+
+// Payouts waiting to be paid; their commissions belong to them
+const OPEN_PAYOUT_STATUSES = ['requested', 'processing'];
+
+// One transaction where the server supports it (see eventBus.emitWith)
+const inTransaction = (work, events = []) => eventBus.emitWith(work, events);
+
+const auditRun = (user, action, batch, extra = {}, req = null) => createAuditLog({
+  actorUserId: user?.userId || 'system',
+  actorRole: user?.role || 'system',
+  action,
+  entityType: 'payout_run',
+  entityId: batch.batchId,
+  ...extra,
+  details: { referenceId: batch.referenceId, ...extra.details },
+  req
+});
+
+// Lazy: notificationService -> socketManager -> middlewares/auth -> models
+const notify = async (recipientIds, { title, message, batch, payoutId }) => {
+  const { createNotification } = require('./notificationService');
+  for (const recipientId of recipientIds) {
+    try {
+      await createNotification({
+        recipientId,
+        type: 'PAYOUT_RUN',
+        title,
+        message,
+        channel: 'DASHBOARD',
+        metadata: { batchId: batch.batchId, ...(payoutId && { payoutId }) }
+      });
+    } catch (error) {
+      console.error('Payout run notification error:', error.message);
+    }
+  }
+};
+
+const historyEntry = (status, user, note) => ({
+  status,
+  changedBy: user?.userId || 'system',
+  changedAt: new Date(),
+  note
+});
+
+/**
+ * Commissions already claimed by a requested or processing payout
+ * @param {String} agentId - limit to one earner
+ * @returns {Promise<String[]>}
+ */
+const getCommittedCommissionIds = (agentId = null) =>
+  Payout.distinct('commissionIds', { status: { $in: OPEN_PAYOUT_STATUSES }, ...(agentId && { agentId }) });
+
+async function findRun(batchId) {
+  const batch = await PayoutBatch.findOne({ batchId });
+  if (!batch) throw new NotFoundError('Payout run not found');
+  return batch;
+}
+
+const requireStatus = (batch, status, action) => {
+  if (batch.status !== status) {
+    throw new ConflictError(`A ${batch.status} payout run cannot be ${action}`, 'PAYOUT_RUN_STATE');
+  }
+};
+
+const runOpenError = (batch) => new AppError(
+  `Payout run ${batch.referenceId} is waiting for review; approve or cancel it first`,
+  409,
+  'PAYOUT_RUN_OPEN',
+  { batchId: batch.batchId, referenceId: batch.referenceId }
+);
+
+/**
+ * Collect eligible approved commissions into a new draft run. Only one run
+ * can be a draft (unique index), so concurrent creations can't both take
+ * the same commissions: the second fails with PAYOUT_RUN_OPEN.
+ * @param {Object} options - { trigger: 'scheduled'|'manual', scheduledFor, user, req }
+ * @returns {Promise<Object>} the run; status 'empty' if nobody was due a payout
+ */
+async function createPayoutRun({ trigger = 'manual', scheduledFor = null, user = null, req = null } = {}) {
+  const draft = await PayoutBatch.findOne({ status: 'draft' }).select('batchId referenceId').lean();
+  if (draft) throw runOpenError(draft);
+
+  const settings = await Settings.getSettings();
+  const threshold = settings?.commission?.payoutThreshold || 100;
+  const frequency = settings?.commission?.payoutFrequency || 'monthly';
+  const currency = settings?.commission?.commissionCurrency || 'USD';
+
+  const committed = await getCommittedCommissionIds();
+  const commissions = await Commission.find({
+    status: 'approved',
+    isDeleted: false,
+    commissionId: { $nin: committed }
+  }).select('commissionId agentId amount adjustmentKind currency').lean();
+
+  const { lines, belowThreshold } = planPayoutLines(commissions, threshold);
+  const users = await User.find({ userId: { $in: lines.map(l => l.agentId) } })
+    .select('userId isActive bankDetails')
+    .lean();
+  const usersById = new Map(users.map(u => [u.userId, u]));
+
+  const skipped = belowThreshold.map(b => ({ ...b, reason: 'Below the payout threshold' }));
+  const payable = [];
+  lines.forEach(line => {
+    const blocker = getPayeeBlocker(usersById.get(line.agentId));
+    if (blocker) skipped.push({ agentId: line.agentId, amount: line.amount, reason: blocker });
+    else payable.push(line);
+  });
+
+  const status = payable.length > 0 ? 'draft' : 'empty';
+  const batch = new PayoutBatch({
+    status,
+    trigger,
+    scheduledFor,
+    frequency,
+    threshold,
+    currency,
+    lineCount: payable.length,
+    totalAmount: roundMoney(payable.reduce((sum, l) => sum + l.amount, 0)),
+    skipped,
+    createdBy: user?.userId || 'system',
+    statusHistory: [historyEntry(status, user,
+      trigger === 'scheduled' ? `Scheduled ${frequency} run` : 'Run created by finance')]
+  });
+
+  try {
+    await inTransaction(async (session) => {
+      // Saved first: a concurrent draft fails here, before any line is written
+      await batch.save({ session });
+      if (payable.length === 0) return;
+      await Payout.insertMany(payable.map(line => ({
+        agentId: line.agentId,
+        amount: line.amount,
+        currency: line.currency,
+        commissionIds: line.commissionIds,
+        batchId: batch.batchId,
+        payoutMethod: 'bank_transfer',
+        bankDetailsSnapshot: usersById.get(line.agentId).bankDetails,
+        statusHistory: [historyEntry('requested', user, `Added to payout run ${batch.referenceId}`)]
+      })), { session });
+    });
+  } catch (error) {
+    if (error.code !== 11000 || status !== 'draft') throw error;
+    const winner = await PayoutBatch.findOne({ status: 'draft' }).select('batchId referenceId').lean();
+    if (!winner) throw error;
+    throw runOpenError(winner);
+  }
+
+  await auditRun(user, 'payout_run_created', batch, {
+    newState: { status },
+    details: { trigger, lineCount: batch.lineCount, totalAmount: batch.totalAmount, skipped: skipped.length }
+  }, req);
+
+  if (status === 'draft') {
+    const admins = await User.find({ role: 'super_admin', isActive: true }).select('userId').lean();
+    await notify(admins.map(a => a.userId), {
+      title: 'Payout Run Ready for Review',
+      message: `Payout run ${batch.referenceId}: ${batch.lineCount} payouts totalling ${currency} ${batch.totalAmount.toFixed(2)}`,
+      batch
+    });
+  }
+  return batch;
+}
+
+/**
+ * Create the scheduled run if one is due (background job)
+ * @param {Date} now
+ * @returns {Promise<Object>} { due, batchId, status, lineCount, nextRunAt }
+ */
+async function runScheduledPayouts(now = new Date()) {
+  // Commission tracking switched off: no runs, due slots wait until it is back on
+  if (!(await isModuleEnabled('commissionTracking'))) return { due: false, disabled: true };
+
+  const settings = await Settings.getSettings();
+  const frequency = settings?.commission?.payoutFrequency || 'monthly';
+  const last = await PayoutBatch.findOne({ trigger: 'scheduled' }).sort({ scheduledFor: -1 }).select('scheduledFor').lean();
+
+  const slot = dueRunSlot(frequency, last?.scheduledFor || null, now);
+  if (!slot) {
+    return { due: false, frequency, nextRunAt: nextRunAt(frequency, last?.scheduledFor || null, now) };
+  }
+
+  let batch;
+  try {
+    batch = await createPayoutRun({ trigger: 'scheduled', scheduledFor: slot });
+  } catch (error) {
+    if (error.code !== 'PAYOUT_RUN_OPEN') throw error;
+    // The slot stays due: the run is created once finance settles the open draft
+    return { due: true, frequency, waitingFor: error.details.batchId };
+  }
+  return {
+    due: true,
+    frequency,
+    batchId: batch.batchId,
+    status: batch.status,
+    lineCount: batch.lineCount,
+    nextRunAt: nextRunAt(frequency, slot, now)
+  };
+}
+
+/**
+ * Lines whose commissions are no longer all approved, or also belong to
+ * another open payout
+ * @returns {Promise<Object[]>} { payoutId, agentId, commissionIds, reason }
+ */
+async function findStaleLines(batchId, lines) {
+  const ids = lines.flatMap(l => l.commissionIds);
+  const [commissions, others] = await Promise.all([
+    Commission.find({ commissionId: { $in: ids } }).select('commissionId status isDeleted').lean(),
+    Payout.find({ batchId: { $ne: batchId }, status: { $in: OPEN_PAYOUT_STATUSES }, commissionIds: { $in: ids } })
+      .select('commissionIds')
+      .lean()
+  ]);
+  const payable = new Set(commissions.filter(c => c.status === 'approved' && !c.isDeleted).map(c => c.commissionId));
+  const claimed = new Set(others.flatMap(p => p.commissionIds));
+
+  const stale = [];
+  lines.forEach(line => {
+    const unpaid = line.commissionIds.filter(id => !payable.has(id));
+    const taken = line.commissionIds.filter(id => claimed.has(id));
+    if (unpaid.length > 0) {
+      stale.push({ payoutId: line.payoutId, agentId: line.agentId, commissionIds: unpaid, reason: 'No longer approved' });
+    }
+    if (taken.length > 0) {
+      stale.push({ payoutId: line.payoutId, agentId: line.agentId, commissionIds: taken, reason: 'In another open payout' });
+    }
+  });
+  return stale;
+}
+
+/**
+ * Approve a draft run as a whole; its lines move to processing
+ * @param {Object} user - { userId, role }
+ * @param {String} batchId
+ * @param {Object} data - { note }
+ */
+async function approvePayoutRun(user, batchId, { note } = {}, req = null) {
+  const batch = await findRun(batchId);
+  requireStatus(batch, 'draft', 'approved');
+
+  const lines = await Payout.find({ batchId, status: 'requested' }).select('payoutId agentId commissionIds').lean();
+  if (lines.length === 0) throw new ConflictError('The payout run has no lines left', 'PAYOUT_RUN_EMPTY');
+
+  const stale = await findStaleLines(batchId, lines);
+  if (stale.length > 0) {
+    throw new ValidationError('Some lines are no longer payable; exclude them first', 'PAYOUT_RUN_STALE_LINES', stale);
+  }
+
+  await inTransaction(async (session) => {
+    const claimed = await PayoutBatch.updateOne(
+      { batchId, status: 'draft' },
+      {
+        $set: { status: 'approved', approvedBy: user.userId, approvedAt: new Date() },
+        $push: { statusHistory: historyEntry('approved', user, note || 'Run approved') }
+      },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) throw new ConflictError('The payout run changed, please reload', 'PAYOUT_RUN_STATE');
+
+    await Payout.updateMany(
+      { batchId, status: 'requested' },
+      {
+        $set: { status: 'processing' },
+        $push: { statusHistory: historyEntry('processing', user, `Payout run ${batch.referenceId} approved`) }
+      },
+      { session }
+    );
+  });
+
+  await auditRun(user, 'payout_run_approved', batch, {
+    previousState: { status: 'draft' },
+    newState: { status: 'approved' },
+    details: { lineCount: lines.length, note }
+  }, req);
+
+  return findRun(batchId);
+}
+
+// Keep lineCount / totalAmount in step with the lines still in a draft run
+async function refreshRunTotals(batchId, session = null) {
+  const [totals] = await Payout.aggregate([
+    { $match: { batchId, status: 'requested' } },
+    { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]).session(session);
+  return { lineCount: totals?.count || 0, totalAmount: roundMoney(totals?.amount || 0) };
+}
+
+/**
+ * Take one line out of a draft run; its commissions go to the next run
+ * @param {Object} data - { reason }
+ */
+async function excludePayoutLine(user, batchId, payoutId, { reason }, req = null) {
+  const batch = await findRun(batchId);
+  requireStatus(batch, 'draft', 'edited');
+
+  const payout = await Payout.findOne({ payoutId, batchId });
+  if (!payout) throw new NotFoundError('Payout line not found');
+  if (payout.status !== 'requested') throw new ConflictError('This line is already excluded', 'PAYOUT_LINE_STATE');
+
+  await inTransaction(async (session) => {
+    payout.status = 'cancelled';
+    payout.adminNote = reason;
+    payout.statusHistory.push(historyEntry('cancelled', user, `Excluded from payout run: ${reason}`));
+    await payout.save({ session });
+
+    const totals = await refreshRunTotals(batchId, session);
+    await PayoutBatch.updateOne(
+      { batchId },
+      {
+        $set: totals,
+        $push: { skipped: { agentId: payout.agentId, amount: payout.amount, reason: `Excluded: ${reason}` } }
+      },
+      { session }
+    );
+  });
+
+  await auditRun(user, 'payout_line_excluded', batch, { details: { payoutId, agentId: payout.agentId, amount: payout.amount, reason } }, req);
+  return findRun(batchId);
+}
+
+/**
+ * Cancel a draft run; its commissions go to the next run
+ * @param {Object} data - { reason }
+ */
+async function cancelPayoutRun(user, batchId, { reason }, req = null) {
+  const batch = await findRun(batchId);
+  requireStatus(batch, 'draft', 'cancelled');
+
+  await inTransaction(async (session) => {
+    const claimed = await PayoutBatch.updateOne(
+      { batchId, status: 'draft' },
+      {
+        $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason },
+        $push: { statusHistory: historyEntry('cancelled', user, reason) }
+      },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) throw new ConflictError('The payout run changed, please reload', 'PAYOUT_RUN_STATE');
+
+    await Payout.updateMany(
+      { batchId, status: 'requested' },
+      {
+        $set: { status: 'cancelled', adminNote: reason },
+        $push: { statusHistory: historyEntry('cancelled', user, `Payout run cancelled: ${reason}`) }
+      },
+      { session }
+    );
+  });
+
+  await auditRun(user, 'payout_run_cancelled', batch, {
+    previousState: { status: 'draft' },
+    newState: { status: 'cancelled' },
+    details: { reason }
+  }, req);
+  return findRun(batchId);
+}
+
+// Take a processing line for settling, so two requests can't both settle it
+async function claimLine(payoutId, status, session = null) {
+  const claimed = await Payout.updateOne({ payoutId, status: 'processing' }, { $set: { status } }, { session });
+  if (claimed.modifiedCount === 0) throw new ConflictError('This line was settled meanwhile', 'PAYOUT_LINE_STATE');
+}
+
+// Invoice numbers for several commissions paid together
+async function nextInvoiceNumbers(count) {
+  if (count === 0) return [];
+  const first = await generateInvoiceNumber();
+  const prefix = first.slice(0, first.lastIndexOf('-') + 1);
+  const seq = parseInt(first.slice(prefix.length), 10);
+  return Array.from({ length: count }, (_, i) => `${prefix}${String(seq + i).padStart(5, '0')}`);
+}
+
+/**
+ * Mark an approved run's line completed (paying its commissions) or failed
+ * (its commissions go to the next run). Completes the run once no line is
+ * left open.
+ * @param {Object} data - { outcome: 'completed'|'failed', externalReference, reason, note }
+ * @returns {Promise<{ batch: Object, payout: Object }>}
+ */
+async function settlePayoutLine(user, batchId, payoutId, { outcome, externalReference, reason, note }, req = null) {
+  const batch = await findRun(batchId);
+  requireStatus(batch, 'approved', 'settled');
+
+  const payout = await Payout.findOne({ payoutId, batchId });
+  if (!payout) throw new NotFoundError('Payout line not found');
+  if (payout.status !== 'processing') throw new ConflictError(`This line is already ${payout.status}`, 'PAYOUT_LINE_STATE');
+
+  if (outcome === 'completed') {
+    const commissions = await Commission.find({ commissionId: { $in: payout.commissionIds } });
+    const unpaid = payout.commissionIds.filter(id => !commissions.some(c => c.commissionId === id && c.status === 'approved' && !c.isDeleted));
+    if (unpaid.length > 0) {
+      throw new ValidationError('Some commissions on this line are no longer approved; mark it failed', 'PAYOUT_RUN_STALE_LINES', [{ payoutId, commissionIds: unpaid }]);
+    }
+    const invoiceNumbers = await nextInvoiceNumbers(commissions.filter(c => !c.invoiceNumber).length);
+
+    await inTransaction(async (session) => {
+      await claimLine(payoutId, 'completed', session);
+      const paidAt = new Date();
+      for (const commission of commissions) {
+        commission.status = 'paid';
+        commission.paidAt = paidAt;
+        commission.processedBy = user.userId;
+        commission.payoutReference = payoutId;
+        if (!commission.invoiceNumber) commission.invoiceNumber = invoiceNumbers.shift();
+        commission.statusHistory.push(historyEntry('paid', user, `Paid via payout run ${batch.referenceId}`));
+        await commission.save({ session });
+      }
+
+      payout.status = 'completed';
+      payout.processedAt = paidAt;
+      payout.processedBy = user.userId;
+      payout.externalReference = externalReference || payout.externalReference || '';
+      payout.adminNote = note || '';
+      payout.invoiceNumber = `FLY8-PAY-${paidAt.getFullYear()}-${payoutId.slice(0, 8).toUpperCase()}`;
+      payout.statusHistory.push(historyEntry('completed', user, note || `Paid in payout run ${batch.referenceId}`));
+      await payout.save({ session });
+    }, [[EVENTS.PAYOUT_SETTLED, { payout: { payoutId, agentId: payout.agentId, batchId, status: 'completed' }, triggeredBy: user.userId }]]);
+  } else {
+    await claimLine(payoutId, 'failed');
+    payout.status = 'failed';
+    payout.processedAt = new Date();
+    payout.processedBy = user.userId;
+    payout.failureReason = reason;
+    payout.adminNote = note || '';
+    payout.statusHistory.push(historyEntry('failed', user, `Failed: ${reason}`));
+    await payout.save();
+  }
+
+  await auditRun(user, 'payout_line_settled', batch, {
+    details: { payoutId, agentId: payout.agentId, amount: payout.amount, outcome, externalReference, reason }
+  }, req);
+
+  await notify([payout.agentId], outcome === 'completed'
+    ? { title: 'Payout Sent', message: `Your payout of ${payout.currency} ${payout.amount.toFixed(2)} has been sent`, batch, payoutId }
+    : { title: 'Payout Failed', message: `Your payout of ${payout.currency} ${payout.amount.toFixed(2)} failed: ${reason}. It will be retried in the next payout run.`, batch, payoutId });
+
+  const stillOpen = await Payout.exists({ batchId, status: { $in: OPEN_PAYOUT_STATUSES } });
+  if (!stillOpen) {
+    await PayoutBatch.updateOne(
+      { batchId, status: 'approved' },
+      {
+        $set: { status: 'completed', completedAt: new Date() },
+        $push: { statusHistory: historyEntry('completed', user, 'Every line settled') }
+      }
+    );
+  }
+
+  return { batch: await findRun(batchId), payout };
+}
+
+/**
+ * Bank upload file for the lines of an approved run still to be paid. Each
+ * line is sent under its end-to-end id (Payout.externalReference), assigned
+ * on first export, which the bank echoes back in its settlement file.
+ * @param {Object} options - { format: 'csv'|'pain001'|'fixed_width' }
+ * @returns {Promise<{ fileName, contentType, content, lineCount, controlTotal, hashTotal, checksum }>}
+ */
+async function exportPayoutRun(user, batchId, { format } = {}, req = null) {
+  const batch = await findRun(batchId);
+  requireStatus(batch, 'approved', 'exported');
+
+  const lines = await Payout.find({ batchId, status: 'processing' }).sort({ amount: -1 }).lean();
+  if (lines.length === 0) throw new ConflictError('No lines are waiting to be paid', 'PAYOUT_RUN_EMPTY');
+
+  const invalid = lines
+    .map(line => ({ payoutId: line.payoutId, agentId: line.agentId, errors: validateBankAccount(line.bankDetailsSnapshot || {}) }))
+    .filter(line => line.errors.length > 0);
+  if (invalid.length > 0) {
+    throw new ValidationError('Some lines have invalid bank details; mark them failed first', 'PAYOUT_RUN_BANK_DETAILS', invalid);
+  }
+
+  const settings = await Settings.getSettings();
+  const bankFile = settings?.commission?.bankFile || {};
+  const fileFormat = format || bankFile.defaultFormat || 'csv';
+  if (fileFormat === 'pain001' && (!bankFile.debtor?.name || !bankFile.debtor?.accountNumber)) {
+    throw new ValidationError('Set the paying account in commission.bankFile.debtor to export pain.001', 'BANK_FILE_DEBTOR_MISSING');
+  }
+
+  const unreferenced = lines.filter(line => !line.externalReference);
+  if (unreferenced.length > 0) {
+    await Payout.bulkWrite(unreferenced.map(line => ({
+      updateOne: {
+        filter: { payoutId: line.payoutId, externalReference: { $in: [null, ''] } },
+        update: { $set: { externalReference: endToEndId(line.payoutId) } }
+      }
+    })));
+  }
+
+  const file = buildBankFile(fileFormat, lines.map(line => ({
+    payoutId: line.payoutId,
+    amount: line.amount,
+    currency: line.currency,
+    reference: line.externalReference || endToEndId(line.payoutId),
+    bank: line.bankDetailsSnapshot
+  })), {
+    messageId: `${batch.referenceId}-${batch.exports.length + 1}`,
+    debtor: bankFile.debtor,
+    fixedWidth: bankFile.fixedWidth
+  });
+  const fileName = `${batch.referenceId}.${file.extension}`;
+  const record = {
+    format: fileFormat,
+    fileName,
+    lineCount: file.lineCount,
+    controlTotal: file.controlTotal,
+    hashTotal: file.hashTotal,
+    checksum: file.checksum
+  };
+
+  await PayoutBatch.updateOne({ batchId }, {
+    $push: { exports: { ...record, exportedBy: user.userId, exportedAt: new Date() } }
+  });
+  await auditRun(user, 'payout_run_exported', batch, { details: record }, req);
+
+  return { fileName, contentType: file.contentType, content: file.content, ...record };
+}
+
+/**
+ * Settle payout run lines from the bank's settlement CSV, matching each row
+ * to a Payout by externalReference. Rows already applied are skipped, so the
+ * same file can be imported again; rows that can't be applied are reported
+ * and leave their line untouched.
+ * @param {String} csvText
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { summary, rows, errors }
+ */
+async function importSettlementFile(user, csvText, { dryRun = false } = {}, req = null) {
+  const { rows, errors } = parseSettlementCsv(csvText);
+  const payouts = await Payout.find({ externalReference: { $in: [...new Set(rows.map(r => r.reference))] } })
+    .select('payoutId batchId agentId amount status externalReference')
+    .lean();
+  const payoutsByReference = new Map(payouts.map(p => [p.externalReference, p]));
+
+  const seen = new Set();
+  const results = [];
+  const settledRuns = new Map();
+
+  for (const row of rows) {
+    const payout = payoutsByReference.get(row.reference);
+    const base = { line: row.line, reference: row.reference, outcome: row.outcome, payoutId: payout?.payoutId || null };
+    const skip = (result, message) => results.push({ ...base, result, message });
+
+    if (seen.has(row.reference)) { skip('duplicate', 'The reference appears earlier in the file'); continue; }
+    seen.add(row.reference);
+
+    if (!payout) { skip('not_found', 'No payout has this reference'); continue; }
+    if (!payout.batchId) { skip('not_in_payout_run', 'Settle this payout from the payouts page'); continue; }
+    if (payout.status === row.outcome) { skip('already_settled', `Already ${payout.status}`); continue; }
+    if (payout.status !== 'processing') { skip('conflict', `The payout is ${payout.status}`); continue; }
+    if (row.amount !== null && roundMoney(row.amount) !== roundMoney(payout.amount)) {
+      skip('amount_mismatch', `The bank settled ${row.amount.toFixed(2)}, the payout is ${payout.amount.toFixed(2)}`);
+      continue;
+    }
+    if (dryRun) { skip(`would_be_${row.outcome}`, null); continue; }
+
+    try {
+      const { batch } = await settlePayoutLine(user, payout.batchId, payout.payoutId, {
+        outcome: row.outcome,
+        externalReference: row.reference,
+        reason: row.outcome === 'failed' ? (row.reason || 'Rejected by the bank') : undefined,
+        note: row.bankReference ? `Settlement file, bank reference ${row.bankReference}` : 'Settlement file'
+      }, req);
+      results.push({ ...base, result: row.outcome, message: null });
+
+      const counts = settledRuns.get(batch.batchId) || { batch, completed: 0, failed: 0 };
+      counts[row.outcome]++;
+      settledRuns.set(batch.batchId, counts);
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      skip('error', error.message);
+    }
+  }
+
+  for (const { batch, completed, failed } of settledRuns.values()) {
+    await auditRun(user, 'payout_settlement_imported', batch, { details: { completed, failed, rows: rows.length } }, req);
+  }
+
+  const summary = { rows: rows.length + errors.length, invalid: errors.length };
+  results.forEach(r => { summary[r.result] = (summary[r.result] || 0) + 1; });
+  return { dryRun, summary, rows: results, errors };
+}
+
+/**
+ * A run with its lines (earner names and bank detail problems attached)
+ * and totals by line status
+ */
+async function getPayoutRun(batchId) {
+  const batch = await PayoutBatch.findOne({ batchId }).lean();
+  if (!batch) throw new NotFoundError('Payout run not found');
+
+  const lines = await Payout.find({ batchId }).sort({ amount: -1 }).lean();
+  const earners = await User.find({ userId: { $in: lines.map(l => l.agentId) } })
+    .select('userId firstName lastName email role')
+    .lean();
+  const earnersById = new Map(earners.map(e => [e.userId, e]));
+
+  const byStatus = {};
+  lines.forEach(l => {
+    byStatus[l.status] = byStatus[l.status] || { count: 0, amount: 0 };
+    byStatus[l.status].count++;
+    byStatus[l.status].amount = roundMoney(byStatus[l.status].amount + l.amount);
+  });
+
+  return {
+    batch,
+    lines: lines.map(l => ({
+      ...l,
+      earner: earnersById.get(l.agentId) || null,
+      bankErrors: validateBankAccount(l.bankDetailsSnapshot || {})
+    })),
+    byStatus
+  };
+}
+
+async function listPayoutRuns({ status, trigger } = {}, { page = 1, limit = 20 } = {}) {
+  const query = { ...(status && { status }), ...(trigger && { trigger }) };
+  const [runs, total] = await Promise.all([
+    PayoutBatch.find(query)
+      .select('-skipped')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PayoutBatch.countDocuments(query)
+  ]);
+  return { runs, pagination: { total, page, limit, pages: Math.ceil(total / limit) } };
+}
+
+module.exports = {
+  OPEN_PAYOUT_STATUSES,
+  getCommittedCommissionIds,
+  createPayoutRun,
+  runScheduledPayouts,
+  approvePayoutRun,
+  excludePayoutLine,
+  cancelPayoutRun,
+  settlePayoutLine,
+  exportPayoutRun,
+  importSettlementFile,
+  getPayoutRun,
+  listPayoutRuns
+};
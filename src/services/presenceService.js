@@ -0,0 +1,157 @@
+/**
+ * Presence Service
+ * Online / away / offline status, last seen and who is viewing a case.
+ *
+ * Every connected socket is stored (models/PresenceSocket), so any API
+ * instance sees the sockets of all of them; status is derived from a user's
+ * sockets (utils/presence). Each instance refreshes its own sockets, and
+ * those of an instance that stopped expire after SOCKET_TTL_MS. Last seen
+ * is stored on the user (User.lastSeenAt) when their last socket leaves.
+ */
+
+const PresenceSocket = require('../models/PresenceSocket');
+const User = require('../models/User');
+const { INSTANCE_ID } = require('../events/transport');
+const { presenceOf, viewersOf, casesLeft } = require('../utils/presence');
+
+const HEARTBEAT_MS = 60 * 1000;
+const SOCKET_TTL_MS = 3 * HEARTBEAT_MS;
+
+let heartbeat = null;
+
+const expiresAt = () => new Date(Date.now() + SOCKET_TTL_MS);
+
+// Sockets not yet purged by the TTL index can still be expired
+const live = (filter) => ({ ...filter, expiresAt: { $gt: new Date() } });
+
+const socketsOf = (userId) => PresenceSocket.find(live({ userId })).select('away viewing').lean();
+
+const persistLastSeen = (userId, at) =>
+  User.updateOne({ userId }, { $set: { lastSeenAt: at } })
+    .catch(error => console.error('Failed to store last seen:', error.message));
+
+// Run a change to the user's sockets and report whether their status moved
+const tracked = async (userId, change) => {
+  const before = presenceOf(userId, await socketsOf(userId));
+  const extra = (await change()) || {};
+  const presence = presenceOf(userId, await socketsOf(userId));
+  return { changed: presence.status !== before.status, presence, ...extra };
+};
+
+/**
+ * A socket connected
+ * @returns {Promise<{ changed: Boolean, presence: Object }>}
+ */
+const userConnected = (userId, socketId) => tracked(userId, async () => {
+  await PresenceSocket.updateOne(
+    { socketId },
+    { $set: { userId, instanceId: INSTANCE_ID, away: false, viewing: [], expiresAt: expiresAt() } },
+    { upsert: true }
+  );
+});
+
+/**
+ * A socket disconnected; stores lastSeenAt once the user's last socket is gone
+ * @returns {Promise<{ changed: Boolean, presence: Object, leftCases: String[] }>}
+ *   leftCases are the service requests whose viewers changed because this socket left
+ */
+const userDisconnected = async (userId, socketId) => {
+  const at = new Date();
+  const result = await tracked(userId, async () => {
+    const socket = await PresenceSocket.findOneAndDelete({ socketId }).lean();
+    return { leftCases: casesLeft(socket?.viewing, await socketsOf(userId)) };
+  });
+  if (result.presence.status === 'offline') {
+    result.presence.lastSeen = at;
+    persistLastSeen(userId, at);
+  }
+  return result;
+};
+
+/**
+ * Mark one of the user's sockets away or back. The user is away only when
+ * every socket is.
+ * @returns {Promise<{ changed: Boolean, presence: Object }>}
+ */
+const setAway = (userId, socketId, away) => tracked(userId, async () => {
+  await PresenceSocket.updateOne({ socketId }, { $set: { away: Boolean(away) } });
+});
+
+// Whether another live socket of the user views the case
+const viewsElsewhere = (serviceRequestId, userId, socketId) =>
+  PresenceSocket.exists(live({ userId, viewing: serviceRequestId, socketId: { $ne: socketId } }));
+
+/**
+ * @returns {Promise<Boolean>} whether the set of viewing users changed
+ */
+const startViewing = async (serviceRequestId, userId, socketId) => {
+  const isNew = !(await viewsElsewhere(serviceRequestId, userId, socketId));
+  const result = await PresenceSocket.updateOne({ socketId }, { $addToSet: { viewing: serviceRequestId } });
+  return isNew && result.modifiedCount > 0;
+};
+
+/**
+ * @returns {Promise<Boolean>} whether the set of viewing users changed
+ */
+const stopViewing = async (serviceRequestId, userId, socketId) => {
+  const result = await PresenceSocket.updateOne({ socketId }, { $pull: { viewing: serviceRequestId } });
+  if (result.modifiedCount === 0) return false;
+  return !(await viewsElsewhere(serviceRequestId, userId, socketId));
+};
+
+/**
+ * User IDs currently viewing a service request
+ * @param {String} serviceRequestId
+ * @returns {Promise<String[]>}
+ */
+const getViewers = async (serviceRequestId) => viewersOf(
+  await PresenceSocket.find(live({ viewing: serviceRequestId })).sort({ createdAt: 1 }).select('userId').lean()
+);
+
+/**
+ * Presence of several users
+ * @param {String[]} userIds
+ * @returns {Promise<Object>} userId -> { status, lastSeen }
+ */
+const getPresenceForUsers = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const sockets = await PresenceSocket.find(live({ userId: { $in: ids } })).select('userId away').lean();
+  const socketsByUser = new Map(ids.map(userId => [userId, []]));
+  sockets.forEach(s => socketsByUser.get(s.userId).push(s));
+
+  const offline = ids.filter(userId => socketsByUser.get(userId).length === 0);
+  const stored = offline.length > 0
+    ? await User.find({ userId: { $in: offline } }).select('userId lastSeenAt').lean()
+    : [];
+  const lastSeenById = new Map(stored.map(u => [u.userId, u.lastSeenAt || null]));
+
+  return Object.fromEntries(ids.map(userId => {
+    const { status, lastSeen } = presenceOf(userId, socketsByUser.get(userId), lastSeenById.get(userId));
+    return [userId, { status, lastSeen }];
+  }));
+};
+
+/**
+ * Keep this instance's sockets alive in the shared presence; the stored
+ * sockets of a previous run of this process never match INSTANCE_ID again
+ * and expire on their own
+ */
+const startPresenceHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    PresenceSocket.updateMany({ instanceId: INSTANCE_ID }, { $set: { expiresAt: expiresAt() } })
+      .catch(error => console.error('Presence heartbeat error:', error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+module.exports = {
+  userConnected,
+  userDisconnected,
+  setAway,
+  startViewing,
+  stopViewing,
+  getViewers,
+  getPresenceForUsers,
+  startPresenceHeartbeat
+};
@@ -0,0 +1,324 @@
+/**
+ * Session Service
+ * Creates, validates, rotates and revokes server-side sessions.
+ * Enforces Settings.security.sessionSettings:
+ *   - maxConcurrentSessions: oldest sessions are evicted when a new one starts
+ *   - sessionTimeout:        idle minutes before a session stops working
+ *   - rememberMeDuration:    days a session (and its refresh token) lives
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { createAuditLog } = require('../utils/auditLogger');
+const { UnauthorizedError } = require('../utils/errors');
+
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'fly8-refresh-secret-change-in-production';
+
+// Avoid a write on every request — lastSeenAt is only bumped this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const getSessionSettings = async () => {
+  const settings = await Settings.getCachedSettings();
+  return settings.security?.sessionSettings || {};
+};
+
+/**
+ * Short human-readable device label from a user-agent string
+ * @param {String} userAgent
+ * @returns {String}
+ */
+const describeDevice = (userAgent = '') => {
+  const ua = userAgent || '';
+  const browser =
+    /Edg\//.test(ua) ? 'Edge' :
+    /OPR\/|Opera/.test(ua) ? 'Opera' :
+    /Chrome\//.test(ua) ? 'Chrome' :
+    /Firefox\//.test(ua) ? 'Firefox' :
+    /Safari\//.test(ua) ? 'Safari' :
+    /PostmanRuntime/.test(ua) ? 'Postman' : 'Unknown browser';
+  const os =
+    /Windows/.test(ua) ? 'Windows' :
+    /Android/.test(ua) ? 'Android' :
+    /iPhone|iPad|iOS/.test(ua) ? 'iOS' :
+    /Mac OS X|Macintosh/.test(ua) ? 'macOS' :
+    /Linux/.test(ua) ? 'Linux' : 'Unknown OS';
+  return `${browser} on ${os}`;
+};
+
+const signRefreshToken = (user, session, tokenId) =>
+  jwt.sign(
+    { userId: user.userId, sid: session.sessionId, jti: tokenId, tokenVersion: user.tokenVersion || 0, mfa: session.mfa },
+    JWT_REFRESH_SECRET,
+    { expiresIn: Math.max(1, Math.floor((session.expiresAt - Date.now()) / 1000)) }
+  );
+
+/**
+ * Lazily resolve socketManager — it depends on middlewares/auth, which
+ * depends on this service.
+ */
+const disconnectSockets = (room) => {
+  try {
+    const { disconnectRoom } = require('../socket/socketManager');
+    disconnectRoom(room);
+  } catch (error) {
+    console.error('Socket disconnect error:', error.message);
+  }
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId
+ * @param {Object} options - { reason, revokedBy }
+ * @returns {Promise<Object|null>} The revoked session (null if not active)
+ */
+const revokeSession = async (sessionId, { reason = 'logout', revokedBy = null } = {}) => {
+  const session = await Session.findOneAndUpdate(
+    { sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy },
+    { new: true }
+  );
+
+  if (session) {
+    disconnectSockets(`session:${sessionId}`);
+  }
+  return session;
+};
+
+/**
+ * Revoke every active session of a user ("log out everywhere"). Without
+ * exceptSessionId this also bumps tokenVersion, so refresh tokens that
+ * belong to no session (issued before the registry) stop working too.
+ * @param {String} userId
+ * @param {Object} options - { reason, revokedBy, exceptSessionId }
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllForUser = async (userId, { reason = 'admin_revoked', revokedBy = null, exceptSessionId = null } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter.sessionId = { $ne: exceptSessionId };
+  else await User.updateOne({ userId }, { $inc: { tokenVersion: 1 } });
+
+  const sessions = await Session.find(filter).select('sessionId').lean();
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { sessionId: { $in: sessions.map(s => s.sessionId) } },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+
+  sessions.forEach(s => disconnectSockets(`session:${s.sessionId}`));
+  return sessions.length;
+};
+
+/**
+ * Evict the least recently used sessions so at most `keep` remain active
+ */
+const enforceSessionLimit = async (userId, keep) => {
+  if (!Number.isFinite(keep) || keep < 0) return;
+
+  const active = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .select('sessionId')
+    .lean();
+
+  const excess = active.slice(keep);
+  for (const session of excess) {
+    await revokeSession(session.sessionId, { reason: 'session_limit', revokedBy: 'system' });
+  }
+};
+
+/**
+ * Start a new session after a successful login
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device/IP metadata)
+ * @param {Object} options - { mfa }
+ * @returns {Promise<{ session: Object, refreshToken: String, maxAgeMs: Number }>}
+ */
+const createSession = async (user, req, { mfa = false, legacyTokenHash = undefined } = {}) => {
+  const { maxConcurrentSessions = 3, rememberMeDuration = 7 } = await getSessionSettings();
+
+  // Make room for the new session before creating it (0 = unlimited)
+  if (maxConcurrentSessions > 0) {
+    await enforceSessionLimit(user.userId, maxConcurrentSessions - 1);
+  }
+
+  const maxAgeMs = rememberMeDuration * 24 * 60 * 60 * 1000;
+  const tokenId = uuidv4();
+  const userAgent = req?.get?.('user-agent') || '';
+
+  const session = await Session.create({
+    sessionId: uuidv4(),
+    userId: user.userId,
+    role: user.role,
+    currentTokenId: tokenId,
+    legacyTokenHash,
+    mfa,
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req?.ip || null,
+    lastSeenIp: req?.ip || null,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + maxAgeMs)
+  });
+
+  return { session, refreshToken: signRefreshToken(user, session, tokenId), maxAgeMs };
+};
+
+/**
+ * Check that a session can still be used, applying the idle timeout.
+ * Bumps lastSeenAt at most once per TOUCH_INTERVAL_MS.
+ * @param {String} sessionId
+ * @param {String} userId - Must match the session owner
+ * @param {Object} req - optional, for lastSeenIp
+ * @returns {Promise<Object|null>} Active session or null
+ */
+const validateSession = async (sessionId, userId, req = null) => {
+  const session = await Session.findOne({ sessionId });
+  if (!session || session.userId !== userId || !session.isActive()) {
+    return null;
+  }
+
+  const { sessionTimeout } = await getSessionSettings();
+  const idleMs = Date.now() - session.lastSeenAt.getTime();
+  if (sessionTimeout > 0 && idleMs > sessionTimeout * 60 * 1000) {
+    await revokeSession(sessionId, { reason: 'idle_timeout', revokedBy: 'system' });
+    return null;
+  }
+
+  if (idleMs > TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date();
+    if (req?.ip) session.lastSeenIp = req.ip;
+    await session.save();
+  }
+
+  return session;
+};
+
+/**
+ * Rotate a refresh token. Each refresh token is single-use: re-presenting a
+ * rotated token revokes the whole session (likely stolen token).
+ * @param {Object} decoded - Verified refresh token payload
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<{ session: Object, refreshToken: String, maxAgeMs: Number }>}
+ * @throws {UnauthorizedError}
+ */
+const rotateRefreshToken = async (decoded, user, req) => {
+  const session = await validateSession(decoded.sid, user.userId, req);
+  if (!session) {
+    throw new UnauthorizedError('Session expired or revoked', 'SESSION_REVOKED');
+  }
+
+  const nextTokenId = uuidv4();
+
+  // Atomic compare-and-swap: only the holder of the current token can rotate
+  const rotated = await Session.findOneAndUpdate(
+    { sessionId: session.sessionId, currentTokenId: decoded.jti, revokedAt: null },
+    {
+      currentTokenId: nextTokenId,
+      $inc: { rotationCount: 1 },
+      lastSeenAt: new Date(),
+      lastSeenIp: req?.ip || session.lastSeenIp
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session.sessionId, { reason: 'token_reuse', revokedBy: 'system' });
+    await createAuditLog({
+      actorUserId: user.userId,
+      actorRole: 'system',
+      action: 'refresh_token_reuse_detected',
+      entityType: 'user',
+      entityId: user.userId,
+      details: { sessionId: session.sessionId, device: session.device },
+      req
+    });
+    throw new UnauthorizedError('Refresh token reuse detected — session revoked', 'TOKEN_REUSE');
+  }
+
+  return {
+    session: rotated,
+    refreshToken: signRefreshToken(user, rotated, nextTokenId),
+    maxAgeMs: rotated.expiresAt - Date.now()
+  };
+};
+
+// What a session remembers of the pre-registry refresh token it replaced
+const hashLegacyToken = (refreshToken) => crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+const legacyTokenReused = async (session, user, req) => {
+  if (session) await revokeSession(session.sessionId, { reason: 'token_reuse', revokedBy: 'system' });
+  await createAuditLog({
+    actorUserId: user.userId,
+    actorRole: 'system',
+    action: 'refresh_token_reuse_detected',
+    entityType: 'user',
+    entityId: user.userId,
+    details: { sessionId: session?.sessionId || null, device: session?.device, legacyToken: true },
+    req
+  });
+  return new UnauthorizedError('Refresh token reuse detected — session revoked', 'TOKEN_REUSE');
+};
+
+/**
+ * Move a refresh token issued before the session registry (no sid) into a
+ * new session. Each such token is accepted once, like a rotated token:
+ * presenting it again revokes the session it started.
+ * @param {String} refreshToken - the raw token
+ * @param {Object} decoded - its verified payload
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<{ session: Object, refreshToken: String, maxAgeMs: Number }>}
+ * @throws {UnauthorizedError} TOKEN_REUSE
+ */
+const adoptLegacyRefreshToken = async (refreshToken, decoded, user, req) => {
+  const legacyTokenHash = hashLegacyToken(refreshToken);
+  const adopted = await Session.findOne({ legacyTokenHash });
+  if (adopted) throw await legacyTokenReused(adopted, user, req);
+
+  try {
+    return await createSession(user, req, { mfa: !!decoded.mfa, legacyTokenHash });
+  } catch (error) {
+    // Presented twice at once: the other request adopted it
+    if (error.code !== 11000) throw error;
+    throw await legacyTokenReused(await Session.findOne({ legacyTokenHash }), user, req);
+  }
+};
+
+/**
+ * Active sessions for a user, most recent first
+ */
+const listSessions = async (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .select('sessionId device ipAddress lastSeenIp lastSeenAt createdAt expiresAt mfa')
+    .lean();
+};
+
+/**
+ * Decode a refresh token without throwing (used by logout)
+ */
+const decodeRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_REFRESH_SECRET);
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  JWT_REFRESH_SECRET,
+  describeDevice,
+  createSession,
+  validateSession,
+  rotateRefreshToken,
+  adoptLegacyRefreshToken,
+  revokeSession,
+  revokeAllForUser,
+  listSessions,
+  decodeRefreshToken
+};
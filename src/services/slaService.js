@@ -0,0 +1,310 @@
+/**
+ * SLA Service
+ * Scans open service requests and tasks for SLA breaches and acts on them.
+ * Driven by Settings.applicationRules.sla.
+ *
+ * Service requests
+ *   - status SLA:   time in the current status vs. the definition for
+ *                   (serviceType, status); '*' matches any service type
+ *   - deadline SLA: ServiceRequest.deadline has passed
+ * Tasks
+ *   - Task.dueDate has passed while the student still owes work
+ *
+ * breached  → assignee notified, SLA_BREACHED added to statusHistory
+ * escalated → super admins notified, priority bumped (optional),
+ *             SLA_ESCALATED added to statusHistory
+ * Each level is acted on once per status/deadline: slaTracking records it and
+ * updates are conditional, so concurrent scanners don't double-notify.
+ * Runs as the 'sla-scan' job (see jobs/index.js).
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { createAuditLog } = require('../utils/auditLogger');
+const {
+  SLA_LEVELS,
+  findDefinition,
+  getStatusEnteredAt,
+  evaluateLevel,
+  isHigherLevel,
+  bumpPriority
+} = require('../utils/sla');
+
+const SYSTEM_ACTOR = 'system';
+const TERMINAL_STATUSES = ['COMPLETED', 'CANCELLED'];
+// Task statuses where the student still owes work
+const OPEN_TASK_STATUSES = ['PENDING', 'IN_PROGRESS', 'REVISION_REQUIRED'];
+
+const lowerLevels = (level) => SLA_LEVELS.slice(0, SLA_LEVELS.indexOf(level));
+
+const humanize = (value) => String(value || '').replace(/_/g, ' ').toLowerCase();
+
+const notify = async (recipientIds, options) => {
+  const { createNotification } = require('./notificationService');
+  for (const recipientId of [...new Set(recipientIds.filter(Boolean))]) {
+    try {
+      await createNotification({ recipientId, channel: 'BOTH', ...options });
+    } catch (error) {
+      console.error('SLA notification error:', error.message);
+    }
+  }
+};
+
+const getSuperAdminIds = async () => {
+  const admins = await User.find({ role: 'super_admin', isActive: true }).select('userId').lean();
+  return admins.map(a => a.userId);
+};
+
+/**
+ * Record and act on a service request SLA level
+ * @param {Object} sr - lean service request
+ * @param {'status'|'deadline'} kind
+ * @param {'breached'|'escalated'} level
+ * @param {Object} sla - Settings.applicationRules.sla
+ */
+const applyServiceRequestLevel = async (sr, kind, level, sla, now) => {
+  const escalated = level === 'escalated';
+  const reason = kind === 'status'
+    ? `in ${humanize(sr.status)} longer than its SLA`
+    : `past its deadline (${new Date(sr.deadline).toISOString().split('T')[0]})`;
+
+  const match = { serviceRequestId: sr.serviceRequestId, status: sr.status };
+  const set = { [`slaTracking.${kind}Level`]: level };
+  if (kind === 'status') {
+    set['slaTracking.status'] = sr.status;
+    match.$or = [
+      { 'slaTracking.status': { $ne: sr.status } },
+      { 'slaTracking.statusLevel': { $in: lowerLevels(level) } }
+    ];
+  } else {
+    set['slaTracking.deadline'] = sr.deadline;
+    match.$or = [
+      { 'slaTracking.deadline': { $ne: sr.deadline } },
+      { 'slaTracking.deadlineLevel': { $in: lowerLevels(level) } }
+    ];
+  }
+  set[escalated ? 'slaTracking.lastEscalatedAt' : 'slaTracking.lastBreachAt'] = now;
+
+  const newPriority = escalated && sla.bumpPriorityOnEscalation ? bumpPriority(sr.priority) : sr.priority;
+  if (newPriority !== sr.priority) set.priority = newPriority;
+
+  const note = `SLA ${escalated ? 'escalated' : 'breached'}: request ${reason}` +
+    (newPriority !== sr.priority ? `; priority raised to ${newPriority}` : '');
+
+  const updated = await ServiceRequest.findOneAndUpdate(
+    match,
+    {
+      $set: set,
+      $push: { statusHistory: { status: escalated ? 'SLA_ESCALATED' : 'SLA_BREACHED', changedBy: SYSTEM_ACTOR, changedAt: now, note } }
+    },
+    { new: true }
+  );
+  if (!updated) return null; // another scanner got there first, or the status moved on
+
+  await createAuditLog({
+    actorUserId: SYSTEM_ACTOR,
+    actorRole: 'system',
+    action: escalated ? 'sla_escalated' : 'sla_breached',
+    entityType: 'service_request',
+    entityId: sr.serviceRequestId,
+    previousState: { priority: sr.priority },
+    newState: { priority: newPriority, slaLevel: level },
+    details: { kind, status: sr.status, serviceType: sr.serviceType, deadline: sr.deadline || null }
+  });
+
+  const assignees = [sr.assignedCounselor, sr.assignedAgent].filter(Boolean);
+  const serviceName = humanize(sr.serviceType);
+
+  if (assignees.length > 0) {
+    await notify(assignees, {
+      type: escalated ? 'SLA_ESCALATED' : 'SLA_BREACHED',
+      title: escalated ? 'SLA escalated to admins' : 'SLA breached',
+      message: `A ${serviceName} request is ${reason}.${escalated ? ' It has been escalated to the admin team.' : ' Please take action.'}`,
+      priority: escalated ? 'URGENT' : 'HIGH',
+      actionUrl: `/counselor/service-requests/${sr.serviceRequestId}`,
+      actionText: 'View Request',
+      relatedEntities: { serviceRequestId: sr.serviceRequestId }
+    });
+  }
+
+  // Unassigned requests have nobody else to tell
+  if (escalated || assignees.length === 0) {
+    await notify(await getSuperAdminIds(), {
+      type: escalated ? 'SLA_ESCALATED' : 'SLA_BREACHED',
+      title: escalated ? 'SLA escalation' : 'SLA breached',
+      message: `A ${serviceName} request is ${reason}.`,
+      priority: escalated ? 'URGENT' : 'HIGH',
+      actionUrl: `/admin/service-requests/${sr.serviceRequestId}`,
+      actionText: 'View Request',
+      relatedEntities: { serviceRequestId: sr.serviceRequestId }
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Record and act on a task SLA level
+ */
+const applyTaskLevel = async (task, level, sla, now) => {
+  const escalated = level === 'escalated';
+  const newPriority = escalated && sla.bumpPriorityOnEscalation ? bumpPriority(task.priority) : task.priority;
+  const dueDay = new Date(task.dueDate).toISOString().split('T')[0];
+
+  const set = {
+    'slaTracking.dueDate': task.dueDate,
+    'slaTracking.level': level,
+    [escalated ? 'slaTracking.lastEscalatedAt' : 'slaTracking.lastBreachAt']: now
+  };
+  if (newPriority !== task.priority) set.priority = newPriority;
+
+  const updated = await Task.findOneAndUpdate(
+    {
+      taskId: task.taskId,
+      status: { $in: OPEN_TASK_STATUSES },
+      $or: [
+        { 'slaTracking.dueDate': { $ne: task.dueDate } },
+        { 'slaTracking.level': { $in: lowerLevels(level) } }
+      ]
+    },
+    {
+      $set: set,
+      $push: {
+        statusHistory: {
+          status: escalated ? 'SLA_ESCALATED' : 'SLA_BREACHED',
+          changedBy: SYSTEM_ACTOR,
+          changedAt: now,
+          note: `Task overdue since ${dueDay}${escalated ? ' — escalated to admins' : ''}`
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await createAuditLog({
+    actorUserId: SYSTEM_ACTOR,
+    actorRole: 'system',
+    action: escalated ? 'sla_escalated' : 'sla_breached',
+    entityType: 'task',
+    entityId: task.taskId,
+    previousState: { priority: task.priority },
+    newState: { priority: newPriority, slaLevel: level },
+    details: { kind: 'due_date', dueDate: task.dueDate, serviceRequestId: task.serviceRequestId }
+  });
+
+  if (!escalated) {
+    await notify([task.assignedTo], {
+      type: 'SLA_BREACHED',
+      title: 'Task overdue',
+      message: `"${task.title}" was due on ${dueDay}. Please complete it as soon as possible.`,
+      priority: 'HIGH',
+      actionUrl: `/student/tasks/${task.taskId}`,
+      actionText: 'View Task',
+      relatedEntities: { taskId: task.taskId, serviceRequestId: task.serviceRequestId }
+    });
+    return updated;
+  }
+
+  await notify([task.assignedBy, ...await getSuperAdminIds()], {
+    type: 'SLA_ESCALATED',
+    title: 'Overdue task escalated',
+    message: `"${task.title}" has been overdue since ${dueDay}.`,
+    priority: 'URGENT',
+    actionUrl: `/counselor/tasks/${task.taskId}`,
+    actionText: 'View Task',
+    relatedEntities: { taskId: task.taskId, serviceRequestId: task.serviceRequestId }
+  });
+  return updated;
+};
+
+/**
+ * Scan service requests for status and deadline breaches
+ * @returns {Promise<Number>} levels applied
+ */
+const scanServiceRequests = async (sla, now) => {
+  const definitions = sla.definitions || [];
+  const statuses = [...new Set(definitions.map(d => d.status))];
+  let applied = 0;
+
+  const cursor = ServiceRequest.find({
+    $or: [
+      { status: { $in: statuses } },
+      { deadline: { $lte: now }, status: { $nin: TERMINAL_STATUSES } }
+    ]
+  })
+    .select('serviceRequestId serviceType status priority deadline statusHistory appliedAt createdAt assignedCounselor assignedAgent slaTracking')
+    .lean()
+    .cursor();
+
+  for await (const sr of cursor) {
+    const tracking = sr.slaTracking || {};
+
+    const definition = findDefinition(definitions, sr.serviceType, sr.status);
+    if (definition) {
+      const current = tracking.status === sr.status ? tracking.statusLevel : 'ok';
+      const level = evaluateLevel(getStatusEnteredAt(sr), definition.breachAfterHours, definition.escalateAfterHours, now);
+      if (isHigherLevel(level, current) && await applyServiceRequestLevel(sr, 'status', level, sla, now)) {
+        applied++;
+      }
+    }
+
+    if (sr.deadline && new Date(sr.deadline) <= now && !TERMINAL_STATUSES.includes(sr.status)) {
+      const sameDeadline = tracking.deadline && new Date(tracking.deadline).getTime() === new Date(sr.deadline).getTime();
+      const current = sameDeadline ? tracking.deadlineLevel : 'ok';
+      const level = evaluateLevel(sr.deadline, 0, sla.deadlineEscalateAfterHours ?? 48, now);
+      if (isHigherLevel(level, current) && await applyServiceRequestLevel(sr, 'deadline', level, sla, now)) {
+        applied++;
+      }
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * Scan tasks whose due date has passed
+ * @returns {Promise<Number>} levels applied
+ */
+const scanTasks = async (sla, now) => {
+  let applied = 0;
+
+  const cursor = Task.find({ status: { $in: OPEN_TASK_STATUSES }, dueDate: { $lte: now } })
+    .select('taskId serviceRequestId title status priority dueDate assignedTo assignedBy slaTracking')
+    .lean()
+    .cursor();
+
+  for await (const task of cursor) {
+    const tracking = task.slaTracking || {};
+    const sameDueDate = tracking.dueDate && new Date(tracking.dueDate).getTime() === new Date(task.dueDate).getTime();
+    const current = sameDueDate ? tracking.level : 'ok';
+    const level = evaluateLevel(task.dueDate, 0, sla.taskEscalateAfterHours ?? 72, now);
+    if (isHigherLevel(level, current) && await applyTaskLevel(task, level, sla, now)) {
+      applied++;
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * Run one full SLA scan
+ * @param {Object} options - { force: run even when SLA is disabled }
+ * @returns {Promise<{ serviceRequests: Number, tasks: Number }|null>} null when disabled
+ */
+const runSlaScan = async ({ force = false } = {}) => {
+  const settings = await Settings.getCachedSettings();
+  const sla = settings.applicationRules?.sla;
+  if (!sla || (!sla.enabled && !force)) return null;
+
+  const now = new Date();
+  const serviceRequests = await scanServiceRequests(sla, now);
+  const tasks = await scanTasks(sla, now);
+  return { serviceRequests, tasks };
+};
+
+module.exports = {
+  runSlaScan
+};
@@ -0,0 +1,277 @@
+/**
+ * Task Template Service
+ * Manages task templates (models/TaskTemplate) and turns them into tasks
+ * when a service request enters a template's trigger status.
+ *
+ * Instantiation is idempotent: a template creates at most one task per
+ * request (unique { serviceRequestId, templateId } index on Task), so
+ * repeated or concurrent status events are harmless. Dependencies on
+ * templates that trigger later are linked when those tasks are created.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const ServiceRequest = require('../models/ServiceRequest');
+const Student = require('../models/Student');
+const { createAuditLog } = require('../utils/auditLogger');
+const { findDependencyCycle, orderByDependencies, dueDateFromOffset } = require('../utils/taskDependencies');
+const { validateFormDefinition } = require('../utils/formSchema');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { emitToUser, broadcastTaskUpdate } = require('../socket/socketManager');
+
+// Requests in these statuses get no new tasks
+const CLOSED_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Check a template's dependencies against the other templates of its service type
+ * @param {Object} template - { templateId, serviceType, key, dependsOn }
+ * @returns {Promise<void>} throws ValidationError
+ */
+const validateDependencies = async (template) => {
+  const dependsOn = template.dependsOn || [];
+  const siblings = await TaskTemplate.find({
+    serviceType: template.serviceType,
+    templateId: { $ne: template.templateId }
+  }).select('key dependsOn').lean();
+
+  const problems = [];
+  const keys = new Set(siblings.map(t => t.key));
+  dependsOn
+    .filter(key => key === template.key)
+    .forEach(() => problems.push('A template cannot depend on itself'));
+  dependsOn
+    .filter(key => key !== template.key && !keys.has(key))
+    .forEach(key => problems.push(`Unknown template key ${key} in dependsOn`));
+
+  const cycle = findDependencyCycle([...siblings, { key: template.key, dependsOn }]);
+  if (cycle) problems.push(`Dependency cycle: ${cycle.join(' → ')}`);
+
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid template dependencies', 'INVALID_TASK_TEMPLATE', problems);
+  }
+};
+
+/**
+ * Check a template's form against its task type
+ * @param {Object} template - { taskType, form }
+ * @returns {void} throws ValidationError
+ */
+const validateTemplateForm = ({ taskType, form }) => {
+  if (!form) return;
+  const problems = Task.FORM_TASK_TYPES.includes(taskType)
+    ? validateFormDefinition(form)
+    : [`Only ${Task.FORM_TASK_TYPES.join(' and ')} tasks can have a form`];
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid template form', 'INVALID_TASK_TEMPLATE', problems);
+  }
+};
+
+/**
+ * Create a task template
+ * @param {Object} data - validated template fields
+ * @param {String} userId - super admin
+ * @returns {Promise<Object>}
+ */
+const createTemplate = async (data, userId) => {
+  const template = { ...data, templateId: uuidv4(), createdBy: userId, updatedBy: userId };
+  validateTemplateForm(template);
+  await validateDependencies(template);
+
+  try {
+    return (await TaskTemplate.create(template)).toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`A ${data.serviceType} template with key ${data.key} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Update a task template. Tasks already created from it are not changed.
+ * @param {String} templateId
+ * @param {Object} updates - validated template fields (serviceType and key are fixed)
+ * @param {String} userId - super admin
+ * @returns {Promise<{ template: Object, previous: Object }>}
+ */
+const updateTemplate = async (templateId, updates, userId) => {
+  const template = await TaskTemplate.findOne({ templateId });
+  if (!template) throw new NotFoundError('Task template not found');
+
+  const previous = template.toObject();
+  validateTemplateForm({ ...previous, ...updates });
+  if (updates.dependsOn) {
+    await validateDependencies({ ...previous, dependsOn: updates.dependsOn });
+  }
+
+  Object.assign(template, updates, { updatedBy: userId });
+  await template.save();
+  return { template: template.toObject(), previous };
+};
+
+/**
+ * Who a template's task goes to
+ * @returns {{ userId: String, role: String }|null}
+ */
+const resolveAssignee = (assigneeRole, serviceRequest, student) => {
+  const partnerUserId = serviceRequest.representativeId || student.createdByRep;
+  const isRepCounselor =
+    serviceRequest.interactionMode === 'rep-counselor' ||
+    student.interactionMode === 'rep-counselor';
+
+  if (assigneeRole === 'rep3' || (assigneeRole === 'auto' && isRepCounselor)) {
+    if (partnerUserId) return { userId: partnerUserId, role: 'rep3' };
+  }
+  return student.userId ? { userId: student.userId, role: 'student' } : null;
+};
+
+/**
+ * Create the tasks a service request gets on entering a status
+ * @param {String} serviceRequestId
+ * @param {String} status - status the request entered
+ * @param {Object} options - { triggeredBy, actorRole }
+ * @returns {Promise<Object[]>} tasks created
+ */
+const instantiateTemplates = async (serviceRequestId, status, { triggeredBy = 'system', actorRole = 'system' } = {}) => {
+  const serviceRequest = await ServiceRequest.findOne({ serviceRequestId }).lean();
+  if (!serviceRequest || CLOSED_STATUSES.includes(serviceRequest.status)) return [];
+
+  const templates = await TaskTemplate.find({ serviceType: serviceRequest.serviceType, isActive: true }).lean();
+  const triggered = templates.filter(t => t.triggerStatus === status);
+  if (triggered.length === 0) return [];
+
+  const existing = await Task.find({ serviceRequestId, templateId: { $type: 'string' } })
+    .select('taskId templateId templateKey')
+    .lean();
+  const done = new Set(existing.map(t => t.templateId));
+  const pending = triggered.filter(t => !done.has(t.templateId));
+  if (pending.length === 0) return [];
+
+  const student = await Student.findOne({ studentId: serviceRequest.studentId }).lean();
+  if (!student) {
+    console.error(`Task templates skipped for ${serviceRequestId}: student not found`);
+    return [];
+  }
+  // Tasks are issued on behalf of whoever owns the case
+  const assignedBy = serviceRequest.assignedCounselor || serviceRequest.assignedAgent || triggeredBy;
+
+  const taskIdByKey = new Map(existing.map(t => [t.templateKey, t.taskId]));
+  const now = new Date();
+  const created = [];
+
+  for (const template of orderByDependencies(pending)) {
+    const assignee = resolveAssignee(template.assigneeRole, serviceRequest, student);
+    if (!assignee) {
+      console.error(`Task template ${template.key} skipped for ${serviceRequestId}: no assignee`);
+      continue;
+    }
+
+    try {
+      const task = await Task.create({
+        taskId: uuidv4(),
+        serviceRequestId,
+        taskType: template.taskType,
+        title: template.title,
+        description: template.description,
+        instructions: template.instructions || '',
+        assignedTo: assignee.userId,
+        assignedToRole: assignee.role,
+        assignedBy,
+        status: 'PENDING',
+        priority: template.priority,
+        dueDate: dueDateFromOffset(now, template.dueOffsetDays),
+        templateId: template.templateId,
+        templateKey: template.key,
+        form: template.form || null,
+        dependsOn: (template.dependsOn || []).filter(key => taskIdByKey.has(key)).map(key => taskIdByKey.get(key)),
+        statusHistory: [{
+          status: 'PENDING',
+          changedBy: triggeredBy,
+          changedAt: now,
+          note: `Created from template on ${status}`
+        }]
+      });
+      taskIdByKey.set(template.key, task.taskId);
+      created.push(task);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Already created by a concurrent run; later templates still depend on it
+      const existingTask = await Task.findOne({ serviceRequestId, templateId: template.templateId })
+        .select('taskId')
+        .lean();
+      if (existingTask) taskIdByKey.set(template.key, existingTask.taskId);
+    }
+  }
+
+  if (created.length === 0) return [];
+
+  // Link earlier tasks that were waiting on templates created just now
+  const createdKeys = new Set(created.map(t => t.templateKey));
+  for (const template of templates) {
+    if (!done.has(template.templateId)) continue;
+    const newPrerequisites = (template.dependsOn || [])
+      .filter(key => createdKeys.has(key))
+      .map(key => taskIdByKey.get(key));
+    if (newPrerequisites.length === 0) continue;
+    await Task.updateOne(
+      { serviceRequestId, templateId: template.templateId },
+      { $addToSet: { dependsOn: { $each: newPrerequisites } } }
+    );
+  }
+
+  await createAuditLog({
+    actorUserId: triggeredBy,
+    actorRole,
+    action: 'task_templates_applied',
+    entityType: 'service_request',
+    entityId: serviceRequestId,
+    newState: { status },
+    details: {
+      tasks: created.map(t => ({ taskId: t.taskId, templateId: t.templateId, templateKey: t.templateKey }))
+    }
+  });
+
+  await notifyAssignees(created);
+
+  return created;
+};
+
+/**
+ * One notification per assignee for a batch of template tasks
+ * @param {Object[]} tasks
+ */
+const notifyAssignees = async (tasks) => {
+  const { createNotification } = require('./notificationService');
+  const byAssignee = new Map();
+  tasks.forEach(task => byAssignee.set(task.assignedTo, [...(byAssignee.get(task.assignedTo) || []), task]));
+
+  for (const [assignedTo, assigned] of byAssignee) {
+    try {
+      await createNotification({
+        recipientId: assignedTo,
+        type: 'TASK_ASSIGNED',
+        title: assigned.length === 1 ? 'New Task Assigned' : `${assigned.length} New Tasks Assigned`,
+        message: `Your checklist has new tasks: ${assigned.map(t => t.title).join(', ')}`,
+        channel: 'BOTH',
+        actionUrl: assigned.length === 1 ? `/student/tasks/${assigned[0].taskId}` : '/student/tasks',
+        actionText: 'View Tasks',
+        relatedEntities: { serviceRequestId: assigned[0].serviceRequestId },
+        metadata: { taskIds: assigned.map(t => t.taskId) }
+      });
+    } catch (error) {
+      console.error('Task template notification error:', error.message);
+    }
+
+    assigned.forEach(task => {
+      emitToUser(assignedTo, 'task_created', task);
+      broadcastTaskUpdate(task, 'task_created');
+    });
+  }
+};
+
+module.exports = {
+  createTemplate,
+  updateTemplate,
+  instantiateTemplates
+};
@@ -0,0 +1,73 @@
+/**
+ * Transition Guard Service
+ * Loads the data guard rules need (utils/transitionGuards) and evaluates
+ * them for a requested status change.
+ */
+
+const Task = require('../models/Task');
+const Student = require('../models/Student');
+const Settings = require('../models/Settings');
+const { APPLICATION_TRANSITION_GUARDS } = require('../models/Application');
+const { guardNeeds, evaluateGuards } = require('../utils/transitionGuards');
+
+const loadSettingsContext = async () => {
+  const settings = await Settings.getCachedSettings();
+  const rules = settings.applicationRules || {};
+  return {
+    requiredDocuments: rules.requiredDocuments || [],
+    requireVerification: rules.requireDocumentVerification !== false
+  };
+};
+
+/**
+ * Unmet conditions for a service-request transition
+ * @param {Object} serviceRequest
+ * @param {Object} transition - workflow transition ({ from, to, guards })
+ * @returns {Promise<Object[]>} [{ rule, message, details }]
+ */
+const checkServiceRequestTransition = async (serviceRequest, transition) => {
+  const guards = transition?.guards || [];
+  if (guards.length === 0) return [];
+
+  const needs = guardNeeds(guards);
+  const context = { serviceRequest };
+
+  if (needs.has('tasks')) {
+    context.tasks = await Task.find({ serviceRequestId: serviceRequest.serviceRequestId })
+      .select('taskId title taskType status')
+      .lean();
+  }
+  if (needs.has('student')) {
+    context.student = await Student.findOne({ studentId: serviceRequest.studentId })
+      .select('studentId documents')
+      .lean();
+  }
+  if (needs.has('settings')) {
+    Object.assign(context, await loadSettingsContext());
+  }
+
+  return evaluateGuards(guards, context);
+};
+
+/**
+ * Unmet conditions for moving an admissions application to a status
+ * @param {Object} application
+ * @param {String} nextStatus
+ * @returns {Promise<Object[]>} [{ rule, message, details }]
+ */
+const checkApplicationTransition = async (application, nextStatus) => {
+  const guards = APPLICATION_TRANSITION_GUARDS[nextStatus] || [];
+  if (guards.length === 0) return [];
+
+  const context = { application };
+  if (guardNeeds(guards).has('settings')) {
+    Object.assign(context, await loadSettingsContext());
+  }
+
+  return evaluateGuards(guards, context);
+};
+
+module.exports = {
+  checkServiceRequestTransition,
+  checkApplicationTransition
+};
@@ -0,0 +1,195 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrolment, verification and recovery codes, driven by
+ * Settings.security.twoFactorAuth.
+ *
+ * Login flow for accounts with 2FA:
+ *   1. POST /auth/login          → password ok → short-lived "mfa pending" token
+ *   2. POST /auth/2fa/challenge  → TOTP or recovery code → access + refresh tokens
+ * Accounts whose role requires 2FA but have not enrolled use the pending token
+ * to call /auth/2fa/setup and /auth/2fa/verify, which completes the login.
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { JWT_SECRET } = require('../middlewares/auth');
+const {
+  generateSecret,
+  verifyToken,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+const { BadRequestError, UnauthorizedError } = require('../utils/errors');
+
+const MFA_TOKEN_TTL = '5m';
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Whether platform settings force 2FA for this user's role
+ * @param {Object} user
+ * @param {Object} settings - optional pre-loaded Settings document
+ * @returns {Promise<Boolean>}
+ */
+const isRequiredForRole = async (user, settings = null) => {
+  const config = (settings || await Settings.getSettings()).security?.twoFactorAuth;
+  return !!(config?.enabled && (config.requiredForRoles || []).includes(user.role));
+};
+
+/**
+ * Whether a login for this user must pass a second factor
+ */
+const isChallengeRequired = async (user, settings = null) => {
+  return !!user.twoFactor?.enabled || await isRequiredForRole(user, settings);
+};
+
+/**
+ * Sign a short-lived token proving the password step succeeded.
+ * It is NOT an access token — authMiddleware rejects it.
+ */
+const signMfaToken = (user) =>
+  jwt.sign({ userId: user.userId, mfaPending: true }, JWT_SECRET, { expiresIn: MFA_TOKEN_TTL });
+
+/**
+ * Verify an mfa pending token
+ * @returns {Object} decoded payload
+ * @throws {UnauthorizedError}
+ */
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.mfaPending) throw new Error('Not an MFA token');
+    return decoded;
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired MFA token', 'INVALID_MFA_TOKEN');
+  }
+};
+
+/**
+ * Start enrolment: generate a pending secret and otpauth URI
+ * @returns {Promise<{ secret: String, otpauthUrl: String }>}
+ */
+const beginEnrollment = async (userId) => {
+  const settings = await Settings.getSettings();
+  const methods = settings.security?.twoFactorAuth?.methods || [];
+  if (!methods.includes('authenticator')) {
+    throw new BadRequestError('Authenticator-app 2FA is not enabled on this platform', 'MFA_METHOD_DISABLED');
+  }
+
+  const user = await User.findOne({ userId }).select(TWO_FACTOR_SECRET_FIELDS);
+  if (user.twoFactor?.enabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri(secret, user.email, settings.platform?.name || 'Fly8')
+  };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @returns {Promise<String[]>} Raw recovery codes (shown once)
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findOne({ userId }).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user.twoFactor?.pendingSecret) {
+    throw new BadRequestError('No pending 2FA enrolment. Call /auth/2fa/setup first', 'MFA_NOT_STARTED');
+  }
+
+  const step = verifyToken(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new BadRequestError('Invalid verification code', 'INVALID_MFA_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return recoveryCodes;
+};
+
+/**
+ * Verify a login challenge with either a TOTP code or a recovery code.
+ * Accepted TOTP steps and used recovery codes cannot be replayed.
+ * @returns {Promise<{ method: 'totp'|'recovery_code', remainingRecoveryCodes?: Number }>}
+ * @throws {UnauthorizedError}
+ */
+const verifyChallenge = async (userId, { code, recoveryCode }) => {
+  const user = await User.findOne({ userId }).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED');
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const codes = user.twoFactor.recoveryCodes || [];
+    if (!codes.includes(hash)) {
+      throw new UnauthorizedError('Invalid recovery code', 'INVALID_MFA_CODE');
+    }
+    user.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+    await user.save();
+    return { method: 'recovery_code', remainingRecoveryCodes: user.twoFactor.recoveryCodes.length };
+  }
+
+  const step = verifyToken(user.twoFactor.secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep)) {
+    throw new UnauthorizedError('Invalid verification code', 'INVALID_MFA_CODE');
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return { method: 'totp' };
+};
+
+/**
+ * Replace all recovery codes
+ * @returns {Promise<String[]>} Raw recovery codes (shown once)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const user = await User.findOne({ userId }).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+  return recoveryCodes;
+};
+
+/**
+ * Turn 2FA off. Refused when the user's role requires it.
+ */
+const disable = async (userId) => {
+  const user = await User.findOne({ userId }).select(TWO_FACTOR_SECRET_FIELDS);
+  if (await isRequiredForRole(user)) {
+    throw new BadRequestError('Two-factor authentication is required for your role', 'MFA_REQUIRED_FOR_ROLE');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+module.exports = {
+  isRequiredForRole,
+  isChallengeRequired,
+  signMfaToken,
+  verifyMfaToken,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyChallenge,
+  regenerateRecoveryCodes,
+  disable
+};
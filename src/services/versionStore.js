@@ -0,0 +1,98 @@
+/**
+ * Version Store
+ * Shared storage for definitions kept as numbered, immutable versions per
+ * service type with at most one active (workflows, intake forms). The model
+ * needs serviceType, version, isActive, activatedAt, activatedBy and
+ * createdBy, unique indexes on { serviceType, version } and on the active
+ * version, and a string id field. Versions never change once saved, so
+ * they are cached in-process for good.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * @param {Object} Model - mongoose model
+ * @param {Object} options - { idField: e.g. 'workflowId', label: e.g. 'Workflow' }
+ * @returns {Object} { getById, create, activate, forget }
+ */
+function createVersionStore(Model, { idField, label }) {
+  const cache = new Map();
+
+  /**
+   * A stored version by id (cached)
+   * @returns {Promise<Object|null>}
+   */
+  const getById = async (id) => {
+    if (cache.has(id)) return cache.get(id);
+
+    const doc = await Model.findOne({ [idField]: id }).lean();
+    if (doc) cache.set(id, doc);
+    return doc;
+  };
+
+  /**
+   * Make a version the active one for its service type
+   * @returns {Promise<{ doc: Object, previous: Object|null, changed: Boolean }>}
+   */
+  const activate = async (id, userId) => {
+    const doc = await Model.findOne({ [idField]: id });
+    if (!doc) throw new NotFoundError(`${label} version not found`);
+
+    const previous = await Model.findOne({ serviceType: doc.serviceType, isActive: true }).lean();
+    if (previous?.[idField] === id) return { doc: doc.toObject(), previous, changed: false };
+
+    if (previous) {
+      await Model.updateOne({ [idField]: previous[idField] }, { $set: { isActive: false } });
+    }
+
+    doc.isActive = true;
+    doc.activatedAt = new Date();
+    doc.activatedBy = userId;
+    try {
+      await doc.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Another version was activated at the same time; reload and try again');
+      }
+      throw error;
+    }
+
+    return { doc: doc.toObject(), previous, changed: true };
+  };
+
+  /**
+   * Store the next version of a service type's definition
+   * @param {Object} fields - serviceType and the definition's own fields
+   * @param {String} userId - super admin
+   * @returns {Promise<Object>} the new, inactive version
+   */
+  const create = async (fields, userId) => {
+    const latest = await Model.findOne({ serviceType: fields.serviceType })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+
+    try {
+      const doc = await Model.create({
+        ...fields,
+        [idField]: uuidv4(),
+        version: (latest?.version || 0) + 1,
+        createdBy: userId
+      });
+      return doc.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Another version was saved at the same time; reload and try again');
+      }
+      throw error;
+    }
+  };
+
+  // Drop a deleted version from the cache
+  const forget = (id) => cache.delete(id);
+
+  return { getById, create, activate, forget };
+}
+
+module.exports = { createVersionStore };
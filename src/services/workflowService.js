@@ -0,0 +1,92 @@
+/**
+ * Workflow Service
+ * Loads and versions service-request workflow definitions.
+ *
+ * A request follows the version it was pinned to on creation
+ * (ServiceRequest.workflowId); requests without one — including everything
+ * created before workflows were configurable — follow the built-in flow.
+ * Versions are stored and cached through services/versionStore.
+ */
+
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const { DEFAULT_WORKFLOW, validateWorkflowDefinition } = require('../utils/stateMachine');
+const { ValidationError } = require('../utils/errors');
+const { createVersionStore } = require('./versionStore');
+
+const versions = createVersionStore(WorkflowDefinition, { idField: 'workflowId', label: 'Workflow' });
+
+/**
+ * A stored workflow version by id (cached)
+ * @param {String} workflowId
+ * @returns {Promise<Object|null>}
+ */
+const getWorkflowById = (workflowId) => versions.getById(workflowId);
+
+/**
+ * Workflow a service request follows
+ * @param {Object} serviceRequest
+ * @returns {Promise<Object>} stored version or DEFAULT_WORKFLOW
+ */
+const getWorkflowForRequest = async (serviceRequest) => {
+  if (!serviceRequest.workflowId) return DEFAULT_WORKFLOW;
+
+  const workflow = await getWorkflowById(serviceRequest.workflowId);
+  if (!workflow) {
+    console.error(`Workflow ${serviceRequest.workflowId} missing for ${serviceRequest.serviceRequestId}; using built-in flow`);
+    return DEFAULT_WORKFLOW;
+  }
+  return workflow;
+};
+
+/**
+ * Workflow new requests of a service type start on
+ * @param {String} serviceType
+ * @returns {Promise<Object>} active version or DEFAULT_WORKFLOW
+ */
+const getActiveWorkflow = async (serviceType) => {
+  return (await WorkflowDefinition.findActive(serviceType)) || DEFAULT_WORKFLOW;
+};
+
+/**
+ * Make a version the active one for its service type
+ * @param {String} workflowId
+ * @param {String} userId - super admin
+ * @returns {Promise<{ workflow: Object, previous: Object|null, changed: Boolean }>}
+ */
+const activateWorkflowVersion = async (workflowId, userId) => {
+  const { doc, previous, changed } = await versions.activate(workflowId, userId);
+  return { workflow: doc, previous, changed };
+};
+
+/**
+ * Store a new version of a service type's workflow
+ * @param {Object} definition - { serviceType, name, states, transitions, changeNote }
+ * @param {String} userId - super admin
+ * @param {Object} options - { activate (default true) }
+ * @returns {Promise<{ workflow: Object, previous: Object|null, changed: Boolean }>}
+ */
+const createWorkflowVersion = async (definition, userId, { activate = true } = {}) => {
+  const problems = validateWorkflowDefinition(definition);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid workflow definition', 'INVALID_WORKFLOW', problems);
+  }
+
+  const workflow = await versions.create({
+    serviceType: definition.serviceType,
+    name: definition.name,
+    states: definition.states,
+    transitions: definition.transitions,
+    changeNote: definition.changeNote || ''
+  }, userId);
+
+  if (!activate) return { workflow, previous: null, changed: false };
+  return activateWorkflowVersion(workflow.workflowId, userId);
+};
+
+module.exports = {
+  getWorkflowById,
+  getWorkflowForRequest,
+  getActiveWorkflow,
+  createWorkflowVersion,
+  activateWorkflowVersion
+};
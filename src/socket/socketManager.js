@@ -1,9 +1,94 @@
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('../middlewares/auth');
+const { INSTANCE_ID, getTransport } = require('../events/transport');
 
 let io;
 
+// ─── Cross-instance relay ───────────────────────────────────────────────────
+// Every emit is applied to this instance's sockets and published on the event
+// transport, so sockets connected to other API instances receive it too.
+
+const SOCKET_CHANNEL = 'socket';
+
+// Apply an emit (or room disconnect) to sockets on this instance
+const deliverLocally = ({ rooms, event, data, disconnect }) => {
+  if (!io) return;
+  if (disconnect) {
+    io.in(rooms).disconnectSockets(true);
+    return;
+  }
+  (rooms ? io.to(rooms) : io).emit(event, data);
+};
+
+/**
+ * Emit to rooms on every instance
+ * @param {Object} op - { rooms (String|String[], omit for everyone), event, data } or { rooms, disconnect: true }
+ */
+const relay = (op) => {
+  deliverLocally(op);
+  // Socket.io sends JSON anyway; a plain copy is what other instances can store
+  const data = op.data === undefined ? null : JSON.parse(JSON.stringify(op.data));
+  getTransport().publish(SOCKET_CHANNEL, { ...op, data, origin: INSTANCE_ID })
+    .catch(error => console.error('Socket relay error:', error.message));
+};
+
+/**
+ * Apply emits published by other instances to this instance's sockets.
+ * Only for long-running servers (not serverless).
+ */
+const startSocketRelay = () => getTransport().subscribe(SOCKET_CHANNEL, (message) => {
+  if (message.origin !== INSTANCE_ID) deliverLocally(message);
+});
+
+// ─── Presence ───────────────────────────────────────────────────────────────
+// A socket in a case room (service_request:<id> or chat:<id>) views the case
+// and follows its participants' presence through their presence:<userId> rooms.
+
+const emitPresence = (presence) => {
+  relay({ rooms: `presence:${presence.userId}`, event: 'presence_changed', data: presence });
+};
+
+const emitCaseViewers = async (serviceRequestId) => {
+  const { getViewers } = require('../services/presenceService');
+  relay({
+    rooms: [`service_request:${serviceRequestId}`, `chat:${serviceRequestId}`],
+    event: 'case_viewers_changed',
+    data: { serviceRequestId, viewers: await getViewers(serviceRequestId) }
+  });
+};
+
+const watchCase = async (socket, serviceRequest) => {
+  const { serviceRequestId } = serviceRequest;
+  const { getCaseParticipantIds } = require('../services/accessService');
+  const { startViewing } = require('../services/presenceService');
+
+  const participants = Object.values(await getCaseParticipantIds(serviceRequest)).filter(Boolean);
+  if (!socket.data.watchedCases) socket.data.watchedCases = new Map();
+  socket.data.watchedCases.set(serviceRequestId, participants);
+  participants.forEach(userId => socket.join(`presence:${userId}`));
+
+  await socket.data.presenceStored;
+  if (await startViewing(serviceRequestId, socket.userId, socket.id)) await emitCaseViewers(serviceRequestId);
+};
+
+const unwatchCase = async (socket, serviceRequestId) => {
+  // Still viewing through the other case room
+  if (socket.rooms.has(`service_request:${serviceRequestId}`) || socket.rooms.has(`chat:${serviceRequestId}`)) return;
+
+  const watched = socket.data.watchedCases;
+  const participants = watched?.get(serviceRequestId);
+  if (!participants) return;
+  watched.delete(serviceRequestId);
+
+  const stillFollowed = new Set([...watched.values()].flat());
+  participants.filter(userId => !stillFollowed.has(userId))
+    .forEach(userId => socket.leave(`presence:${userId}`));
+
+  const { stopViewing } = require('../services/presenceService');
+  if (await stopViewing(serviceRequestId, socket.userId, socket.id)) await emitCaseViewers(serviceRequestId);
+};
+
 const initSocket = (server) => {
   io = socketIo(server, {
     cors: {
@@ -16,7 +101,7 @@ const initSocket = (server) => {
   });
 
   // Authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
       return next(new Error('Authentication error'));
@@ -24,6 +109,20 @@ const initSocket = (server) => {
 
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
+      if (decoded.mfaPending) {
+        return next(new Error('Two-factor authentication required'));
+      }
+
+      // Session-bound tokens must belong to a live session
+      if (decoded.sid) {
+        const { validateSession } = require('../services/sessionService');
+        const session = await validateSession(decoded.sid, decoded.userId);
+        if (!session) {
+          return next(new Error('Session expired or revoked'));
+        }
+        socket.sessionId = decoded.sid;
+      }
+
       socket.userId = decoded.userId;
       socket.userRole = decoded.role;
       next();
@@ -41,48 +140,114 @@ const initSocket = (server) => {
     // Join role-specific room
     socket.join(`role:${socket.userRole}`);
 
+    // Join session room so the socket can be dropped when the session is revoked
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+
+    // Presence
+    const presence = require('../services/presenceService');
+    // Disconnect and away changes wait for the connect to be stored
+    const connected = presence.userConnected(socket.userId, socket.id)
+      .then(({ changed, presence: current }) => { if (changed) emitPresence(current); })
+      .catch(error => console.error('Presence connect error:', error.message));
+    socket.data.presenceStored = connected;
+
     // Handle disconnection
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       console.log(`User disconnected: ${socket.userId}`);
+      try {
+        await connected;
+        const { changed, presence: current, leftCases } = await presence.userDisconnected(socket.userId, socket.id);
+        if (changed) emitPresence(current);
+        await Promise.all(leftCases.map(emitCaseViewers));
+      } catch (error) {
+        console.error('Presence disconnect error:', error.message);
+      }
     });
 
-    // Handle custom events
-    socket.on('join_student_room', (studentId) => {
-      socket.join(`student:${studentId}`);
+    socket.on('set_presence', async ({ status } = {}) => {
+      if (status !== 'away' && status !== 'online') return;
+      try {
+        await connected;
+        const { changed, presence: current } = await presence.setAway(socket.userId, socket.id, status === 'away');
+        if (changed) emitPresence(current);
+      } catch (error) {
+        console.error('Set presence error:', error.message);
+      }
     });
 
-    socket.on('join_application_room', (applicationId) => {
-      socket.join(`application:${applicationId}`);
-    });
-
-    socket.on('join_service_request_room', (serviceRequestId) => {
-      socket.join(`service_request:${serviceRequestId}`);
-    });
+    // Room joins are checked like the equivalent HTTP reads (services/accessService).
+    // An optional acknowledgement callback receives { ok, error }.
+    const joinRoom = async (kind, id, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { checkRoomAccess } = require('../services/accessService');
+        const { allowed, serviceRequest } = await checkRoomAccess(
+          { userId: socket.userId, role: socket.userRole }, kind, id
+        );
+        if (!allowed) {
+          socket.emit('room_join_denied', { room: kind, id });
+          return reply({ ok: false, error: 'Access denied' });
+        }
+
+        socket.join(`${kind}:${id}`);
+        if (serviceRequest) await watchCase(socket, serviceRequest);
+        reply({ ok: true });
+      } catch (error) {
+        console.error(`Join ${kind} room error:`, error);
+        reply({ ok: false, error: 'Failed to join room' });
+      }
+    };
+
+    socket.on('join_student_room', (studentId, ack) => joinRoom('student', studentId, ack));
+
+    socket.on('join_application_room', (applicationId, ack) => joinRoom('application', applicationId, ack));
+
+    socket.on('join_service_request_room', (serviceRequestId, ack) => joinRoom('service_request', serviceRequestId, ack));
 
     socket.on('leave_service_request_room', (serviceRequestId) => {
       socket.leave(`service_request:${serviceRequestId}`);
+      unwatchCase(socket, serviceRequestId).catch(error => console.error('Leave case error:', error.message));
     });
 
     // Chat room events
-    socket.on('join_chat_room', (serviceRequestId) => {
-      socket.join(`chat:${serviceRequestId}`);
-      console.log(`User ${socket.userId} joined chat room: ${serviceRequestId}`);
-    });
+    socket.on('join_chat_room', (serviceRequestId, ack) => joinRoom('chat', serviceRequestId, ack));
 
     socket.on('leave_chat_room', (serviceRequestId) => {
       socket.leave(`chat:${serviceRequestId}`);
-      console.log(`User ${socket.userId} left chat room: ${serviceRequestId}`);
+      unwatchCase(socket, serviceRequestId).catch(error => console.error('Leave case error:', error.message));
     });
 
-    // Typing indicators
-    socket.on('typing_start', ({ serviceRequestId }) => {
+    // Participants' presence and current viewers of a case the socket has joined
+    socket.on('get_presence', async (serviceRequestId, ack) => {
+      if (typeof ack !== 'function') return;
+      const watched = socket.data.watchedCases?.get(serviceRequestId);
+      if (!watched) return ack({ ok: false, error: 'Join the case room first' });
+      try {
+        ack({
+          ok: true,
+          serviceRequestId,
+          presence: await presence.getPresenceForUsers(watched),
+          viewers: await presence.getViewers(serviceRequestId)
+        });
+      } catch (error) {
+        console.error('Get presence error:', error);
+        ack({ ok: false, error: 'Failed to get presence' });
+      }
+    });
+
+    // Typing indicators (only inside a joined chat room)
+    socket.on('typing_start', ({ serviceRequestId } = {}) => {
+      if (!socket.rooms.has(`chat:${serviceRequestId}`)) return;
       socket.to(`chat:${serviceRequestId}`).emit('user_typing', {
         userId: socket.userId,
         isTyping: true
       });
     });
 
-    socket.on('typing_stop', ({ serviceRequestId }) => {
+    socket.on('typing_stop', ({ serviceRequestId } = {}) => {
+      if (!socket.rooms.has(`chat:${serviceRequestId}`)) return;
       socket.to(`chat:${serviceRequestId}`).emit('user_typing', {
         userId: socket.userId,
         isTyping: false
@@ -105,16 +270,12 @@ const getIO = () => {
 
 // Emit notification to specific user
 const emitToUser = (userId, event, data) => {
-  if (io) {
-    io.to(`user:${userId}`).emit(event, data);
-  }
+  relay({ rooms: `user:${userId}`, event, data });
 };
 
 // Emit to all users with specific role
 const emitToRole = (role, event, data) => {
-  if (io) {
-    io.to(`role:${role}`).emit(event, data);
-  }
+  relay({ rooms: `role:${role}`, event, data });
 };
 
 // Emit to all super admins
@@ -124,21 +285,17 @@ const emitToAdmins = (event, data) => {
 
 // Emit to specific service request room
 const emitToServiceRequest = (serviceRequestId, event, data) => {
-  if (io) {
-    io.to(`service_request:${serviceRequestId}`).emit(event, data);
-  }
+  relay({ rooms: `service_request:${serviceRequestId}`, event, data });
 };
 
 // Emit to specific student room
 const emitToStudent = (studentId, event, data) => {
-  if (io) {
-    io.to(`student:${studentId}`).emit(event, data);
-  }
+  relay({ rooms: `student:${studentId}`, event, data });
 };
 
 // Broadcast service request update
 const broadcastServiceRequestUpdate = (serviceRequest, event = 'service_request_updated') => {
-  if (io && serviceRequest) {
+  if (serviceRequest) {
     // Emit to student
     if (serviceRequest.studentId) {
       emitToStudent(serviceRequest.studentId, event, serviceRequest);
@@ -158,7 +315,7 @@ const broadcastServiceRequestUpdate = (serviceRequest, event = 'service_request_
 
 // Broadcast task update
 const broadcastTaskUpdate = (task, event = 'task_updated') => {
-  if (io && task) {
+  if (task) {
     // Emit to assigned user
     if (task.assignedTo) {
       emitToUser(task.assignedTo, event, task);
@@ -172,27 +329,26 @@ const broadcastTaskUpdate = (task, event = 'task_updated') => {
 
 // Emit to chat room
 const emitToChatRoom = (serviceRequestId, event, data) => {
-  if (io) {
-    io.to(`chat:${serviceRequestId}`).emit(event, data);
-  }
+  relay({ rooms: `chat:${serviceRequestId}`, event, data });
 };
 
 // Broadcast to all connected users
 const broadcastToAll = (event, data) => {
-  if (io) {
-    io.emit(event, data);
-  }
+  relay({ event, data });
 };
 
 // Emit to multiple specific users
 const emitToUsers = (userIds, event, data) => {
-  if (io && Array.isArray(userIds)) {
-    userIds.forEach(userId => {
-      io.to(`user:${userId}`).emit(event, data);
-    });
+  if (Array.isArray(userIds) && userIds.length > 0) {
+    relay({ rooms: userIds.map(userId => `user:${userId}`), event, data });
   }
 };
 
+// Forcefully disconnect every socket in a room (e.g. `session:<id>`, `user:<id>`)
+const disconnectRoom = (room) => {
+  relay({ rooms: room, disconnect: true });
+};
+
 // Emit admin notification created event (for real-time admin dashboard updates)
 const emitAdminNotificationCreated = (data) => {
   emitToRole('super_admin', 'admin_notification_created', data);
@@ -206,6 +362,7 @@ const emitNewNotification = (recipientId, notification) => {
 
 module.exports = {
   initSocket,
+  startSocketRelay,
   getIO,
   emitToUser,
   emitToUsers,
@@ -217,6 +374,7 @@ module.exports = {
   broadcastTaskUpdate,
   emitToChatRoom,
   broadcastToAll,
+  disconnectRoom,
   emitAdminNotificationCreated,
   emitNewNotification
 };
\ No newline at end of file
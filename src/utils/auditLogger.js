@@ -25,6 +25,9 @@ const normalizeEntityType = entityType =>
  * @param {*} options.newState - New state (for transitions)
  * @param {Object} options.details - Additional details
  * @param {Object} options.req - Express request object (optional)
+ * @param {String} options.logId - Fixed id for writes that may be repeated
+ *   (event listeners); a second write with the same id is skipped
+ * @param {Boolean} options.throwOnError - Rethrow failures (event listeners, so the write is retried)
  */
 const createAuditLog = async (options) => {
   try {
@@ -37,13 +40,14 @@ const createAuditLog = async (options) => {
       previousState = null,
       newState = null,
       details = {},
-      req = null
+      req = null,
+      logId = uuidv4()
     } = options;
 
     const normalizedEntityType = normalizeEntityType(entityType);
 
     const log = new AuditLog({
-      logId: uuidv4(),
+      logId,
       actorUserId,
       actorRole,
       action,
@@ -64,6 +68,9 @@ const createAuditLog = async (options) => {
     await log.save();
     return log;
   } catch (error) {
+    // Already written by an earlier attempt
+    if (error.code === 11000 && options.logId) return null;
+    if (options.throwOnError) throw error;
     console.error('Audit log creation error:', error);
     // Don't throw - audit logging should not break main operations
   }
@@ -0,0 +1,492 @@
+/**
+ * Bank file helpers
+ * Build bank-transfer upload files for payouts and read the bank's
+ * settlement file back. Builders take transfers ({ payoutId, amount,
+ * currency, reference, bank: bankDetailsSnapshot }) and return
+ * { content, lineCount, controlTotal, hashTotal, checksum }; `reference`
+ * is the end-to-end id the bank echoes in its settlement file.
+ */
+
+const crypto = require('crypto');
+const { roundMoney } = require('./commissionAdjustments');
+const { toMinorUnits } = require('./paymentStatus');
+const { ValidationError } = require('./errors');
+
+const BANK_FILE_FORMATS = ['csv', 'pain001', 'fixed_width'];
+
+const FILE_TYPES = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  pain001: { extension: 'xml', contentType: 'application/xml' },
+  fixed_width: { extension: 'txt', contentType: 'text/plain' }
+};
+
+// ========================
+// Account validation
+// ========================
+
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+const compact = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+const looksLikeIban = (value) => /^[A-Z]{2}\d{2}/.test(compact(value));
+
+/**
+ * IBAN check digits (ISO 13616, mod 97)
+ * @param {String} value
+ * @returns {Boolean}
+ */
+function isValidIban(value) {
+  const iban = compact(value);
+  if (!IBAN_PATTERN.test(iban)) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4))
+    .split('')
+    .map(ch => (/\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55)))
+    .join('');
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+/**
+ * US ABA routing number: nine digits with a 3-7-1 weighted checksum
+ * @param {String} value
+ * @returns {Boolean}
+ */
+function isValidAbaRouting(value) {
+  const routing = compact(value);
+  if (!/^\d{9}$/.test(routing)) return false;
+  const d = routing.split('').map(Number);
+  const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return sum % 10 === 0;
+}
+
+const isValidBic = (value) => BIC_PATTERN.test(compact(value));
+
+/**
+ * Problems with a payee's bank details. An account is either an IBAN
+ * (routing number optional, a BIC if given) or a 4-17 digit account number
+ * with an ABA routing number or a BIC.
+ * @param {Object} bank - { accountHolderName, accountNumber, routingNumber }
+ * @returns {String[]} errors
+ */
+function validateBankAccount(bank = {}) {
+  const errors = [];
+  if (!String(bank.accountHolderName || '').trim()) errors.push('Account holder name is missing');
+
+  const account = compact(bank.accountNumber);
+  const routing = compact(bank.routingNumber);
+
+  if (!account) {
+    errors.push('Account number is missing');
+  } else if (looksLikeIban(account)) {
+    if (!isValidIban(account)) errors.push('IBAN is invalid');
+    if (routing && !isValidBic(routing)) errors.push('Routing number must be a BIC for an IBAN account');
+  } else {
+    if (!/^\d{4,17}$/.test(account)) errors.push('Account number must be 4-17 digits or an IBAN');
+    if (!routing) errors.push('Routing number is missing');
+    else if (!isValidAbaRouting(routing) && !isValidBic(routing)) {
+      errors.push('Routing number is neither a valid ABA routing number nor a BIC');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Reference sent to the bank for a payout; at most 35 characters
+ * (pain.001 EndToEndId) and stable for the payout
+ * @param {String} payoutId
+ * @returns {String}
+ */
+const endToEndId = (payoutId) => `FLY8${payoutId.replace(/-/g, '').slice(0, 28).toUpperCase()}`;
+
+// ========================
+// Totals
+// ========================
+
+const controlTotalOf = (transfers) => roundMoney(transfers.reduce((sum, t) => sum + t.amount, 0));
+
+/**
+ * Sum of the first eight digits of every ABA routing number, last ten
+ * digits kept (the NACHA entry hash). BIC routings don't count.
+ * @param {Object[]} transfers
+ * @returns {Number}
+ */
+const hashTotalOf = (transfers) => transfers.reduce((sum, t) => {
+  const routing = compact(t.bank.routingNumber);
+  return /^\d{9}$/.test(routing) ? (sum + Number(routing.slice(0, 8))) % 1e10 : sum;
+}, 0);
+
+const finish = (content, transfers) => ({
+  content,
+  lineCount: transfers.length,
+  controlTotal: controlTotalOf(transfers),
+  hashTotal: hashTotalOf(transfers),
+  checksum: crypto.createHash('sha256').update(content).digest('hex')
+});
+
+// ========================
+// CSV
+// ========================
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generic CSV, one row per transfer
+ * @param {Object[]} transfers
+ * @returns {Object} see module doc
+ */
+function buildTransferCsv(transfers) {
+  const headers = ['Payment ID', 'Beneficiary', 'Account Number', 'Routing Number', 'Bank', 'Amount', 'Currency', 'Reference'];
+  const rows = transfers.map(t => [
+    t.payoutId,
+    t.bank.accountHolderName,
+    compact(t.bank.accountNumber),
+    compact(t.bank.routingNumber),
+    t.bank.bankName,
+    t.amount.toFixed(2),
+    t.currency,
+    t.reference
+  ].map(csvField).join(','));
+
+  return finish([headers.join(','), ...rows].join('\n'), transfers);
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold commas,
+ * quotes and line breaks)
+ * @param {String} text
+ * @returns {String[][]} rows, blank lines dropped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// ========================
+// ISO 20022 pain.001
+// ========================
+
+const xml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const text = (value, max) => xml(String(value || '').slice(0, max));
+
+const accountXml = (accountNumber) => (looksLikeIban(accountNumber)
+  ? `<Id><IBAN>${xml(compact(accountNumber))}</IBAN></Id>`
+  : `<Id><Othr><Id>${xml(compact(accountNumber))}</Id></Othr></Id>`);
+
+const agentXml = (routingNumber) => {
+  const routing = compact(routingNumber);
+  if (isValidBic(routing)) return `<FinInstnId><BIC>${xml(routing)}</BIC></FinInstnId>`;
+  if (/^\d{9}$/.test(routing)) {
+    return `<FinInstnId><ClrSysMmbId><ClrSysId><Cd>USABA</Cd></ClrSysId><MmbId>${routing}</MmbId></ClrSysMmbId></FinInstnId>`;
+  }
+  return '<FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId>';
+};
+
+/**
+ * ISO 20022 customer credit transfer initiation (pain.001.001.03), one
+ * payment block per currency
+ * @param {Object[]} transfers
+ * @param {Object} options - { messageId, debtor: { name, accountNumber, routingNumber }, executionDate, createdAt }
+ * @returns {Object} see module doc
+ */
+function buildPain001(transfers, { messageId, debtor = {}, executionDate = new Date(), createdAt = new Date() }) {
+  const byCurrency = new Map();
+  transfers.forEach(t => {
+    if (!byCurrency.has(t.currency)) byCurrency.set(t.currency, []);
+    byCurrency.get(t.currency).push(t);
+  });
+
+  const date = executionDate.toISOString().slice(0, 10);
+  const paymentBlocks = [...byCurrency.entries()].map(([currency, group], i) => [
+    '    <PmtInf>',
+    `      <PmtInfId>${text(`${messageId}-${i + 1}`, 35)}</PmtInfId>`,
+    '      <PmtMtd>TRF</PmtMtd>',
+    `      <NbOfTxs>${group.length}</NbOfTxs>`,
+    `      <CtrlSum>${controlTotalOf(group).toFixed(2)}</CtrlSum>`,
+    `      <ReqdExctnDt>${date}</ReqdExctnDt>`,
+    `      <Dbtr><Nm>${text(debtor.name, 70)}</Nm></Dbtr>`,
+    `      <DbtrAcct>${accountXml(debtor.accountNumber)}<Ccy>${xml(currency)}</Ccy></DbtrAcct>`,
+    `      <DbtrAgt>${agentXml(debtor.routingNumber)}</DbtrAgt>`,
+    '      <ChrgBr>SLEV</ChrgBr>',
+    ...group.map(t => [
+      '      <CdtTrfTxInf>',
+      `        <PmtId><EndToEndId>${text(t.reference, 35)}</EndToEndId></PmtId>`,
+      `        <Amt><InstdAmt Ccy="${xml(t.currency)}">${t.amount.toFixed(2)}</InstdAmt></Amt>`,
+      `        <CdtrAgt>${agentXml(t.bank.routingNumber)}</CdtrAgt>`,
+      `        <Cdtr><Nm>${text(t.bank.accountHolderName, 70)}</Nm></Cdtr>`,
+      `        <CdtrAcct>${accountXml(t.bank.accountNumber)}</CdtrAcct>`,
+      `        <RmtInf><Ustrd>${text(`Commission payout ${t.reference}`, 140)}</Ustrd></RmtInf>`,
+      '      </CdtTrfTxInf>'
+    ].join('\n')),
+    '    </PmtInf>'
+  ].join('\n'));
+
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">',
+    '  <CstmrCdtTrfInitn>',
+    '    <GrpHdr>',
+    `      <MsgId>${text(messageId, 35)}</MsgId>`,
+    `      <CreDtTm>${createdAt.toISOString().slice(0, 19)}</CreDtTm>`,
+    `      <NbOfTxs>${transfers.length}</NbOfTxs>`,
+    `      <CtrlSum>${controlTotalOf(transfers).toFixed(2)}</CtrlSum>`,
+    `      <InitgPty><Nm>${text(debtor.name, 70)}</Nm></InitgPty>`,
+    '    </GrpHdr>',
+    ...paymentBlocks,
+    '  </CstmrCdtTrfInitn>',
+    '</Document>'
+  ].join('\n');
+
+  return finish(content, transfers);
+}
+
+// ========================
+// Fixed width
+// ========================
+
+// What a fixed-width field can hold
+const RECORD_SOURCES = {
+  literal: (t, f) => f.value || '',
+  payoutId: t => t.payoutId,
+  reference: t => t.reference,
+  beneficiary: t => t.bank.accountHolderName,
+  accountNumber: t => compact(t.bank.accountNumber),
+  routingNumber: t => compact(t.bank.routingNumber),
+  bankName: t => t.bank.bankName,
+  amount: t => t.amount.toFixed(2),
+  // Minor units of the transfer's currency (cents; whole yen for JPY)
+  amountCents: t => toMinorUnits(t.amount, t.currency),
+  currency: t => t.currency,
+  date: (t, f, ctx) => ctx.date
+};
+const TRAILER_SOURCES = {
+  literal: (totals, f) => f.value || '',
+  lineCount: totals => totals.lineCount,
+  controlTotal: totals => totals.controlTotal.toFixed(2),
+  controlTotalCents: totals => totals.controlTotalMinor,
+  hashTotal: totals => totals.hashTotal,
+  date: (totals, f, ctx) => ctx.date
+};
+
+// Amounts, counts and totals: cutting one would change what the bank pays
+const NUMERIC_SOURCES = ['amount', 'amountCents', 'lineCount', 'controlTotal', 'controlTotalCents', 'hashTotal'];
+
+const DEFAULT_FIXED_WIDTH_LAYOUT = {
+  recordFields: [
+    { source: 'literal', value: 'D', width: 1 },
+    { source: 'reference', width: 35 },
+    { source: 'beneficiary', width: 35 },
+    { source: 'routingNumber', width: 11 },
+    { source: 'accountNumber', width: 34 },
+    { source: 'amountCents', width: 12, align: 'right', pad: '0' },
+    { source: 'currency', width: 3 },
+    { source: 'date', width: 8 }
+  ],
+  trailerFields: [
+    { source: 'literal', value: 'T', width: 1 },
+    { source: 'lineCount', width: 6, align: 'right', pad: '0' },
+    { source: 'controlTotalCents', width: 15, align: 'right', pad: '0' },
+    { source: 'hashTotal', width: 10, align: 'right', pad: '0' }
+  ],
+  lineEnding: 'CRLF'
+};
+
+const layoutOrDefault = (layout) =>
+  (layout?.recordFields?.length > 0 ? layout : DEFAULT_FIXED_WIDTH_LAYOUT);
+
+/**
+ * Problems with a fixed-width layout (Settings.commission.bankFile.fixedWidth)
+ * @param {Object} layout - { recordFields, trailerFields, lineEnding }
+ * @returns {String[]} errors
+ */
+function validateFixedWidthLayout(layout = {}) {
+  const errors = [];
+  if (!Array.isArray(layout.recordFields) || layout.recordFields.length === 0) {
+    errors.push('recordFields needs at least one field');
+  }
+  const check = (fields, sources, name) => (fields || []).forEach((f, i) => {
+    if (!sources[f.source]) errors.push(`${name}[${i}]: unknown source '${f.source}'`);
+    if (!Number.isInteger(f.width) || f.width < 1 || f.width > 200) errors.push(`${name}[${i}]: width must be 1-200`);
+    if (f.align && !['left', 'right'].includes(f.align)) errors.push(`${name}[${i}]: align must be left or right`);
+    if (f.pad !== undefined && String(f.pad).length !== 1) errors.push(`${name}[${i}]: pad must be one character`);
+  });
+  check(layout.recordFields, RECORD_SOURCES, 'recordFields');
+  check(layout.trailerFields, TRAILER_SOURCES, 'trailerFields');
+  if (layout.lineEnding && !['CRLF', 'LF'].includes(layout.lineEnding)) errors.push('lineEnding must be CRLF or LF');
+  return errors;
+}
+
+// Fit a value to its field; text is cut (keeping its start, or its end when
+// right-aligned), a number that doesn't fit is reported through onOverflow
+const fit = (value, { source, width, align = 'left', pad = ' ' }, onOverflow) => {
+  const raw = String(value === null || value === undefined ? '' : value).replace(/[\r\n]/g, ' ');
+  if (raw.length > width && NUMERIC_SOURCES.includes(source)) onOverflow({ source, width, value: raw });
+  const cut = raw.length <= width ? raw : (align === 'right' ? raw.slice(-width) : raw.slice(0, width));
+  return align === 'right' ? cut.padStart(width, pad) : cut.padEnd(width, pad);
+};
+
+/**
+ * Fixed-width file: one record per transfer and an optional trailer
+ * @param {Object[]} transfers
+ * @param {Object} layout - see DEFAULT_FIXED_WIDTH_LAYOUT
+ * @param {Object} options - { date }
+ * @returns {Object} see module doc
+ * @throws {ValidationError} BANK_FILE_FIELD_OVERFLOW when an amount, count or
+ *   total is wider than its field (details: { payoutId, source, width, value })
+ */
+function buildFixedWidth(transfers, layout, { date = new Date() } = {}) {
+  const { recordFields, trailerFields = [], lineEnding = 'CRLF' } = layoutOrDefault(layout);
+  const ctx = { date: date.toISOString().slice(0, 10).replace(/-/g, '') };
+  const overflows = [];
+
+  const records = transfers.map(t => recordFields
+    .map(f => fit(RECORD_SOURCES[f.source](t, f, ctx), f, o => overflows.push({ payoutId: t.payoutId, ...o })))
+    .join(''));
+
+  const totals = {
+    lineCount: transfers.length,
+    controlTotal: controlTotalOf(transfers),
+    // Sum of the records' amountCents
+    controlTotalMinor: transfers.reduce((sum, t) => sum + toMinorUnits(t.amount, t.currency), 0),
+    hashTotal: hashTotalOf(transfers)
+  };
+  if (trailerFields.length > 0) {
+    records.push(trailerFields
+      .map(f => fit(TRAILER_SOURCES[f.source](totals, f, ctx), f, o => overflows.push({ payoutId: null, ...o })))
+      .join(''));
+  }
+  if (overflows.length > 0) {
+    throw new ValidationError(
+      'Some amounts or totals do not fit their fixed-width field; widen it in commission.bankFile.fixedWidth',
+      'BANK_FILE_FIELD_OVERFLOW',
+      overflows
+    );
+  }
+
+  const eol = lineEnding === 'LF' ? '\n' : '\r\n';
+  return finish(records.join(eol) + eol, transfers);
+}
+
+/**
+ * Build a bank file in the given format
+ * @param {String} format - one of BANK_FILE_FORMATS
+ * @param {Object[]} transfers
+ * @param {Object} options - { messageId, debtor, fixedWidth, date }
+ * @returns {Object} see module doc, plus { extension, contentType }
+ */
+function buildBankFile(format, transfers, { messageId, debtor, fixedWidth, date = new Date() } = {}) {
+  let file;
+  if (format === 'pain001') file = buildPain001(transfers, { messageId, debtor, executionDate: date, createdAt: date });
+  else if (format === 'fixed_width') file = buildFixedWidth(transfers, fixedWidth, { date });
+  else file = buildTransferCsv(transfers);
+  return { ...file, ...FILE_TYPES[format] };
+}
+
+// ========================
+// Settlement import
+// ========================
+
+const SETTLEMENT_COLUMNS = {
+  reference: ['reference', 'end_to_end_id', 'endtoendid', 'external_reference', 'payment_reference'],
+  status: ['status', 'result', 'transaction_status'],
+  amount: ['amount', 'settled_amount'],
+  reason: ['reason', 'failure_reason', 'return_reason', 'message'],
+  bankReference: ['bank_reference', 'transaction_id', 'trace_number']
+};
+
+const COMPLETED_STATUSES = ['completed', 'settled', 'success', 'successful', 'paid', 'processed', 'acsc', 'acsp'];
+const FAILED_STATUSES = ['failed', 'rejected', 'returned', 'error', 'rjct'];
+
+const headerKey = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Read a bank settlement CSV. Needs a header row with a reference and a
+ * status column; amount, reason and bank reference columns are optional.
+ * @param {String} csvText
+ * @returns {Object} { rows: [{ line, reference, outcome, amount, reason, bankReference }], errors: [{ line, error }] }
+ */
+function parseSettlementCsv(csvText) {
+  const [header, ...data] = parseCsv(String(csvText || '').replace(/^\uFEFF/, ''));
+  if (!header) return { rows: [], errors: [{ line: 1, error: 'The file is empty' }] };
+
+  const keys = header.map(headerKey);
+  const column = Object.fromEntries(Object.entries(SETTLEMENT_COLUMNS)
+    .map(([name, aliases]) => [name, keys.findIndex(k => aliases.includes(k))]));
+  if (column.reference === -1 || column.status === -1) {
+    return { rows: [], errors: [{ line: 1, error: 'The header needs a reference and a status column' }] };
+  }
+
+  const rows = [];
+  const errors = [];
+  data.forEach((fields, i) => {
+    const line = i + 2;
+    const get = (name) => (column[name] === -1 ? '' : String(fields[column[name]] || '').trim());
+
+    const reference = get('reference');
+    const status = get('status').toLowerCase();
+    const outcome = COMPLETED_STATUSES.includes(status) ? 'completed'
+      : FAILED_STATUSES.includes(status) ? 'failed' : null;
+    const amountText = get('amount').replace(/,/g, '');
+    const amount = amountText === '' ? null : Number(amountText);
+
+    if (!reference) errors.push({ line, error: 'Reference is missing' });
+    else if (!outcome) errors.push({ line, reference, error: `Unknown status '${get('status')}'` });
+    else if (amount !== null && !Number.isFinite(amount)) errors.push({ line, reference, error: `Invalid amount '${get('amount')}'` });
+    else rows.push({ line, reference, outcome, amount, reason: get('reason'), bankReference: get('bankReference') });
+  });
+  return { rows, errors };
+}
+
+module.exports = {
+  BANK_FILE_FORMATS,
+  DEFAULT_FIXED_WIDTH_LAYOUT,
+  isValidIban,
+  isValidAbaRouting,
+  isValidBic,
+  validateBankAccount,
+  endToEndId,
+  buildTransferCsv,
+  buildPain001,
+  buildFixedWidth,
+  buildBankFile,
+  validateFixedWidthLayout,
+  parseCsv,
+  parseSettlementCsv
+};
@@ -0,0 +1,107 @@
+/**
+ * Commission adjustment helpers
+ * Pure functions for commission disputes (models/CommissionDispute) and the
+ * ADJUSTMENT commissions that resolve them. Adjustment amounts are stored
+ * positive; a debit counts negatively in every total.
+ */
+
+// Commission statuses an earner may dispute (paid ones are settled)
+const DISPUTABLE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Statuses a disputed commission may be given when the dispute closes
+const RESOLVED_STATUSES = ['pending', 'approved', 'rejected'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount a commission adds to (or, for a debit, removes from) totals
+ * @param {Object} commission - { amount, adjustmentKind }
+ * @returns {Number}
+ */
+const signedAmount = (commission) =>
+  (commission.adjustmentKind === 'debit' ? -commission.amount : commission.amount);
+
+// signedAmount as an aggregation expression, for $sum
+const SIGNED_AMOUNT_EXPR = {
+  $cond: [{ $eq: ['$adjustmentKind', 'debit'] }, { $multiply: ['$amount', -1] }, '$amount']
+};
+
+/**
+ * A commission's amount after its adjustments
+ * @param {Object} commission
+ * @param {Object[]} adjustments - ADJUSTMENT commissions with adjustmentOf = commission
+ * @returns {Number}
+ */
+const netAmount = (commission, adjustments = []) =>
+  roundMoney(adjustments.reduce((sum, a) => sum + signedAmount(a), commission.amount));
+
+/**
+ * Why a commission can't be disputed
+ * @param {Object} commission
+ * @returns {String|null}
+ */
+function getDisputeBlocker(commission) {
+  if (commission.commissionType === 'ADJUSTMENT') return 'Adjustments cannot be disputed';
+  if (commission.status === 'disputed') return 'This commission is already disputed';
+  if (!DISPUTABLE_STATUSES.includes(commission.status)) {
+    return `A ${commission.status} commission cannot be disputed`;
+  }
+  return null;
+}
+
+/**
+ * Check a dispute resolution
+ * @param {Object} commission - the disputed commission
+ * @param {Object} dispute - { previousStatus }
+ * @param {Object} resolution - { outcome: 'accepted'|'rejected', commissionStatus, adjustment: { kind, amount } }
+ *   commissionStatus defaults to the status before the dispute
+ * @returns {String[]} errors
+ */
+function validateResolution(commission, dispute, { outcome, commissionStatus, adjustment }) {
+  const errors = [];
+  const status = commissionStatus || dispute.previousStatus;
+
+  if (!RESOLVED_STATUSES.includes(status)) {
+    errors.push(`Commission status must be one of: ${RESOLVED_STATUSES.join(', ')}`);
+  }
+
+  if (outcome === 'rejected') {
+    if (adjustment) errors.push('A rejected dispute cannot carry an adjustment');
+    if (status !== dispute.previousStatus) {
+      errors.push(`A rejected dispute returns the commission to '${dispute.previousStatus}'`);
+    }
+    return errors;
+  }
+
+  if (adjustment) {
+    if (!(adjustment.amount > 0)) errors.push('Adjustment amount must be positive');
+    if (adjustment.kind === 'debit') {
+      if (status === 'rejected') errors.push('A rejected commission cannot be debited');
+      if (adjustment.amount > commission.amount) errors.push('A debit cannot exceed the commission amount');
+    }
+  } else if (status === dispute.previousStatus) {
+    errors.push('An accepted dispute needs an adjustment or a new commission status');
+  }
+  return errors;
+}
+
+/**
+ * Status of the adjustment a resolution creates: pending while the
+ * commission is, otherwise approved (a credit on a rejected commission is
+ * paid in its place)
+ * @param {String} commissionStatus - status the commission was resolved to
+ * @returns {String}
+ */
+const adjustmentStatus = (commissionStatus) => (commissionStatus === 'pending' ? 'pending' : 'approved');
+
+module.exports = {
+  DISPUTABLE_STATUSES,
+  RESOLVED_STATUSES,
+  SIGNED_AMOUNT_EXPR,
+  roundMoney,
+  signedAmount,
+  netAmount,
+  getDisputeBlocker,
+  validateResolution,
+  adjustmentStatus
+};
@@ -9,10 +9,11 @@
  */
 
 class AppError extends Error {
-  constructor(message, statusCode, code) {
+  constructor(message, statusCode, code, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -49,8 +50,8 @@ class ConflictError extends AppError {
 }
 
 class ValidationError extends AppError {
-  constructor(message = 'Validation failed', code = 'VALIDATION_ERROR') {
-    super(message, 400, code);
+  constructor(message = 'Validation failed', code = 'VALIDATION_ERROR', details = null) {
+    super(message, 400, code, details);
   }
 }
 
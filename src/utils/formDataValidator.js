@@ -2,23 +2,13 @@
  * Form Data Validator
  * Validates pre-application form data based on serviceType
  * before creating a service request.
+ *
+ * Intake forms are form definitions (utils/formSchema). Super admins store
+ * versioned ones per serviceType (models/IntakeForm); BUILT_IN_INTAKE_FORMS
+ * below are used for types without a stored version.
  */
 
-// ─── Helpers ────────────────────────────────────────────────────────────────
-
-const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
-const isNonEmptyArray = (v) => Array.isArray(v) && v.length > 0;
-const isBool = (v) => typeof v === 'boolean';
-const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
-const isOptionalString = (v) => v === undefined || v === null || v === '' || typeof v === 'string';
-const isFutureOrTodayDate = (v) => {
-  if (!isNonEmptyString(v)) return false;
-  const d = new Date(v);
-  if (isNaN(d.getTime())) return false;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return d >= today;
-};
+const { validateAnswers } = require('./formSchema');
 
 // ─── Valid sub-service keys for Pre-application Support ─────────────────────
 
@@ -35,175 +25,115 @@ const VALID_SUB_SERVICES = [
   'COUNSELOR_APPOINTMENT',
 ];
 
-// ─── Sub-service detail validators ─────────────────────────────────────────
-
-const SUB_SERVICE_REQUIRED_FIELDS = {
-  IELTS_REGISTRATION: ['preferredTestDate', 'preferredCenter'],
-  PTE_REGISTRATION: ['preferredTestDate', 'preferredCenter'],
-  IELTS_CLASS: ['mode', 'preferredSchedule'],
-  PTE_CLASS: ['mode', 'preferredSchedule'],
-  LANGUAGE_CLASS: ['language', 'currentLevel', 'mode'],
-  SOP: ['targetUniversity', 'targetProgram', 'deadline'],
-  LOR: ['targetUniversity', 'targetProgram', 'deadline'],
-  RESEARCH_APPLICATION: ['fieldOfResearch'],
-  FREE_RESOURCE: ['resourceType'],
-  COUNSELOR_APPOINTMENT: ['preferredMeetingDate', 'mode'],
+// ─── Field helpers ──────────────────────────────────────────────────────────
+
+const text = (key, label, extra = {}) => ({ key, label, type: 'text', required: true, ...extra });
+const date = (key, label, extra = {}) => ({ key, label, type: 'date', ...extra });
+
+// Details each selected sub-service needs, under subServiceDetails.<SUB_SERVICE>
+const SUB_SERVICE_FIELDS = {
+  IELTS_REGISTRATION: [text('preferredTestDate', 'Preferred test date'), text('preferredCenter', 'Preferred test center')],
+  PTE_REGISTRATION: [text('preferredTestDate', 'Preferred test date'), text('preferredCenter', 'Preferred test center')],
+  IELTS_CLASS: [text('mode', 'Class mode'), text('preferredSchedule', 'Preferred schedule')],
+  PTE_CLASS: [text('mode', 'Class mode'), text('preferredSchedule', 'Preferred schedule')],
+  LANGUAGE_CLASS: [text('language', 'Language'), text('currentLevel', 'Current level'), text('mode', 'Class mode')],
+  SOP: [text('targetUniversity', 'Target university'), text('targetProgram', 'Target program'), text('deadline', 'Deadline')],
+  LOR: [text('targetUniversity', 'Target university'), text('targetProgram', 'Target program'), text('deadline', 'Deadline')],
+  RESEARCH_APPLICATION: [text('fieldOfResearch', 'Field of research')],
+  FREE_RESOURCE: [text('resourceType', 'Resource type')],
+  COUNSELOR_APPOINTMENT: [text('preferredMeetingDate', 'Preferred meeting date'), text('mode', 'Meeting mode')],
 };
 
-function validateSubServiceDetails(selectedSubServices, subServiceDetails) {
-  const errors = [];
-
-  if (!isObject(subServiceDetails)) {
-    errors.push('subServiceDetails must be an object');
-    return errors;
-  }
-
-  for (const key of selectedSubServices) {
-    if (!VALID_SUB_SERVICES.includes(key)) {
-      errors.push(`Invalid sub-service: ${key}`);
-      continue;
-    }
-
-    const details = subServiceDetails[key];
-    if (!details || !isObject(details)) {
-      errors.push(`Details required for selected sub-service: ${key}`);
-      continue;
-    }
+// ─── Built-in intake forms per service type ────────────────────────────────
 
-    const requiredFields = SUB_SERVICE_REQUIRED_FIELDS[key] || [];
-    for (const field of requiredFields) {
-      if (!details[field] || (typeof details[field] === 'string' && !details[field].trim())) {
-        errors.push(`${key}: ${field} is required`);
-      }
-    }
-  }
-
-  return errors;
-}
-
-// ─── Validation schemas per service type ────────────────────────────────────
-
-const VALIDATION_SCHEMAS = {
+const BUILT_IN_INTAKE_FORMS = {
   // Pre-application Support
   UNIVERSITY_SHORTLISTING: {
-    required: ['selectedSubServices'],
-    validators: {
-      selectedSubServices: (v) => {
-        if (!isNonEmptyArray(v)) return 'At least one sub-service must be selected';
-        const invalid = v.filter((s) => !VALID_SUB_SERVICES.includes(s));
-        if (invalid.length) return `Invalid sub-services: ${invalid.join(', ')}`;
-        return null;
-      },
-    },
-    custom: (formData) => {
-      return validateSubServiceDetails(
-        formData.selectedSubServices || [],
-        formData.subServiceDetails || {}
-      );
-    },
+    fields: [
+      { key: 'selectedSubServices', label: 'Sub-services', type: 'multiselect', required: true, options: VALID_SUB_SERVICES },
+    ],
+    sections: Object.entries(SUB_SERVICE_FIELDS).map(([subService, fields]) => ({
+      key: subService,
+      title: subService.replace(/_/g, ' '),
+      path: `subServiceDetails.${subService}`,
+      visibleWhen: { field: 'selectedSubServices', in: [subService] },
+      fields: fields.map(field => ({ ...field, label: `${subService}: ${field.label}` })),
+    })),
   },
 
   // Apply University
   APPLICATION_ASSISTANCE: {
-    required: ['selectedPrograms'],
-    validators: {
-      selectedPrograms: (v) => {
-        if (!isNonEmptyArray(v)) return 'At least one program must be selected';
-        for (let i = 0; i < v.length; i++) {
-          const p = v[i];
-          if (!isObject(p)) return `Program at index ${i} must be an object`;
-          if (!isNonEmptyString(p.programId)) return `Program at index ${i}: programId is required`;
-          if (!isNonEmptyString(p.programName)) return `Program at index ${i}: programName is required`;
-          if (!isNonEmptyString(p.universityName)) return `Program at index ${i}: universityName is required`;
-        }
-        return null;
-      },
-      applicationDetails: (v) => {
-        if (v !== undefined && v !== null && !isObject(v)) return 'applicationDetails must be an object';
-        return null;
+    fields: [
+      {
+        key: 'selectedPrograms',
+        label: 'Programs',
+        type: 'list',
+        required: true,
+        min: 1,
+        itemFields: [
+          text('programId', 'Program ID'),
+          text('programName', 'Program name'),
+          text('universityName', 'University name'),
+        ],
       },
-    },
+    ],
   },
 
   // Visa & Interview Support
   VISA_GUIDANCE: {
-    required: ['destinationCountry', 'visaType'],
-    validators: {
-      destinationCountry: (v) => (!isNonEmptyString(v) ? 'Destination country is required' : null),
-      visaType: (v) => (!isNonEmptyString(v) ? 'Visa type is required' : null),
-      passportExpiry: (v) => {
-        if (!v) return null; // optional
-        if (!isNonEmptyString(v)) return 'Passport expiry must be a valid date string';
-        const d = new Date(v);
-        if (isNaN(d.getTime())) return 'Passport expiry is not a valid date';
-        // Must have at least 6 months validity
-        const sixMonths = new Date();
-        sixMonths.setMonth(sixMonths.getMonth() + 6);
-        if (d < sixMonths) return 'Passport must have at least 6 months validity';
-        return null;
-      },
-    },
+    fields: [
+      text('destinationCountry', 'Destination country'),
+      text('visaType', 'Visa type'),
+      // Passport must have at least 6 months validity
+      date('passportExpiry', 'Passport expiry', { minDaysFromNow: 183 }),
+    ],
   },
 
   // Ticket & Travel Support
   SCHOLARSHIP_SEARCH: {
-    required: ['destinationCountry', 'destinationCity', 'departureCity'],
-    validators: {
-      destinationCountry: (v) => (!isNonEmptyString(v) ? 'Destination country is required' : null),
-      destinationCity: (v) => (!isNonEmptyString(v) ? 'Destination city is required' : null),
-      departureCity: (v) => (!isNonEmptyString(v) ? 'Departure city is required' : null),
-      preferredDepartureDate: (v) => {
-        if (!v) return null;
-        if (!isNonEmptyString(v)) return 'Departure date must be a valid date';
-        const d = new Date(v);
-        if (isNaN(d.getTime())) return 'Departure date is not a valid date';
-        return null;
-      },
-    },
+    fields: [
+      text('destinationCountry', 'Destination country'),
+      text('destinationCity', 'Destination city'),
+      text('departureCity', 'Departure city'),
+      date('preferredDepartureDate', 'Departure date'),
+    ],
   },
 
   // Find Accommodation
   ACCOMMODATION_HELP: {
-    required: ['destinationCity', 'accommodationType', 'monthlyBudget'],
-    validators: {
-      destinationCity: (v) => (!isNonEmptyString(v) ? 'Destination city is required' : null),
-      accommodationType: (v) => (!isNonEmptyString(v) ? 'Accommodation type is required' : null),
-      monthlyBudget: (v) => (!isNonEmptyString(v) ? 'Monthly budget is required' : null),
-      moveInDate: (v) => {
-        if (!v) return null;
-        const d = new Date(v);
-        if (isNaN(d.getTime())) return 'Move-in date is not a valid date';
-        return null;
-      },
-    },
+    fields: [
+      text('destinationCity', 'Destination city'),
+      text('accommodationType', 'Accommodation type'),
+      text('monthlyBudget', 'Monthly budget'),
+      date('moveInDate', 'Move-in date'),
+    ],
   },
 
   // Education Loan
   LOAN_ASSISTANCE: {
-    required: ['universityName', 'loanAmountNeeded', 'hasCoApplicant'],
-    validators: {
-      universityName: (v) => (!isNonEmptyString(v) ? 'University name is required' : null),
-      loanAmountNeeded: (v) => (!isNonEmptyString(v) ? 'Loan amount is required' : null),
-      hasCoApplicant: (v) => (!isBool(v) ? 'Co-applicant status is required' : null),
-      coApplicant: (v, formData) => {
-        if (formData.hasCoApplicant === true) {
-          if (!isObject(v)) return 'Co-applicant details are required';
-          if (!isNonEmptyString(v.relationship)) return 'Co-applicant relationship is required';
-          if (!isNonEmptyString(v.occupation)) return 'Co-applicant occupation is required';
-        }
-        return null;
+    fields: [
+      text('universityName', 'University name'),
+      text('loanAmountNeeded', 'Loan amount'),
+      { key: 'hasCoApplicant', label: 'Co-applicant status', type: 'boolean', required: true },
+    ],
+    sections: [
+      {
+        key: 'coApplicant',
+        title: 'Co-applicant',
+        path: 'coApplicant',
+        visibleWhen: { field: 'hasCoApplicant', equals: true },
+        fields: [text('relationship', 'Co-applicant relationship'), text('occupation', 'Co-applicant occupation')],
       },
-    },
+    ],
   },
 
   // Find Jobs Abroad
   PRE_DEPARTURE_ORIENTATION: {
-    required: ['destinationCountry', 'jobType', 'fieldOfInterest'],
-    validators: {
-      destinationCountry: (v) => (!isNonEmptyString(v) ? 'Destination country is required' : null),
-      jobType: (v) => (!isNonEmptyString(v) ? 'Job type is required' : null),
-      fieldOfInterest: (v) => (!isNonEmptyString(v) ? 'Field of interest is required' : null),
-    },
+    fields: [
+      text('destinationCountry', 'Destination country'),
+      text('jobType', 'Job type'),
+      text('fieldOfInterest', 'Field of interest'),
+    ],
   },
 };
 
@@ -213,56 +143,24 @@ const VALIDATION_SCHEMAS = {
  * Validate formData based on serviceType.
  * @param {string} serviceType - The service type enum value
  * @param {object} formData - The form data submitted by the student
- * @returns {{ valid: boolean, errors?: string[] }}
+ * @param {object} [form] - intake form definition (defaults to the built-in one)
+ * @returns {{ valid: boolean, errors?: string[], fieldErrors?: object[] }}
  */
-function validateFormData(serviceType, formData) {
-  // Profile Assessment uses Student model — skip validation
-  if (serviceType === 'PROFILE_ASSESSMENT') {
-    return { valid: true };
-  }
-
-  const schema = VALIDATION_SCHEMAS[serviceType];
-
-  // No schema defined for this type — allow without validation
-  if (!schema) {
+function validateFormData(serviceType, formData, form = BUILT_IN_INTAKE_FORMS[serviceType]) {
+  // No form for this type (e.g. Profile Assessment uses the Student model) — allow without validation
+  if (!form) {
     return { valid: true };
   }
 
-  // formData is required for types that have schemas
-  if (!formData || !isObject(formData)) {
-    return { valid: false, errors: ['Form data is required for this service type'] };
-  }
-
-  const errors = [];
-
-  // 1. Check required fields exist
-  for (const field of schema.required) {
-    const value = formData[field];
-    if (value === undefined || value === null || value === '') {
-      errors.push(`${field} is required`);
-    }
-  }
-
-  // 2. Run field-level validators
-  if (schema.validators) {
-    for (const [field, validator] of Object.entries(schema.validators)) {
-      const value = formData[field];
-      const error = validator(value, formData);
-      if (error) {
-        errors.push(error);
-      }
-    }
-  }
-
-  // 3. Run custom cross-field validation
-  if (schema.custom) {
-    const customErrors = schema.custom(formData);
-    if (customErrors && customErrors.length > 0) {
-      errors.push(...customErrors);
-    }
+  // formData is required for types that have a form
+  if (!formData || typeof formData !== 'object' || Array.isArray(formData)) {
+    return { valid: false, errors: ['Form data is required for this service type'], fieldErrors: [] };
   }
 
-  return errors.length > 0 ? { valid: false, errors } : { valid: true };
+  const result = validateAnswers(form, formData);
+  return result.valid
+    ? { valid: true }
+    : { valid: false, errors: result.errors.map(e => e.message), fieldErrors: result.errors };
 }
 
-module.exports = { validateFormData };
+module.exports = { BUILT_IN_INTAKE_FORMS, VALID_SUB_SERVICES, validateFormData };
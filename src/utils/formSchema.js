@@ -0,0 +1,410 @@
+/**
+ * Form Schema
+ * Data-driven form definitions and answer validation, used for
+ * questionnaire tasks (Task.form) and service request intake forms
+ * (models/IntakeForm, utils/formDataValidator).
+ *
+ * A form is `{ fields: [field], sections: [section] }` (either may be empty).
+ * A field is
+ *   { key, label, type, required, options, min, max, minLength, maxLength,
+ *     pattern, minDaysFromNow, maxDaysFromNow, itemFields, visibleWhen, helpText }
+ * A section groups fields: `{ key, title, path, visibleWhen, fields }`. Its
+ * answers live under `path` (dotted, e.g. "subServiceDetails.SOP") or at the
+ * top level when there is none.
+ *
+ * `visibleWhen` ({ field, equals | notEquals | in | filled }, or an array of
+ * them, all of which must hold) refers to an earlier field by its full path.
+ * Hidden fields and sections are neither required nor stored.
+ */
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'url', 'number', 'boolean', 'date', 'select', 'multiselect', 'list'];
+const OPTION_TYPES = ['select', 'multiselect'];
+const TEXT_TYPES = ['text', 'textarea', 'email', 'url'];
+
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isEmpty = (v) =>
+  v === undefined || v === null || (typeof v === 'string' && v.trim() === '') || (Array.isArray(v) && v.length === 0);
+const labelOf = (field) => field.label || field.key;
+const optionValues = (field) => (field.options || []).map(o => (isObject(o) ? o.value : o));
+
+const conditionsOf = (item) => {
+  if (!item.visibleWhen) return [];
+  return Array.isArray(item.visibleWhen) ? item.visibleWhen : [item.visibleWhen];
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isPath = (path) => typeof path === 'string' && path.split('.').every(part => KEY_PATTERN.test(part));
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, part) => (isObject(value) ? value[part] : undefined), object);
+
+const setPath = (object, path, value) => {
+  const parts = path.split('.');
+  let target = object;
+  parts.slice(0, -1).forEach(part => {
+    if (!isObject(target[part])) target[part] = {};
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+};
+
+const startOfToday = (now) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Fields of a form in order, each with its full path and section
+ * @param {Object} form
+ * @returns {{ path: String, field: Object, section: Object|null }[]}
+ */
+function flattenFields(form) {
+  const entries = (form?.fields || []).map(field => ({ path: field.key, field, section: null }));
+  for (const section of form?.sections || []) {
+    for (const field of section.fields || []) {
+      entries.push({ path: section.path ? `${section.path}.${field.key}` : field.key, field, section });
+    }
+  }
+  return entries;
+}
+
+// ─── Definition ─────────────────────────────────────────────────────────────
+
+/**
+ * Checks for one field; `name` is how problems refer to it
+ */
+function checkFieldDefinition(field, name, { allowList = true } = {}) {
+  const errors = [];
+
+  if (!KEY_PATTERN.test(field.key || '')) {
+    errors.push(`Field ${name}: key must start with a letter and contain only letters, digits and "_"`);
+  }
+  if (!FIELD_TYPES.includes(field.type) || (field.type === 'list' && !allowList)) {
+    errors.push(`Field ${name}: unknown type ${field.type}`);
+  }
+
+  if (OPTION_TYPES.includes(field.type)) {
+    const values = optionValues(field);
+    if (values.length === 0) errors.push(`Field ${name}: options are required`);
+    if (new Set(values).size !== values.length) errors.push(`Field ${name}: options must be unique`);
+  }
+
+  if (field.pattern !== undefined && !compilePattern(field.pattern)) {
+    errors.push(`Field ${name}: pattern is not a valid regular expression`);
+  }
+  if (typeof field.min === 'number' && typeof field.max === 'number' && field.min > field.max) {
+    errors.push(`Field ${name}: min is greater than max`);
+  }
+  if (typeof field.minLength === 'number' && typeof field.maxLength === 'number' && field.minLength > field.maxLength) {
+    errors.push(`Field ${name}: minLength is greater than maxLength`);
+  }
+
+  if (field.type === 'list' && allowList) {
+    const itemFields = Array.isArray(field.itemFields) ? field.itemFields : [];
+    if (itemFields.length === 0) errors.push(`Field ${name}: itemFields are required`);
+    const itemKeys = new Set();
+    itemFields.forEach((itemField, i) => {
+      if (!isObject(itemField)) {
+        errors.push(`Field ${name}: item field at index ${i} must be an object`);
+        return;
+      }
+      const itemName = `${name}[].${itemField.key || i}`;
+      errors.push(...checkFieldDefinition(itemField, itemName, { allowList: false }));
+      if (itemField.visibleWhen) errors.push(`Field ${itemName}: item fields cannot have visibleWhen`);
+      if (itemKeys.has(itemField.key)) errors.push(`Field ${itemName} is listed more than once`);
+      itemKeys.add(itemField.key);
+    });
+  }
+
+  return errors;
+}
+
+function checkConditions(item, name, seen) {
+  return conditionsOf(item).flatMap(condition => {
+    if (!isObject(condition) || !condition.field) return [`${name}: visibleWhen needs a field`];
+    if (!seen.has(condition.field)) return [`${name}: visibleWhen must refer to an earlier field (${condition.field})`];
+    return [];
+  });
+}
+
+/**
+ * Structural checks for a form definition before it is stored
+ * @param {Object} form - { fields, sections }
+ * @returns {String[]} problems, empty when the definition is usable
+ */
+function validateFormDefinition(form) {
+  const fields = isObject(form) && Array.isArray(form.fields) ? form.fields : [];
+  const sections = isObject(form) && Array.isArray(form.sections) ? form.sections : [];
+  const fieldCount = fields.length + sections.reduce((n, s) => n + (Array.isArray(s?.fields) ? s.fields.length : 0), 0);
+  if (fieldCount === 0) {
+    return ['Form must have at least one field'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  const checkField = (field, i, prefix) => {
+    if (!isObject(field)) {
+      errors.push(`Field at index ${i}${prefix ? ` of ${prefix}` : ''} must be an object`);
+      return;
+    }
+    const path = prefix ? `${prefix}.${field.key}` : field.key;
+    const name = field.key ? path : `at index ${i}`;
+
+    errors.push(...checkFieldDefinition(field, name));
+    if (field.key && seen.has(path)) errors.push(`Field ${name} is listed more than once`);
+    errors.push(...checkConditions(field, `Field ${name}`, seen));
+    seen.add(path);
+  };
+
+  fields.forEach((field, i) => checkField(field, i, null));
+
+  const sectionKeys = new Set();
+  sections.forEach((section, i) => {
+    if (!isObject(section)) {
+      errors.push(`Section at index ${i} must be an object`);
+      return;
+    }
+    const name = `Section ${section.key || `at index ${i}`}`;
+    if (!KEY_PATTERN.test(section.key || '')) {
+      errors.push(`${name}: key must start with a letter and contain only letters, digits and "_"`);
+    } else if (sectionKeys.has(section.key)) {
+      errors.push(`${name} is listed more than once`);
+    }
+    sectionKeys.add(section.key);
+
+    if (section.path !== undefined && section.path !== null && !isPath(section.path)) {
+      errors.push(`${name}: path must be dot-separated keys`);
+    }
+    errors.push(...checkConditions(section, name, seen));
+
+    (Array.isArray(section.fields) ? section.fields : []).forEach((field, j) => checkField(field, j, section.path || null));
+  });
+
+  return errors;
+}
+
+// ─── Answers ────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a field or section is shown given the answers so far
+ * @param {Object} item - field or section
+ * @param {Object} answers
+ * @returns {Boolean}
+ */
+function isFieldVisible(item, answers = {}) {
+  return conditionsOf(item).every(condition => {
+    const value = getPath(answers, condition.field);
+    if ('equals' in condition) return sameValue(value, condition.equals);
+    if ('notEquals' in condition) return !sameValue(value, condition.notEquals);
+    if ('in' in condition) {
+      const allowed = condition.in || [];
+      return Array.isArray(value) ? value.some(v => allowed.includes(v)) : allowed.includes(value);
+    }
+    if ('filled' in condition) return isEmpty(value) !== Boolean(condition.filled);
+    return !isEmpty(value);
+  });
+}
+
+/**
+ * Check one visible, non-empty answer
+ * @returns {{ errors?: Object[], value?: * }} errors are [{ field, message }]
+ */
+function checkValue(field, value, path, now) {
+  const label = labelOf(field);
+  const fail = (message) => ({ errors: [{ field: path, message }] });
+
+  if (TEXT_TYPES.includes(field.type)) {
+    if (typeof value !== 'string') return fail(`${label} must be text`);
+    const text = value.trim();
+    if (typeof field.minLength === 'number' && text.length < field.minLength) {
+      return fail(`${label} must be at least ${field.minLength} characters`);
+    }
+    if (typeof field.maxLength === 'number' && text.length > field.maxLength) {
+      return fail(`${label} must be at most ${field.maxLength} characters`);
+    }
+    if (field.type === 'email' && !EMAIL_PATTERN.test(text)) return fail(`${label} must be an email address`);
+    if (field.type === 'url' && !URL_PATTERN.test(text)) return fail(`${label} must be a URL`);
+    if (field.pattern !== undefined && !compilePattern(field.pattern)?.test(text)) {
+      return fail(`${label} is not in the expected format`);
+    }
+    return { value: text };
+  }
+
+  switch (field.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`${label} must be a number`);
+      if (typeof field.min === 'number' && value < field.min) return fail(`${label} must be at least ${field.min}`);
+      if (typeof field.max === 'number' && value > field.max) return fail(`${label} must be at most ${field.max}`);
+      return { value };
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : fail(`${label} must be yes or no`);
+    case 'date': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) return fail(`${label} must be a valid date`);
+      if (field.min && date < new Date(field.min)) return fail(`${label} must be on or after ${field.min}`);
+      if (field.max && date > new Date(field.max)) return fail(`${label} must be on or before ${field.max}`);
+      const today = startOfToday(now);
+      if (typeof field.minDaysFromNow === 'number' && date < new Date(today.getTime() + field.minDaysFromNow * DAY_MS)) {
+        return fail(field.minDaysFromNow === 0
+          ? `${label} cannot be in the past`
+          : `${label} must be at least ${field.minDaysFromNow} days from today`);
+      }
+      if (typeof field.maxDaysFromNow === 'number' && date >= new Date(today.getTime() + (field.maxDaysFromNow + 1) * DAY_MS)) {
+        return fail(`${label} must be within ${field.maxDaysFromNow} days from today`);
+      }
+      return { value };
+    }
+    case 'select':
+      return optionValues(field).includes(value) ? { value } : fail(`${label} must be one of the listed options`);
+    case 'multiselect': {
+      if (!Array.isArray(value)) return fail(`${label} must be a list`);
+      const allowed = optionValues(field);
+      if (value.some(v => !allowed.includes(v))) return fail(`${label} must only contain listed options`);
+      if (typeof field.min === 'number' && value.length < field.min) return fail(`${label} needs at least ${field.min} choices`);
+      if (typeof field.max === 'number' && value.length > field.max) return fail(`${label} allows at most ${field.max} choices`);
+      return { value: [...new Set(value)] };
+    }
+    case 'list': {
+      if (!Array.isArray(value)) return fail(`${label} must be a list`);
+      if (typeof field.min === 'number' && value.length < field.min) return fail(`${label} needs at least ${field.min} entries`);
+      if (typeof field.max === 'number' && value.length > field.max) return fail(`${label} allows at most ${field.max} entries`);
+
+      const errors = [];
+      const items = value.map((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (!isObject(item)) {
+          errors.push({ field: itemPath, message: `${label} entry ${i + 1} must be an object` });
+          return null;
+        }
+        const cleaned = {};
+        for (const itemField of field.itemFields || []) {
+          const result = checkAnswer(itemField, item[itemField.key], `${itemPath}.${itemField.key}`, now);
+          if (result.errors) errors.push(...result.errors);
+          else if (result.value !== undefined) cleaned[itemField.key] = result.value;
+        }
+        return cleaned;
+      });
+      return errors.length > 0 ? { errors } : { value: items };
+    }
+    default:
+      return fail(`${label} has an unsupported type`);
+  }
+}
+
+/**
+ * Required check, then the type rules for non-empty answers
+ */
+function checkAnswer(field, value, path, now) {
+  if (isEmpty(value)) {
+    return field.required ? { errors: [{ field: path, message: `${labelOf(field)} is required` }] } : {};
+  }
+  return checkValue(field, value, path, now);
+}
+
+/**
+ * Validate answers against a form
+ * @param {Object} form - { fields, sections }
+ * @param {Object} answers - { [key]: value }, nested under section paths
+ * @param {Object} options - { now } (relative date rules)
+ * @returns {{ valid: Boolean, errors: Object[], answers: Object }}
+ *   errors are [{ field, message }]; answers keeps only visible fields, trimmed
+ */
+function validateAnswers(form, answers, { now = new Date() } = {}) {
+  if (!isObject(answers)) {
+    return { valid: false, errors: [{ field: null, message: 'Answers must be an object' }], answers: {} };
+  }
+
+  const errors = [];
+  const cleaned = {};
+  const sectionVisible = new Map();
+
+  for (const { path, field, section } of flattenFields(form)) {
+    // Conditions only refer to earlier fields, so cleaned answers are enough
+    if (section) {
+      if (!sectionVisible.has(section)) sectionVisible.set(section, isFieldVisible(section, cleaned));
+      if (!sectionVisible.get(section)) continue;
+    }
+    if (!isFieldVisible(field, cleaned)) continue;
+
+    const result = checkAnswer(field, getPath(answers, path), path, now);
+    if (result.errors) errors.push(...result.errors);
+    else if (result.value !== undefined) setPath(cleaned, path, result.value);
+  }
+
+  return { valid: errors.length === 0, errors, answers: cleaned };
+}
+
+// ─── Review diff ────────────────────────────────────────────────────────────
+
+/**
+ * Compare a submission with the one before it
+ * @param {Object|null} form - the task's form (null for free-text tasks)
+ * @param {Object|null} previous - { text, files, answers }
+ * @param {Object} current - { text, files, answers }
+ * @returns {{ fields: Object[], text: Object, files: Object, changedCount: Number }}
+ */
+function diffSubmissions(form, previous, current) {
+  const before = previous || {};
+  const after = current || {};
+  const beforeAnswers = before.answers || {};
+  const afterAnswers = after.answers || {};
+
+  const fields = flattenFields(form).map(({ path, field }) => {
+    const was = getPath(beforeAnswers, path);
+    const now = getPath(afterAnswers, path);
+    let change = 'unchanged';
+    if (isEmpty(was) && !isEmpty(now)) change = 'added';
+    else if (!isEmpty(was) && isEmpty(now)) change = 'removed';
+    else if (!sameValue(was, now)) change = 'changed';
+    return { key: path, label: labelOf(field), type: field.type, before: was ?? null, after: now ?? null, change };
+  });
+
+  const beforeUrls = new Set((before.files || []).map(f => f.url));
+  const afterUrls = new Set((after.files || []).map(f => f.url));
+  const files = {
+    added: (after.files || []).filter(f => !beforeUrls.has(f.url)),
+    removed: (before.files || []).filter(f => !afterUrls.has(f.url)),
+    unchanged: (after.files || []).filter(f => beforeUrls.has(f.url))
+  };
+
+  const text = {
+    before: before.text || '',
+    after: after.text || '',
+    changed: (before.text || '') !== (after.text || '')
+  };
+
+  const changedCount =
+    fields.filter(f => f.change !== 'unchanged').length +
+    files.added.length + files.removed.length +
+    (text.changed ? 1 : 0);
+
+  return { fields, text, files, changedCount };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  flattenFields,
+  validateFormDefinition,
+  isFieldVisible,
+  validateAnswers,
+  diffSubmissions
+};
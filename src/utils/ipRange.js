@@ -0,0 +1,89 @@
+/**
+ * IP range helpers for the admin IP allowlist.
+ * Entries are single addresses ("203.0.113.7", "2001:db8::1") or CIDR ranges
+ * ("10.0.0.0/8", "2001:db8::/32"). IPv4-mapped IPv6 addresses
+ * ("::ffff:10.1.2.3") are treated as their IPv4 form.
+ */
+
+const net = require('net');
+
+/**
+ * Normalise a client address: strip IPv4-mapped prefix and IPv6 zone id
+ * @param {String} ip
+ * @returns {String}
+ */
+function normalizeIp(ip) {
+  let address = String(ip || '').trim();
+  const zoneIndex = address.indexOf('%');
+  if (zoneIndex !== -1) address = address.slice(0, zoneIndex);
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address)) address = address.slice(7);
+  return address;
+}
+
+/**
+ * Parse an allowlist entry
+ * @param {String} entry
+ * @returns {{ address: String, prefix: Number, type: 'ipv4'|'ipv6' }|null} null when invalid
+ */
+function parseRange(entry) {
+  const [rawAddress, rawPrefix, ...rest] = String(entry || '').trim().split('/');
+  if (rest.length > 0) return null;
+
+  const address = normalizeIp(rawAddress);
+  const family = net.isIP(address);
+  if (family === 0) return null;
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (rawPrefix !== undefined && !/^\d{1,3}$/.test(rawPrefix)) return null;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+  if (prefix > maxPrefix) return null;
+
+  return { address, prefix, type: family === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Entries that cannot be parsed
+ * @param {String[]} entries
+ * @returns {String[]}
+ */
+function findInvalidRanges(entries = []) {
+  return entries.filter(entry => parseRange(entry) === null);
+}
+
+// BlockList per distinct allowlist, so requests don't rebuild it
+let cached = { key: null, list: null };
+
+function buildList(entries) {
+  const key = entries.join(',');
+  if (cached.key === key) return cached.list;
+
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const range = parseRange(entry);
+    if (range) list.addSubnet(range.address, range.prefix, range.type);
+  }
+  cached = { key, list };
+  return list;
+}
+
+/**
+ * Whether an address falls inside any allowlist entry.
+ * Invalid entries are ignored.
+ * @param {String} ip - client address
+ * @param {String[]} entries - allowlist
+ * @returns {Boolean}
+ */
+function isIpAllowed(ip, entries = []) {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (family === 0 || entries.length === 0) return false;
+
+  return buildList(entries).check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  normalizeIp,
+  parseRange,
+  findInvalidRanges,
+  isIpAllowed
+};
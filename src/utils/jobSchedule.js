@@ -0,0 +1,60 @@
+/**
+ * Job scheduling helpers
+ * Pure functions used by the job scheduler (services/jobScheduler.js).
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Delay before retry number `attempt` (1-based): base, 2×base, 4×base…
+ * capped at maxMs
+ * @param {Number} attempt - attempts made so far
+ * @param {Number} baseMs
+ * @param {Number} maxMs
+ * @returns {Number}
+ */
+function backoffDelay(attempt, baseMs = MINUTE_MS, maxMs = 60 * MINUTE_MS) {
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(baseMs * Math.pow(2, exponent), maxMs);
+}
+
+/**
+ * Next run of a recurring job. Stays on the job's original cadence but
+ * never returns a time in the past, so a job that was down for a while runs
+ * once rather than catching up on every missed slot.
+ * @param {Date} scheduledAt - when the run that just finished was due
+ * @param {Number} intervalMs
+ * @param {Date} now
+ * @returns {Date}
+ */
+function nextRecurringRun(scheduledAt, intervalMs, now = new Date()) {
+  const start = new Date(scheduledAt || now).getTime();
+  if (!(intervalMs > 0)) return new Date(now);
+
+  const missed = Math.max(0, Math.floor((now.getTime() - start) / intervalMs));
+  return new Date(start + (missed + 1) * intervalMs);
+}
+
+/**
+ * What to do with a job after a failed attempt
+ * @param {Object} job - { type, attempts, maxAttempts, backoffMs, nextRunAt, intervalMs }
+ * @param {Date} now
+ * @returns {{ retry: Boolean, nextRunAt: Date|null }}
+ */
+function planAfterFailure(job, now = new Date()) {
+  if (job.attempts < (job.maxAttempts || 1)) {
+    return { retry: true, nextRunAt: new Date(now.getTime() + backoffDelay(job.attempts, job.backoffMs)) };
+  }
+  // Out of attempts: recurring jobs wait for their next slot, one-off jobs stop
+  if (job.type === 'recurring') {
+    return { retry: false, nextRunAt: nextRecurringRun(job.nextRunAt, job.intervalMs, now) };
+  }
+  return { retry: false, nextRunAt: null };
+}
+
+module.exports = {
+  MINUTE_MS,
+  backoffDelay,
+  nextRecurringRun,
+  planAfterFailure
+};
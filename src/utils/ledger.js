@@ -0,0 +1,153 @@
+/**
+ * Ledger helpers
+ * Pure functions behind the commission ledger (models/LedgerEntry).
+ *
+ * Every commission holds its signed amount in the earner account matching
+ * its status; rejected, cancelled and deleted commissions hold nothing.
+ * Earner accounts are credit-normal, and every entry balances against
+ * commission_expense, so a commission's journal entries always sum to the
+ * position its current status implies.
+ */
+
+const { roundMoney, signedAmount } = require('./commissionAdjustments');
+
+const ACCOUNTS = {
+  EXPENSE: 'commission_expense',
+  PENDING: 'earner_pending',
+  PAYABLE: 'earner_payable',
+  DISPUTED: 'earner_disputed',
+  PAID: 'earner_paid'
+};
+
+// Earner accounts, in the order lines are written
+const EARNER_ACCOUNTS = [ACCOUNTS.PENDING, ACCOUNTS.PAYABLE, ACCOUNTS.DISPUTED, ACCOUNTS.PAID];
+
+// Account a commission's amount sits in, by status
+const STATUS_ACCOUNTS = {
+  pending: ACCOUNTS.PENDING,
+  approved: ACCOUNTS.PAYABLE,
+  disputed: ACCOUNTS.DISPUTED,
+  paid: ACCOUNTS.PAID
+};
+
+const ENTRY_TYPES = ['accrual', 'approval', 'payout', 'reversal', 'adjustment', 'dispute'];
+
+// Below a cent counts as zero
+const isZero = (value) => Math.abs(value) < 0.005;
+
+/**
+ * Where a commission's amount should sit
+ * @param {Object} commission - { status, amount, adjustmentKind, isDeleted }
+ * @returns {Object} account -> credit balance (empty if it holds nothing)
+ */
+function targetPosition(commission) {
+  const account = !commission.isDeleted && STATUS_ACCOUNTS[commission.status];
+  return account ? { [account]: roundMoney(signedAmount(commission)) } : {};
+}
+
+/**
+ * Credit balance per earner account of a set of journal lines
+ * @param {Object[]} lines - { account, debit, credit }
+ * @returns {Object} account -> credit minus debit, for every earner account
+ */
+function positionFromLines(lines) {
+  const position = Object.fromEntries(EARNER_ACCOUNTS.map(a => [a, 0]));
+  lines.forEach(({ account, debit = 0, credit = 0 }) => {
+    if (account in position) position[account] += credit - debit;
+  });
+  EARNER_ACCOUNTS.forEach(a => { position[a] = roundMoney(position[a]); });
+  return position;
+}
+
+const isBalanced = (lines) =>
+  isZero(lines.reduce((sum, l) => sum + (l.debit || 0) - (l.credit || 0), 0));
+
+function entryType(commission, current, target) {
+  const from = EARNER_ACCOUNTS.filter(a => !isZero(current[a] || 0));
+  const to = Object.keys(target)[0];
+
+  if (!to) return 'reversal';
+  if (to === ACCOUNTS.PAID) return 'payout';
+  if (to === ACCOUNTS.DISPUTED || from.includes(ACCOUNTS.DISPUTED)) return 'dispute';
+  if (from.length === 0) return commission.commissionType === 'ADJUSTMENT' ? 'adjustment' : 'accrual';
+  if (to === ACCOUNTS.PAYABLE && from.includes(ACCOUNTS.PENDING)) return 'approval';
+  return 'adjustment';
+}
+
+/**
+ * Journal entry that moves a commission from its posted position to the one
+ * its current state implies
+ * @param {Object} commission
+ * @param {Object} current - posted position (see positionFromLines)
+ * @returns {Object|null} { type, lines }, or null when already in place
+ */
+function planJournalEntry(commission, current) {
+  const target = targetPosition(commission);
+  const lines = [];
+  let net = 0;
+
+  EARNER_ACCOUNTS.forEach(account => {
+    const delta = roundMoney((target[account] || 0) - (current[account] || 0));
+    if (isZero(delta)) return;
+    lines.push(delta > 0 ? { account, debit: 0, credit: delta } : { account, debit: -delta, credit: 0 });
+    net += delta;
+  });
+  if (lines.length === 0) return null;
+
+  net = roundMoney(net);
+  if (!isZero(net)) {
+    lines.unshift(net > 0
+      ? { account: ACCOUNTS.EXPENSE, debit: net, credit: 0 }
+      : { account: ACCOUNTS.EXPENSE, debit: 0, credit: -net });
+  }
+
+  return { type: entryType(commission, current, target), lines };
+}
+
+/**
+ * Wallet figures from earner account balances
+ * @param {Object} position - account -> credit balance
+ * @returns {Object} { pending, payable, disputed, paid, outstanding, earned }
+ */
+function balancesFromPosition(position) {
+  const pending = roundMoney(position[ACCOUNTS.PENDING] || 0);
+  const payable = roundMoney(position[ACCOUNTS.PAYABLE] || 0);
+  const disputed = roundMoney(position[ACCOUNTS.DISPUTED] || 0);
+  const paid = roundMoney(position[ACCOUNTS.PAID] || 0);
+  return {
+    pending,
+    payable,
+    disputed,
+    paid,
+    // Owed but not yet paid (what User.pendingEarnings caches)
+    outstanding: roundMoney(pending + payable),
+    earned: roundMoney(pending + payable + paid)
+  };
+}
+
+/**
+ * Differences between a commission and its ledger position
+ * @param {Object} commission
+ * @param {Object} position - posted position (see positionFromLines)
+ * @returns {Object[]} { account, expected, actual }
+ */
+function positionMismatches(commission, position) {
+  const target = targetPosition(commission);
+  return EARNER_ACCOUNTS
+    .map(account => ({ account, expected: target[account] || 0, actual: roundMoney(position[account] || 0) }))
+    .filter(m => !isZero(m.expected - m.actual));
+}
+
+module.exports = {
+  ACCOUNTS,
+  EARNER_ACCOUNTS,
+  STATUS_ACCOUNTS,
+  ENTRY_TYPES,
+  isZero,
+  targetPosition,
+  positionFromLines,
+  isBalanced,
+  planJournalEntry,
+  balancesFromPosition,
+  positionMismatches
+};
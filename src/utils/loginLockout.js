@@ -0,0 +1,29 @@
+/**
+ * Login Lockout
+ * Threshold and expiry rules for Settings.security.loginAttempts, shared by
+ * wrong passwords and wrong two-factor codes (User.registerFailedLogin).
+ */
+
+/**
+ * When an account locks after a failed attempt
+ * @param {Number} attempts - failed attempts so far, including this one
+ * @param {Object} policy - { maxAttempts (0 disables lockout), lockoutDuration (minutes) }
+ * @param {Date|Number} now
+ * @returns {Date|null} lock expiry, or null when the account stays open
+ */
+function lockUntilAfter(attempts, { maxAttempts, lockoutDuration }, now = Date.now()) {
+  if (!(maxAttempts > 0) || attempts < maxAttempts) return null;
+  return new Date(new Date(now).getTime() + lockoutDuration * 60 * 1000);
+}
+
+/**
+ * Whether a lock is still in force
+ * @param {Date|null|undefined} lockUntil
+ * @param {Date|Number} now
+ * @returns {Boolean}
+ */
+function isLockedAt(lockUntil, now = Date.now()) {
+  return !!(lockUntil && new Date(lockUntil).getTime() > new Date(now).getTime());
+}
+
+module.exports = { lockUntilAfter, isLockedAt };
@@ -0,0 +1,118 @@
+/**
+ * Password Policy
+ * Enforces Settings.security.passwordPolicy for every path that sets a password
+ * (signup, admin-created accounts, self-service and admin resets).
+ *
+ * Usage:
+ *   await assertPasswordPolicy(password);          // new accounts
+ *   await assertPasswordPolicy(password, userId);  // also blocks recent reuse
+ */
+
+const bcrypt = require('bcryptjs');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSpecialChars: false,
+  preventReuseCount: 3
+};
+
+/**
+ * Load the active password policy from platform settings
+ * @returns {Promise<Object>}
+ */
+async function getPasswordPolicy() {
+  const settings = await Settings.getSettings();
+  const policy = settings.security?.passwordPolicy;
+  return { ...DEFAULT_POLICY, ...(policy?.toObject ? policy.toObject() : policy) };
+}
+
+/**
+ * Check a password against the composition rules of a policy.
+ * @param {String} password
+ * @param {Object} policy
+ * @returns {Array<{ rule: string, message: string }>} Failed rules (empty when valid)
+ */
+function checkPasswordRules(password, policy = DEFAULT_POLICY) {
+  const failed = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < (policy.minLength || 0)) {
+    failed.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters` });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    failed.push({ rule: 'requireUppercase', message: 'Password must contain an uppercase letter' });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    failed.push({ rule: 'requireLowercase', message: 'Password must contain a lowercase letter' });
+  }
+  if (policy.requireNumbers && !/[0-9]/.test(value)) {
+    failed.push({ rule: 'requireNumbers', message: 'Password must contain a number' });
+  }
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(value)) {
+    failed.push({ rule: 'requireSpecialChars', message: 'Password must contain a special character' });
+  }
+
+  return failed;
+}
+
+/**
+ * Whether the password matches the user's current password or one of
+ * their last `reuseCount` passwords.
+ * @param {String} userId
+ * @param {String} password
+ * @param {Number} reuseCount
+ * @returns {Promise<Boolean>}
+ */
+async function isPasswordReused(userId, password, reuseCount) {
+  if (!userId || !reuseCount) return false;
+
+  const user = await User.findOne({ userId }).select('password passwordHistory');
+  if (!user) return false;
+
+  // History holds the current hash as its last entry; older accounts may have none
+  const hashes = (user.passwordHistory || []).slice(-reuseCount);
+  if (user.password && !hashes.includes(user.password)) {
+    hashes.push(user.password);
+  }
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Validate a password against the platform policy.
+ * @param {String} password
+ * @param {String} [userId] - Existing user, enables the reuse check
+ * @throws {ValidationError} PASSWORD_POLICY_VIOLATION with the failed rules as details
+ */
+async function assertPasswordPolicy(password, userId = null) {
+  const policy = await getPasswordPolicy();
+  const failed = checkPasswordRules(password, policy);
+
+  if (failed.length === 0 && await isPasswordReused(userId, password, policy.preventReuseCount)) {
+    failed.push({
+      rule: 'preventReuseCount',
+      message: `Password cannot match any of your last ${policy.preventReuseCount} passwords`
+    });
+  }
+
+  if (failed.length > 0) {
+    throw new ValidationError('Password does not meet the security policy', 'PASSWORD_POLICY_VIOLATION', failed);
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPasswordPolicy,
+  checkPasswordRules,
+  isPasswordReused,
+  assertPasswordPolicy
+};
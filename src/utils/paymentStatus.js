@@ -0,0 +1,56 @@
+/**
+ * Payment status rules
+ * Gateways deliver webhooks at least once and not always in order, so a
+ * status update is only applied when it moves the payment forward:
+ *
+ *   pending ─→ processing ─→ completed ─→ refunded
+ *      │            │            ↑
+ *      └────────────┴─→ failed ──┘  (a retried checkout can still succeed)
+ *
+ * Repeats and updates that would move a payment back are skipped.
+ */
+
+const PAYMENT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'refunded'];
+
+const NEXT_STATUSES = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  failed: ['processing', 'completed'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+/**
+ * Whether a payment in `current` status should move to `next`
+ * @param {String} current
+ * @param {String} next
+ * @returns {Object} { apply: Boolean, reason: null|'unchanged'|'stale'|'unknown_status' }
+ */
+function planPaymentTransition(current, next) {
+  if (!PAYMENT_STATUSES.includes(next)) return { apply: false, reason: 'unknown_status' };
+  if (current === next) return { apply: false, reason: 'unchanged' };
+  if (!(NEXT_STATUSES[current] || []).includes(next)) return { apply: false, reason: 'stale' };
+  return { apply: true, reason: null };
+}
+
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK', 'UGX'];
+
+/**
+ * Amount in the currency's minor unit (cents, paise); gateways take and
+ * report these
+ * @param {Number} amount
+ * @param {String} currency
+ * @returns {Number}
+ */
+const toMinorUnits = (amount, currency = 'USD') =>
+  (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? Math.round(amount) : Math.round(amount * 100));
+
+const fromMinorUnits = (units, currency = 'USD') =>
+  (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? units : units / 100);
+
+module.exports = {
+  PAYMENT_STATUSES,
+  planPaymentTransition,
+  toMinorUnits,
+  fromMinorUnits
+};
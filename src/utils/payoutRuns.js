@@ -0,0 +1,107 @@
+/**
+ * Payout run helpers
+ * Pure functions for scheduled payout runs (models/PayoutBatch): when a run
+ * is due under Settings.commission.payoutFrequency, and which earners a
+ * run pays.
+ */
+
+const { roundMoney, signedAmount } = require('./commissionAdjustments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between runs; monthly runs fall on the 1st (UTC), on_request never runs
+const FREQUENCY_DAYS = { weekly: 7, biweekly: 14 };
+const PAYOUT_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'on_request'];
+
+const startOfMonth = (date, offset = 0) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+
+/**
+ * The run slot due at `now`, i.e. the latest slot after the previous run
+ * that has started. A first run is due straight away. Missed slots collapse
+ * into one run.
+ * @param {String} frequency - Settings.commission.payoutFrequency
+ * @param {Date|null} lastScheduledFor - slot of the previous scheduled run
+ * @param {Date} now
+ * @returns {Date|null} the slot to run now, or null if none is due
+ */
+function dueRunSlot(frequency, lastScheduledFor, now = new Date()) {
+  if (!PAYOUT_FREQUENCIES.includes(frequency) || frequency === 'on_request') return null;
+
+  if (frequency === 'monthly') {
+    const slot = startOfMonth(now);
+    if (!lastScheduledFor) return now;
+    return slot > lastScheduledFor ? slot : null;
+  }
+
+  if (!lastScheduledFor) return now;
+  const periodMs = FREQUENCY_DAYS[frequency] * DAY_MS;
+  const elapsed = now.getTime() - lastScheduledFor.getTime();
+  if (elapsed < periodMs) return null;
+  return new Date(lastScheduledFor.getTime() + Math.floor(elapsed / periodMs) * periodMs);
+}
+
+/**
+ * When the next scheduled run falls
+ * @param {String} frequency
+ * @param {Date|null} lastScheduledFor
+ * @param {Date} now
+ * @returns {Date|null} null for on_request
+ */
+function nextRunAt(frequency, lastScheduledFor, now = new Date()) {
+  if (!PAYOUT_FREQUENCIES.includes(frequency) || frequency === 'on_request') return null;
+  if (!lastScheduledFor) return now;
+  if (frequency === 'monthly') return startOfMonth(lastScheduledFor, 1);
+  return new Date(lastScheduledFor.getTime() + FREQUENCY_DAYS[frequency] * DAY_MS);
+}
+
+/**
+ * Group approved commissions into one payout line per earner
+ * @param {Object[]} commissions - approved commissions not in an open payout
+ * @param {Number} threshold - Settings.commission.payoutThreshold
+ * @returns {Object} { lines: [{ agentId, commissionIds, amount, currency }],
+ *   belowThreshold: [{ agentId, amount }] }, lines largest first
+ */
+function planPayoutLines(commissions, threshold) {
+  const byEarner = new Map();
+  commissions.forEach(c => {
+    if (!byEarner.has(c.agentId)) {
+      byEarner.set(c.agentId, { agentId: c.agentId, commissionIds: [], amount: 0, currency: c.currency || 'USD' });
+    }
+    const line = byEarner.get(c.agentId);
+    line.commissionIds.push(c.commissionId);
+    line.amount += signedAmount(c);
+  });
+
+  const lines = [];
+  const belowThreshold = [];
+  byEarner.forEach(line => {
+    line.amount = roundMoney(line.amount);
+    if (line.amount > 0 && line.amount >= threshold) lines.push(line);
+    else belowThreshold.push({ agentId: line.agentId, amount: line.amount });
+  });
+
+  lines.sort((a, b) => b.amount - a.amount);
+  return { lines, belowThreshold };
+}
+
+/**
+ * Why an earner can't be paid by bank transfer
+ * @param {Object} user - { isActive, bankDetails }
+ * @returns {String|null}
+ */
+function getPayeeBlocker(user) {
+  if (!user) return 'Earner not found';
+  if (user.isActive === false) return 'Earner account is inactive';
+  const bank = user.bankDetails || {};
+  if (!bank.accountNumber || !bank.accountHolderName) return 'Bank details are missing';
+  return null;
+}
+
+module.exports = {
+  PAYOUT_FREQUENCIES,
+  dueRunSlot,
+  nextRunAt,
+  planPayoutLines,
+  getPayeeBlocker
+};
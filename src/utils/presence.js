@@ -0,0 +1,51 @@
+/**
+ * Presence helpers
+ * How a user's connected sockets (models/PresenceSocket) add up to their
+ * online / away / offline status and who views a case. No I/O — see
+ * services/presenceService.js.
+ */
+
+const STATUSES = ['online', 'away', 'offline'];
+
+/**
+ * A user is online while any socket is, away when every socket is away,
+ * and offline without sockets
+ * @param {Object[]} sockets - the user's sockets ({ away })
+ * @returns {String} one of STATUSES
+ */
+const statusOf = (sockets = []) => {
+  if (sockets.length === 0) return 'offline';
+  return sockets.every(s => s.away) ? 'away' : 'online';
+};
+
+/**
+ * A user's presence; lastSeen only while offline
+ * @param {String} userId
+ * @param {Object[]} sockets - the user's sockets
+ * @param {Date|null} lastSeen
+ * @returns {{ userId, status, lastSeen }}
+ */
+const presenceOf = (userId, sockets = [], lastSeen = null) => {
+  const status = statusOf(sockets);
+  return { userId, status, lastSeen: status === 'offline' ? (lastSeen || null) : null };
+};
+
+/**
+ * Users viewing a case, each once, in the order they started
+ * @param {Object[]} sockets - sockets viewing it ({ userId })
+ * @returns {String[]}
+ */
+const viewersOf = (sockets = []) => [...new Set(sockets.map(s => s.userId))];
+
+/**
+ * Cases a leaving socket was the user's last viewer of
+ * @param {String[]} viewing - the leaving socket's cases
+ * @param {Object[]} otherSockets - the user's other sockets ({ viewing })
+ * @returns {String[]}
+ */
+const casesLeft = (viewing = [], otherSockets = []) => {
+  const stillViewing = new Set(otherSockets.flatMap(s => s.viewing || []));
+  return viewing.filter(serviceRequestId => !stillViewing.has(serviceRequestId));
+};
+
+module.exports = { STATUSES, statusOf, presenceOf, viewersOf, casesLeft };
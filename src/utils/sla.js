@@ -0,0 +1,101 @@
+/**
+ * SLA helpers
+ * Pure functions used by the SLA scanner (services/slaService.js) and the
+ * SLA-compliance report.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Order matters: a level only ever moves forward
+const SLA_LEVELS = ['ok', 'breached', 'escalated'];
+
+const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// statusHistory entries that are not real status changes
+const NON_STATUS_ENTRY = /^(PROGRESS_UPDATE|SLA_)/;
+
+/**
+ * SLA definition for a service type/status. An exact service type wins
+ * over the '*' wildcard.
+ * @param {Object[]} definitions - Settings.applicationRules.sla.definitions
+ * @param {String} serviceType
+ * @param {String} status
+ * @returns {Object|null}
+ */
+function findDefinition(definitions = [], serviceType, status) {
+  const forStatus = definitions.filter(d => d.status === status);
+  return forStatus.find(d => d.serviceType === serviceType) ||
+    forStatus.find(d => !d.serviceType || d.serviceType === '*') ||
+    null;
+}
+
+/**
+ * When a service request entered its current status.
+ * Uses the latest real status-change entry in statusHistory.
+ * @param {Object} serviceRequest
+ * @returns {Date}
+ */
+function getStatusEnteredAt(serviceRequest) {
+  const entries = (serviceRequest.statusHistory || [])
+    .filter(entry => entry.changedAt && !NON_STATUS_ENTRY.test(entry.status || ''));
+
+  const latest = entries.reduce(
+    (max, entry) => (new Date(entry.changedAt) > max ? new Date(entry.changedAt) : max),
+    new Date(0)
+  );
+
+  if (latest.getTime() > 0) return latest;
+  return new Date(serviceRequest.appliedAt || serviceRequest.createdAt || Date.now());
+}
+
+/**
+ * SLA level reached after `since`
+ * @param {Date} since - when the clock started
+ * @param {Number} breachAfterHours
+ * @param {Number} escalateAfterHours - measured from `since` as well
+ * @param {Date} now
+ * @returns {'ok'|'breached'|'escalated'}
+ */
+function evaluateLevel(since, breachAfterHours, escalateAfterHours, now = new Date()) {
+  const elapsedHours = (now - new Date(since)) / HOUR_MS;
+  if (elapsedHours >= escalateAfterHours) return 'escalated';
+  if (elapsedHours >= breachAfterHours) return 'breached';
+  return 'ok';
+}
+
+/**
+ * Whether `next` is further along than `current`
+ */
+function isHigherLevel(next, current = 'ok') {
+  return SLA_LEVELS.indexOf(next) > SLA_LEVELS.indexOf(current || 'ok');
+}
+
+/**
+ * One priority step up, capped at URGENT
+ * @param {String} priority
+ * @returns {String}
+ */
+function bumpPriority(priority = 'MEDIUM') {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  if (index === -1) return 'HIGH';
+  return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+}
+
+/**
+ * Percentage of handled items that never breached, one decimal
+ */
+function complianceRate(total, breached) {
+  if (!total) return 100;
+  return parseFloat((((total - breached) / total) * 100).toFixed(1));
+}
+
+module.exports = {
+  HOUR_MS,
+  SLA_LEVELS,
+  findDefinition,
+  getStatusEnteredAt,
+  evaluateLevel,
+  isHigherLevel,
+  bumpPriority,
+  complianceRate
+};
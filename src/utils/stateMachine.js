@@ -1,8 +1,16 @@
 /**
  * Service Request State Machine
  * Centralizes all status transition rules and role-based permissions.
+ *
+ * Transitions are described by a workflow definition
+ * ({ states: [{ status, label, progress }], transitions: [{ from, to, roles, guards }] }).
+ * Super admins store per-serviceType versions (models/WorkflowDefinition);
+ * DEFAULT_WORKFLOW below is the built-in flow used by requests that are not
+ * pinned to a stored version.
  */
 
+const { GUARD_RULES } = require('./transitionGuards');
+
 const VALID_TRANSITIONS = {
   'PENDING_ADMIN_ASSIGNMENT': ['ASSIGNED', 'CANCELLED'],
   'ASSIGNED':                 ['IN_PROGRESS', 'ON_HOLD', 'CANCELLED'],
@@ -27,19 +35,70 @@ const ROLE_PERMISSIONS = {
   rep3:        ['CANCELLED']
 };
 
+/**
+ * Progress (%) a request reaches when entering a status.
+ * null keeps the current progress (pauses and cancellations).
+ */
+const STATUS_PROGRESS = {
+  'PENDING_ADMIN_ASSIGNMENT': 5,
+  'ASSIGNED': 15,
+  'IN_PROGRESS': 50,
+  'WAITING_STUDENT': 60,
+  'ON_HOLD': null,
+  'COMPLETED': 100,
+  'CANCELLED': null
+};
+
+// Statuses a workflow may use (ServiceRequest.status enum)
+const SERVICE_REQUEST_STATUSES = Object.keys(VALID_TRANSITIONS);
+
+// Roles a transition may be granted to
+const WORKFLOW_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// States the rest of the system relies on: requests are created pending,
+// admins/auto-assignment move them to ASSIGNED, and COMPLETED/CANCELLED
+// drive commissions and timestamps
+const REQUIRED_STATES = ['PENDING_ADMIN_ASSIGNMENT', 'ASSIGNED', 'COMPLETED', 'CANCELLED'];
+const FINAL_STATES = ['COMPLETED', 'CANCELLED'];
+const INITIAL_STATE = 'PENDING_ADMIN_ASSIGNMENT';
+
+// Conditions checked before entering a status in the built-in flow
+// (rules: utils/transitionGuards)
+const DEFAULT_TRANSITION_GUARDS = {
+  'COMPLETED': [{ rule: 'ALL_TASKS_COMPLETED' }, { rule: 'PAYMENT_TASK_PAID' }]
+};
+
+const DEFAULT_WORKFLOW = {
+  workflowId: null,
+  serviceType: '*',
+  version: 0,
+  states: SERVICE_REQUEST_STATUSES.map(status => ({ status, progress: STATUS_PROGRESS[status] })),
+  transitions: Object.entries(VALID_TRANSITIONS).flatMap(([from, targets]) =>
+    targets.map(to => ({
+      from,
+      to,
+      roles: WORKFLOW_ROLES.filter(role => ROLE_PERMISSIONS[role].includes(to)),
+      guards: DEFAULT_TRANSITION_GUARDS[to] || []
+    }))
+  )
+};
+
 /**
  * Validate a status transition.
  * @param {String} role - The user's role
  * @param {String} currentStatus - Current status of the service request
  * @param {String} nextStatus - Requested next status
- * @returns {{ valid: boolean, error?: string, allowedTransitions?: string[] }}
+ * @param {Object} workflow - Workflow definition (defaults to the built-in flow)
+ * @returns {{ valid: boolean, error?: string, allowedTransitions?: string[], transition?: Object }}
  */
-function validateStateTransition(role, currentStatus, nextStatus) {
-  const allowed = VALID_TRANSITIONS[currentStatus];
-  if (!allowed) {
+function validateStateTransition(role, currentStatus, nextStatus, workflow = DEFAULT_WORKFLOW) {
+  if (!workflow.states.some(state => state.status === currentStatus)) {
     return { valid: false, error: `Unknown current status: ${currentStatus}` };
   }
 
+  const outgoing = workflow.transitions.filter(t => t.from === currentStatus);
+  const allowed = outgoing.map(t => t.to);
+
   if (allowed.length === 0) {
     return {
       valid: false,
@@ -48,7 +107,8 @@ function validateStateTransition(role, currentStatus, nextStatus) {
     };
   }
 
-  if (!allowed.includes(nextStatus)) {
+  const transition = outgoing.find(t => t.to === nextStatus);
+  if (!transition) {
     return {
       valid: false,
       error: `Cannot transition from ${currentStatus} to ${nextStatus}`,
@@ -56,20 +116,101 @@ function validateStateTransition(role, currentStatus, nextStatus) {
     };
   }
 
-  const roleAllowed = ROLE_PERMISSIONS[role] || [];
-  if (!roleAllowed.includes(nextStatus)) {
+  if (!(transition.roles || []).includes(role)) {
     return {
       valid: false,
       error: `Role '${role}' cannot set status to ${nextStatus}`,
-      allowedTransitions: allowed.filter(s => roleAllowed.includes(s))
+      allowedTransitions: outgoing.filter(t => (t.roles || []).includes(role)).map(t => t.to)
     };
   }
 
-  return { valid: true };
+  return { valid: true, transition };
+}
+
+/**
+ * Progress after entering a status. Never moves backwards; COMPLETED is 100.
+ * @param {Object} workflow
+ * @param {String} status
+ * @param {Number} currentProgress
+ * @returns {Number}
+ */
+function getStatusProgress(workflow, status, currentProgress = 0) {
+  if (status === 'COMPLETED') return 100;
+  const state = (workflow || DEFAULT_WORKFLOW).states.find(s => s.status === status);
+  if (!state || state.progress === null || state.progress === undefined) return currentProgress;
+  return Math.max(currentProgress, state.progress);
+}
+
+/**
+ * Structural checks for a workflow definition before it is stored.
+ * @param {Object} definition - { states, transitions }
+ * @returns {String[]} problems, empty when the definition is usable
+ */
+function validateWorkflowDefinition({ states = [], transitions = [] }) {
+  const errors = [];
+  const statuses = states.map(s => s.status);
+
+  statuses
+    .filter((status, i) => statuses.indexOf(status) !== i)
+    .forEach(status => errors.push(`State ${status} is listed more than once`));
+  statuses
+    .filter(status => !SERVICE_REQUEST_STATUSES.includes(status))
+    .forEach(status => errors.push(`Unknown status ${status}`));
+  REQUIRED_STATES
+    .filter(status => !statuses.includes(status))
+    .forEach(status => errors.push(`State ${status} is required`));
+
+  const seen = new Set();
+  for (const { from, to, roles = [], guards = [] } of transitions) {
+    const label = `${from} → ${to}`;
+    if (!statuses.includes(from) || !statuses.includes(to)) {
+      errors.push(`Transition ${label} uses a state that is not defined`);
+    }
+    if (from === to) errors.push(`Transition ${label} does not change status`);
+    if (seen.has(label)) errors.push(`Transition ${label} is listed more than once`);
+    if (FINAL_STATES.includes(from)) errors.push(`${from} is final and cannot have outgoing transitions`);
+    if (roles.length === 0) errors.push(`Transition ${label} has no roles`);
+    roles
+      .filter(role => !WORKFLOW_ROLES.includes(role))
+      .forEach(role => errors.push(`Transition ${label} has unknown role ${role}`));
+    guards
+      .filter(guard => GUARD_RULES[guard.rule]?.entity !== 'service_request')
+      .forEach(guard => errors.push(`Transition ${label} has unknown guard rule ${guard.rule}`));
+    seen.add(label);
+  }
+
+  if (!seen.has(`${INITIAL_STATE} → ASSIGNED`)) {
+    errors.push(`Transition ${INITIAL_STATE} → ASSIGNED is required`);
+  }
+
+  // Every state must be reachable from the initial state
+  const reachable = new Set([INITIAL_STATE]);
+  const queue = [INITIAL_STATE];
+  while (queue.length > 0) {
+    const from = queue.shift();
+    transitions
+      .filter(t => t.from === from && !reachable.has(t.to))
+      .forEach(t => {
+        reachable.add(t.to);
+        queue.push(t.to);
+      });
+  }
+  statuses
+    .filter(status => SERVICE_REQUEST_STATUSES.includes(status) && !reachable.has(status))
+    .forEach(status => errors.push(`State ${status} cannot be reached from ${INITIAL_STATE}`));
+
+  return errors;
 }
 
 module.exports = {
   VALID_TRANSITIONS,
   ROLE_PERMISSIONS,
-  validateStateTransition
+  STATUS_PROGRESS,
+  SERVICE_REQUEST_STATUSES,
+  WORKFLOW_ROLES,
+  DEFAULT_TRANSITION_GUARDS,
+  DEFAULT_WORKFLOW,
+  validateStateTransition,
+  getStatusProgress,
+  validateWorkflowDefinition
 };
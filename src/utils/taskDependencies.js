@@ -0,0 +1,94 @@
+/**
+ * Task dependency helpers
+ * Pure functions shared by task templates (models/TaskTemplate, which refer
+ * to each other by `key`) and tasks (models/Task, which refer to each other
+ * by `taskId`).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find a dependency cycle among templates
+ * @param {Object[]} templates - [{ key, dependsOn: [key] }]
+ * @returns {String[]|null} keys forming the cycle (first key repeated last), or null
+ */
+function findDependencyCycle(templates = []) {
+  const byKey = new Map(templates.map(t => [t.key, t]));
+  const state = new Map(); // key -> 'visiting' | 'done'
+  const path = [];
+
+  const visit = (key) => {
+    if (state.get(key) === 'done' || !byKey.has(key)) return null;
+    if (state.get(key) === 'visiting') return [...path.slice(path.indexOf(key)), key];
+
+    state.set(key, 'visiting');
+    path.push(key);
+    for (const dep of byKey.get(key).dependsOn || []) {
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(key, 'done');
+    return null;
+  };
+
+  for (const template of templates) {
+    const cycle = visit(template.key);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Order templates so prerequisites come before the templates that depend on
+ * them; otherwise keeps `order`. Assumes there is no cycle.
+ * @param {Object[]} templates - [{ key, order, dependsOn }]
+ * @returns {Object[]}
+ */
+function orderByDependencies(templates = []) {
+  const sorted = [...templates].sort((a, b) => (a.order || 0) - (b.order || 0));
+  const byKey = new Map(sorted.map(t => [t.key, t]));
+  const placed = new Set();
+  const result = [];
+
+  const place = (template) => {
+    if (placed.has(template.key)) return;
+    placed.add(template.key);
+    for (const dep of template.dependsOn || []) {
+      if (byKey.has(dep)) place(byKey.get(dep));
+    }
+    result.push(template);
+  };
+
+  sorted.forEach(place);
+  return result;
+}
+
+/**
+ * Prerequisite tasks that are not completed yet
+ * @param {Object} task - { dependsOn: [taskId] }
+ * @param {Object[]} tasks - candidate prerequisites
+ * @returns {Object[]}
+ */
+function getBlockingTasks(task, tasks = []) {
+  const prerequisites = new Set(task.dependsOn || []);
+  return tasks.filter(t => prerequisites.has(t.taskId) && t.status !== 'COMPLETED');
+}
+
+/**
+ * Due date a relative offset gives
+ * @param {Date} from
+ * @param {Number|null} offsetDays
+ * @returns {Date|null}
+ */
+function dueDateFromOffset(from, offsetDays) {
+  if (offsetDays === null || offsetDays === undefined) return null;
+  return new Date(new Date(from).getTime() + offsetDays * DAY_MS);
+}
+
+module.exports = {
+  findDependencyCycle,
+  orderByDependencies,
+  getBlockingTasks,
+  dueDateFromOffset
+};
@@ -0,0 +1,190 @@
+/**
+ * TOTP (RFC 6238) helpers for authenticator-app two-factor authentication.
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ * (HMAC-SHA1, 6 digits, 30-second step).
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {String} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random shared secret (160 bits, base32)
+ * @returns {String}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value for a given counter (RFC 4226)
+ * @param {Buffer} key
+ * @param {Number} counter
+ * @param {Number} digits
+ * @returns {String}
+ */
+function hotp(key, counter, digits = DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Time step for a timestamp
+ * @param {Number} timeMs
+ * @returns {Number}
+ */
+function getTimeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a base32 secret
+ * @param {String} secret - base32 secret
+ * @param {Number} timeMs - timestamp (defaults to now)
+ * @returns {String}
+ */
+function generateToken(secret, timeMs = Date.now()) {
+  return hotp(base32Decode(secret), getTimeStep(timeMs));
+}
+
+/**
+ * Verify a TOTP code, allowing ±window steps of clock drift.
+ * @param {String} secret - base32 secret
+ * @param {String} token - code entered by the user
+ * @param {Object} options
+ * @param {Number} options.window - accepted drift in steps (default 1)
+ * @param {Number} options.timeMs - timestamp (defaults to now)
+ * @returns {Number|null} The matched time step, or null when invalid
+ */
+function verifyToken(secret, token, { window = 1, timeMs = Date.now() } = {}) {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(timeMs);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI encoded into enrolment QR codes
+ * @param {String} secret - base32 secret
+ * @param {String} accountName - usually the user's email
+ * @param {String} issuer - e.g. platform name
+ * @returns {String}
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'Fly8') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx)
+ * @param {Number} count
+ * @returns {String[]} Raw codes — show once, store only hashes
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage/lookup
+ * @param {String} code
+ * @returns {String}
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  getTimeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,165 @@
+/**
+ * Transition guard rules
+ * Declarative conditions checked before a status change is applied.
+ *
+ * A guard is `{ rule, params }`. Service-request guards live on workflow
+ * transitions (see utils/stateMachine); application guards are keyed by
+ * target status (models/Application APPLICATION_TRANSITION_GUARDS).
+ * Rules are pure: services/transitionGuardService loads the data each rule
+ * `needs` and passes it in as the context.
+ */
+
+// "Passport", "passport" and "PASSPORT" all compare equal
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const describeTask = (task) => ({ taskId: task.taskId, title: task.title, status: task.status });
+
+const GUARD_RULES = {
+  /**
+   * Every task on the request is COMPLETED
+   * params.taskTypes - only consider these task types
+   */
+  ALL_TASKS_COMPLETED: {
+    entity: 'service_request',
+    needs: ['tasks'],
+    check: ({ tasks = [] }, params = {}) => {
+      const open = tasks.filter(task =>
+        task.status !== 'COMPLETED' &&
+        (!params.taskTypes || params.taskTypes.includes(task.taskType))
+      );
+      if (open.length === 0) return null;
+      return {
+        message: `${open.length} task(s) are not completed`,
+        details: { tasks: open.map(describeTask) }
+      };
+    }
+  },
+
+  /**
+   * Every PAYMENT task is completed (paid)
+   * params.required - also fail when the request has no payment task
+   */
+  PAYMENT_TASK_PAID: {
+    entity: 'service_request',
+    needs: ['tasks'],
+    check: ({ tasks = [] }, params = {}) => {
+      const paymentTasks = tasks.filter(task => task.taskType === 'PAYMENT');
+      if (paymentTasks.length === 0) {
+        return params.required ? { message: 'No payment task has been created' } : null;
+      }
+      const unpaid = paymentTasks.filter(task => task.status !== 'COMPLETED');
+      if (unpaid.length === 0) return null;
+      return {
+        message: 'Payment has not been completed',
+        details: { tasks: unpaid.map(describeTask) }
+      };
+    }
+  },
+
+  /**
+   * The student's profile has each required document
+   * params.documents - overrides Settings.applicationRules.requiredDocuments
+   */
+  REQUIRED_DOCUMENTS_UPLOADED: {
+    entity: 'service_request',
+    needs: ['student', 'settings'],
+    check: ({ student, requiredDocuments = [] }, params = {}) => {
+      const required = params.documents || requiredDocuments;
+      const uploaded = Object.entries(student?.documents || {})
+        .filter(([, url]) => Boolean(url))
+        .map(([key]) => normalize(key));
+      const missing = required.filter(doc => !uploaded.includes(normalize(doc)));
+      if (missing.length === 0) return null;
+      return {
+        message: `Required documents missing: ${missing.join(', ')}`,
+        details: { missing }
+      };
+    }
+  },
+
+  /**
+   * The application has a document of each required type, verified when
+   * Settings.applicationRules.requireDocumentVerification is on
+   * params.documents - overrides Settings.applicationRules.requiredDocuments
+   */
+  REQUIRED_DOCUMENTS_VERIFIED: {
+    entity: 'application',
+    needs: ['settings'],
+    check: ({ application, requiredDocuments = [], requireVerification = true }, params = {}) => {
+      const required = params.documents || requiredDocuments;
+      const documents = application?.documents || [];
+
+      const missing = [];
+      const unverified = [];
+      for (const doc of required) {
+        const matches = documents.filter(d => normalize(d.type) === normalize(doc));
+        if (matches.length === 0) missing.push(doc);
+        else if (requireVerification && !matches.some(d => d.verified)) unverified.push(doc);
+      }
+      if (missing.length === 0 && unverified.length === 0) return null;
+
+      const parts = [];
+      if (missing.length > 0) parts.push(`missing: ${missing.join(', ')}`);
+      if (unverified.length > 0) parts.push(`not verified: ${unverified.join(', ')}`);
+      return {
+        message: `Required documents ${parts.join('; ')}`,
+        details: { missing, unverified }
+      };
+    }
+  },
+
+  /**
+   * Every checklist item on the application is ticked
+   */
+  CHECKLIST_COMPLETED: {
+    entity: 'application',
+    needs: [],
+    check: ({ application }) => {
+      const open = (application?.checklist || []).filter(item => !item.completed);
+      if (open.length === 0) return null;
+      return {
+        message: `${open.length} checklist item(s) are not completed`,
+        details: { items: open.map(item => item.item) }
+      };
+    }
+  }
+};
+
+const GUARD_RULE_NAMES = Object.keys(GUARD_RULES);
+
+/**
+ * Data the given guards need loaded
+ * @param {Object[]} guards
+ * @returns {Set<String>}
+ */
+function guardNeeds(guards = []) {
+  return new Set(guards.flatMap(guard => GUARD_RULES[guard.rule]?.needs || []));
+}
+
+/**
+ * Evaluate guards against a loaded context
+ * @param {Object[]} guards - [{ rule, params }]
+ * @param {Object} context
+ * @returns {Object[]} unmet conditions [{ rule, message, details? }], empty when all pass
+ */
+function evaluateGuards(guards = [], context = {}) {
+  const unmet = [];
+  for (const { rule, params } of guards) {
+    const definition = GUARD_RULES[rule];
+    // Unknown rules fail closed
+    if (!definition) {
+      unmet.push({ rule, message: `Unknown guard rule ${rule}` });
+      continue;
+    }
+    const failure = definition.check(context, params || {});
+    if (failure) unmet.push({ rule, ...failure });
+  }
+  return unmet;
+}
+
+module.exports = {
+  GUARD_RULES,
+  GUARD_RULE_NAMES,
+  guardNeeds,
+  evaluateGuards
+};
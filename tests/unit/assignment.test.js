@@ -0,0 +1,70 @@
+/**
+ * Auto-Assignment Unit Tests
+ * Covers candidate filtering and ranking used by the assignment engine.
+ */
+
+const { rankCandidates } = require('../../src/services/assignmentService');
+
+const candidate = (userId, overrides = {}) => ({
+  userId,
+  workload: 0,
+  capacity: 50,
+  servesStudent: false,
+  countries: [],
+  specializations: [],
+  ...overrides
+});
+
+const idsOf = ranked => ranked.map(c => c.userId);
+
+describe('rankCandidates', () => {
+  const request = { serviceType: 'VISA_GUIDANCE', countries: ['Germany'] };
+
+  test('prefers the lowest workload among generalists', () => {
+    const ranked = rankCandidates([
+      candidate('a', { workload: 10 }),
+      candidate('b', { workload: 3 }),
+      candidate('c', { workload: 7 })
+    ], request);
+    expect(idsOf(ranked)).toEqual(['b', 'c', 'a']);
+  });
+
+  test('drops candidates at capacity', () => {
+    const ranked = rankCandidates([
+      candidate('full', { workload: 50 }),
+      candidate('free', { workload: 49 })
+    ], request);
+    expect(idsOf(ranked)).toEqual(['free']);
+  });
+
+  test('keeps a full candidate who already serves this student', () => {
+    const ranked = rankCandidates([candidate('full', { workload: 50, servesStudent: true })], request);
+    expect(idsOf(ranked)).toEqual(['full']);
+  });
+
+  test('treats capacity 0 as unlimited', () => {
+    const ranked = rankCandidates([candidate('a', { workload: 500, capacity: 0 })], request);
+    expect(idsOf(ranked)).toEqual(['a']);
+  });
+
+  test('excludes staff restricted to other countries', () => {
+    const ranked = rankCandidates([
+      candidate('uk', { countries: ['United Kingdom'] }),
+      candidate('any')
+    ], request);
+    expect(idsOf(ranked)).toEqual(['any']);
+  });
+
+  test('ranks country and service specialists above generalists regardless of workload', () => {
+    const ranked = rankCandidates([
+      candidate('generalist', { workload: 0 }),
+      candidate('visa', { workload: 20, specializations: ['Visa Guidance'] }),
+      candidate('germany', { workload: 30, countries: ['germany'] })
+    ], request);
+    expect(idsOf(ranked)).toEqual(['germany', 'visa', 'generalist']);
+  });
+
+  test('returns nothing when nobody is eligible', () => {
+    expect(rankCandidates([candidate('a', { workload: 50 })], request)).toEqual([]);
+  });
+});
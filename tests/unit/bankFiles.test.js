@@ -0,0 +1,196 @@
+/**
+ * Bank File Unit Tests
+ * Covers bank detail validation, the CSV, pain.001 and fixed-width export
+ * formats with their totals, and reading settlement files.
+ */
+
+const {
+  isValidIban,
+  isValidAbaRouting,
+  validateBankAccount,
+  endToEndId,
+  buildTransferCsv,
+  buildPain001,
+  buildFixedWidth,
+  buildBankFile,
+  validateFixedWidthLayout,
+  parseCsv,
+  parseSettlementCsv
+} = require('../../src/utils/bankFiles');
+
+const usAccount = { accountHolderName: 'Ada Agent', accountNumber: '000123456789', routingNumber: '021000021', bankName: 'Chase' };
+const ibanAccount = { accountHolderName: 'Bea "B" Counselor', accountNumber: 'GB82 WEST 1234 5698 7654 32', routingNumber: 'WESTGB2L' };
+
+const transfers = [
+  { payoutId: '4f1c2d3e-aaaa-bbbb-cccc-1234567890ab', amount: 1250.5, currency: 'USD', reference: 'FLY8REF1', bank: usAccount },
+  { payoutId: '9e8d7c6b-aaaa-bbbb-cccc-1234567890ab', amount: 99.99, currency: 'EUR', reference: 'FLY8REF2', bank: ibanAccount }
+];
+
+describe('bank detail validation', () => {
+  test('IBAN check digits', () => {
+    expect(isValidIban('GB82WEST12345698765432')).toBe(true);
+    expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+    expect(isValidIban('GB83WEST12345698765432')).toBe(false);
+  });
+
+  test('ABA routing checksum', () => {
+    expect(isValidAbaRouting('021000021')).toBe(true);
+    expect(isValidAbaRouting('021000022')).toBe(false);
+    expect(isValidAbaRouting('02100002')).toBe(false);
+  });
+
+  test('accepts US and IBAN accounts', () => {
+    expect(validateBankAccount(usAccount)).toEqual([]);
+    expect(validateBankAccount(ibanAccount)).toEqual([]);
+    expect(validateBankAccount({ ...ibanAccount, routingNumber: '' })).toEqual([]);
+    expect(validateBankAccount({ ...usAccount, routingNumber: 'DEUTDEFF' })).toEqual([]);
+  });
+
+  test('reports each problem', () => {
+    expect(validateBankAccount({})).toEqual(['Account holder name is missing', 'Account number is missing']);
+    expect(validateBankAccount({ ...usAccount, accountNumber: '12-AB' })).toEqual(['Account number must be 4-17 digits or an IBAN']);
+    expect(validateBankAccount({ ...usAccount, routingNumber: '' })).toEqual(['Routing number is missing']);
+    expect(validateBankAccount({ ...usAccount, routingNumber: '021000022' }))
+      .toEqual(['Routing number is neither a valid ABA routing number nor a BIC']);
+    expect(validateBankAccount({ ...ibanAccount, accountNumber: 'GB00WEST12345698765432' })).toEqual(['IBAN is invalid']);
+  });
+
+  test('end-to-end ids fit pain.001', () => {
+    const id = endToEndId('4f1c2d3e-aaaa-bbbb-cccc-1234567890ab');
+    expect(id).toBe('FLY84F1C2D3EAAAABBBBCCCC12345678');
+    expect(id.length).toBeLessThanOrEqual(35);
+  });
+});
+
+describe('export formats', () => {
+  test('CSV escapes fields and carries the totals', () => {
+    const file = buildTransferCsv(transfers);
+    const [header, first, second] = parseCsv(file.content);
+    expect(header[0]).toBe('Payment ID');
+    expect(first).toEqual([transfers[0].payoutId, 'Ada Agent', '000123456789', '021000021', 'Chase', '1250.50', 'USD', 'FLY8REF1']);
+    expect(second[1]).toBe('Bea "B" Counselor');
+    expect(second[2]).toBe('GB82WEST12345698765432');
+    expect(file).toMatchObject({ lineCount: 2, controlTotal: 1350.49, hashTotal: 2100002 });
+    expect(file.checksum).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('pain.001 groups by currency', () => {
+    const file = buildPain001(transfers, {
+      messageId: 'PAYRUN-20260301-ABCD-1',
+      debtor: { name: 'Fly8 <Ltd>', accountNumber: 'GB82WEST12345698765432', routingNumber: 'WESTGB2L' },
+      executionDate: new Date('2026-03-02T00:00:00Z'),
+      createdAt: new Date('2026-03-01T10:00:00Z')
+    });
+    expect(file.content).toContain('<NbOfTxs>2</NbOfTxs>');
+    expect(file.content).toContain('<CtrlSum>1350.49</CtrlSum>');
+    expect(file.content.match(/<PmtInf>/g)).toHaveLength(2);
+    expect(file.content).toContain('<Nm>Fly8 &lt;Ltd&gt;</Nm>');
+    expect(file.content).toContain('<MmbId>021000021</MmbId>');
+    expect(file.content).toContain('<IBAN>GB82WEST12345698765432</IBAN>');
+    expect(file.content).toContain('<InstdAmt Ccy="EUR">99.99</InstdAmt>');
+    expect(file.content).toContain('<EndToEndId>FLY8REF1</EndToEndId>');
+    expect(file.content).toContain('<ReqdExctnDt>2026-03-02</ReqdExctnDt>');
+  });
+
+  test('fixed width uses the default layout with a trailer', () => {
+    const file = buildFixedWidth(transfers, null, { date: new Date('2026-03-02T00:00:00Z') });
+    const lines = file.content.split('\r\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toHaveLength(139);
+    expect(lines[0].startsWith('DFLY8REF1')).toBe(true);
+    expect(lines[0]).toContain('000000125050USD20260302');
+    expect(lines[2]).toBe('T000002000000000135049' + '0002100002');
+    expect(lines[3]).toBe('');
+  });
+
+  test('fixed width amounts are in the currency\'s minor unit', () => {
+    const yen = [{ ...transfers[0], amount: 150000, currency: 'JPY' }, transfers[1]];
+    const lines = buildFixedWidth(yen, null, { date: new Date('2026-03-02T00:00:00Z') }).content.split('\r\n');
+    expect(lines[0]).toContain('000000150000JPY20260302');
+    expect(lines[1]).toContain('000000009999EUR20260302');
+    expect(lines[2]).toBe('T000002000000000159999' + '0002100002');
+  });
+
+  test('fixed width follows a configured layout', () => {
+    const layout = {
+      recordFields: [
+        { source: 'accountNumber', width: 6, align: 'right', pad: '0' },
+        { source: 'literal', value: '|', width: 1 },
+        { source: 'amount', width: 9, align: 'right' }
+      ],
+      lineEnding: 'LF'
+    };
+    expect(buildFixedWidth(transfers.slice(0, 1), layout).content).toBe('456789|  1250.50\n');
+  });
+
+  test('an amount or total wider than its field fails the export instead of being cut', () => {
+    const layout = {
+      recordFields: [{ source: 'amountCents', width: 6, align: 'right', pad: '0' }],
+      trailerFields: [{ source: 'controlTotalCents', width: 6, align: 'right', pad: '0' }]
+    };
+    const large = [{ ...transfers[0], amount: 12345.67 }];
+    expect(() => buildFixedWidth(large, layout)).toThrow(expect.objectContaining({
+      code: 'BANK_FILE_FIELD_OVERFLOW',
+      details: [
+        { payoutId: large[0].payoutId, source: 'amountCents', width: 6, value: '1234567' },
+        { payoutId: null, source: 'controlTotalCents', width: 6, value: '1234567' }
+      ]
+    }));
+
+    // Text is still cut to fit
+    const text = { recordFields: [{ source: 'beneficiary', width: 3 }, { source: 'amountCents', width: 7 }] };
+    expect(buildFixedWidth(large, text).content).toBe('Ada1234567\r\n');
+  });
+
+  test('layout validation', () => {
+    expect(validateFixedWidthLayout({ recordFields: [{ source: 'amount', width: 10 }] })).toEqual([]);
+    expect(validateFixedWidthLayout({
+      recordFields: [{ source: 'iban', width: 0, pad: '00' }],
+      trailerFields: [{ source: 'reference', width: 5 }],
+      lineEnding: 'CR'
+    })).toEqual([
+      "recordFields[0]: unknown source 'iban'",
+      'recordFields[0]: width must be 1-200',
+      'recordFields[0]: pad must be one character',
+      "trailerFields[0]: unknown source 'reference'",
+      'lineEnding must be CRLF or LF'
+    ]);
+  });
+
+  test('buildBankFile picks the format', () => {
+    expect(buildBankFile('pain001', transfers, { messageId: 'M1' })).toMatchObject({ extension: 'xml', contentType: 'application/xml' });
+    expect(buildBankFile('fixed_width', transfers)).toMatchObject({ extension: 'txt', lineCount: 2 });
+    expect(buildBankFile('csv', transfers)).toMatchObject({ extension: 'csv', contentType: 'text/csv' });
+  });
+});
+
+describe('parseSettlementCsv', () => {
+  test('reads rows with header aliases, quotes and CRLF', () => {
+    const csv = [
+      'End To End ID,Transaction Status,Amount,Return Reason,Trace Number',
+      'FLY8REF1,ACSC,"1,250.50",,T-1',
+      'FLY8REF2,Returned,99.99,"Account closed, R02",T-2',
+      ''
+    ].join('\r\n');
+    expect(parseSettlementCsv(csv)).toEqual({
+      rows: [
+        { line: 2, reference: 'FLY8REF1', outcome: 'completed', amount: 1250.5, reason: '', bankReference: 'T-1' },
+        { line: 3, reference: 'FLY8REF2', outcome: 'failed', amount: 99.99, reason: 'Account closed, R02', bankReference: 'T-2' }
+      ],
+      errors: []
+    });
+  });
+
+  test('reports rows it cannot use', () => {
+    const csv = 'reference,status,amount\nFLY8A,pending,10\n,paid,10\nFLY8B,paid,ten\nFLY8C,paid,';
+    const { rows, errors } = parseSettlementCsv(csv);
+    expect(rows).toEqual([{ line: 5, reference: 'FLY8C', outcome: 'completed', amount: null, reason: '', bankReference: '' }]);
+    expect(errors.map(e => e.line)).toEqual([2, 3, 4]);
+    expect(errors[0].error).toMatch(/Unknown status 'pending'/);
+  });
+
+  test('needs reference and status columns', () => {
+    expect(parseSettlementCsv('').errors[0].error).toMatch(/empty/);
+    expect(parseSettlementCsv('id,amount\n1,2').errors[0].error).toMatch(/reference and a status/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Commission Adjustment Unit Tests
+ * Covers signed totals, which commissions may be disputed and dispute
+ * resolution rules.
+ */
+
+const {
+  signedAmount,
+  netAmount,
+  getDisputeBlocker,
+  validateResolution,
+  adjustmentStatus
+} = require('../../src/utils/commissionAdjustments');
+
+const commission = (overrides = {}) => ({ commissionType: 'VAS', status: 'approved', amount: 100, ...overrides });
+
+describe('signedAmount / netAmount', () => {
+  test('debits count negatively', () => {
+    expect(signedAmount({ amount: 25 })).toBe(25);
+    expect(signedAmount({ amount: 25, adjustmentKind: 'credit' })).toBe(25);
+    expect(signedAmount({ amount: 25, adjustmentKind: 'debit' })).toBe(-25);
+  });
+
+  test('net amount applies every adjustment and keeps cents', () => {
+    const adjustments = [
+      { amount: 10.1, adjustmentKind: 'credit' },
+      { amount: 0.2, adjustmentKind: 'debit' }
+    ];
+    expect(netAmount({ amount: 100 }, adjustments)).toBe(109.9);
+    expect(netAmount({ amount: 100 })).toBe(100);
+  });
+});
+
+describe('getDisputeBlocker', () => {
+  test('pending, approved and rejected commissions can be disputed', () => {
+    ['pending', 'approved', 'rejected'].forEach(status => {
+      expect(getDisputeBlocker(commission({ status }))).toBeNull();
+    });
+  });
+
+  test('paid, cancelled, disputed and adjustment records cannot', () => {
+    expect(getDisputeBlocker(commission({ status: 'paid' }))).toMatch(/paid/);
+    expect(getDisputeBlocker(commission({ status: 'cancelled' }))).toMatch(/cancelled/);
+    expect(getDisputeBlocker(commission({ status: 'disputed' }))).toMatch(/already disputed/);
+    expect(getDisputeBlocker(commission({ commissionType: 'ADJUSTMENT' }))).toMatch(/Adjustments/);
+  });
+});
+
+describe('validateResolution', () => {
+  const dispute = { previousStatus: 'approved' };
+
+  test('accepts a credit that keeps the previous status', () => {
+    expect(validateResolution(commission(), dispute, {
+      outcome: 'accepted',
+      adjustment: { kind: 'credit', amount: 20 }
+    })).toEqual([]);
+  });
+
+  test('accepting a rejected commission can just reinstate it', () => {
+    expect(validateResolution(commission(), { previousStatus: 'rejected' }, {
+      outcome: 'accepted',
+      commissionStatus: 'approved'
+    })).toEqual([]);
+  });
+
+  test('an accepted dispute must change something', () => {
+    expect(validateResolution(commission(), dispute, { outcome: 'accepted' }))
+      .toEqual(['An accepted dispute needs an adjustment or a new commission status']);
+  });
+
+  test('a rejected dispute restores the previous status without an adjustment', () => {
+    expect(validateResolution(commission(), dispute, { outcome: 'rejected' })).toEqual([]);
+    expect(validateResolution(commission(), dispute, {
+      outcome: 'rejected',
+      commissionStatus: 'pending',
+      adjustment: { kind: 'credit', amount: 5 }
+    })).toEqual([
+      'A rejected dispute cannot carry an adjustment',
+      "A rejected dispute returns the commission to 'approved'"
+    ]);
+  });
+
+  test('debits are limited to the commission amount and never hit rejected commissions', () => {
+    expect(validateResolution(commission(), dispute, {
+      outcome: 'accepted',
+      adjustment: { kind: 'debit', amount: 150 }
+    })).toEqual(['A debit cannot exceed the commission amount']);
+    expect(validateResolution(commission(), dispute, {
+      outcome: 'accepted',
+      commissionStatus: 'rejected',
+      adjustment: { kind: 'debit', amount: 10 }
+    })).toEqual(['A rejected commission cannot be debited']);
+  });
+
+  test('commissions cannot be resolved to paid', () => {
+    expect(validateResolution(commission(), dispute, {
+      outcome: 'accepted',
+      commissionStatus: 'paid'
+    })).toContain('Commission status must be one of: pending, approved, rejected');
+  });
+});
+
+describe('adjustmentStatus', () => {
+  test('follows a pending commission, otherwise approved', () => {
+    expect(adjustmentStatus('pending')).toBe('pending');
+    expect(adjustmentStatus('approved')).toBe('approved');
+    expect(adjustmentStatus('rejected')).toBe('approved');
+  });
+});
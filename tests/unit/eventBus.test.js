@@ -0,0 +1,192 @@
+/**
+ * Event Bus Unit Tests
+ * Covers stored delivery, retries, dead-lettering, replay, the outbox
+ * (emitWith) and payload serialization on the in-memory transport.
+ */
+
+const { EventBus, retryDelayMs } = require('../../src/events/eventBus');
+const { createMemoryTransport } = require('../../src/events/transports/memoryTransport');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const setup = (options = {}) => {
+  const transport = createMemoryTransport();
+  const bus = new EventBus({ transport, ...options });
+  return { transport, bus };
+};
+
+describe('EventBus', () => {
+  test('runs each listener once and marks the event completed', async () => {
+    const { transport, bus } = setup();
+    const calls = [];
+    bus.subscribe('thing:done', 'a', async (payload, meta) => calls.push(['a', payload.value, meta.idempotencyKey]));
+    bus.subscribe('thing:done', 'b', async () => calls.push(['b']));
+
+    const eventId = await bus.emit('thing:done', { value: 42 });
+    await bus.drain();
+    await bus.drain();
+
+    expect(calls).toEqual([['a', 42, `${eventId}:a`], ['b']]);
+    const stored = transport.getEvent(eventId);
+    expect(stored.deliveries.map(d => d.status)).toEqual(['done', 'done']);
+    expect(stored.completedAt).not.toBeNull();
+  });
+
+  test('events nobody listens to are not stored', async () => {
+    const { bus } = setup();
+    expect(await bus.emit('thing:ignored', {})).toBeNull();
+  });
+
+  test('a failed listener is retried later without re-running the others', async () => {
+    const { transport, bus } = setup();
+    let failures = 1;
+    const ran = { ok: 0, flaky: 0 };
+    bus.subscribe('thing:done', 'ok', async () => { ran.ok++; });
+    bus.subscribe('thing:done', 'flaky', async () => {
+      ran.flaky++;
+      if (failures-- > 0) throw new Error('database unavailable');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const eventId = await bus.emit('thing:done', {});
+    await bus.drain();
+    const afterFailure = transport.getEvent(eventId).deliveries.find(d => d.listener === 'flaky');
+    expect(afterFailure).toMatchObject({ status: 'pending', attempts: 1, lastError: 'database unavailable' });
+
+    // Not due yet
+    await bus.processNext();
+    expect(ran.flaky).toBe(1);
+
+    await bus.processNext(new Date(afterFailure.nextAttemptAt.getTime() + 1));
+    expect(ran).toEqual({ ok: 1, flaky: 2 });
+    expect(transport.getEvent(eventId).completedAt).not.toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('an abandoned delivery is picked up again once its lock expires', async () => {
+    const { transport, bus } = setup();
+    const handler = jest.fn();
+    bus.subscribe('thing:done', 'slow', handler);
+    const eventId = await bus.emit('thing:done', {});
+
+    // Another instance claimed it and died
+    await transport.claimDelivery(['slow'], { owner: 'gone', lockMs: 1000, now: new Date() });
+    expect(await bus.processNext()).toBe(false);
+
+    await bus.processNext(new Date(Date.now() + 2000));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1]).toMatchObject({ eventId, attempt: 2 });
+  });
+
+  test('documents become plain objects and req keeps what audit logging needs', async () => {
+    const { bus } = setup();
+    const received = [];
+    bus.subscribe('thing:done', 'audit', async (payload) => received.push(payload));
+
+    const doc = { toObject: () => ({ serviceRequestId: 'sr1', status: 'COMPLETED' }) };
+    const req = {
+      ip: '10.0.0.1',
+      user: { userId: 'u1', role: 'counselor', email: 'x@example.com' },
+      get: (header) => (header === 'user-agent' ? 'jest' : undefined)
+    };
+    await bus.emit('thing:done', { serviceRequest: doc, req, triggeredBy: 'u1' });
+    await bus.drain();
+
+    const [payload] = received;
+    expect(payload.serviceRequest).toEqual({ serviceRequestId: 'sr1', status: 'COMPLETED' });
+    expect(payload.req.user).toEqual({ userId: 'u1', role: 'counselor' });
+    expect(payload.req.ip).toBe('10.0.0.1');
+    expect(payload.req.get('user-agent')).toBe('jest');
+  });
+
+  test('other instances are told about new events', async () => {
+    const { transport, bus } = setup();
+    const announced = [];
+    transport.subscribe('domain_events', message => announced.push(message.eventId));
+    bus.subscribe('thing:done', 'a', async () => {});
+
+    const eventId = await bus.emit('thing:done', {});
+    await flush();
+    expect(announced).toEqual([eventId]);
+  });
+
+  test('a delivery that keeps failing is dead-lettered until replayed', async () => {
+    const onDeadLetter = jest.fn();
+    const { transport, bus } = setup({ maxAttempts: 2, onDeadLetter });
+    let broken = true;
+    const handler = jest.fn(async () => {
+      if (broken) throw new Error('bad data');
+    });
+    bus.subscribe('thing:done', 'fragile', handler);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const eventId = await bus.emit('thing:done', {});
+    await bus.drain();
+    const later = new Date(Date.now() + 60 * 60 * 1000);
+    await bus.processNext(later);
+
+    expect(transport.getEvent(eventId).deliveries[0]).toMatchObject({ status: 'dead', attempts: 2, lastError: 'bad data' });
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ eventId, listener: 'fragile', attempts: 2 }));
+    expect(await bus.processNext(new Date(later.getTime() + 24 * 60 * 60 * 1000))).toBe(false);
+
+    broken = false;
+    expect(await bus.replay(eventId)).toBe(1);
+    await bus.drain();
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(transport.getEvent(eventId).deliveries[0]).toMatchObject({ status: 'done', attempts: 1 });
+    expect(transport.getEvent(eventId).completedAt).not.toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('replaying named listeners re-runs them even if they succeeded', async () => {
+    const { bus } = setup();
+    const ran = { a: 0, b: 0 };
+    bus.subscribe('thing:done', 'a', async () => { ran.a++; });
+    bus.subscribe('thing:done', 'b', async () => { ran.b++; });
+
+    const eventId = await bus.emit('thing:done', {});
+    await bus.drain();
+    expect(await bus.replay(eventId)).toBe(0);
+    expect(await bus.replay(eventId, { listeners: ['b'] })).toBe(1);
+    await bus.drain();
+    expect(ran).toEqual({ a: 1, b: 2 });
+  });
+
+  test('emitWith stores the events built from the write result', async () => {
+    const { bus } = setup();
+    const received = [];
+    bus.subscribe('thing:done', 'a', async (payload) => received.push(payload.id));
+    const work = jest.fn(async (session) => ({ id: 'saved', session }));
+
+    const result = await bus.emitWith(work, (saved) => [['thing:done', { id: saved.id }], false]);
+    await bus.drain();
+
+    expect(result).toEqual({ id: 'saved', session: null });
+    expect(received).toEqual(['saved']);
+  });
+
+  test('emitWith stores nothing when the write fails', async () => {
+    const { bus } = setup();
+    const handler = jest.fn();
+    bus.subscribe('thing:done', 'a', handler);
+
+    await expect(bus.emitWith(async () => { throw new Error('validation failed'); }, [['thing:done', {}]]))
+      .rejects.toThrow('validation failed');
+    await bus.drain();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('listener names must be unique per event', () => {
+    const { bus } = setup();
+    bus.subscribe('thing:done', 'a', async () => {});
+    expect(() => bus.subscribe('thing:done', 'a', async () => {})).toThrow('already registered');
+  });
+});
+
+describe('retryDelayMs', () => {
+  test('doubles per attempt up to an hour', () => {
+    expect(retryDelayMs(1)).toBe(30 * 1000);
+    expect(retryDelayMs(3)).toBe(120 * 1000);
+    expect(retryDelayMs(20)).toBe(60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Form Data Validator Unit Tests
+ * Covers the built-in intake forms used when no version is stored.
+ */
+
+const { BUILT_IN_INTAKE_FORMS, validateFormData } = require('../../src/utils/formDataValidator');
+const { validateFormDefinition } = require('../../src/utils/formSchema');
+
+describe('built-in intake forms', () => {
+  test.each(Object.keys(BUILT_IN_INTAKE_FORMS))('%s is a valid form definition', (serviceType) => {
+    expect(validateFormDefinition(BUILT_IN_INTAKE_FORMS[serviceType])).toEqual([]);
+  });
+
+  test('service types without a form accept anything', () => {
+    expect(validateFormData('PROFILE_ASSESSMENT', {})).toEqual({ valid: true });
+  });
+
+  test('form data is required for types with a form', () => {
+    expect(validateFormData('VISA_GUIDANCE', null).errors).toEqual(['Form data is required for this service type']);
+  });
+});
+
+describe('validateFormData', () => {
+  test('requires details for each selected sub-service', () => {
+    const result = validateFormData('UNIVERSITY_SHORTLISTING', {
+      selectedSubServices: ['SOP', 'FREE_RESOURCE'],
+      subServiceDetails: { SOP: { targetUniversity: 'TUM', targetProgram: 'MSc', deadline: '2026-06-01' } }
+    });
+    expect(result.valid).toBe(false);
+    expect(result.fieldErrors).toEqual([
+      { field: 'subServiceDetails.FREE_RESOURCE.resourceType', message: 'FREE_RESOURCE: Resource type is required' }
+    ]);
+  });
+
+  test('rejects unknown sub-services', () => {
+    const result = validateFormData('UNIVERSITY_SHORTLISTING', { selectedSubServices: ['GMAT_CLASS'] });
+    expect(result.errors).toEqual(['Sub-services must only contain listed options']);
+  });
+
+  test('requires co-applicant details only with a co-applicant', () => {
+    const base = { universityName: 'TUM', loanAmountNeeded: '20000' };
+    expect(validateFormData('LOAN_ASSISTANCE', { ...base, hasCoApplicant: false }).valid).toBe(true);
+    expect(validateFormData('LOAN_ASSISTANCE', { ...base, hasCoApplicant: true, coApplicant: { relationship: 'Father' } }).errors)
+      .toEqual(['Co-applicant occupation is required']);
+  });
+
+  test('checks every selected program', () => {
+    const result = validateFormData('APPLICATION_ASSISTANCE', {
+      selectedPrograms: [{ programId: 'p1', programName: 'MSc', universityName: 'TUM' }, { programId: 'p2' }]
+    });
+    expect(result.fieldErrors.map(e => e.field)).toEqual(['selectedPrograms[1].programName', 'selectedPrograms[1].universityName']);
+  });
+
+  test('validates against a stored form when given one', () => {
+    const form = { fields: [{ key: 'testName', label: 'Test', type: 'select', required: true, options: ['TOEFL'] }] };
+    expect(validateFormData('UNIVERSITY_SHORTLISTING', { testName: 'TOEFL' }, form)).toEqual({ valid: true });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Form Schema Unit Tests
+ * Covers form definition checks, answer validation with conditional
+ * fields, and the submission diff used by task review.
+ */
+
+const {
+  validateFormDefinition,
+  isFieldVisible,
+  validateAnswers,
+  diffSubmissions
+} = require('../../src/utils/formSchema');
+
+const form = {
+  fields: [
+    { key: 'fullName', label: 'Full name', type: 'text', required: true, maxLength: 50 },
+    { key: 'age', label: 'Age', type: 'number', min: 16, max: 99 },
+    { key: 'hasScore', label: 'Taken IELTS?', type: 'boolean', required: true },
+    { key: 'score', label: 'IELTS score', type: 'number', required: true, visibleWhen: { field: 'hasScore', equals: true } },
+    { key: 'intake', label: 'Intake', type: 'select', required: true, options: ['FALL', { value: 'SPRING', label: 'Spring' }] },
+    { key: 'countries', label: 'Countries', type: 'multiselect', options: ['DE', 'FR', 'NL'], max: 2 },
+    { key: 'email', label: 'Email', type: 'email' }
+  ]
+};
+
+describe('validateFormDefinition', () => {
+  test('accepts a valid form', () => {
+    expect(validateFormDefinition(form)).toEqual([]);
+  });
+
+  test('requires fields', () => {
+    expect(validateFormDefinition({ fields: [] })).toEqual(['Form must have at least one field']);
+    expect(validateFormDefinition(null)).toEqual(['Form must have at least one field']);
+  });
+
+  test('reports bad keys, types, options and patterns', () => {
+    const errors = validateFormDefinition({
+      fields: [
+        { key: '1bad', type: 'text' },
+        { key: 'a', type: 'colour' },
+        { key: 'a', type: 'select', options: [] },
+        { key: 'b', type: 'text', pattern: '(' }
+      ]
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/Field 1bad: key must start/),
+      'Field a: unknown type colour',
+      'Field a is listed more than once',
+      'Field a: options are required',
+      'Field b: pattern is not a valid regular expression'
+    ]));
+  });
+
+  test('visibleWhen must refer to an earlier field', () => {
+    const errors = validateFormDefinition({
+      fields: [
+        { key: 'a', type: 'text', visibleWhen: { field: 'b', equals: 'x' } },
+        { key: 'b', type: 'text' }
+      ]
+    });
+    expect(errors).toEqual(['Field a: visibleWhen must refer to an earlier field (b)']);
+  });
+});
+
+describe('isFieldVisible', () => {
+  test('supports equals, notEquals, in and filled', () => {
+    expect(isFieldVisible({ visibleWhen: { field: 'x', equals: 'a' } }, { x: 'a' })).toBe(true);
+    expect(isFieldVisible({ visibleWhen: { field: 'x', notEquals: 'a' } }, { x: 'a' })).toBe(false);
+    expect(isFieldVisible({ visibleWhen: { field: 'x', in: ['a', 'b'] } }, { x: ['c', 'b'] })).toBe(true);
+    expect(isFieldVisible({ visibleWhen: { field: 'x', filled: false } }, {})).toBe(true);
+  });
+
+  test('all conditions must hold', () => {
+    const field = { visibleWhen: [{ field: 'x', equals: 1 }, { field: 'y', filled: true }] };
+    expect(isFieldVisible(field, { x: 1, y: 'yes' })).toBe(true);
+    expect(isFieldVisible(field, { x: 1 })).toBe(false);
+  });
+});
+
+describe('validateAnswers', () => {
+  test('accepts valid answers and drops unknown keys', () => {
+    const result = validateAnswers(form, {
+      fullName: '  Ada Lovelace ',
+      hasScore: false,
+      intake: 'SPRING',
+      countries: ['DE', 'DE'],
+      extra: 'ignored'
+    });
+    expect(result.valid).toBe(true);
+    expect(result.answers).toEqual({ fullName: 'Ada Lovelace', hasScore: false, intake: 'SPRING', countries: ['DE'] });
+  });
+
+  test('requires conditional fields only when visible', () => {
+    const base = { fullName: 'Ada', intake: 'FALL' };
+    expect(validateAnswers(form, { ...base, hasScore: false, score: 7 }).answers.score).toBeUndefined();
+    expect(validateAnswers(form, { ...base, hasScore: true }).errors)
+      .toEqual([{ field: 'score', message: 'IELTS score is required' }]);
+  });
+
+  test('reports type and range errors per field', () => {
+    const result = validateAnswers(form, {
+      fullName: 'Ada',
+      age: 12,
+      hasScore: 'yes',
+      intake: 'WINTER',
+      countries: ['DE', 'FR', 'NL'],
+      email: 'not-an-email'
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { field: 'age', message: 'Age must be at least 16' },
+      { field: 'hasScore', message: 'Taken IELTS? must be yes or no' },
+      { field: 'intake', message: 'Intake must be one of the listed options' },
+      { field: 'countries', message: 'Countries allows at most 2 choices' },
+      { field: 'email', message: 'Email must be an email address' }
+    ]);
+  });
+
+  test('rejects non-object answers', () => {
+    expect(validateAnswers(form, undefined).valid).toBe(false);
+  });
+});
+
+describe('diffSubmissions', () => {
+  test('classifies field changes', () => {
+    const diff = diffSubmissions(
+      form,
+      { answers: { fullName: 'Ada', age: 30, countries: ['DE'] } },
+      { answers: { fullName: 'Ada', age: 31, intake: 'FALL' } }
+    );
+    const byKey = Object.fromEntries(diff.fields.map(f => [f.key, f.change]));
+    expect(byKey).toMatchObject({ fullName: 'unchanged', age: 'changed', intake: 'added', countries: 'removed' });
+    expect(diff.changedCount).toBe(3);
+  });
+
+  test('compares text and files for free-text tasks', () => {
+    const diff = diffSubmissions(
+      null,
+      { text: 'v1', files: [{ name: 'a.pdf', url: 'https://x/a.pdf' }] },
+      { text: 'v2', files: [{ name: 'b.pdf', url: 'https://x/b.pdf' }] }
+    );
+    expect(diff.fields).toEqual([]);
+    expect(diff.text).toEqual({ before: 'v1', after: 'v2', changed: true });
+    expect(diff.files.added.map(f => f.name)).toEqual(['b.pdf']);
+    expect(diff.files.removed.map(f => f.name)).toEqual(['a.pdf']);
+    expect(diff.changedCount).toBe(3);
+  });
+
+  test('a first submission has everything added', () => {
+    const diff = diffSubmissions(form, null, { answers: { fullName: 'Ada' } });
+    expect(diff.fields.find(f => f.key === 'fullName').change).toBe('added');
+  });
+});
+
+describe('sections and lists', () => {
+  const intake = {
+    fields: [
+      { key: 'services', type: 'multiselect', required: true, options: ['SOP', 'LOR'] },
+      {
+        key: 'programs',
+        label: 'Programs',
+        type: 'list',
+        min: 1,
+        itemFields: [{ key: 'name', label: 'Program name', type: 'text', required: true }]
+      }
+    ],
+    sections: [
+      {
+        key: 'sop',
+        path: 'details.SOP',
+        visibleWhen: { field: 'services', in: ['SOP'] },
+        fields: [{ key: 'deadline', label: 'SOP deadline', type: 'date', required: true, minDaysFromNow: 0 }]
+      }
+    ]
+  };
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  test('the definition is valid', () => {
+    expect(validateFormDefinition(intake)).toEqual([]);
+  });
+
+  test('section fields live under the section path', () => {
+    const result = validateAnswers(intake, {
+      services: ['SOP'],
+      programs: [{ name: ' MSc ', extra: true }],
+      details: { SOP: { deadline: '2026-04-01' } }
+    }, { now });
+    expect(result.valid).toBe(true);
+    expect(result.answers).toEqual({
+      services: ['SOP'],
+      programs: [{ name: 'MSc' }],
+      details: { SOP: { deadline: '2026-04-01' } }
+    });
+  });
+
+  test('hidden sections are skipped', () => {
+    const result = validateAnswers(intake, { services: ['LOR'] }, { now });
+    expect(result.valid).toBe(true);
+  });
+
+  test('errors carry the full path', () => {
+    const result = validateAnswers(intake, {
+      services: ['SOP'],
+      programs: [{}],
+      details: { SOP: { deadline: '2026-03-01' } }
+    }, { now });
+    expect(result.errors).toEqual([
+      { field: 'programs[0].name', message: 'Program name is required' },
+      { field: 'details.SOP.deadline', message: 'SOP deadline cannot be in the past' }
+    ]);
+  });
+
+  test('section conditions must refer to earlier fields', () => {
+    expect(validateFormDefinition({
+      sections: [{ key: 's', visibleWhen: { field: 'later' }, fields: [{ key: 'later', type: 'text' }] }]
+    })).toEqual(['Section s: visibleWhen must refer to an earlier field (later)']);
+  });
+
+  test('list items cannot nest lists or use visibleWhen', () => {
+    const errors = validateFormDefinition({
+      fields: [{
+        key: 'rows',
+        type: 'list',
+        itemFields: [
+          { key: 'inner', type: 'list', itemFields: [] },
+          { key: 'x', type: 'text', visibleWhen: { field: 'inner' } }
+        ]
+      }]
+    });
+    expect(errors).toEqual([
+      'Field rows[].inner: unknown type list',
+      'Field rows[].x: item fields cannot have visibleWhen'
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * IP Range Unit Tests
+ * Covers allowlist matching used by the admin IP allowlist middleware.
+ */
+
+const { normalizeIp, parseRange, findInvalidRanges, isIpAllowed } = require('../../src/utils/ipRange');
+
+describe('normalizeIp', () => {
+  test('unwraps IPv4-mapped IPv6 addresses', () => {
+    expect(normalizeIp('::ffff:192.168.1.10')).toBe('192.168.1.10');
+  });
+
+  test('drops IPv6 zone ids', () => {
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+  });
+});
+
+describe('parseRange', () => {
+  test('parses single addresses as host ranges', () => {
+    expect(parseRange('203.0.113.7')).toEqual({ address: '203.0.113.7', prefix: 32, type: 'ipv4' });
+    expect(parseRange('2001:db8::1')).toEqual({ address: '2001:db8::1', prefix: 128, type: 'ipv6' });
+  });
+
+  test('parses CIDR ranges', () => {
+    expect(parseRange(' 10.0.0.0/8 ')).toEqual({ address: '10.0.0.0', prefix: 8, type: 'ipv4' });
+  });
+
+  test('rejects malformed entries', () => {
+    ['', 'office', '10.0.0.0/33', '2001:db8::/129', '10.0.0.0/8/1', '10.0.0.0/abc', '256.1.1.1']
+      .forEach(entry => expect(parseRange(entry)).toBeNull());
+  });
+
+  test('findInvalidRanges lists only bad entries', () => {
+    expect(findInvalidRanges(['10.0.0.0/8', 'nope', '::1'])).toEqual(['nope']);
+  });
+});
+
+describe('isIpAllowed', () => {
+  const allowlist = ['10.0.0.0/8', '203.0.113.7', '2001:db8::/32'];
+
+  test('matches addresses inside a CIDR range', () => {
+    expect(isIpAllowed('10.20.30.40', allowlist)).toBe(true);
+    expect(isIpAllowed('11.0.0.1', allowlist)).toBe(false);
+  });
+
+  test('matches exact addresses', () => {
+    expect(isIpAllowed('203.0.113.7', allowlist)).toBe(true);
+    expect(isIpAllowed('203.0.113.8', allowlist)).toBe(false);
+  });
+
+  test('matches IPv6 ranges', () => {
+    expect(isIpAllowed('2001:db8:abcd::5', allowlist)).toBe(true);
+    expect(isIpAllowed('2001:db9::5', allowlist)).toBe(false);
+  });
+
+  test('treats IPv4-mapped clients as IPv4', () => {
+    expect(isIpAllowed('::ffff:10.1.1.1', allowlist)).toBe(true);
+  });
+
+  test('denies everything for an empty list or an unparseable client address', () => {
+    expect(isIpAllowed('10.1.1.1', [])).toBe(false);
+    expect(isIpAllowed('unknown', allowlist)).toBe(false);
+  });
+
+  test('ignores invalid entries', () => {
+    expect(isIpAllowed('10.1.1.1', ['garbage', '10.1.1.0/24'])).toBe(true);
+  });
+});
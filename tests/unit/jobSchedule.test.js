@@ -0,0 +1,59 @@
+/**
+ * Job Schedule Unit Tests
+ * Covers retry backoff and rescheduling used by the job scheduler.
+ */
+
+const { backoffDelay, nextRecurringRun, planAfterFailure } = require('../../src/utils/jobSchedule');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const MINUTE = 60 * 1000;
+const minutesFromNow = m => new Date(NOW.getTime() + m * MINUTE);
+
+describe('backoffDelay', () => {
+  test('doubles with each attempt', () => {
+    expect(backoffDelay(1, MINUTE)).toBe(MINUTE);
+    expect(backoffDelay(2, MINUTE)).toBe(2 * MINUTE);
+    expect(backoffDelay(3, MINUTE)).toBe(4 * MINUTE);
+  });
+
+  test('is capped', () => {
+    expect(backoffDelay(20, MINUTE, 30 * MINUTE)).toBe(30 * MINUTE);
+  });
+});
+
+describe('nextRecurringRun', () => {
+  test('keeps the original cadence', () => {
+    expect(nextRecurringRun(minutesFromNow(-2), 15 * MINUTE, NOW)).toEqual(minutesFromNow(13));
+  });
+
+  test('skips missed slots instead of catching up', () => {
+    expect(nextRecurringRun(minutesFromNow(-50), 15 * MINUTE, NOW)).toEqual(minutesFromNow(10));
+  });
+
+  test('always lands in the future', () => {
+    expect(nextRecurringRun(minutesFromNow(-15), 15 * MINUTE, NOW)).toEqual(minutesFromNow(15));
+  });
+});
+
+describe('planAfterFailure', () => {
+  test('retries with backoff while attempts remain', () => {
+    const plan = planAfterFailure({ type: 'once', attempts: 2, maxAttempts: 3, backoffMs: MINUTE }, NOW);
+    expect(plan).toEqual({ retry: true, nextRunAt: minutesFromNow(2) });
+  });
+
+  test('moves a recurring job to its next slot when out of attempts', () => {
+    const plan = planAfterFailure({
+      type: 'recurring',
+      attempts: 3,
+      maxAttempts: 3,
+      intervalMs: 60 * MINUTE,
+      nextRunAt: minutesFromNow(-5)
+    }, NOW);
+    expect(plan).toEqual({ retry: false, nextRunAt: minutesFromNow(55) });
+  });
+
+  test('gives up on a one-off job when out of attempts', () => {
+    const plan = planAfterFailure({ type: 'once', attempts: 3, maxAttempts: 3 }, NOW);
+    expect(plan).toEqual({ retry: false, nextRunAt: null });
+  });
+});
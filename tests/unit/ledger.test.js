@@ -0,0 +1,132 @@
+/**
+ * Ledger Unit Tests
+ * Covers journal entry planning, balances and mismatch detection for the
+ * commission ledger.
+ */
+
+const {
+  ACCOUNTS,
+  targetPosition,
+  positionFromLines,
+  isBalanced,
+  planJournalEntry,
+  balancesFromPosition,
+  positionMismatches
+} = require('../../src/utils/ledger');
+
+const commission = (overrides = {}) => ({ commissionType: 'VAS', status: 'pending', amount: 100, ...overrides });
+
+// Post a commission through a series of states, returning every entry
+const walk = (states) => {
+  const entries = [];
+  states.forEach(state => {
+    const plan = planJournalEntry(commission(state), positionFromLines(entries.flatMap(e => e.lines)));
+    if (plan) entries.push(plan);
+  });
+  return entries;
+};
+
+describe('targetPosition', () => {
+  test('maps each status to its account, debits negative', () => {
+    expect(targetPosition(commission())).toEqual({ [ACCOUNTS.PENDING]: 100 });
+    expect(targetPosition(commission({ status: 'approved' }))).toEqual({ [ACCOUNTS.PAYABLE]: 100 });
+    expect(targetPosition(commission({ status: 'disputed' }))).toEqual({ [ACCOUNTS.DISPUTED]: 100 });
+    expect(targetPosition(commission({ status: 'paid', amount: 20, adjustmentKind: 'debit' })))
+      .toEqual({ [ACCOUNTS.PAID]: -20 });
+  });
+
+  test('rejected, cancelled and deleted commissions hold nothing', () => {
+    expect(targetPosition(commission({ status: 'rejected' }))).toEqual({});
+    expect(targetPosition(commission({ status: 'cancelled' }))).toEqual({});
+    expect(targetPosition(commission({ isDeleted: true }))).toEqual({});
+  });
+});
+
+describe('planJournalEntry', () => {
+  test('accrues a new commission against expense', () => {
+    expect(planJournalEntry(commission(), positionFromLines([]))).toEqual({
+      type: 'accrual',
+      lines: [
+        { account: ACCOUNTS.EXPENSE, debit: 100, credit: 0 },
+        { account: ACCOUNTS.PENDING, debit: 0, credit: 100 }
+      ]
+    });
+  });
+
+  test('names each step of the commission lifecycle', () => {
+    const entries = walk([{}, { status: 'approved' }, { status: 'approved' }, { status: 'paid' }]);
+    expect(entries.map(e => e.type)).toEqual(['accrual', 'approval', 'payout']);
+    // Moves between earner accounts don't touch expense
+    expect(entries[1].lines).toEqual([
+      { account: ACCOUNTS.PENDING, debit: 100, credit: 0 },
+      { account: ACCOUNTS.PAYABLE, debit: 0, credit: 100 }
+    ]);
+  });
+
+  test('disputes hold the amount aside and rejection reverses it', () => {
+    const entries = walk([{ status: 'approved' }, { status: 'disputed' }, { status: 'rejected' }]);
+    expect(entries.map(e => e.type)).toEqual(['accrual', 'dispute', 'reversal']);
+    expect(entries[2].lines).toEqual([
+      { account: ACCOUNTS.EXPENSE, debit: 0, credit: 100 },
+      { account: ACCOUNTS.DISPUTED, debit: 100, credit: 0 }
+    ]);
+  });
+
+  test('posts a debit adjustment as a negative balance', () => {
+    expect(planJournalEntry(
+      commission({ commissionType: 'ADJUSTMENT', status: 'approved', amount: 15, adjustmentKind: 'debit' }),
+      positionFromLines([])
+    )).toEqual({
+      type: 'adjustment',
+      lines: [
+        { account: ACCOUNTS.EXPENSE, debit: 0, credit: 15 },
+        { account: ACCOUNTS.PAYABLE, debit: 15, credit: 0 }
+      ]
+    });
+  });
+
+  test('an amount change in place is an adjustment for the difference', () => {
+    const entries = walk([{}, { amount: 120.5 }]);
+    expect(entries[1]).toEqual({
+      type: 'adjustment',
+      lines: [
+        { account: ACCOUNTS.EXPENSE, debit: 20.5, credit: 0 },
+        { account: ACCOUNTS.PENDING, debit: 0, credit: 20.5 }
+      ]
+    });
+  });
+
+  test('nothing is posted once the ledger matches', () => {
+    const entries = walk([{ status: 'paid', amount: 0.1 }]);
+    expect(planJournalEntry(commission({ status: 'paid', amount: 0.1 }), positionFromLines(entries[0].lines))).toBeNull();
+    expect(planJournalEntry(commission({ status: 'rejected' }), positionFromLines([]))).toBeNull();
+  });
+
+  test('every planned entry balances', () => {
+    walk([{}, { status: 'approved' }, { status: 'disputed' }, { status: 'approved', amount: 90 }, { status: 'paid' }])
+      .forEach(entry => expect(isBalanced(entry.lines)).toBe(true));
+  });
+});
+
+describe('balancesFromPosition', () => {
+  test('derives outstanding and earned totals', () => {
+    expect(balancesFromPosition({
+      [ACCOUNTS.PENDING]: 10.1,
+      [ACCOUNTS.PAYABLE]: 20.2,
+      [ACCOUNTS.DISPUTED]: 5,
+      [ACCOUNTS.PAID]: 100
+    })).toEqual({ pending: 10.1, payable: 20.2, disputed: 5, paid: 100, outstanding: 30.3, earned: 130.3 });
+    expect(balancesFromPosition({}).earned).toBe(0);
+  });
+});
+
+describe('positionMismatches', () => {
+  test('reports where the ledger and the commission disagree', () => {
+    const posted = positionFromLines(walk([{}])[0].lines);
+    expect(positionMismatches(commission(), posted)).toEqual([]);
+    expect(positionMismatches(commission({ status: 'approved' }), posted)).toEqual([
+      { account: ACCOUNTS.PENDING, expected: 0, actual: 100 },
+      { account: ACCOUNTS.PAYABLE, expected: 100, actual: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Login Lockout Unit Tests
+ * Covers the Settings.security.loginAttempts threshold and lock expiry.
+ */
+
+const { lockUntilAfter, isLockedAt } = require('../../src/utils/loginLockout');
+
+const now = new Date('2026-01-01T12:00:00Z');
+const policy = { maxAttempts: 5, lockoutDuration: 30 };
+
+describe('lockUntilAfter', () => {
+  test('stays open below the threshold', () => {
+    expect(lockUntilAfter(4, policy, now)).toBeNull();
+  });
+
+  test('locks for lockoutDuration minutes at the threshold', () => {
+    expect(lockUntilAfter(5, policy, now)).toEqual(new Date('2026-01-01T12:30:00Z'));
+  });
+
+  test('locks past the threshold too (parallel guesses)', () => {
+    expect(lockUntilAfter(7, policy, now)).toEqual(new Date('2026-01-01T12:30:00Z'));
+  });
+
+  test('maxAttempts 0 disables lockout', () => {
+    expect(lockUntilAfter(100, { maxAttempts: 0, lockoutDuration: 30 }, now)).toBeNull();
+  });
+});
+
+describe('isLockedAt', () => {
+  const lockUntil = lockUntilAfter(5, policy, now);
+
+  test('locked until the expiry', () => {
+    expect(isLockedAt(lockUntil, now)).toBe(true);
+    expect(isLockedAt(lockUntil, new Date('2026-01-01T12:29:59Z'))).toBe(true);
+  });
+
+  test('open again at the expiry', () => {
+    expect(isLockedAt(lockUntil, new Date('2026-01-01T12:30:00Z'))).toBe(false);
+  });
+
+  test('never locked without a lockUntil', () => {
+    expect(isLockedAt(null, now)).toBe(false);
+    expect(isLockedAt(undefined, now)).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Maintenance Window Unit Tests
+ * Covers how Settings.features.maintenance resolves to an active/upcoming state.
+ */
+
+const { resolveMaintenanceState } = require('../../src/services/maintenanceService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const hoursFromNow = h => new Date(NOW.getTime() + h * 60 * 60 * 1000);
+
+describe('resolveMaintenanceState', () => {
+  test('is inactive when disabled, even inside a schedule', () => {
+    const state = resolveMaintenanceState({ enabled: false, scheduledStart: hoursFromNow(-1) }, NOW);
+    expect(state.active).toBe(false);
+    expect(state.upcoming).toBe(false);
+  });
+
+  test('is active immediately when enabled without a schedule', () => {
+    expect(resolveMaintenanceState({ enabled: true }, NOW).active).toBe(true);
+  });
+
+  test('is upcoming before scheduledStart', () => {
+    const state = resolveMaintenanceState({ enabled: true, scheduledStart: hoursFromNow(2) }, NOW);
+    expect(state.active).toBe(false);
+    expect(state.upcoming).toBe(true);
+  });
+
+  test('is active between scheduledStart and scheduledEnd', () => {
+    const state = resolveMaintenanceState(
+      { enabled: true, scheduledStart: hoursFromNow(-1), scheduledEnd: hoursFromNow(1) },
+      NOW
+    );
+    expect(state.active).toBe(true);
+    expect(state.scheduledEnd).toEqual(hoursFromNow(1));
+  });
+
+  test('ends automatically at scheduledEnd', () => {
+    const state = resolveMaintenanceState({ enabled: true, scheduledEnd: hoursFromNow(-1) }, NOW);
+    expect(state.active).toBe(false);
+    expect(state.upcoming).toBe(false);
+  });
+
+  test('falls back to the default message and super_admin access', () => {
+    const state = resolveMaintenanceState({ enabled: true }, NOW);
+    expect(state.message).toMatch(/maintenance/i);
+    expect(state.allowedRoles).toEqual(['super_admin']);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Password Policy Unit Tests
+ * Covers the composition rules from Settings.security.passwordPolicy.
+ */
+
+const { checkPasswordRules, DEFAULT_POLICY } = require('../../src/utils/passwordPolicy');
+const { ValidationError } = require('../../src/utils/errors');
+
+const rulesOf = failed => failed.map(f => f.rule);
+
+describe('checkPasswordRules', () => {
+  test('accepts a password meeting the default policy', () => {
+    expect(checkPasswordRules('Secure123', DEFAULT_POLICY)).toEqual([]);
+  });
+
+  test('reports every failed rule, not just the first', () => {
+    const failed = checkPasswordRules('abc', DEFAULT_POLICY);
+    expect(rulesOf(failed)).toEqual(['minLength', 'requireUppercase', 'requireNumbers']);
+    failed.forEach(f => expect(typeof f.message).toBe('string'));
+  });
+
+  test('honours a custom minLength', () => {
+    const policy = { ...DEFAULT_POLICY, minLength: 12 };
+    expect(rulesOf(checkPasswordRules('Secure123', policy))).toEqual(['minLength']);
+  });
+
+  test('requires a special character only when configured', () => {
+    expect(checkPasswordRules('Secure123', { ...DEFAULT_POLICY, requireSpecialChars: false })).toEqual([]);
+    expect(rulesOf(checkPasswordRules('Secure123', { ...DEFAULT_POLICY, requireSpecialChars: true })))
+      .toEqual(['requireSpecialChars']);
+    expect(checkPasswordRules('Secure123!', { ...DEFAULT_POLICY, requireSpecialChars: true })).toEqual([]);
+  });
+
+  test('skips disabled character-class rules', () => {
+    const relaxed = {
+      minLength: 4,
+      requireUppercase: false,
+      requireLowercase: false,
+      requireNumbers: false,
+      requireSpecialChars: false
+    };
+    expect(checkPasswordRules('abcd', relaxed)).toEqual([]);
+  });
+
+  test('treats a non-string password as empty', () => {
+    expect(rulesOf(checkPasswordRules(undefined, DEFAULT_POLICY))).toContain('minLength');
+  });
+});
+
+describe('ValidationError details', () => {
+  test('carries structured details', () => {
+    const details = [{ rule: 'minLength', message: 'too short' }];
+    const err = new ValidationError('Password does not meet the security policy', 'PASSWORD_POLICY_VIOLATION', details);
+    expect(err.statusCode).toBe(400);
+    expect(err.code).toBe('PASSWORD_POLICY_VIOLATION');
+    expect(err.details).toEqual(details);
+  });
+});
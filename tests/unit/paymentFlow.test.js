@@ -0,0 +1,328 @@
+/**
+ * Payment Flow Unit Tests
+ * Runs task checkouts and signed fake-gateway webhooks through
+ * paymentService (handleWebhook → applyPaymentUpdate) against in-memory
+ * models: status rules, redeliveries, replaced checkouts and a second
+ * payment for a task that is already paid.
+ */
+
+// Minimal in-memory stand-in for the Mongoose calls paymentService makes
+function mockCollection() {
+  const docs = [];
+  const clone = (value) => (value === null || value === undefined ? value : structuredClone(value));
+  const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  const set = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => (obj[key] = obj[key] || {}), doc);
+    parent[last] = value;
+  };
+
+  const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const value = get(doc, path);
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([op, arg]) => {
+        if (op === '$ne') return Array.isArray(value) ? !value.includes(arg) : value !== arg;
+        if (op === '$in') return arg.includes(value);
+        if (op === '$gt') return value > arg;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return Array.isArray(value) ? value.includes(condition) : (value ?? null) === (condition ?? null);
+  });
+
+  const applyUpdate = (doc, update) => {
+    Object.entries(update.$set || {}).forEach(([path, value]) => set(doc, path, value));
+    Object.entries(update.$push || {}).forEach(([path, value]) => get(doc, path).push(value));
+    Object.entries(update.$addToSet || {}).forEach(([path, value]) => {
+      if (!get(doc, path).includes(value)) get(doc, path).push(value);
+    });
+  };
+
+  // Query-like result: chainable, awaitable, resolves to a copy
+  const query = (produce) => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      lean: () => chain,
+      session: () => chain,
+      then: (resolve, reject) => Promise.resolve().then(() => clone(produce())).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    docs,
+    insert: (doc) => docs.push(clone(doc)),
+    findOne: (filter = {}) => query(() => [...docs].reverse().find(doc => matches(doc, filter)) || null),
+    find: (filter = {}) => query(() => docs.filter(doc => matches(doc, filter))),
+    matches,
+    applyUpdate,
+    clone
+  };
+}
+
+function mockModel(collection) {
+  return { findOne: collection.findOne, find: collection.find, collection };
+}
+
+jest.mock('../../src/models/Payment', () => {
+  const collection = mockCollection();
+  // The unique partial index { taskId } where settlesTask is true
+  const checkUnique = (candidate) => {
+    if (!candidate.settlesTask || !candidate.taskId) return;
+    if (collection.docs.some(d => d !== candidate && d.settlesTask && d.taskId === candidate.taskId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+  };
+
+  class Payment {
+    constructor(doc) {
+      Object.assign(this, { processedEvents: [], statusHistory: [], checkout: {}, settlesTask: false, duplicateOf: null, ...doc });
+    }
+
+    async save() {
+      const plain = collection.clone({ ...this });
+      const index = collection.docs.findIndex(d => d.paymentId === this.paymentId);
+      if (index >= 0) collection.docs[index] = plain;
+      else collection.docs.push(plain);
+      return this;
+    }
+
+    static findOne(filter) {
+      return collection.findOne(filter);
+    }
+
+    static find(filter) {
+      return collection.find(filter);
+    }
+
+    static async updateOne(filter, update) {
+      const doc = collection.docs.find(d => collection.matches(d, filter));
+      if (!doc) return { modifiedCount: 0 };
+      collection.applyUpdate(doc, update);
+      return { modifiedCount: 1 };
+    }
+
+    static async findOneAndUpdate(filter, update) {
+      const doc = collection.docs.find(d => collection.matches(d, filter));
+      if (!doc) return null;
+      const next = collection.clone(doc);
+      collection.applyUpdate(next, update);
+      checkUnique(next);
+      Object.assign(doc, next);
+      return collection.clone(doc);
+    }
+  }
+  Payment.collection = collection;
+  return Payment;
+});
+jest.mock('../../src/models/Task', () => mockModel(mockCollection()));
+jest.mock('../../src/models/ServiceRequest', () => mockModel(mockCollection()));
+jest.mock('../../src/models/Service', () => mockModel(mockCollection()));
+jest.mock('../../src/models/Student', () => mockModel(mockCollection()));
+jest.mock('../../src/models/User', () => mockModel(mockCollection()));
+jest.mock('../../src/models/Settings', () => ({
+  getSettings: async () => ({ payment: { enabled: true, paymentGateway: 'fake', currency: 'USD', serviceFees: {} } })
+}));
+jest.mock('../../src/utils/auditLogger', () => ({ createAuditLog: jest.fn(async () => null), logAudit: jest.fn(async () => null) }));
+jest.mock('../../src/services/notificationService', () => ({ createNotification: jest.fn(async () => null) }));
+
+const Payment = require('../../src/models/Payment');
+const Task = require('../../src/models/Task');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const Student = require('../../src/models/Student');
+const User = require('../../src/models/User');
+const { createAuditLog } = require('../../src/utils/auditLogger');
+const { eventBus, EVENTS } = require('../../src/events/eventBus');
+const { setGateway } = require('../../src/payments/gateway');
+const { createFakeGateway } = require('../../src/payments/gateways/fakeGateway');
+const paymentService = require('../../src/services/paymentService');
+
+const fake = createFakeGateway({ secret: 'flow-secret' });
+const student = { userId: 'user-student', role: 'student' };
+
+// Ids of the payments PAYMENT_COMPLETED was emitted for
+const completedEvents = () => eventBus.buildEvent.mock.calls
+  .filter(([event]) => event === EVENTS.PAYMENT_COMPLETED)
+  .map(([, { payment }]) => payment.paymentId);
+
+// What POST /payments/fake-gateway/checkout/:sessionId does
+const pay = async (payment, outcome, options) => {
+  const { rawBody, headers } = fake.signEvent(fake.buildEvent(payment, outcome, options));
+  return { rawBody, headers, ...(await paymentService.handleWebhook('fake', rawBody, headers)) };
+};
+
+const stored = (paymentId) => Payment.collection.docs.find(p => p.paymentId === paymentId);
+
+let taskCount = 0;
+const createTask = (amount = 250) => {
+  taskCount++;
+  const task = {
+    taskId: `task-${taskCount}`,
+    taskType: 'PAYMENT',
+    status: 'PENDING',
+    title: 'Application fee',
+    assignedTo: student.userId,
+    assignedBy: 'user-counselor',
+    serviceRequestId: `sr-${taskCount}`,
+    metadata: { amount }
+  };
+  Task.collection.insert(task);
+  ServiceRequest.collection.insert({ serviceRequestId: task.serviceRequestId, studentId: 'student-1', serviceType: 'APPLICATION_ASSISTANCE' });
+  return task;
+};
+
+beforeAll(() => {
+  setGateway('fake', fake);
+  Student.collection.insert({ studentId: 'student-1', userId: student.userId });
+  User.collection.insert({ userId: student.userId, firstName: 'Sam', lastName: 'Student', email: 'sam@example.com' });
+  User.collection.insert({ userId: 'user-admin', role: 'super_admin', isActive: true });
+  // Events are only stored when something listens
+  eventBus.subscribe(EVENTS.PAYMENT_COMPLETED, 'test.payment_completed', async () => {});
+  jest.spyOn(eventBus, 'buildEvent');
+});
+
+afterAll(() => {
+  setGateway('fake', null);
+  eventBus.buildEvent.mockRestore();
+});
+
+beforeEach(() => {
+  eventBus.buildEvent.mockClear();
+  createAuditLog.mockClear();
+});
+
+describe('fake gateway checkout flow', () => {
+  test('a paid checkout completes once and emits PAYMENT_COMPLETED', async () => {
+    const task = createTask();
+    const { payment, reused } = await paymentService.createTaskCheckout(student, task.taskId);
+    expect(reused).toBe(false);
+    expect(payment.checkout.url).toBe(`/api/v1/payments/fake-gateway/checkout/${payment.checkout.sessionId}`);
+
+    const first = await pay(payment, 'completed');
+    expect(first.result).toBe('applied');
+    expect(stored(payment.paymentId)).toMatchObject({ status: 'completed', settlesTask: true, duplicateOf: null });
+
+    // The gateway delivers the same event again
+    const again = await paymentService.handleWebhook('fake', first.rawBody, first.headers);
+    expect(again.result).toBe('duplicate');
+
+    expect(completedEvents()).toEqual([payment.paymentId]);
+    expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'payment_completed', entityId: payment.paymentId }));
+  });
+
+  test('an unexpired checkout is reused', async () => {
+    const task = createTask();
+    const { payment } = await paymentService.createTaskCheckout(student, task.taskId);
+    const second = await paymentService.createTaskCheckout(student, task.taskId);
+    expect(second.reused).toBe(true);
+    expect(second.payment.paymentId).toBe(payment.paymentId);
+  });
+
+  test('status only moves forward', async () => {
+    const task = createTask();
+    const { payment } = await paymentService.createTaskCheckout(student, task.taskId);
+
+    expect((await pay(payment, 'processing')).result).toBe('applied');
+    expect((await pay(payment, 'completed')).result).toBe('applied');
+    expect((await pay(payment, 'processing')).result).toBe('stale');
+    expect((await pay(payment, 'failed')).result).toBe('stale');
+    expect(stored(payment.paymentId).status).toBe('completed');
+  });
+
+  test('a different amount is not completed', async () => {
+    const task = createTask();
+    const { payment } = await paymentService.createTaskCheckout(student, task.taskId);
+    expect((await pay(payment, 'completed', { amount: 1 })).result).toBe('amount_mismatch');
+    expect(stored(payment.paymentId).status).toBe('pending');
+  });
+
+  test('a forged event is rejected', async () => {
+    const task = createTask();
+    const { payment } = await paymentService.createTaskCheckout(student, task.taskId);
+    const forger = createFakeGateway({ secret: 'guessed' });
+    const { rawBody, headers } = forger.signEvent(forger.buildEvent(payment, 'completed'));
+
+    await expect(paymentService.handleWebhook('fake', rawBody, headers)).rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+    expect(stored(payment.paymentId).status).toBe('pending');
+  });
+
+  test('the fake webhook does not exist in production', async () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      await expect(paymentService.handleWebhook('fake', Buffer.from('{}'), {})).rejects.toMatchObject({ statusCode: 404 });
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
+
+describe('paying a task once', () => {
+  test('a new checkout closes the older one', async () => {
+    const task = createTask(250);
+    const { payment: older } = await paymentService.createTaskCheckout(student, task.taskId);
+
+    // The fee changed, so the checkout can't be reused
+    Task.collection.docs.find(t => t.taskId === task.taskId).metadata.amount = 300;
+    const { payment: newer, reused } = await paymentService.createTaskCheckout(student, task.taskId);
+
+    expect(reused).toBe(false);
+    expect(stored(older.paymentId)).toMatchObject({ status: 'failed', failureReason: 'Replaced by a newer checkout' });
+    expect(stored(older.paymentId).checkout.closedAt).toBeTruthy();
+    expect(stored(newer.paymentId).status).toBe('pending');
+  });
+
+  test('completing one payment closes the task\'s other open checkouts', async () => {
+    const task = createTask();
+    const { payment } = await paymentService.createTaskCheckout(student, task.taskId);
+    // An open checkout on another gateway, e.g. from before a settings switch
+    Payment.collection.insert({
+      paymentId: 'payment-other-gateway',
+      taskId: task.taskId,
+      status: 'pending',
+      gateway: 'stripe',
+      amount: 250,
+      currency: 'USD',
+      processedEvents: [],
+      statusHistory: [],
+      checkout: {}
+    });
+
+    await pay(payment, 'completed');
+    expect(stored('payment-other-gateway')).toMatchObject({ status: 'failed', failureReason: 'The task was paid with another payment' });
+  });
+
+  test('a second completion for a paid task is flagged for refund, not applied to the task', async () => {
+    const task = createTask(250);
+    const { payment: older } = await paymentService.createTaskCheckout(student, task.taskId);
+    Task.collection.docs.find(t => t.taskId === task.taskId).metadata.amount = 300;
+    const { payment: newer } = await paymentService.createTaskCheckout(student, task.taskId);
+
+    expect((await pay(newer, 'completed')).result).toBe('applied');
+    // The replaced checkout is paid anyway (the gateway couldn't cancel it)
+    const late = await pay(older, 'completed');
+
+    expect(late.result).toBe('duplicate_payment');
+    expect(stored(older.paymentId)).toMatchObject({
+      status: 'completed',
+      settlesTask: false,
+      duplicateOf: newer.paymentId,
+      refundRequired: true
+    });
+    expect(completedEvents()).toEqual([newer.paymentId]);
+    expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'payment_duplicate', entityId: older.paymentId }));
+  });
+
+  test('a replaced checkout that is paid first still pays the task', async () => {
+    const task = createTask(250);
+    const { payment: older } = await paymentService.createTaskCheckout(student, task.taskId);
+    Task.collection.docs.find(t => t.taskId === task.taskId).metadata.amount = 300;
+    const { payment: newer } = await paymentService.createTaskCheckout(student, task.taskId);
+
+    expect((await pay(older, 'completed')).result).toBe('applied');
+    expect(stored(older.paymentId).settlesTask).toBe(true);
+    expect(stored(newer.paymentId)).toMatchObject({ status: 'failed', failureReason: 'The task was paid with another payment' });
+  });
+});
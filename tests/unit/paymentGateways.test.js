@@ -0,0 +1,219 @@
+/**
+ * Payment Gateway Unit Tests
+ * Covers the payment status rules, minor-unit amounts, webhook signature
+ * checks and how each gateway's events map to the normalized event.
+ */
+
+const crypto = require('crypto');
+const { planPaymentTransition, toMinorUnits, fromMinorUnits } = require('../../src/utils/paymentStatus');
+const { verifyTimestampedSignature, getGateway, setGateway, isGatewayAvailable, GATEWAYS } = require('../../src/payments/gateway');
+const { createFakeGateway } = require('../../src/payments/gateways/fakeGateway');
+const { createStripeGateway, formEncode } = require('../../src/payments/gateways/stripeGateway');
+const { createRazorpayGateway } = require('../../src/payments/gateways/razorpayGateway');
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const timestamped = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, `${timestamp}.${rawBody}`)}`;
+
+const payment = {
+  paymentId: '5b0e3c1a-1111-2222-3333-444455556666',
+  amount: 149.5,
+  currency: 'USD',
+  checkout: { sessionId: 'fcs_abc' }
+};
+
+describe('planPaymentTransition', () => {
+  test('moves forward', () => {
+    expect(planPaymentTransition('pending', 'processing')).toEqual({ apply: true, reason: null });
+    expect(planPaymentTransition('processing', 'completed').apply).toBe(true);
+    expect(planPaymentTransition('completed', 'refunded').apply).toBe(true);
+  });
+
+  test('a failed checkout can still be paid', () => {
+    expect(planPaymentTransition('failed', 'completed').apply).toBe(true);
+  });
+
+  test('skips repeats, late events and unknown statuses', () => {
+    expect(planPaymentTransition('completed', 'completed')).toEqual({ apply: false, reason: 'unchanged' });
+    expect(planPaymentTransition('completed', 'processing')).toEqual({ apply: false, reason: 'stale' });
+    expect(planPaymentTransition('completed', 'failed')).toEqual({ apply: false, reason: 'stale' });
+    expect(planPaymentTransition('refunded', 'completed')).toEqual({ apply: false, reason: 'stale' });
+    expect(planPaymentTransition('pending', 'paid')).toEqual({ apply: false, reason: 'unknown_status' });
+  });
+});
+
+describe('minor units', () => {
+  test('two-decimal and zero-decimal currencies', () => {
+    expect(toMinorUnits(149.5, 'USD')).toBe(14950);
+    expect(toMinorUnits(0.1 + 0.2, 'EUR')).toBe(30);
+    expect(toMinorUnits(1500, 'jpy')).toBe(1500);
+    expect(fromMinorUnits(14950, 'USD')).toBe(149.5);
+    expect(fromMinorUnits(1500, 'JPY')).toBe(1500);
+  });
+});
+
+describe('verifyTimestampedSignature', () => {
+  const body = '{"id":"evt_1"}';
+
+  test('accepts a valid signature among several', () => {
+    const header = `${timestamped('secret', body)},v1=${'0'.repeat(64)}`;
+    expect(() => verifyTimestampedSignature(body, header, 'secret')).not.toThrow();
+  });
+
+  test('rejects a wrong secret, a malformed header and an old timestamp', () => {
+    expect(() => verifyTimestampedSignature(body, timestamped('other', body), 'secret'))
+      .toThrow(expect.objectContaining({ code: 'WEBHOOK_SIGNATURE_INVALID', statusCode: 400 }));
+    expect(() => verifyTimestampedSignature(body, 'v1=abc', 'secret')).toThrow('Malformed signature header');
+
+    const old = Math.floor(Date.now() / 1000) - 600;
+    expect(() => verifyTimestampedSignature(body, timestamped('secret', body, old), 'secret')).toThrow('outside the tolerance');
+  });
+
+  test('rejects when no secret is configured', () => {
+    expect(() => verifyTimestampedSignature(body, timestamped('secret', body), undefined)).toThrow('not configured');
+  });
+});
+
+describe('fake gateway', () => {
+  const fake = createFakeGateway({ secret: 'test-secret' });
+
+  test('creates a local checkout session', async () => {
+    const session = await fake.createCheckoutSession({ payment });
+    expect(session.sessionId).toMatch(/^fcs_/);
+    expect(session.checkoutUrl).toBe(`/api/v1/payments/fake-gateway/checkout/${session.sessionId}`);
+    expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('signed events verify into normalized events', async () => {
+    const body = fake.buildEvent(payment, 'completed');
+    const { rawBody, headers } = fake.signEvent(body);
+    const event = await fake.verifyWebhook(rawBody, headers);
+
+    expect(event).toMatchObject({
+      eventId: body.id,
+      type: 'checkout.completed',
+      status: 'completed',
+      paymentId: payment.paymentId,
+      sessionId: 'fcs_abc',
+      amount: 149.5,
+      currency: 'USD',
+      failureReason: null,
+      needsCapture: false
+    });
+  });
+
+  test('failed events carry a reason', async () => {
+    const { rawBody, headers } = fake.signEvent(fake.buildEvent(payment, 'failed'));
+    expect(await fake.verifyWebhook(rawBody, headers)).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+  });
+
+  test('rejects tampered bodies and other secrets', async () => {
+    const { rawBody, headers } = fake.signEvent(fake.buildEvent(payment, 'completed'));
+    const tampered = Buffer.from(rawBody.toString().replace('14950', '1'));
+    await expect(fake.verifyWebhook(tampered, headers)).rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+
+    const other = createFakeGateway({ secret: 'other-secret' });
+    await expect(other.verifyWebhook(rawBody, headers)).rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+  });
+
+  test('refuses to sign or start checkouts without a secret', async () => {
+    const unset = createFakeGateway({ secret: '' });
+    expect(() => unset.signEvent({ id: 'fevt_1' })).toThrow('FAKE_GATEWAY_SECRET is not set');
+    await expect(unset.createCheckoutSession({ payment })).rejects.toThrow('FAKE_GATEWAY_SECRET is not set');
+  });
+
+  test('ignores unknown event types', async () => {
+    const { rawBody, headers } = fake.signEvent({ id: 'fevt_1', type: 'customer.created', data: {} });
+    expect(await fake.verifyWebhook(rawBody, headers)).toBeNull();
+  });
+});
+
+describe('stripe gateway', () => {
+  const stripe = createStripeGateway({ secretKey: 'sk_test', webhookSecret: 'whsec_test' });
+  const send = (body) => {
+    const rawBody = JSON.stringify(body);
+    return stripe.verifyWebhook(Buffer.from(rawBody), { 'stripe-signature': timestamped('whsec_test', rawBody) });
+  };
+
+  test('form-encodes nested params', () => {
+    expect(formEncode({ a: 1, b: { c: 'x y' }, d: [{ e: 2 }], skip: undefined })).toEqual([
+      'a=1',
+      'b%5Bc%5D=x%20y',
+      'd%5B0%5D%5Be%5D=2'
+    ]);
+  });
+
+  test('maps completed checkout sessions', async () => {
+    const event = await send({
+      id: 'evt_1',
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_1', payment_status: 'paid', payment_intent: 'pi_1', amount_total: 14950, currency: 'usd', metadata: { paymentId: payment.paymentId } } }
+    });
+    expect(event).toMatchObject({ eventId: 'evt_1', status: 'completed', paymentId: payment.paymentId, sessionId: 'cs_1', gatewayPaymentId: 'pi_1', amount: 149.5, currency: 'USD' });
+  });
+
+  test('unpaid (delayed method) sessions are processing, expired ones failed', async () => {
+    const object = { id: 'cs_1', client_reference_id: payment.paymentId, currency: 'usd' };
+    expect((await send({ id: 'evt_2', type: 'checkout.session.completed', data: { object: { ...object, payment_status: 'unpaid' } } })).status).toBe('processing');
+    expect(await send({ id: 'evt_3', type: 'checkout.session.expired', data: { object } })).toMatchObject({ status: 'failed', failureReason: 'Checkout session expired' });
+  });
+
+  test('only full refunds refund the payment', async () => {
+    const charge = { payment_intent: 'pi_1', amount_refunded: 5000, currency: 'usd', metadata: { paymentId: payment.paymentId } };
+    expect(await send({ id: 'evt_4', type: 'charge.refunded', data: { object: { ...charge, refunded: false } } })).toBeNull();
+    expect((await send({ id: 'evt_5', type: 'charge.refunded', data: { object: { ...charge, refunded: true } } })).status).toBe('refunded');
+  });
+});
+
+describe('razorpay gateway', () => {
+  const razorpay = createRazorpayGateway({ keyId: 'rzp_test', keySecret: 'key', webhookSecret: 'rzp_whsec' });
+  const paid = {
+    event: 'payment_link.paid',
+    created_at: 1700000000,
+    payload: {
+      payment_link: { entity: { id: 'plink_1', amount_paid: 14950, currency: 'INR', reference_id: payment.paymentId, notes: { paymentId: payment.paymentId } } },
+      payment: { entity: { id: 'pay_1' } }
+    }
+  };
+
+  test('maps paid payment links', async () => {
+    const rawBody = JSON.stringify(paid);
+    const event = await razorpay.verifyWebhook(Buffer.from(rawBody), {
+      'x-razorpay-signature': hmac('rzp_whsec', rawBody),
+      'x-razorpay-event-id': 'rzp_evt_1'
+    });
+    expect(event).toMatchObject({ eventId: 'rzp_evt_1', status: 'completed', paymentId: payment.paymentId, sessionId: 'plink_1', gatewayPaymentId: 'pay_1', amount: 149.5, currency: 'INR' });
+  });
+
+  test('rejects a bad signature', async () => {
+    await expect(razorpay.verifyWebhook(Buffer.from(JSON.stringify(paid)), { 'x-razorpay-signature': 'deadbeef' }))
+      .rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+  });
+});
+
+describe('gateway registry', () => {
+  afterEach(() => setGateway('fake', null));
+
+  test('adapters can be replaced and unknown gateways are rejected', () => {
+    expect(GATEWAYS).toEqual(['stripe', 'razorpay', 'paypal', 'fake']);
+    const stub = { kind: 'fake' };
+    setGateway('fake', stub);
+    expect(getGateway('fake')).toBe(stub);
+    setGateway('fake', null);
+    expect(getGateway('fake')).not.toBe(stub);
+    expect(() => getGateway('venmo')).toThrow();
+  });
+
+  test('the fake gateway is unavailable in production', () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(isGatewayAvailable('fake')).toBe(false);
+      expect(isGatewayAvailable('stripe')).toBe(true);
+      expect(() => getGateway('fake')).toThrow(expect.objectContaining({ code: 'PAYMENT_GATEWAY_UNAVAILABLE' }));
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Payout Run Unit Tests
+ * Covers the run schedule for each payout frequency, grouping commissions
+ * into payout lines and payee checks.
+ */
+
+const {
+  dueRunSlot,
+  nextRunAt,
+  planPayoutLines,
+  getPayeeBlocker
+} = require('../../src/utils/payoutRuns');
+
+const at = (iso) => new Date(iso);
+
+describe('dueRunSlot', () => {
+  test('a first run is due straight away, except on request', () => {
+    const now = at('2026-03-10T09:00:00Z');
+    expect(dueRunSlot('weekly', null, now)).toEqual(now);
+    expect(dueRunSlot('monthly', null, now)).toEqual(now);
+    expect(dueRunSlot('on_request', null, now)).toBeNull();
+  });
+
+  test('weekly and biweekly runs keep their slot', () => {
+    const last = at('2026-03-02T09:00:00Z');
+    expect(dueRunSlot('weekly', last, at('2026-03-09T08:59:00Z'))).toBeNull();
+    expect(dueRunSlot('weekly', last, at('2026-03-09T10:30:00Z'))).toEqual(at('2026-03-09T09:00:00Z'));
+    expect(dueRunSlot('biweekly', last, at('2026-03-09T10:30:00Z'))).toBeNull();
+    expect(dueRunSlot('biweekly', last, at('2026-03-16T09:00:00Z'))).toEqual(at('2026-03-16T09:00:00Z'));
+  });
+
+  test('missed slots collapse into the latest one', () => {
+    expect(dueRunSlot('weekly', at('2026-03-02T09:00:00Z'), at('2026-03-25T00:00:00Z')))
+      .toEqual(at('2026-03-23T09:00:00Z'));
+  });
+
+  test('monthly runs fall on the 1st', () => {
+    const last = at('2026-03-10T09:00:00Z');
+    expect(dueRunSlot('monthly', last, at('2026-03-31T23:00:00Z'))).toBeNull();
+    expect(dueRunSlot('monthly', last, at('2026-04-01T00:30:00Z'))).toEqual(at('2026-04-01T00:00:00Z'));
+    expect(dueRunSlot('monthly', at('2026-04-01T00:00:00Z'), at('2026-04-20T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('nextRunAt', () => {
+  test('follows the frequency', () => {
+    const last = at('2026-03-10T09:00:00Z');
+    expect(nextRunAt('weekly', last)).toEqual(at('2026-03-17T09:00:00Z'));
+    expect(nextRunAt('biweekly', last)).toEqual(at('2026-03-24T09:00:00Z'));
+    expect(nextRunAt('monthly', last)).toEqual(at('2026-04-01T00:00:00Z'));
+    expect(nextRunAt('on_request', last)).toBeNull();
+  });
+});
+
+describe('planPayoutLines', () => {
+  const commissions = [
+    { commissionId: 'c1', agentId: 'a1', amount: 80 },
+    { commissionId: 'c2', agentId: 'a1', amount: 40.1 },
+    { commissionId: 'c3', agentId: 'a1', amount: 20, adjustmentKind: 'debit' },
+    { commissionId: 'c4', agentId: 'a2', amount: 99.99 },
+    { commissionId: 'c5', agentId: 'a3', amount: 250, currency: 'EUR' }
+  ];
+
+  test('one line per earner at or above the threshold, largest first', () => {
+    const { lines, belowThreshold } = planPayoutLines(commissions, 100);
+    expect(lines).toEqual([
+      { agentId: 'a3', commissionIds: ['c5'], amount: 250, currency: 'EUR' },
+      { agentId: 'a1', commissionIds: ['c1', 'c2', 'c3'], amount: 100.1, currency: 'USD' }
+    ]);
+    expect(belowThreshold).toEqual([{ agentId: 'a2', amount: 99.99 }]);
+  });
+
+  test('a net negative balance is never paid out', () => {
+    const { lines, belowThreshold } = planPayoutLines([
+      { commissionId: 'c1', agentId: 'a1', amount: 10, adjustmentKind: 'debit' }
+    ], 0);
+    expect(lines).toEqual([]);
+    expect(belowThreshold).toEqual([{ agentId: 'a1', amount: -10 }]);
+  });
+});
+
+describe('getPayeeBlocker', () => {
+  const bankDetails = { accountNumber: '12345678', accountHolderName: 'A Agent' };
+
+  test('needs an active earner with bank details', () => {
+    expect(getPayeeBlocker({ isActive: true, bankDetails })).toBeNull();
+    expect(getPayeeBlocker(null)).toMatch(/not found/);
+    expect(getPayeeBlocker({ isActive: false, bankDetails })).toMatch(/inactive/);
+    expect(getPayeeBlocker({ isActive: true, bankDetails: { accountNumber: '1' } })).toMatch(/Bank details/);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Presence Unit Tests
+ * Covers online/away/offline status and case viewers.
+ */
+
+const { statusOf, presenceOf, viewersOf, casesLeft } = require('../../src/utils/presence');
+
+describe('presence status', () => {
+  test('a user is online while any socket is connected', () => {
+    expect(statusOf([{ away: false }])).toBe('online');
+    expect(statusOf([{ away: false }, { away: true }])).toBe('online');
+    expect(statusOf([])).toBe('offline');
+  });
+
+  test('last seen is only given while offline', () => {
+    const at = new Date('2026-05-01T10:00:00Z');
+    expect(presenceOf('u1', [], at)).toEqual({ userId: 'u1', status: 'offline', lastSeen: at });
+    expect(presenceOf('u1', [{ away: false }], at)).toEqual({ userId: 'u1', status: 'online', lastSeen: null });
+    expect(presenceOf('u2')).toEqual({ userId: 'u2', status: 'offline', lastSeen: null });
+  });
+
+  test('a user is away only when every socket is away', () => {
+    expect(statusOf([{ away: true }, { away: false }])).toBe('online');
+    expect(statusOf([{ away: true }, { away: true }])).toBe('away');
+  });
+});
+
+describe('case viewers', () => {
+  test('lists each viewing user once', () => {
+    expect(viewersOf([{ userId: 'u1' }, { userId: 'u1' }, { userId: 'u2' }])).toEqual(['u1', 'u2']);
+    expect(viewersOf([])).toEqual([]);
+  });
+
+  test('a leaving socket leaves only the cases no other socket of the user views', () => {
+    expect(casesLeft(['sr1', 'sr2'], [{ viewing: ['sr2'] }, { viewing: [] }])).toEqual(['sr1']);
+    expect(casesLeft(['sr1', 'sr2'], [])).toEqual(['sr1', 'sr2']);
+    expect(casesLeft([], [{ viewing: ['sr1'] }])).toEqual([]);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Session Service Unit Tests
+ * Covers refresh token rotation, reuse detection, adopting refresh tokens
+ * issued before the session registry, and revocation, against an in-memory
+ * Session store.
+ */
+
+jest.mock('../../src/models/Session', () => {
+  const sessions = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$ne' in condition) return doc[key] !== condition.$ne;
+      if ('$in' in condition) return condition.$in.includes(doc[key]);
+      if ('$gt' in condition) return doc[key] > condition.$gt;
+    }
+    return (doc[key] ?? null) === (condition ?? null);
+  });
+  const apply = (doc, update) => {
+    Object.entries(update).forEach(([key, value]) => {
+      if (key === '$inc') Object.entries(value).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+      else doc[key] = value;
+    });
+  };
+  const withMethods = (doc) => Object.assign(doc, {
+    isActive() { return !this.revokedAt && this.expiresAt > new Date(); },
+    async save() { return this; }
+  });
+  const query = (produce) => {
+    let order = null;
+    const chain = {
+      sort: (spec) => { order = spec; return chain; },
+      select: () => chain,
+      lean: () => chain,
+      then: (resolve, reject) => Promise.resolve().then(() => {
+        const result = produce();
+        if (!order || !Array.isArray(result)) return result;
+        const [[key, direction]] = Object.entries(order);
+        return [...result].sort((x, y) => (x[key] - y[key]) * direction);
+      }).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    sessions,
+    async create(doc) {
+      if (doc.legacyTokenHash && sessions.some(s => s.legacyTokenHash === doc.legacyTokenHash)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const session = withMethods({ revokedAt: null, rotationCount: 0, ...doc });
+      sessions.push(session);
+      return session;
+    },
+    findOne: (filter) => query(() => sessions.find(s => matches(s, filter)) || null),
+    find: (filter) => query(() => sessions.filter(s => matches(s, filter))),
+    async findOneAndUpdate(filter, update) {
+      const session = sessions.find(s => matches(s, filter));
+      if (!session) return null;
+      apply(session, update);
+      return session;
+    },
+    async updateMany(filter, update) {
+      sessions.filter(s => matches(s, filter)).forEach(s => apply(s, update));
+    }
+  };
+});
+jest.mock('../../src/models/Settings', () => ({
+  getCachedSettings: async () => ({ security: { sessionSettings: { maxConcurrentSessions: 2, sessionTimeout: 0, rememberMeDuration: 7 } } })
+}));
+jest.mock('../../src/models/User', () => ({ updateOne: jest.fn(async () => ({ modifiedCount: 1 })) }));
+jest.mock('../../src/utils/auditLogger', () => ({ createAuditLog: jest.fn(async () => null) }));
+jest.mock('../../src/socket/socketManager', () => ({ disconnectRoom: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const { createAuditLog } = require('../../src/utils/auditLogger');
+const sessionService = require('../../src/services/sessionService');
+
+const user = { userId: 'user-1', role: 'agent', tokenVersion: 0 };
+const decode = (token) => jwt.verify(token, sessionService.JWT_REFRESH_SECRET);
+const find = (sessionId) => Session.sessions.find(s => s.sessionId === sessionId);
+
+beforeEach(() => {
+  Session.sessions.length = 0;
+  User.updateOne.mockClear();
+  createAuditLog.mockClear();
+});
+
+describe('refresh token rotation', () => {
+  test('each refresh token is exchanged once for the next', async () => {
+    const { session, refreshToken } = await sessionService.createSession(user, null);
+    const rotated = await sessionService.rotateRefreshToken(decode(refreshToken), user, null);
+
+    expect(rotated.session.sessionId).toBe(session.sessionId);
+    expect(decode(rotated.refreshToken).jti).not.toBe(decode(refreshToken).jti);
+    expect(find(session.sessionId).rotationCount).toBe(1);
+
+    // The new token rotates in turn
+    await expect(sessionService.rotateRefreshToken(decode(rotated.refreshToken), user, null)).resolves.toBeTruthy();
+  });
+
+  test('presenting a rotated token again revokes the session', async () => {
+    const { session, refreshToken } = await sessionService.createSession(user, null);
+    const rotated = await sessionService.rotateRefreshToken(decode(refreshToken), user, null);
+
+    await expect(sessionService.rotateRefreshToken(decode(refreshToken), user, null))
+      .rejects.toMatchObject({ code: 'TOKEN_REUSE', statusCode: 401 });
+    expect(find(session.sessionId)).toMatchObject({ revokedReason: 'token_reuse' });
+    expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'refresh_token_reuse_detected' }));
+
+    // The thief's (or owner's) newer token dies with the session
+    await expect(sessionService.rotateRefreshToken(decode(rotated.refreshToken), user, null))
+      .rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+});
+
+describe('refresh tokens from before the session registry', () => {
+  const legacyToken = (payload = {}) =>
+    jwt.sign({ userId: user.userId, tokenVersion: 0, ...payload }, sessionService.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+
+  test('are adopted into a session once', async () => {
+    const token = legacyToken({ mfa: true });
+    const adopted = await sessionService.adoptLegacyRefreshToken(token, decode(token), user, null);
+
+    expect(decode(adopted.refreshToken).sid).toBe(adopted.session.sessionId);
+    expect(adopted.session.mfa).toBe(true);
+    expect(Session.sessions).toHaveLength(1);
+  });
+
+  test('presenting one again revokes the session it started', async () => {
+    const token = legacyToken();
+    const adopted = await sessionService.adoptLegacyRefreshToken(token, decode(token), user, null);
+
+    await expect(sessionService.adoptLegacyRefreshToken(token, decode(token), user, null))
+      .rejects.toMatchObject({ code: 'TOKEN_REUSE' });
+    expect(Session.sessions).toHaveLength(1);
+    expect(find(adopted.session.sessionId)).toMatchObject({ revokedReason: 'token_reuse' });
+  });
+
+  test('two tokens are two sessions', async () => {
+    const first = legacyToken({ device: 1 });
+    const second = legacyToken({ device: 2 });
+    await sessionService.adoptLegacyRefreshToken(first, decode(first), user, null);
+    await sessionService.adoptLegacyRefreshToken(second, decode(second), user, null);
+    expect(Session.sessions).toHaveLength(2);
+  });
+});
+
+describe('revocation', () => {
+  test('log out everywhere revokes every session and bumps tokenVersion', async () => {
+    const a = await sessionService.createSession(user, null);
+    const b = await sessionService.createSession(user, null);
+
+    expect(await sessionService.revokeAllForUser(user.userId, { reason: 'admin_revoked', revokedBy: 'admin' })).toBe(2);
+    expect(find(a.session.sessionId).revokedReason).toBe('admin_revoked');
+    expect(find(b.session.sessionId).revokedReason).toBe('admin_revoked');
+    // Refresh tokens outside any session stop working too
+    expect(User.updateOne).toHaveBeenCalledWith({ userId: user.userId }, { $inc: { tokenVersion: 1 } });
+
+    await expect(sessionService.rotateRefreshToken(decode(a.refreshToken), user, null))
+      .rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+
+  test('bumps tokenVersion even without sessions', async () => {
+    expect(await sessionService.revokeAllForUser(user.userId)).toBe(0);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeping the current session leaves tokenVersion alone', async () => {
+    const current = await sessionService.createSession(user, null);
+    await sessionService.createSession(user, null);
+
+    expect(await sessionService.revokeAllForUser(user.userId, { exceptSessionId: current.session.sessionId })).toBe(1);
+    expect(find(current.session.sessionId).revokedAt).toBeNull();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('the session limit evicts the least recently used session', async () => {
+    const oldest = await sessionService.createSession(user, null);
+    find(oldest.session.sessionId).lastSeenAt = new Date(Date.now() - 60000);
+    await sessionService.createSession(user, null);
+    await sessionService.createSession(user, null);
+
+    expect(find(oldest.session.sessionId).revokedReason).toBe('session_limit');
+    expect(Session.sessions.filter(s => !s.revokedAt)).toHaveLength(2);
+  });
+});
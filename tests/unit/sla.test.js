@@ -0,0 +1,95 @@
+/**
+ * SLA Unit Tests
+ * Covers definition lookup, breach levels and helpers used by the SLA scanner.
+ */
+
+const {
+  findDefinition,
+  getStatusEnteredAt,
+  evaluateLevel,
+  isHigherLevel,
+  bumpPriority,
+  complianceRate
+} = require('../../src/utils/sla');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = h => new Date(NOW.getTime() - h * 60 * 60 * 1000);
+
+describe('findDefinition', () => {
+  const definitions = [
+    { serviceType: '*', status: 'ASSIGNED', breachAfterHours: 48, escalateAfterHours: 96 },
+    { serviceType: 'VISA_GUIDANCE', status: 'ASSIGNED', breachAfterHours: 12, escalateAfterHours: 24 }
+  ];
+
+  test('prefers an exact service type over the wildcard', () => {
+    expect(findDefinition(definitions, 'VISA_GUIDANCE', 'ASSIGNED').breachAfterHours).toBe(12);
+  });
+
+  test('falls back to the wildcard', () => {
+    expect(findDefinition(definitions, 'LOAN_ASSISTANCE', 'ASSIGNED').breachAfterHours).toBe(48);
+  });
+
+  test('returns null for statuses without an SLA', () => {
+    expect(findDefinition(definitions, 'VISA_GUIDANCE', 'IN_PROGRESS')).toBeNull();
+  });
+});
+
+describe('getStatusEnteredAt', () => {
+  test('uses the latest real status change, ignoring progress and SLA entries', () => {
+    const entered = getStatusEnteredAt({
+      statusHistory: [
+        { status: 'PENDING_ADMIN_ASSIGNMENT', changedAt: hoursAgo(50) },
+        { status: 'ASSIGNED', changedAt: hoursAgo(30) },
+        { status: 'PROGRESS_UPDATE: 15% → 40%', changedAt: hoursAgo(5) },
+        { status: 'SLA_BREACHED', changedAt: hoursAgo(2) }
+      ]
+    });
+    expect(entered).toEqual(hoursAgo(30));
+  });
+
+  test('falls back to appliedAt without history', () => {
+    expect(getStatusEnteredAt({ statusHistory: [], appliedAt: hoursAgo(3) })).toEqual(hoursAgo(3));
+  });
+});
+
+describe('evaluateLevel', () => {
+  test('moves from ok to breached to escalated', () => {
+    expect(evaluateLevel(hoursAgo(10), 24, 48, NOW)).toBe('ok');
+    expect(evaluateLevel(hoursAgo(24), 24, 48, NOW)).toBe('breached');
+    expect(evaluateLevel(hoursAgo(60), 24, 48, NOW)).toBe('escalated');
+  });
+
+  test('treats a zero breach threshold as due-date semantics', () => {
+    expect(evaluateLevel(hoursAgo(-1), 0, 72, NOW)).toBe('ok');
+    expect(evaluateLevel(hoursAgo(1), 0, 72, NOW)).toBe('breached');
+  });
+});
+
+describe('isHigherLevel', () => {
+  test('only reports forward movement', () => {
+    expect(isHigherLevel('breached', 'ok')).toBe(true);
+    expect(isHigherLevel('escalated', 'breached')).toBe(true);
+    expect(isHigherLevel('breached', 'breached')).toBe(false);
+    expect(isHigherLevel('breached', 'escalated')).toBe(false);
+    expect(isHigherLevel('breached', undefined)).toBe(true);
+  });
+});
+
+describe('bumpPriority', () => {
+  test('raises one step and caps at URGENT', () => {
+    expect(bumpPriority('LOW')).toBe('MEDIUM');
+    expect(bumpPriority('HIGH')).toBe('URGENT');
+    expect(bumpPriority('URGENT')).toBe('URGENT');
+  });
+});
+
+describe('complianceRate', () => {
+  test('is the share of items that never breached', () => {
+    expect(complianceRate(8, 2)).toBe(75);
+    expect(complianceRate(3, 1)).toBe(66.7);
+  });
+
+  test('is 100 with nothing handled', () => {
+    expect(complianceRate(0, 0)).toBe(100);
+  });
+});
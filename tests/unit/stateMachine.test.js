@@ -3,7 +3,14 @@
  * Tests all valid/invalid transitions and role-based permissions.
  */
 
-const { validateStateTransition, VALID_TRANSITIONS, ROLE_PERMISSIONS } = require('../../src/utils/stateMachine');
+const {
+  validateStateTransition,
+  getStatusProgress,
+  validateWorkflowDefinition,
+  VALID_TRANSITIONS,
+  ROLE_PERMISSIONS,
+  DEFAULT_WORKFLOW
+} = require('../../src/utils/stateMachine');
 
 describe('validateStateTransition', () => {
   // ── Valid transitions ──────────────────────────────────────────────
@@ -133,3 +140,127 @@ describe('ROLE_PERMISSIONS map', () => {
     expect(ROLE_PERMISSIONS.rep3).toEqual(['CANCELLED']);
   });
 });
+
+describe('custom workflows', () => {
+  // Profile assessments skip WAITING_STUDENT and let agents complete
+  const workflow = {
+    states: [
+      { status: 'PENDING_ADMIN_ASSIGNMENT', progress: 0 },
+      { status: 'ASSIGNED', progress: 20 },
+      { status: 'IN_PROGRESS', progress: 40 },
+      { status: 'COMPLETED', progress: 100 },
+      { status: 'CANCELLED', progress: null }
+    ],
+    transitions: [
+      { from: 'PENDING_ADMIN_ASSIGNMENT', to: 'ASSIGNED', roles: ['super_admin'] },
+      { from: 'ASSIGNED', to: 'IN_PROGRESS', roles: ['counselor', 'agent'] },
+      { from: 'IN_PROGRESS', to: 'COMPLETED', roles: ['counselor', 'agent'] },
+      { from: 'IN_PROGRESS', to: 'CANCELLED', roles: ['super_admin'] }
+    ]
+  };
+
+  test('uses the workflow graph and roles instead of the built-in ones', () => {
+    expect(validateStateTransition('agent', 'IN_PROGRESS', 'COMPLETED', workflow).valid).toBe(true);
+    expect(validateStateTransition('counselor', 'IN_PROGRESS', 'WAITING_STUDENT', workflow).error)
+      .toContain('Cannot transition');
+    expect(validateStateTransition('student', 'IN_PROGRESS', 'CANCELLED', workflow).allowedTransitions)
+      .toEqual([]);
+  });
+
+  test('states without outgoing transitions are terminal', () => {
+    expect(validateStateTransition('super_admin', 'COMPLETED', 'IN_PROGRESS', workflow).error)
+      .toContain('terminal state');
+  });
+
+  test('returns the matched transition', () => {
+    const result = validateStateTransition('counselor', 'ASSIGNED', 'IN_PROGRESS', workflow);
+    expect(result.transition).toMatchObject({ from: 'ASSIGNED', to: 'IN_PROGRESS' });
+  });
+});
+
+describe('DEFAULT_WORKFLOW', () => {
+  test('matches the built-in maps', () => {
+    for (const [from, targets] of Object.entries(VALID_TRANSITIONS)) {
+      for (const to of targets) {
+        const transition = DEFAULT_WORKFLOW.transitions.find(t => t.from === from && t.to === to);
+        expect(transition.roles.sort()).toEqual(
+          Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes(to)).sort()
+        );
+      }
+    }
+  });
+
+  test('is a valid workflow definition', () => {
+    expect(validateWorkflowDefinition(DEFAULT_WORKFLOW)).toEqual([]);
+  });
+});
+
+describe('getStatusProgress', () => {
+  const workflow = { states: [{ status: 'IN_PROGRESS', progress: 30 }, { status: 'ON_HOLD', progress: null }] };
+
+  test('uses the workflow weight without going backwards', () => {
+    expect(getStatusProgress(workflow, 'IN_PROGRESS', 10)).toBe(30);
+    expect(getStatusProgress(workflow, 'IN_PROGRESS', 45)).toBe(45);
+  });
+
+  test('keeps progress for null weights and is 100 on completion', () => {
+    expect(getStatusProgress(workflow, 'ON_HOLD', 45)).toBe(45);
+    expect(getStatusProgress(workflow, 'COMPLETED', 45)).toBe(100);
+  });
+
+  test('falls back to the built-in weights', () => {
+    expect(getStatusProgress(null, 'ASSIGNED', 0)).toBe(15);
+  });
+});
+
+describe('validateWorkflowDefinition', () => {
+  const valid = () => ({
+    states: ['PENDING_ADMIN_ASSIGNMENT', 'ASSIGNED', 'COMPLETED', 'CANCELLED'].map(status => ({ status })),
+    transitions: [
+      { from: 'PENDING_ADMIN_ASSIGNMENT', to: 'ASSIGNED', roles: ['super_admin'] },
+      { from: 'ASSIGNED', to: 'COMPLETED', roles: ['counselor'] },
+      { from: 'ASSIGNED', to: 'CANCELLED', roles: ['super_admin', 'student'] }
+    ]
+  });
+
+  test('accepts a minimal workflow', () => {
+    expect(validateWorkflowDefinition(valid())).toEqual([]);
+  });
+
+  test('requires the core states', () => {
+    const definition = valid();
+    definition.states = definition.states.filter(s => s.status !== 'CANCELLED');
+    definition.transitions.pop();
+    expect(validateWorkflowDefinition(definition)).toContain('State CANCELLED is required');
+  });
+
+  test('rejects unknown statuses, roles and undefined states', () => {
+    const definition = valid();
+    definition.states.push({ status: 'EMBASSY_REVIEW' });
+    definition.transitions.push({ from: 'ASSIGNED', to: 'ON_HOLD', roles: ['rep9'] });
+    const errors = validateWorkflowDefinition(definition);
+    expect(errors).toContain('Unknown status EMBASSY_REVIEW');
+    expect(errors).toContain('Transition ASSIGNED → ON_HOLD uses a state that is not defined');
+    expect(errors).toContain('Transition ASSIGNED → ON_HOLD has unknown role rep9');
+  });
+
+  test('rejects transitions out of final states', () => {
+    const definition = valid();
+    definition.transitions.push({ from: 'COMPLETED', to: 'ASSIGNED', roles: ['super_admin'] });
+    expect(validateWorkflowDefinition(definition)).toContain('COMPLETED is final and cannot have outgoing transitions');
+  });
+
+  test('rejects guard rules that do not apply to service requests', () => {
+    const definition = valid();
+    definition.transitions[1].guards = [{ rule: 'ALL_TASKS_COMPLETED' }, { rule: 'CHECKLIST_COMPLETED' }];
+    expect(validateWorkflowDefinition(definition)).toEqual([
+      'Transition ASSIGNED → COMPLETED has unknown guard rule CHECKLIST_COMPLETED'
+    ]);
+  });
+
+  test('rejects unreachable states', () => {
+    const definition = valid();
+    definition.states.push({ status: 'ON_HOLD' });
+    expect(validateWorkflowDefinition(definition)).toContain('State ON_HOLD cannot be reached from PENDING_ADMIN_ASSIGNMENT');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Task Dependency Unit Tests
+ * Covers template dependency validation/ordering and task blocking.
+ */
+
+const {
+  findDependencyCycle,
+  orderByDependencies,
+  getBlockingTasks,
+  dueDateFromOffset
+} = require('../../src/utils/taskDependencies');
+
+describe('findDependencyCycle', () => {
+  test('returns null for an acyclic set', () => {
+    expect(findDependencyCycle([
+      { key: 'pay', dependsOn: [] },
+      { key: 'docs', dependsOn: ['pay'] },
+      { key: 'review', dependsOn: ['docs', 'pay'] }
+    ])).toBeNull();
+  });
+
+  test('finds a cycle', () => {
+    expect(findDependencyCycle([
+      { key: 'a', dependsOn: ['c'] },
+      { key: 'b', dependsOn: ['a'] },
+      { key: 'c', dependsOn: ['b'] }
+    ])).toEqual(['a', 'c', 'b', 'a']);
+  });
+
+  test('ignores unknown keys', () => {
+    expect(findDependencyCycle([{ key: 'a', dependsOn: ['missing'] }])).toBeNull();
+  });
+});
+
+describe('orderByDependencies', () => {
+  test('puts prerequisites first, otherwise keeps order', () => {
+    const ordered = orderByDependencies([
+      { key: 'review', order: 1, dependsOn: ['docs'] },
+      { key: 'intro', order: 0, dependsOn: [] },
+      { key: 'docs', order: 2, dependsOn: [] }
+    ]);
+    expect(ordered.map(t => t.key)).toEqual(['intro', 'docs', 'review']);
+  });
+
+  test('skips dependencies outside the batch', () => {
+    const ordered = orderByDependencies([{ key: 'review', order: 0, dependsOn: ['earlier'] }]);
+    expect(ordered.map(t => t.key)).toEqual(['review']);
+  });
+});
+
+describe('getBlockingTasks', () => {
+  const tasks = [
+    { taskId: 't1', status: 'COMPLETED' },
+    { taskId: 't2', status: 'SUBMITTED' },
+    { taskId: 't3', status: 'PENDING' }
+  ];
+
+  test('returns prerequisites that are not completed', () => {
+    expect(getBlockingTasks({ dependsOn: ['t1', 't2'] }, tasks)).toEqual([tasks[1]]);
+  });
+
+  test('nothing blocks a task without dependencies', () => {
+    expect(getBlockingTasks({}, tasks)).toEqual([]);
+  });
+});
+
+describe('dueDateFromOffset', () => {
+  test('adds whole days', () => {
+    expect(dueDateFromOffset(new Date('2026-03-10T12:00:00Z'), 3)).toEqual(new Date('2026-03-13T12:00:00Z'));
+  });
+
+  test('no offset means no due date', () => {
+    expect(dueDateFromOffset(new Date(), null)).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * TOTP Unit Tests
+ * Uses the RFC 6238 SHA-1 test vectors (truncated to 6 digits).
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  getTimeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../../src/utils/totp');
+
+// ASCII "12345678901234567890" — the RFC 6238 SHA-1 seed
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  test('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  test('encodes the RFC seed as expected', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('rejects invalid characters', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateToken', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(generateToken(RFC_SECRET, seconds * 1000)).toBe(expected);
+  });
+});
+
+describe('verifyToken', () => {
+  const timeMs = 1111111109 * 1000;
+
+  test('accepts the current code and returns its time step', () => {
+    expect(verifyToken(RFC_SECRET, '081804', { timeMs })).toBe(getTimeStep(timeMs));
+  });
+
+  test('accepts codes within the drift window', () => {
+    const previous = generateToken(RFC_SECRET, timeMs - 30000);
+    expect(verifyToken(RFC_SECRET, previous, { timeMs })).toBe(getTimeStep(timeMs) - 1);
+  });
+
+  test('rejects codes outside the drift window', () => {
+    const old = generateToken(RFC_SECRET, timeMs - 90000);
+    expect(verifyToken(RFC_SECRET, old, { timeMs })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    expect(verifyToken(RFC_SECRET, '12345', { timeMs })).toBeNull();
+    expect(verifyToken(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+    expect(verifyToken(RFC_SECRET, undefined, { timeMs })).toBeNull();
+  });
+});
+
+describe('enrolment helpers', () => {
+  test('generateSecret returns a 32-character base32 secret', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test('buildOtpauthUri encodes label, issuer and secret', () => {
+    const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'jane@example.com', 'Fly8');
+    expect(uri.startsWith('otpauth://totp/Fly8%3Ajane%40example.com?')).toBe(true);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=Fly8');
+  });
+
+  test('recovery codes are unique and hash case-insensitively', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(hashRecoveryCode(codes[0].toUpperCase())).toBe(hashRecoveryCode(codes[0]));
+  });
+});
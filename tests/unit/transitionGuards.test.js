@@ -0,0 +1,121 @@
+/**
+ * Transition Guard Unit Tests
+ * Covers the declarative rules checked before status changes.
+ */
+
+const { evaluateGuards, guardNeeds } = require('../../src/utils/transitionGuards');
+const { DEFAULT_WORKFLOW } = require('../../src/utils/stateMachine');
+
+const task = (taskId, status, taskType = 'DOCUMENT_UPLOAD') => ({ taskId, title: taskId, status, taskType });
+
+describe('ALL_TASKS_COMPLETED', () => {
+  const guards = [{ rule: 'ALL_TASKS_COMPLETED' }];
+
+  test('passes when every task is completed', () => {
+    expect(evaluateGuards(guards, { tasks: [task('a', 'COMPLETED')] })).toEqual([]);
+  });
+
+  test('lists the open tasks', () => {
+    const [unmet] = evaluateGuards(guards, {
+      tasks: [task('a', 'COMPLETED'), task('b', 'REVISION_REQUIRED')]
+    });
+    expect(unmet.rule).toBe('ALL_TASKS_COMPLETED');
+    expect(unmet.details.tasks).toEqual([{ taskId: 'b', title: 'b', status: 'REVISION_REQUIRED' }]);
+  });
+
+  test('can be limited to task types', () => {
+    const unmet = evaluateGuards(
+      [{ rule: 'ALL_TASKS_COMPLETED', params: { taskTypes: ['PAYMENT'] } }],
+      { tasks: [task('a', 'PENDING')] }
+    );
+    expect(unmet).toEqual([]);
+  });
+});
+
+describe('PAYMENT_TASK_PAID', () => {
+  test('fails while a payment task is open', () => {
+    const unmet = evaluateGuards([{ rule: 'PAYMENT_TASK_PAID' }], { tasks: [task('p', 'SUBMITTED', 'PAYMENT')] });
+    expect(unmet[0].message).toBe('Payment has not been completed');
+  });
+
+  test('passes without a payment task unless required', () => {
+    expect(evaluateGuards([{ rule: 'PAYMENT_TASK_PAID' }], { tasks: [] })).toEqual([]);
+    expect(evaluateGuards([{ rule: 'PAYMENT_TASK_PAID', params: { required: true } }], { tasks: [] }))
+      .toHaveLength(1);
+  });
+});
+
+describe('REQUIRED_DOCUMENTS_UPLOADED', () => {
+  test('reports documents missing from the student profile', () => {
+    const [unmet] = evaluateGuards([{ rule: 'REQUIRED_DOCUMENTS_UPLOADED' }], {
+      student: { documents: { passport: 'https://files/p.pdf', sop: '' } },
+      requiredDocuments: ['passport', 'sop', 'transcripts']
+    });
+    expect(unmet.details.missing).toEqual(['sop', 'transcripts']);
+  });
+});
+
+describe('REQUIRED_DOCUMENTS_VERIFIED', () => {
+  const application = {
+    documents: [
+      { type: 'Passport', verified: true },
+      { type: 'transcripts', verified: false }
+    ]
+  };
+
+  test('separates missing and unverified documents', () => {
+    const [unmet] = evaluateGuards([{ rule: 'REQUIRED_DOCUMENTS_VERIFIED' }], {
+      application,
+      requiredDocuments: ['passport', 'transcripts', 'sop'],
+      requireVerification: true
+    });
+    expect(unmet.details).toEqual({ missing: ['sop'], unverified: ['transcripts'] });
+    expect(unmet.message).toBe('Required documents missing: sop; not verified: transcripts');
+  });
+
+  test('only needs uploads when verification is off', () => {
+    const unmet = evaluateGuards([{ rule: 'REQUIRED_DOCUMENTS_VERIFIED' }], {
+      application,
+      requiredDocuments: ['passport', 'transcripts'],
+      requireVerification: false
+    });
+    expect(unmet).toEqual([]);
+  });
+});
+
+describe('CHECKLIST_COMPLETED', () => {
+  test('lists unticked items', () => {
+    const [unmet] = evaluateGuards([{ rule: 'CHECKLIST_COMPLETED' }], {
+      application: { checklist: [{ item: 'Fee paid', completed: true }, { item: 'SOP reviewed', completed: false }] }
+    });
+    expect(unmet.details.items).toEqual(['SOP reviewed']);
+  });
+});
+
+describe('evaluateGuards', () => {
+  test('reports every unmet condition', () => {
+    const unmet = evaluateGuards(
+      [{ rule: 'ALL_TASKS_COMPLETED' }, { rule: 'PAYMENT_TASK_PAID' }],
+      { tasks: [task('p', 'PENDING', 'PAYMENT')] }
+    );
+    expect(unmet.map(u => u.rule)).toEqual(['ALL_TASKS_COMPLETED', 'PAYMENT_TASK_PAID']);
+  });
+
+  test('fails closed on unknown rules', () => {
+    expect(evaluateGuards([{ rule: 'MOON_IS_FULL' }], {})[0].message).toBe('Unknown guard rule MOON_IS_FULL');
+  });
+});
+
+describe('guardNeeds', () => {
+  test('collects the data the rules need', () => {
+    expect([...guardNeeds([{ rule: 'ALL_TASKS_COMPLETED' }, { rule: 'REQUIRED_DOCUMENTS_UPLOADED' }])].sort())
+      .toEqual(['settings', 'student', 'tasks']);
+  });
+});
+
+describe('built-in workflow guards', () => {
+  test('completing a request requires finished tasks and payment', () => {
+    const toCompleted = DEFAULT_WORKFLOW.transitions.find(t => t.to === 'COMPLETED');
+    expect(toCompleted.guards.map(g => g.rule)).toEqual(['ALL_TASKS_COMPLETED', 'PAYMENT_TASK_PAID']);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Version Store Unit Tests
+ * Covers version numbering, switching the active version, duplicate-key
+ * conflicts and the version cache against an in-memory model.
+ */
+
+const { createVersionStore } = require('../../src/services/versionStore');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const fakeModel = () => {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => doc[key] === value);
+  const withMethods = (doc) => Object.assign(doc, {
+    async save() {
+      if (this.isActive && docs.some(d => d !== this && d.isActive && d.serviceType === this.serviceType)) {
+        throw duplicateKey();
+      }
+      return this;
+    },
+    toObject() { return { ...this }; }
+  });
+  const query = (produce) => {
+    let order = null;
+    const chain = {
+      sort: (spec) => { order = spec; return chain; },
+      select: () => chain,
+      lean: () => chain,
+      then: (resolve, reject) => Promise.resolve().then(() => {
+        let found = docs.filter(produce);
+        if (order) found = [...found].sort((x, y) => (x.version - y.version) * order.version);
+        return found[0] || null;
+      }).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    docs,
+    findOne: jest.fn((filter) => query(doc => matches(doc, filter))),
+    async create(doc) {
+      if (docs.some(d => d.serviceType === doc.serviceType && d.version === doc.version)) throw duplicateKey();
+      const stored = withMethods({ isActive: false, ...doc });
+      docs.push(stored);
+      return stored;
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) Object.assign(doc, update.$set);
+    }
+  };
+};
+
+describe('createVersionStore', () => {
+  let Model;
+  let store;
+
+  beforeEach(() => {
+    Model = fakeModel();
+    store = createVersionStore(Model, { idField: 'formId', label: 'Intake form' });
+  });
+
+  test('numbers versions per service type', async () => {
+    const first = await store.create({ serviceType: 'tax', name: 'A' }, 'admin');
+    const second = await store.create({ serviceType: 'tax', name: 'B' }, 'admin');
+    const other = await store.create({ serviceType: 'audit', name: 'C' }, 'admin');
+
+    expect([first.version, second.version, other.version]).toEqual([1, 2, 1]);
+    expect(first.formId).not.toBe(second.formId);
+    expect(second).toMatchObject({ isActive: false, createdBy: 'admin' });
+  });
+
+  test('activating deactivates the previous version', async () => {
+    const first = await store.create({ serviceType: 'tax' }, 'admin');
+    const second = await store.create({ serviceType: 'tax' }, 'admin');
+    await store.activate(first.formId, 'admin');
+
+    const result = await store.activate(second.formId, 'other-admin');
+    expect(result.changed).toBe(true);
+    expect(result.previous.formId).toBe(first.formId);
+    expect(result.doc).toMatchObject({ isActive: true, activatedBy: 'other-admin' });
+    expect(Model.docs.filter(d => d.isActive)).toHaveLength(1);
+  });
+
+  test('activating the active version changes nothing', async () => {
+    const first = await store.create({ serviceType: 'tax' }, 'admin');
+    await store.activate(first.formId, 'admin');
+    expect((await store.activate(first.formId, 'admin')).changed).toBe(false);
+  });
+
+  test('an unknown version is not found', async () => {
+    await expect(store.activate('missing', 'admin'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Intake form version not found' });
+  });
+
+  test('a concurrent save of the same version number is a conflict', async () => {
+    await store.create({ serviceType: 'tax' }, 'admin');
+    // The other save read the same latest version first
+    Model.findOne.mockImplementationOnce(() => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+
+    await expect(store.create({ serviceType: 'tax' }, 'admin'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Another version was saved at the same time; reload and try again' });
+  });
+
+  test('a concurrent activation is a conflict', async () => {
+    const first = await store.create({ serviceType: 'tax' }, 'admin');
+    const second = await store.create({ serviceType: 'tax' }, 'admin');
+    const findOne = Model.findOne.getMockImplementation();
+    // The other activation lands after the active version was looked up
+    Model.findOne
+      .mockImplementationOnce(findOne)
+      .mockImplementationOnce(() => ({ lean: async () => null }));
+    Model.docs.find(d => d.formId === first.formId).isActive = true;
+
+    await expect(store.activate(second.formId, 'admin'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Another version was activated at the same time; reload and try again' });
+  });
+
+  test('caches versions until forgotten', async () => {
+    const first = await store.create({ serviceType: 'tax' }, 'admin');
+    await store.getById(first.formId);
+    await store.getById(first.formId);
+    expect(Model.findOne).toHaveBeenCalledTimes(2); // create's version lookup + one read
+
+    store.forget(first.formId);
+    await store.getById(first.formId);
+    expect(Model.findOne).toHaveBeenCalledTimes(3);
+  });
+});